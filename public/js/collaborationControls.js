@@ -4,6 +4,8 @@
  * Version: 9.0.0
  */
 
+import { getModeLock, applyLock } from './entitlements.js';
+
 // Cache frequently used DOM elements for better performance
 let collabModeSelector;
 let collabModeDescription;
@@ -316,6 +318,9 @@ function setupEventListeners() {
       const mode = e.currentTarget.dataset.mode;
       const details = COLLABORATION_MODES[mode];
 
+      // Locked by the user's plan; the item's tooltip says which plan unlocks it
+      if (getModeLock(mode)) return;
+
       // Update UI
       document.getElementById('selected-mode-name').textContent = details.name;
       const iconElement = collabModeSelector.querySelector('i');
@@ -388,6 +393,15 @@ function setupEventListeners() {
   }
 }
 
+/**
+ * Marks the modes the user's plan does not include, with the plan that unlocks them
+ */
+export function applyEntitlementLocks() {
+  document.querySelectorAll('.collab-mode-item').forEach(item => {
+    applyLock(item, getModeLock(item.dataset.mode), item.querySelector('div > div') || item);
+  });
+}
+
 /**
  * Set collaboration mode
  * @param {string} mode - The collaboration mode to set
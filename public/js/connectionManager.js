@@ -16,6 +16,7 @@ const MAX_RECONNECT_ATTEMPTS = 20; // Increased from 10 to allow more reconnecti
 const RECONNECT_BASE_DELAY = 3000; // 3 seconds
 const CONNECTION_CHECK_INTERVAL = 15000; // Increased from 5 to 15 seconds - check less frequently
 const HEARTBEAT_INTERVAL = 120000; // Increased from 25 to 120 seconds (2 minutes) - much more tolerant of network issues
+const ACTIVE_COLLABORATION_KEY = 'aiCollab.activeCollaboration'; // sessionStorage key for resumable collaborations
 
 // --- WebSocket URL Construction (Integrated from websocket-path-fixer.js) ---
 
@@ -153,6 +154,8 @@ window.connectWebSocket = function(onMessage, onStateChange) {
                     return; // Don't forward pong messages
                 }
                 
+                trackCollaborationProgress(data);
+
                 // Pass non-heartbeat messages to the main handler
                 if (onMessageHandler) {
                     // Filter out ping/pong messages before passing to handler
@@ -182,6 +185,47 @@ window.connectWebSocket = function(onMessage, onStateChange) {
     }
 }
 
+// --- Collaboration Resume ---
+
+/**
+ * Remembers the running collaboration and the last event received for it, so that after
+ * a reconnect (or page reload) the server can replay what was missed.
+ * @param {object} data - Parsed server message.
+ */
+function trackCollaborationProgress(data) {
+    try {
+        if (data.type === 'collaboration_started' || data.type === 'collaboration_resumed') {
+            const stored = JSON.parse(sessionStorage.getItem(ACTIVE_COLLABORATION_KEY) || 'null');
+            const lastEventId = stored?.sessionId === data.collaborationSessionId ? stored.lastEventId : 0;
+            sessionStorage.setItem(ACTIVE_COLLABORATION_KEY, JSON.stringify({
+                sessionId: data.collaborationSessionId,
+                lastEventId: lastEventId
+            }));
+        } else if (data.type === 'collaboration_ended' || data.type === 'collaboration_resume_failed') {
+            sessionStorage.removeItem(ACTIVE_COLLABORATION_KEY);
+        } else if (data.collaborationSessionId && data.eventId) {
+            const stored = JSON.parse(sessionStorage.getItem(ACTIVE_COLLABORATION_KEY) || 'null');
+            if (stored?.sessionId === data.collaborationSessionId && data.eventId > stored.lastEventId) {
+                stored.lastEventId = data.eventId;
+                sessionStorage.setItem(ACTIVE_COLLABORATION_KEY, JSON.stringify(stored));
+            }
+        } else if (data.type === 'authentication_success') {
+            // The server only accepts resume requests from an authenticated connection
+            const stored = JSON.parse(sessionStorage.getItem(ACTIVE_COLLABORATION_KEY) || 'null');
+            if (stored?.sessionId) {
+                console.log(`ConnectionManager: Resuming collaboration ${stored.sessionId} after event ${stored.lastEventId}`);
+                window.sendMessageToServer({
+                    type: 'resume_collaboration',
+                    sessionId: stored.sessionId,
+                    lastEventId: stored.lastEventId
+                });
+            }
+        }
+    } catch (error) {
+        console.warn('ConnectionManager: Could not track collaboration progress:', error);
+    }
+}
+
 /**
  * Schedules a WebSocket reconnection attempt with exponential backoff.
  */
@@ -141,7 +141,7 @@ function createContextStatusElement() {
   const element = document.createElement('div');
   element.id = 'context-status';
   element.classList.add('context-status');
-  element.innerHTML = 'Context: <span class="context-size">0</span> / <span class="max-size">32000</span> chars';
+  element.innerHTML = 'Context: <span class="context-size">0</span> / <span class="max-size">32000</span> tokens';
   
   // Find proper container for context status - should be in context-window-row
   const container = document.querySelector('.context-windows-wrapper') || 
@@ -783,7 +783,7 @@ function handleTrimContext() {
 
 /**
  * Set a custom maximum context size
- * @param {number} maxSize - The new maximum size in characters
+ * @param {number} maxSize - The new maximum size in tokens
  */
 export function setMaxContextSize(maxSize) {
   if (!contextInfo.sessionId) {
@@ -792,7 +792,7 @@ export function setMaxContextSize(maxSize) {
   }
   
   if (!maxSize || maxSize < 1000) {
-    showTemporaryMessage('Invalid max size. Must be at least 1000 characters.');
+    showTemporaryMessage('Invalid max size. Must be at least 1000 tokens.');
     return false;
   }
   
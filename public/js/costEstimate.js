@@ -0,0 +1,86 @@
+/**
+ * Cost Estimate Module
+ * Asks the server what a collaboration will cost before it starts (estimate_collaboration)
+ * and, when the server says the run is expensive, asks the user to confirm it.
+ */
+
+// Send anyway if the server has not answered by then
+const ESTIMATE_TIMEOUT_MS = 10000;
+
+const pending = new Map();
+let nextRequestId = 1;
+
+function formatUSD(amount) {
+  return `$${(amount || 0).toFixed(amount < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Requests an estimate for a chat payload
+ * @param {Object} payload - The 'chat' message that would be sent
+ * @param {function(Object): boolean} send - Sends a WebSocket message
+ * @returns {Promise<Object|null>} The estimate, or null if none could be made
+ */
+export function requestEstimate(payload, send) {
+  const requestId = `estimate-${nextRequestId++}`;
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      pending.delete(requestId);
+      resolve(null);
+    }, ESTIMATE_TIMEOUT_MS);
+    pending.set(requestId, estimate => {
+      clearTimeout(timer);
+      resolve(estimate);
+    });
+    if (!send({ ...payload, type: 'estimate_collaboration', requestId })) {
+      pending.get(requestId)(null);
+      pending.delete(requestId);
+    }
+  });
+}
+
+/**
+ * Handles a collaboration_estimate message from the server
+ * @param {Object} data
+ */
+export function handleEstimate(data) {
+  const resolve = pending.get(data.requestId);
+  if (!resolve) return;
+  pending.delete(data.requestId);
+  if (data.error) console.warn('Cost estimate failed:', data.error);
+  resolve(data.error ? null : data);
+}
+
+/**
+ * Describes an estimate for the confirmation prompt
+ * @param {Object} estimate
+ * @returns {string}
+ */
+export function formatEstimate(estimate) {
+  const lines = [
+    `This ${estimate.mode.replace(/_/g, ' ')} run is estimated to cost ${formatUSD(estimate.low.costUSD)} to ${formatUSD(estimate.high.costUSD)}.`,
+    ''
+  ];
+  Object.entries(estimate.byAgent).forEach(([agent, entry]) => {
+    lines.push(`${agent} (${entry.model}): ${formatUSD(entry.low.costUSD)} to ${formatUSD(entry.high.costUSD)}`);
+  });
+  if (estimate.unpriced.length > 0) {
+    lines.push(`No prices are known for ${estimate.unpriced.join(', ')}; they are not included.`);
+  }
+  if (estimate.high.costUSD > estimate.remainingUSD) {
+    lines.push('', `You have ${formatUSD(estimate.remainingUSD)} left of today's allowance; the run stops if it is used up.`);
+  }
+  lines.push('', 'Start the collaboration?');
+  return lines.join('\n');
+}
+
+/**
+ * Estimates a chat payload and asks the user to confirm it if the server says so
+ * @param {Object} payload
+ * @param {function(Object): boolean} send
+ * @returns {Promise<boolean>} False if the user declined
+ */
+export async function confirmCost(payload, send) {
+  const estimate = await requestEstimate(payload, send);
+  if (!estimate || !estimate.requiresConfirmation) return true;
+  return window.confirm(formatEstimate(estimate));
+}
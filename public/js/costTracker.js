@@ -65,8 +65,10 @@ window.CostTracker = (function() {
                 case 'daily_cost':
                     handleDailyCostResponse(data);
                     break;
-                case 'budget_exceeded':
-                    handleBudgetExceeded(data);
+                case 'budget_alert':
+                    if (data.level === 'hard') {
+                        handleBudgetExceeded(data);
+                    }
                     break;
             }
         };
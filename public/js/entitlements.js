@@ -0,0 +1,99 @@
+/**
+ * Entitlements Module
+ * Keeps what the user's subscription tier allows (sent with authentication_success)
+ * and marks locked collaboration modes and models with the plan that unlocks them.
+ * The server enforces the same limits; this only explains them up front.
+ */
+
+let entitlements = null;
+let modelFamilies = [];
+
+/**
+ * @param {Object|null} data - The server's entitlements description
+ */
+export function setEntitlements(data) {
+  entitlements = data || null;
+  modelFamilies = (data?.modelFamilies || []).map(family => ({
+    ...family,
+    regex: family.pattern ? new RegExp(family.pattern, 'i') : null
+  }));
+}
+
+export function getEntitlements() {
+  return entitlements;
+}
+
+/**
+ * @param {string} mode - Collaboration mode ('workflow:<id>' for workflows)
+ * @returns {{requiredTier: string|null, reason: string}|null} null if the mode is allowed
+ */
+export function getModeLock(mode) {
+  if (!entitlements || !mode) return null;
+  const key = mode.startsWith('workflow') ? 'workflow' : mode;
+  const lock = entitlements.collaborationModes?.[key];
+  return lock && !lock.allowed ? lock : null;
+}
+
+/**
+ * Same classification as the server: the first family whose pattern matches, else the
+ * family without a pattern
+ * @param {string} modelId
+ * @returns {{requiredTier: string|null, reason: string}|null} null if the model is allowed
+ */
+export function getModelLock(modelId) {
+  if (!entitlements || !modelId) return null;
+  const family = modelFamilies.find(candidate => candidate.regex && candidate.regex.test(modelId))
+    || modelFamilies.find(candidate => !candidate.regex);
+  return family && !family.allowed ? family : null;
+}
+
+/**
+ * Marks a menu item as locked (or unlocks it), with the reason as its tooltip
+ * @param {HTMLElement} element
+ * @param {Object|null} lock - From getModeLock or getModelLock
+ * @param {HTMLElement} [labelElement] - Where the lock badge goes; defaults to the element
+ */
+export function applyLock(element, lock, labelElement = element) {
+  element.classList.toggle('locked', Boolean(lock));
+  element.setAttribute('aria-disabled', lock ? 'true' : 'false');
+  labelElement.querySelector('.entitlement-lock')?.remove();
+  if (lock) {
+    element.title = lock.reason;
+    const badge = document.createElement('span');
+    badge.className = 'entitlement-lock text-warning';
+    badge.innerHTML = `<i class="bi bi-lock-fill"></i> ${lock.requiredTier ? lock.requiredTier.charAt(0).toUpperCase() + lock.requiredTier.slice(1) : 'Locked'}`;
+    labelElement.appendChild(badge);
+  } else {
+    element.removeAttribute('title');
+  }
+}
+
+/**
+ * Marks the options of every model dropdown
+ */
+export function applyModelLocks() {
+  document.querySelectorAll('.model-option[data-value]').forEach(option => {
+    applyLock(option, getModelLock(option.dataset.value), option.querySelector('.model-name') || option);
+  });
+}
+
+/**
+ * Why a selection cannot be sent, checked before the server refuses it
+ * @param {string[]} agents - Selected providers
+ * @param {Object<string, string>} selectedModels - Model id per provider
+ * @param {string|null} mode - Collaboration mode when more than one agent is selected
+ * @returns {string|null} The reason, or null if the selection is allowed
+ */
+export function checkSelection(agents, selectedModels, mode) {
+  if (!entitlements) return null;
+  if (agents.length > entitlements.maxAgentsPerRun) {
+    return `Your ${entitlements.tierName} plan allows ${entitlements.maxAgentsPerRun} models per message; ${agents.length} are selected.`;
+  }
+  const modeLock = agents.length > 1 ? getModeLock(mode) : null;
+  if (modeLock) return `${mode}: ${modeLock.reason}.`;
+  for (const agent of agents) {
+    const modelLock = getModelLock(selectedModels[agent]);
+    if (modelLock) return `${selectedModels[agent]}: ${modelLock.reason}.`;
+  }
+  return null;
+}
@@ -0,0 +1,139 @@
+/**
+ * Expert Roles Review Module
+ * Shows the roles an Expert Panel proposes for the current prompt and lets the user
+ * accept them or edit names, focus, domain and seating before the panel runs
+ */
+
+const PANEL_ID = 'expert-roles-review';
+
+let countdownTimer = null;
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+function renderRoleRow(role, agents, domains) {
+  const agentOptions = ['<option value="">Best rated</option>']
+    .concat(agents.map(agent => `<option value="${escapeHtml(agent)}"${agent === role.agent ? ' selected' : ''}>${escapeHtml(agent)}</option>`))
+    .join('');
+  const domainOptions = domains
+    .map(domain => `<option value="${escapeHtml(domain)}"${domain === role.domain ? ' selected' : ''}>${escapeHtml(domain.replace(/_/g, ' '))}</option>`)
+    .join('');
+
+  return `
+    <div class="expert-role-row border rounded p-2 mb-2">
+      <div class="d-flex gap-2 mb-1">
+        <input type="text" class="form-control form-control-sm role-name" maxlength="80" placeholder="Role" value="${escapeHtml(role.name)}">
+        <button type="button" class="btn btn-sm btn-outline-danger role-remove" aria-label="Remove role"><i class="bi bi-trash"></i></button>
+      </div>
+      <input type="text" class="form-control form-control-sm mb-1 role-focus" maxlength="300" placeholder="Focus" value="${escapeHtml(role.focus)}">
+      <div class="d-flex gap-2">
+        <select class="form-select form-select-sm role-domain">${domainOptions}</select>
+        <select class="form-select form-select-sm role-agent" title="Agent (proposed: ${escapeHtml(role.agent || 'any')})">${agentOptions}</select>
+      </div>
+    </div>
+  `;
+}
+
+function readRoles(panelEl) {
+  return Array.from(panelEl.querySelectorAll('.expert-role-row')).map(row => ({
+    name: row.querySelector('.role-name').value.trim(),
+    focus: row.querySelector('.role-focus').value.trim(),
+    domain: row.querySelector('.role-domain').value,
+    agent: row.querySelector('.role-agent').value || null
+  })).filter(role => role.name);
+}
+
+/**
+ * Hide the review panel (e.g. once the server reports the seated panel)
+ */
+export function hideRoleReview() {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+  const panelEl = document.getElementById(PANEL_ID);
+  if (panelEl) panelEl.remove();
+}
+
+/**
+ * Show proposed roles for review
+ * @param {Object} proposal - expert_roles_proposed message ({ roles, agents, domains, timeoutMs })
+ * @param {function(Array|null)} onDecision - Called with the edited roles, or null to accept them unchanged
+ */
+export function showRoleReview(proposal, onDecision) {
+  hideRoleReview();
+
+  const agents = proposal.agents || [];
+  const domains = proposal.domains && proposal.domains.length > 0 ? proposal.domains : ['other'];
+  const maxRoles = agents.length || proposal.roles.length;
+  let secondsLeft = Math.round((proposal.timeoutMs || 0) / 1000);
+
+  const panelEl = document.createElement('div');
+  panelEl.id = PANEL_ID;
+  panelEl.className = 'alert alert-light border shadow position-fixed top-50 start-50 translate-middle p-3';
+  panelEl.style.zIndex = "1060";
+  panelEl.style.maxWidth = "90%";
+  panelEl.style.width = "560px";
+  panelEl.style.maxHeight = "80vh";
+  panelEl.style.overflowY = "auto";
+
+  panelEl.innerHTML = `
+    <h5><i class="bi bi-person-workspace me-2"></i>Review Expert Panel</h5>
+    <p class="small mb-2">These roles were proposed for your question. Edit them or accept as is.
+      <span class="expert-roles-countdown text-muted"></span></p>
+    <div class="expert-role-rows">
+      ${(proposal.roles || []).map(role => renderRoleRow(role, agents, domains)).join('')}
+    </div>
+    <div class="d-flex justify-content-between mt-2">
+      <button type="button" class="btn btn-sm btn-outline-secondary expert-role-add">
+        <i class="bi bi-plus"></i> Add role
+      </button>
+      <div class="d-flex gap-2">
+        <button type="button" class="btn btn-sm btn-outline-primary expert-roles-apply">Use my edits</button>
+        <button type="button" class="btn btn-sm btn-primary expert-roles-accept">Accept</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(panelEl);
+
+  const rowsEl = panelEl.querySelector('.expert-role-rows');
+  const addBtn = panelEl.querySelector('.expert-role-add');
+  const updateAddButton = () => {
+    addBtn.disabled = rowsEl.querySelectorAll('.expert-role-row').length >= maxRoles;
+  };
+  updateAddButton();
+
+  rowsEl.addEventListener('click', (event) => {
+    const removeBtn = event.target.closest('.role-remove');
+    if (removeBtn && rowsEl.querySelectorAll('.expert-role-row').length > 1) {
+      removeBtn.closest('.expert-role-row').remove();
+      updateAddButton();
+    }
+  });
+  addBtn.addEventListener('click', () => {
+    rowsEl.insertAdjacentHTML('beforeend', renderRoleRow({ name: '', focus: '', domain: 'other', agent: null }, agents, domains));
+    updateAddButton();
+  });
+
+  const decide = (roles) => {
+    hideRoleReview();
+    onDecision(roles);
+  };
+  panelEl.querySelector('.expert-roles-accept').addEventListener('click', () => decide(null));
+  panelEl.querySelector('.expert-roles-apply').addEventListener('click', () => {
+    const roles = readRoles(panelEl);
+    decide(roles.length > 0 ? roles : null);
+  });
+
+  // The server goes ahead with the proposal when the review window closes
+  if (secondsLeft > 0) {
+    const countdownEl = panelEl.querySelector('.expert-roles-countdown');
+    const tick = () => {
+      countdownEl.textContent = `(continuing automatically in ${secondsLeft}s)`;
+      if (secondsLeft-- <= 0) hideRoleReview();
+    };
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+  }
+}
@@ -13,6 +13,9 @@ import * as CodePreviewManager from './codePreviewManager.js';
 import * as CollaborationControls from './collaborationControls.js';
 import * as CollaborationLimits from './collaborationLimits.js';
 import * as ContextManager from './contextManager.js';
+import * as ExpertRolesReview from './expertRolesReview.js';
+import * as Entitlements from './entitlements.js';
+import * as CostEstimate from './costEstimate.js';
 import LoadingManager from './loadingManager.fixed.js';
 
 console.log('AI Hub Main Module (main.js) Initializing...');
@@ -27,6 +30,7 @@ const state = {
     collaboration: { mode: 'individual', style: 'balanced' }, // Style option maintained in UI
     userId: null, // Set by AuthHandler
     mcpClient: null, // MCP Client instance
+    runningCommandIds: new Set(), // CLI commands that have not finished yet
     isMobile: window.innerWidth <= 768,
     // Add other necessary state properties here
 };
@@ -99,7 +103,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             handleCollabStyleChange,
             handleModelToggleChange,
             handleFullscreenToggle,
-            handleToggleCliFullscreen
+            handleToggleCliFullscreen,
+            handleCancelCliCommand
         );
 
         // 7. Final UI Setup
@@ -345,6 +350,15 @@ function handleWebSocketMessage(data) {
                 LoadingManager.updateModelStatus(data.model, data.status, data.message);
             }
             break;
+        case 'agent_tool_call':
+            // The matching model_status update already shows the call
+            console.log(`Tool call by ${data.agent}: ${data.tool}${data.path ? ` (${data.path})` : ''}`);
+            break;
+        case 'agent_tool_result':
+            LoadingManager.updateModelStatus(data.agent, 'processing', data.ok ? data.summary : `${data.tool} failed: ${data.summary}`);
+            // Writes and deletes proposed by an agent join the approval queue
+            if (data.operationId) UIManager.refreshPendingOperations();
+            break;
         case 'progress_update':
             // Handle progress updates for sequential critique chain and other modes
             if (LoadingManager.progressBarElement) {
@@ -359,6 +373,7 @@ function handleWebSocketMessage(data) {
             }
             break;
         case 'command-output':
+            if (data.end) state.runningCommandIds.delete(data.commandId);
             UIManager.handleCommandOutput(data);
             break;
         case 'collaboration_cancelled':
@@ -377,6 +392,67 @@ function handleWebSocketMessage(data) {
             // This maintains the loading UI until all results are shown in the chat
             console.log("Collaboration complete event received, waiting for final results");
             break;
+        case 'collaboration_resumed':
+            // Reconnected to a collaboration that kept running on the server
+            if (data.status === 'running') {
+                UIManager.broadcastSystemMessage('Reconnected to the running collaboration. Catching up...', 'info');
+                LoadingManager.createLoadingOverlay();
+                LoadingManager.show(data.agents || [], () => {
+                    window.sendMessageToServer({
+                        type: 'cancel_collaboration',
+                        userId: state.userId,
+                        models: data.agents || []
+                    });
+                });
+            }
+            break;
+        case 'collaboration_resume_failed':
+            console.debug(`Collaboration ${data.collaborationSessionId} could not be resumed: ${data.message}`);
+            break;
+        case 'expert_roles_proposed':
+            // Expert panel is waiting for the user to accept or edit its roles
+            ExpertRolesReview.showRoleReview(data, (roles) => {
+                window.sendMessageToServer({
+                    type: 'expert_roles_decision',
+                    sessionId: data.collaborationSessionId,
+                    ...(roles ? { roles } : {})
+                });
+            });
+            break;
+        case 'expert_roles_assigned':
+            ExpertRolesReview.hideRoleReview();
+            break;
+        case 'debate_scorecard': {
+            // The full scorecard arrives with the final answer; announce the verdict now
+            const { sides, winner } = data.scorecard || {};
+            if (sides) {
+                const verdict = winner === 'tie' ? 'a tie' : `${winner === 'pro' ? 'Affirmative' : 'Opposing'} wins`;
+                UIManager.broadcastSystemMessage(`Judge ${data.judge}: ${verdict} (${sides.pro.total} - ${sides.con.total})`, 'info');
+            }
+            break;
+        }
+        case 'vote_tally': {
+            if (data.winner) {
+                const total = Object.values(data.counts || {}).reduce((sum, count) => sum + count, 0);
+                UIManager.broadcastSystemMessage(`Vote: ${data.winner} chosen with ${data.counts[data.winner]} of ${total} votes`, 'info');
+            } else {
+                UIManager.broadcastSystemMessage('Vote: no valid ballots were cast', 'warning');
+            }
+            break;
+        }
+        case 'retrieval_sources': {
+            // Passages from attached files the model was given; its answer cites them as [S1]...
+            const list = (data.sources || []).map(source => `[${source.label}] ${source.name}, ${source.location}`).join('; ');
+            if (list) UIManager.addSystemMessage(UIManager.getMessageContainer(data.target), `Sources: ${list}`, 'info');
+            break;
+        }
+        case 'collaboration_estimate':
+            CostEstimate.handleEstimate(data);
+            break;
+        case 'collaboration_started':
+        case 'collaboration_ended':
+            // Tracked by connectionManager for resuming after reconnects
+            break;
         case 'error':
             UIManager.showError(data.message, data.target);
             // Track last error for upgrade detection
@@ -398,6 +474,11 @@ function handleWebSocketMessage(data) {
             // Process context information if available
             ContextManager.processAuthResponse(data);
 
+            // Mark the modes and models the user's plan does not include
+            Entitlements.setEntitlements(data.entitlements);
+            CollaborationControls.applyEntitlementLocks();
+            Entitlements.applyModelLocks();
+
             // Dispatch a new event to signal that WebSocket authentication is complete
             // and user details are confirmed.
             // Pass relevant user details from the auth response if available,
@@ -453,6 +534,10 @@ function handleWebSocketMessage(data) {
         case 'mcp_pending_operations':
         case 'mcp_operation_approved':
         case 'mcp_operation_rejected':
+        case 'mcp_commit_message_drafted':
+        case 'mcp_batch_approved':
+        case 'mcp_commits_listed':
+        case 'mcp_commit_reverted':
             if (state.mcpClient) {
                 state.mcpClient.handleWebSocketMessage({ data: JSON.stringify(data) }); // Forward to MCP client
             } else {
@@ -473,8 +558,10 @@ function handleWebSocketMessage(data) {
             LoadingManager.hide();
             break;
         // Cost tracking messages
+        case 'budget_alert':
+            UIManager.broadcastSystemMessage(data.message, data.level === 'hard' ? 'danger' : 'warning');
+            // falls through to the cost widget and settings page
         case 'cost_update':
-        case 'budget_exceeded':
         case 'session_cost':
         case 'daily_cost':
         case 'budget_limit_set':
@@ -523,7 +610,7 @@ function handleWebSocketStateChange(isConnected) {
 
 // --- Action Handlers ---
 
-function handleSendMessage(messageText) {
+async function handleSendMessage(messageText) {
     const trimmedMessage = messageText.trim();
     if (!trimmedMessage && state.uploadedFiles.length === 0) {
         UIManager.showInputError('Message cannot be empty.');
@@ -549,6 +636,36 @@ function handleSendMessage(messageText) {
         });
     }
     
+    // Explain locked selections here instead of waiting for the server to refuse them
+    const entitlementError = Entitlements.checkSelection(activeAISystems, { ...state.defaultModels, ...state.selectedModels }, state.collaboration.mode);
+    if (entitlementError) {
+        UIManager.showError(entitlementError);
+        return;
+    }
+
+    // Prepare model info payload (ensure array format)
+    const modelInfoPayload = {};
+    activeAISystems.forEach(aiSystem => {
+        const selectedModelId = state.selectedModels[aiSystem] || state.defaultModels[aiSystem];
+        modelInfoPayload[aiSystem] = [selectedModelId]; // Always send as array
+    });
+    // Documents are attached by id; uploads stored without a document record by filename
+    const attachedFiles = state.uploadedFiles
+        .map(file => (file.documentId ? { documentId: file.documentId } : file.uploadId))
+        .filter(Boolean);
+
+    // The server estimates collaborations before they start and says when to ask first
+    if (activeAISystems.length > 1 && state.collaboration.mode !== 'individual') {
+        const confirmed = await CostEstimate.confirmCost({
+            target: 'collab',
+            message: trimmedMessage,
+            filePaths: attachedFiles,
+            models: modelInfoPayload,
+            collaborationMode: state.collaboration.mode
+        }, window.sendMessageToServer);
+        if (!confirmed) return;
+    }
+
     // Show loading screen for round-table collaboration if multiple models are selected
     if (activeAISystems.length > 1 && state.collaboration.mode !== 'individual') {
         console.log("Starting collaboration with multiple models - showing loading screen");
@@ -612,13 +729,6 @@ function handleSendMessage(messageText) {
         if (colData.messagesContainer) UIManager.addTypingIndicator(colData.messagesContainer);
     });
 
-    // Prepare model info payload (ensure array format)
-    const modelInfoPayload = {};
-    activeAISystems.forEach(aiSystem => {
-        const selectedModelId = state.selectedModels[aiSystem] || state.defaultModels[aiSystem];
-        modelInfoPayload[aiSystem] = [selectedModelId]; // Always send as array
-    });
-
     // Check if collaboration toggles are checked
     const enhancedCollabToggle = document.getElementById('enhanced-collab-toggle');
     const ignoreFailuresToggle = document.getElementById('ignore-failures-toggle');
@@ -635,13 +745,15 @@ function handleSendMessage(messageText) {
         type: 'chat',
         target: activeAISystems.length > 1 ? 'collab' : activeAISystems[0],
         message: trimmedMessage,
-        filePaths: state.uploadedFiles.map(file => file.path).filter(Boolean),
+        filePaths: attachedFiles,
         models: modelInfoPayload,
         collaborationMode: state.collaboration.mode,
         userId: state.userId, // Include user ID
         useEnhancedCollab: enhancedCollabToggle && enhancedCollabToggle.checked, // Add enhanced collab flag based on toggle state
         ignoreFailingModels: ignoreFailuresToggle && ignoreFailuresToggle.checked, // Add ignore failures flag based on toggle state
-        sequentialStyle: sequentialStyle // Add sequential style option if applicable
+        sequentialStyle: sequentialStyle, // Add sequential style option if applicable
+        reviewExpertRoles: state.collaboration.mode === 'expert_panel', // Confirm the panel's roles before it runs
+        mcpContextToken: state.mcpClient?.token || null // Collaborating agents may browse the registered directory and propose edits
     };
 
     console.log("Sending message payload:", payload);
@@ -667,18 +779,29 @@ function handleSendMessage(messageText) {
 function handleCliCommand(command) {
     if (!command) return;
     UIManager.addCliCommandToOutput(command); // Show command in output
-    window.sendMessageToServer({
+    const commandId = `cmd-${Date.now()}-${Math.random().toString(16).substring(2, 8)}`;
+    const sent = window.sendMessageToServer({
         type: 'command',
         command: command,
+        commandId,
         userId: state.userId // Include user ID
     });
+    if (sent) state.runningCommandIds.add(commandId);
     UIManager.clearCliInput();
 }
 
+function handleCancelCliCommand() {
+    state.runningCommandIds.forEach(commandId => {
+        window.sendMessageToServer({ type: 'cancel_command', commandId });
+    });
+}
+
 function handleFileUpload(files) {
     if (!files || files.length === 0) return;
 
     const formData = new FormData();
+    // Sent ahead of the files so the server can store them under this user
+    if (state.userId) formData.append('userId', state.userId);
     Array.from(files).forEach(file => {
         formData.append('files', file);
         // Add to state immediately for UI update
@@ -687,7 +810,8 @@ function handleFileUpload(files) {
             size: file.size,
             type: file.type,
             uploading: true, // Mark as uploading
-            path: null // Path will be updated on success
+            uploadId: null, // Stored filename, set on success
+            documentId: null // Set when the server stored the upload as a document
         });
     });
     UIManager.updateFileListUI(state.uploadedFiles, handleRemoveFile); // Show uploading state
@@ -695,11 +819,15 @@ function handleFileUpload(files) {
     // Use ConnectionManager or a dedicated API module for fetch
     window.uploadFiles(formData)
         .then(uploadedFilesData => {
-            // Update state with server paths and mark as not uploading
+            // Update state with the stored filenames and mark as not uploading
             state.uploadedFiles = state.uploadedFiles.map(localFile => {
-                const serverFile = uploadedFilesData.find(f => f.originalName === localFile.name);
+                const serverFile = localFile.uploading && uploadedFilesData.find(f => f.originalName === localFile.name);
+                if (serverFile && serverFile.error) {
+                    UIManager.showError(`${localFile.name}: ${serverFile.error}`);
+                    return null;
+                }
                 if (serverFile) {
-                    return { ...localFile, uploading: false, path: serverFile.path };
+                    return { ...localFile, uploading: false, uploadId: serverFile.filename, documentId: serverFile.documentId || null };
                 }
                 // Keep files that failed upload marked or remove them
                 return localFile.uploading ? null : localFile; // Remove if still marked as uploading (means it failed)
@@ -37,6 +37,7 @@ class MCPClient {
             'context_registered', 'files_listed', 'file_read',
             'write_requested', 'delete_requested', 'create_directory_requested',
             'pending_operations', 'operation_approved', 'operation_rejected',
+            'commit_message_drafted', 'batch_approved', 'commits_listed', 'commit_reverted',
             'error'
         ];
         events.forEach(event => { this.#eventHandlers[event] = new Set(); });
@@ -289,10 +290,14 @@ class MCPClient {
         return this.#sendRequest(payload, 'mcp_pending_operations');
     }
 
-    approveOperation(operationId) {
+    /**
+     * @param {string} operationId
+     * @param {number[]} [hunks] - Apply only these hunks of a write (ids from the operation's `hunks`).
+     */
+    approveOperation(operationId, hunks) {
         if (!this.#userId) return Promise.reject(new Error('MCPClient: User ID not set.'));
         if (!operationId) return Promise.reject(new Error('MCPClient: operationId is required for approveOperation.'));
-        const payload = { type: 'mcp_approve_operation', userId: this.#userId, operationId };
+        const payload = { type: 'mcp_approve_operation', userId: this.#userId, operationId, ...(hunks ? { hunks } : {}) };
         return this.#sendRequest(payload, 'mcp_operation_approved');
     }
 
@@ -303,6 +308,43 @@ class MCPClient {
         return this.#sendRequest(payload, 'mcp_operation_rejected');
     }
 
+    // --- Git Context Methods (contexts registered inside a git repository) ---
+
+    /**
+     * Asks a model to draft a commit message for pending operations of this context.
+     * @param {string} agent - Agent to draft with (e.g. 'claude').
+     * @param {object} [options] - { operationIds, model }; all pending operations by default.
+     * @returns {Promise<object>} Resolves with { message, diff, operationIds }.
+     */
+    draftCommitMessage(agent, options = {}) {
+        if (!this.#token) return Promise.reject(new Error('MCPClient: Context not registered.'));
+        const payload = { type: 'mcp_draft_commit_message', token: this.#token, userId: this.#userId, agent, ...options };
+        return this.#sendRequest(payload, 'mcp_commit_message_drafted');
+    }
+
+    /**
+     * Approves pending operations of this context as one commit on its scratch branch.
+     * @param {object} [options] - { operationIds, message }; all pending operations by default.
+     */
+    approveBatch(options = {}) {
+        if (!this.#token) return Promise.reject(new Error('MCPClient: Context not registered.'));
+        const payload = { type: 'mcp_approve_batch', token: this.#token, userId: this.#userId, ...options };
+        return this.#sendRequest(payload, 'mcp_batch_approved');
+    }
+
+    listCommits() {
+        if (!this.#token) return Promise.reject(new Error('MCPClient: Context not registered.'));
+        const payload = { type: 'mcp_list_commits', token: this.#token, userId: this.#userId };
+        return this.#sendRequest(payload, 'mcp_commits_listed');
+    }
+
+    revertCommit(commit) {
+        if (!this.#token) return Promise.reject(new Error('MCPClient: Context not registered.'));
+        if (!commit) return Promise.reject(new Error('MCPClient: commit is required for revertCommit.'));
+        const payload = { type: 'mcp_revert_commit', token: this.#token, userId: this.#userId, commit };
+        return this.#sendRequest(payload, 'mcp_commit_reverted');
+    }
+
     /**
      * Cleans up resources, removes listeners.
      */
@@ -6,12 +6,14 @@
     var currentBreakdown = 'session';
     var sessionStartTime = Date.now();
     var updateInterval;
+    var dailyBudgetLimit = null;
     
     // Initialize
     document.addEventListener('DOMContentLoaded', function() {
         initializeTabs();
         initializeBreakdownTabs();
         initializeBudgetForm();
+        initializeBudgets();
         startDataUpdates();
         requestInitialData();
     });
@@ -53,6 +55,8 @@
                 switchBreakdownTab(btn.dataset.breakdown);
             });
         });
+        document.getElementById('history-group-by').addEventListener('change', loadUsageHistory);
+        document.getElementById('export-usage-btn').addEventListener('click', exportUsage);
     }
     
     function switchBreakdownTab(breakdown) {
@@ -67,6 +71,90 @@
         document.querySelectorAll('.breakdown-pane').forEach(function(pane) {
             pane.classList.toggle('active', pane.id === breakdown + '-breakdown');
         });
+        
+        if (breakdown === 'history') {
+            loadUsageHistory();
+        }
+    }
+    
+    // Usage History (from the usage ledger REST API)
+    function getAuthHeaders() {
+        return (window.AICollabAuth && window.AICollabAuth.getAuthHeaders()) || { 'Content-Type': 'application/json' };
+    }
+    
+    function loadUsageHistory() {
+        var groupBy = document.getElementById('history-group-by').value;
+        var container = document.getElementById('history-breakdown-list');
+        
+        fetch('/api/usage/summary?groupBy=' + encodeURIComponent(groupBy), {
+            credentials: 'include',
+            headers: getAuthHeaders()
+        })
+            .then(function(response) { return response.json(); })
+            .then(function(result) {
+                if (!result.success) {
+                    throw new Error(result.error || 'Failed to load usage history');
+                }
+                updateHistoryBreakdown(result.data);
+            })
+            .catch(function(error) {
+                console.error('Error loading usage history:', error);
+                container.innerHTML = '<div class="no-data">Usage history is unavailable</div>';
+            });
+    }
+    
+    function updateHistoryBreakdown(summary) {
+        var container = document.getElementById('history-breakdown-list');
+        if (!summary.groups || summary.groups.length === 0) {
+            container.innerHTML = '<div class="no-data">No usage data for the last 30 days</div>';
+            return;
+        }
+        
+        container.innerHTML = summary.groups.map(function(group) {
+            return '<div class="breakdown-item">' +
+                '<div class="breakdown-details">' +
+                    '<div class="breakdown-model-name">' + escapeHtml(group.key || 'other') + '</div>' +
+                    '<div class="breakdown-tokens">' +
+                        group.requests + ' requests | Input: ' + group.inputTokens + ' | Output: ' + group.outputTokens +
+                    '</div>' +
+                '</div>' +
+                '<div class="breakdown-cost">$' + group.cost.toFixed(4) + '</div>' +
+            '</div>';
+        }).join('') +
+        '<div class="breakdown-item">' +
+            '<div class="breakdown-model-name">Total</div>' +
+            '<div class="breakdown-cost">$' + summary.totalCost.toFixed(4) + '</div>' +
+        '</div>';
+    }
+    
+    function exportUsage() {
+        fetch('/api/usage/export?format=csv', {
+            credentials: 'include',
+            headers: getAuthHeaders()
+        })
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error('Export failed with status ' + response.status);
+                }
+                return response.blob();
+            })
+            .then(function(blob) {
+                var link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = 'usage-' + new Date().toISOString().slice(0, 10) + '.csv';
+                link.click();
+                setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
+            })
+            .catch(function(error) {
+                console.error('Error exporting usage:', error);
+                alert('Could not export usage: ' + error.message);
+            });
+    }
+    
+    function escapeHtml(text) {
+        var div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
     }
     
     // Budget Form
@@ -94,6 +182,139 @@
         }
     }
     
+    // Budgets and the monthly cost alert (REST)
+    function initializeBudgets() {
+        var scopeSelect = document.getElementById('budget-scope');
+        var scopeIdInput = document.getElementById('budget-scope-id');
+        
+        scopeSelect.addEventListener('change', function() {
+            scopeIdInput.disabled = scopeSelect.value === 'user';
+            scopeIdInput.required = scopeSelect.value !== 'user';
+            scopeIdInput.placeholder = scopeSelect.value === 'provider' ? 'Provider (e.g. claude)' : 'Project id';
+        });
+        document.getElementById('budget-form').addEventListener('submit', function(e) {
+            e.preventDefault();
+            addBudget();
+        });
+        document.getElementById('budget-list').addEventListener('click', function(e) {
+            var button = e.target.closest('[data-delete-budget]');
+            if (button) {
+                deleteBudget(button.dataset.deleteBudget);
+            }
+        });
+        document.getElementById('save-cost-alert-btn').addEventListener('click', saveCostAlert);
+        
+        loadBudgets();
+    }
+    
+    function budgetRequest(method, url, body) {
+        return fetch(url, {
+            method: method,
+            credentials: 'include',
+            headers: getAuthHeaders(),
+            body: body ? JSON.stringify(body) : undefined
+        })
+            .then(function(response) { return response.json(); })
+            .then(function(result) {
+                if (!result.success) {
+                    throw new Error(result.error || 'Request failed');
+                }
+                return result.data;
+            });
+    }
+    
+    function loadBudgets() {
+        budgetRequest('GET', '/api/budgets')
+            .then(function(data) {
+                updateBudgetList(data.budgets);
+                updateCostAlert(data.costAlert);
+            })
+            .catch(function(error) {
+                console.error('Error loading budgets:', error);
+                document.getElementById('budget-list').innerHTML = '<div class="no-data">Budgets are unavailable</div>';
+            });
+    }
+    
+    function updateBudgetList(budgets) {
+        var container = document.getElementById('budget-list');
+        if (!budgets || budgets.length === 0) {
+            container.innerHTML = '<div class="no-data">No budgets</div>';
+            return;
+        }
+        
+        container.innerHTML = budgets.map(function(budget) {
+            var status = budget.status;
+            var percentage = Math.min(status.percentUsed, 100);
+            var barClass = status.blocked || percentage >= 90 ? 'bg-danger' : percentage >= 75 ? 'bg-warning' : 'bg-success';
+            var detail = budget.period + ' | ' +
+                (budget.hardThreshold !== null ? 'Blocks at ' + budget.hardThreshold + '%' : 'Alerts only') +
+                (status.blocked ? ' | Blocked until ' + new Date(status.periodEnd).toLocaleString() : '');
+            return '<div class="breakdown-item budget-item' + (status.blocked ? ' blocked' : '') + '">' +
+                '<div class="breakdown-details">' +
+                    '<div class="breakdown-model-name">' + escapeHtml(budget.name) + '</div>' +
+                    '<div class="breakdown-tokens">' + escapeHtml(detail) + '</div>' +
+                    '<div class="progress"><div class="progress-bar ' + barClass + '" style="width: ' + percentage + '%"></div></div>' +
+                '</div>' +
+                '<div class="breakdown-cost">$' + status.spentUSD.toFixed(2) + ' / $' + budget.limitUSD.toFixed(2) + '</div>' +
+                '<button class="btn btn-outline-secondary btn-sm" data-delete-budget="' + escapeHtml(budget.id) + '">Delete</button>' +
+            '</div>';
+        }).join('');
+    }
+    
+    function addBudget() {
+        var scope = document.getElementById('budget-scope').value;
+        var webhookUrl = document.getElementById('budget-webhook').value.trim();
+        
+        budgetRequest('POST', '/api/budgets', {
+            scope: scope,
+            scopeId: scope === 'user' ? null : document.getElementById('budget-scope-id').value.trim(),
+            period: document.getElementById('budget-period').value,
+            limitUSD: parseFloat(document.getElementById('budget-limit').value),
+            hardThreshold: document.getElementById('budget-block').checked ? 100 : null,
+            notify: {
+                email: document.getElementById('budget-email').checked,
+                webhookUrl: webhookUrl || null
+            }
+        })
+            .then(function() {
+                document.getElementById('budget-form').reset();
+                document.getElementById('budget-scope-id').disabled = true;
+                loadBudgets();
+            })
+            .catch(function(error) {
+                alert('Could not add budget: ' + error.message);
+            });
+    }
+    
+    function deleteBudget(budgetId) {
+        budgetRequest('DELETE', '/api/budgets/' + encodeURIComponent(budgetId))
+            .then(loadBudgets)
+            .catch(function(error) {
+                alert('Could not delete budget: ' + error.message);
+            });
+    }
+    
+    function saveCostAlert() {
+        var input = document.getElementById('cost-alert-threshold');
+        
+        budgetRequest('PUT', '/api/budgets/cost-alert', { thresholdUSD: parseFloat(input.value) || 0 })
+            .then(updateCostAlert)
+            .catch(function(error) {
+                alert('Could not save cost alert: ' + error.message);
+            });
+    }
+    
+    function updateCostAlert(costAlert) {
+        if (!costAlert) {
+            return;
+        }
+        document.getElementById('cost-alert-threshold').value = costAlert.thresholdUSD || '';
+        document.getElementById('cost-alert-info').textContent = costAlert.thresholdUSD > 0
+            ? 'This month: $' + costAlert.spentUSD.toFixed(2) + ' of $' + costAlert.thresholdUSD.toFixed(2) +
+                (costAlert.reached ? ' (reached)' : '')
+            : 'Cost alert is off';
+    }
+    
     // Data Updates
     function startDataUpdates() {
         // Update session duration every minute
@@ -138,8 +359,8 @@
             case 'budget_limit_set':
                 handleBudgetSet(data);
                 break;
-            case 'budget_exceeded':
-                handleBudgetExceeded(data);
+            case 'budget_alert':
+                handleBudgetAlert(data);
                 break;
         }
     };
@@ -152,7 +373,7 @@
         
         // Update daily cost
         if (data.dailyCost !== undefined) {
-            updateDailyCost(data.dailyCost, data.budgetLimit);
+            updateDailyCost(data.dailyCost, dailyBudgetLimit);
         }
     }
     
@@ -167,6 +388,10 @@
     }
     
     function handleDailyCost(data) {
+        if (data.budgetLimit !== undefined) {
+            dailyBudgetLimit = data.budgetLimit;
+            document.getElementById('daily-budget-limit').value = data.budgetLimit || '';
+        }
         if (data.totalCost !== undefined) {
             updateDailyCost(data.totalCost, data.budgetLimit);
         }
@@ -180,13 +405,17 @@
         if (data.success) {
             var input = document.getElementById('daily-budget-limit');
             input.value = data.limit || '';
-            updateBudgetStatus(data.limit);
+            dailyBudgetLimit = data.limit || null;
+            updateDailyCost(data.currentUsage || 0, dailyBudgetLimit);
+            loadBudgets();
         }
     }
     
-    function handleBudgetExceeded(data) {
-        alert('Budget limit exceeded! Current usage: $' + data.currentUsage.toFixed(4) + 
-              ' / Limit: $' + data.limit.toFixed(2));
+    function handleBudgetAlert(data) {
+        loadBudgets();
+        if (data.level === 'hard') {
+            alert(data.message);
+        }
     }
     
     // UI Updates
@@ -217,17 +446,28 @@
         }
     }
     
-    function updateBudgetStatus(limit) {
-        if (limit && limit > 0) {
-            document.getElementById('budget-info').textContent = 'Budget limit: $' + limit.toFixed(2);
-        } else {
-            document.getElementById('budget-info').textContent = 'No budget limit set';
-        }
+    // The server groups costs as { provider: { totalCost, models: { model: {...} } } }
+    function flattenBreakdown(breakdown) {
+        var items = [];
+        Object.keys(breakdown || {}).forEach(function(provider) {
+            var models = breakdown[provider].models || {};
+            Object.keys(models).forEach(function(model) {
+                items.push({
+                    provider: provider,
+                    model: model,
+                    inputTokens: models[model].inputTokens,
+                    outputTokens: models[model].outputTokens,
+                    cost: models[model].cost
+                });
+            });
+        });
+        return items.sort(function(a, b) { return b.cost - a.cost; });
     }
     
     function updateSessionBreakdown(breakdown) {
         var container = document.getElementById('session-breakdown-list');
-        if (!breakdown || breakdown.length === 0) {
+        breakdown = flattenBreakdown(breakdown);
+        if (breakdown.length === 0) {
             container.innerHTML = '<div class="no-data">No usage data for current session</div>';
             return;
         }
@@ -239,7 +479,8 @@
     
     function updateDailyBreakdown(breakdown) {
         var container = document.getElementById('daily-breakdown-list');
-        if (!breakdown || breakdown.length === 0) {
+        breakdown = flattenBreakdown(breakdown);
+        if (breakdown.length === 0) {
             container.innerHTML = '<div class="no-data">No usage data for today</div>';
             return;
         }
@@ -258,6 +258,7 @@ export function setMcpClient(client) {
  * @param {Function} onModelToggleChange - Handler for model visibility toggle.
  * @param {Function} onFullscreenToggle - Handler for column fullscreen toggle.
  * @param {Function} onToggleCliFullscreen - Handler for CLI fullscreen toggle.
+ * @param {Function} [onCancelCliCommand] - Handler for Ctrl+C in the CLI input.
  */
 export function setupCoreEventListeners(
     onSendMessage,
@@ -268,7 +269,8 @@ export function setupCoreEventListeners(
     onCollabStyleChange,
     onModelToggleChange,
     onFullscreenToggle,
-    onToggleCliFullscreen
+    onToggleCliFullscreen,
+    onCancelCliCommand
 ) {
     console.log("UIManager: Setting up core event listeners...");
 
@@ -293,6 +295,12 @@ export function setupCoreEventListeners(
             event.preventDefault();
             if (domCache.CLI_INPUT) onSendCliCommand(domCache.CLI_INPUT.value);
         }
+        // Ctrl+C cancels running commands, unless text is selected for copying
+        else if (event.key === 'c' && event.ctrlKey && onCancelCliCommand
+            && domCache.CLI_INPUT.selectionStart === domCache.CLI_INPUT.selectionEnd) {
+            event.preventDefault();
+            onCancelCliCommand();
+        }
     });
 
     // File Upload & Removal
@@ -1561,12 +1569,14 @@ export function setupModelDropdowns(availableModels, selectedModels, onModelSele
             }
 
             option.addEventListener('click', () => {
+                if (option.classList.contains('locked')) return; // Not in the user's plan (see entitlements.js)
                 handleDropdownSelection(provider, model.id, model.name, optionsContainer, selectedNameElement, onModelSelect);
                 closeAllModelDropdowns();
             });
              option.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
+                    if (option.classList.contains('locked')) return;
                     handleDropdownSelection(provider, model.id, model.name, optionsContainer, selectedNameElement, onModelSelect);
                     closeAllModelDropdowns();
                     // Return focus to the trigger button
@@ -1997,6 +2007,7 @@ function updatePendingOperationsList(operations) {
                 <div class="d-flex justify-content-between align-items-center">
                     <div>
                         <strong>${op.type}</strong>: ${op.path}
+                        ${op.conflict ? '<span class="badge bg-warning text-dark">changed on disk</span>' : ''}
                         <div class="small text-muted">${op.requestedBy} at ${new Date(op.createdAt).toLocaleString()}</div>
                     </div>
                     <div class="btn-group">
@@ -2004,17 +2015,52 @@ function updatePendingOperationsList(operations) {
                         <button class="btn btn-sm btn-danger reject-op-btn" data-id="${op.id}">Reject</button>
                     </div>
                 </div>
+                <div class="op-hunks"></div>
             </li>
         `;
     });
     html += '</ul>';
     container.innerHTML = html;
+
+    // Diff lines are file content, so they are added as text rather than HTML
+    operations.forEach(op => {
+        const hunksEl = container.querySelector(`[data-operation-id="${op.id}"] .op-hunks`);
+        if (!hunksEl || !op.hunks) return;
+        op.hunks.forEach(hunk => {
+            const hunkEl = document.createElement('div');
+            hunkEl.className = 'mt-2';
+            const label = document.createElement('label');
+            label.className = 'small';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input me-1 hunk-select';
+            checkbox.value = hunk.id;
+            checkbox.checked = true;
+            checkbox.disabled = op.type !== 'write';
+            label.append(checkbox, hunk.header);
+            const pre = document.createElement('pre');
+            pre.className = 'diff-view';
+            hunk.lines.forEach(line => {
+                const lineEl = document.createElement('div');
+                if (line.startsWith('+')) lineEl.className = 'line-added';
+                else if (line.startsWith('-')) lineEl.className = 'line-removed';
+                lineEl.textContent = line;
+                pre.appendChild(lineEl);
+            });
+            hunkEl.append(label, pre);
+            hunksEl.appendChild(hunkEl);
+        });
+    });
     
     // Add event listeners for approve/reject buttons
     container.querySelectorAll('.approve-op-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             if (mcpClientInstance) {
-                mcpClientInstance.approveOperation(btn.dataset.id);
+                // Unticked hunks are left out of the write
+                const item = btn.closest('[data-operation-id]');
+                const boxes = [...item.querySelectorAll('.hunk-select:not(:disabled)')];
+                const selected = boxes.filter(box => box.checked).map(box => Number(box.value));
+                mcpClientInstance.approveOperation(btn.dataset.id, selected.length < boxes.length ? selected : undefined);
             }
         });
     });
@@ -10,6 +10,8 @@ import os from 'os';
 import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
+import { getAuditLog } from '../services/mcpStoreService.mjs';
+import { getRateLimitPolicies, setRateLimitPolicies, validateRateLimitPolicies } from '../lib/rateLimit/rateLimiter.mjs';
 
 const router = express.Router();
 
@@ -1099,6 +1101,28 @@ router.get('/activity/recent', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/mcp/audit
+ * MCP file operation audit log across all users, newest first.
+ * Filters: userId, operationId, event, agent; page with before (createdAt of the last entry) and limit.
+ */
+router.get('/mcp/audit', async (req, res) => {
+  try {
+    const { userId, operationId, event, agent, before, limit } = req.query;
+    const log = await getAuditLog({ userId, operationId, event, agent, before, limit });
+    // Context tokens grant file access, so only a prefix is shown
+    const entries = log.entries.map(entry => ({ ...entry, contextToken: `${entry.contextToken.substring(0, 8)}...` }));
+    res.json({ success: true, entries, hasMore: log.hasMore });
+  } catch (error) {
+    console.error('Error in GET /api/admin/mcp/audit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve MCP audit log',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /api/admin/system-health
  * Get system health metrics
@@ -2428,9 +2452,23 @@ router.get('/system/logs', async (req, res) => {
 /**
  * POST /api/admin/settings
  * Update application settings
+ * `rateLimits` overrides the default rate limit policies and applies immediately; fields
+ * left out keep their defaults (see DEFAULT_RATE_LIMIT_POLICIES in lib/rateLimit/rateLimiter.mjs)
  */
 router.post('/settings', express.json(), async (req, res) => {
   try {
+    const settings = req.body;
+    if ('rateLimits' in settings) {
+      try {
+        validateRateLimitPolicies(settings.rateLimits);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
     const db = req.app.locals.db;
     const settingsCollection = db.collection('settings');
     
@@ -2438,7 +2476,6 @@ router.post('/settings', express.json(), async (req, res) => {
     const existingSettings = await settingsCollection.findOne({ type: 'application' });
     
     // Update or create settings
-    const settings = req.body;
     const updateResult = await settingsCollection.updateOne(
       { type: 'application' },
       { $set: { 
@@ -2448,11 +2485,13 @@ router.post('/settings', express.json(), async (req, res) => {
       }},
       { upsert: true }
     );
+    if ('rateLimits' in settings) setRateLimitPolicies(settings.rateLimits);
     
     res.json({
       success: true,
       message: 'Settings updated successfully',
-      isNewSettings: !existingSettings
+      isNewSettings: !existingSettings,
+      rateLimits: getRateLimitPolicies()
     });
   } catch (error) {
     console.error('Error in POST /api/admin/settings:', error);
@@ -2494,6 +2533,7 @@ router.get('/settings', async (req, res) => {
           maxModelsPerSession: 4,
           defaultTheme: 'theme-dark',
           allowThemeToggle: true,
+          rateLimits: getRateLimitPolicies(),
           createdAt: new Date()
         }
       });
@@ -2501,7 +2541,8 @@ router.get('/settings', async (req, res) => {
     
     res.json({
       success: true,
-      settings
+      // Effective rate limits: the stored overrides merged with the defaults
+      settings: { ...settings, rateLimits: getRateLimitPolicies() }
     });
   } catch (error) {
     console.error('Error in GET /api/admin/settings:', error);
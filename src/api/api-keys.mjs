@@ -9,6 +9,7 @@ import { authenticateUser } from './auth-routes.mjs';
 import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import providerRegistry, { toCustomAgentName } from '../lib/ai/providers/index.mjs';
 
 const router = express.Router();
 
@@ -55,17 +56,18 @@ router.get('/', authenticateUser, async (req, res) => {
  */
 router.post('/', authenticateUser, async (req, res) => {
   try {
-    const { provider, apiKey } = req.body;
+    const { apiKey } = req.body;
 
-    if (!provider || !apiKey) {
+    if (!req.body.provider || !apiKey) {
       return res.status(400).json({
         success: false,
         error: 'Provider and API key are required'
       });
     }
 
-    const validProviders = ['openai', 'anthropic', 'google', 'deepseek', 'grok', 'llama'];
-    if (!validProviders.includes(provider)) {
+    // Accept agent names and aliases (e.g. 'claude'), store under the canonical provider id
+    const provider = providerRegistry.resolveId(req.body.provider);
+    if (!provider) {
       return res.status(400).json({
         success: false,
         error: 'Invalid provider'
@@ -265,6 +267,194 @@ router.delete('/:provider', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * Mask a stored custom endpoint for responses
+ */
+function formatCustomEndpoint(endpoint) {
+  return {
+    slug: endpoint.slug,
+    agent: toCustomAgentName(endpoint.slug),
+    name: endpoint.name,
+    baseURL: endpoint.baseURL,
+    keyId: endpoint.keyId,
+    models: endpoint.models,
+    defaultModel: endpoint.defaultModel,
+    pricing: endpoint.pricing,
+    addedAt: endpoint.addedAt
+  };
+}
+
+/**
+ * List the user's custom OpenAI-compatible endpoints
+ * GET /api/api-keys/custom-endpoints
+ */
+router.get('/custom-endpoints', authenticateUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: (user.customEndpoints || []).map(formatCustomEndpoint)
+    });
+  } catch (error) {
+    console.error('Error getting custom endpoints:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve custom endpoints'
+    });
+  }
+});
+
+/**
+ * Add or update a custom OpenAI-compatible endpoint (vLLM, Ollama, LM Studio, ...).
+ * The endpoint is usable as agent 'custom:<slug>' in chat and collaboration.
+ * POST /api/api-keys/custom-endpoints
+ * Body: { name, baseURL, apiKey?, models?, defaultModel?, pricing?: { input, output }, skipValidation? }
+ */
+router.post('/custom-endpoints', authenticateUser, async (req, res) => {
+  try {
+    const { name, baseURL, apiKey, pricing, skipValidation } = req.body;
+    const models = Array.isArray(req.body.models) ? req.body.models.filter(Boolean) : [];
+    const defaultModel = req.body.defaultModel || models[0];
+
+    if (!name || !baseURL || !defaultModel) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name, base URL and a default model are required'
+      });
+    }
+
+    try {
+      const url = new URL(baseURL);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Unsupported protocol');
+    } catch {
+      return res.status(400).json({
+        success: false,
+        error: 'Base URL must be a valid http(s) URL'
+      });
+    }
+
+    const slug = String(req.body.slug || name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name must contain letters or digits'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Confirm the server answers before saving it; self-hosted servers may not expose /models
+    if (!skipValidation) {
+      try {
+        const validation = await validateOpenAICompatibleKey(apiKey || 'no-key-required', baseURL);
+        if (!validation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.error || 'Endpoint rejected the API key'
+          });
+        }
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Could not reach endpoint: ${error.message}`
+        });
+      }
+    }
+
+    await user.addCustomEndpoint({
+      slug,
+      name,
+      baseURL,
+      apiKey,
+      models: models.length > 0 ? models : [defaultModel],
+      defaultModel,
+      pricing: pricing && {
+        input: Number(pricing.input) || 0,
+        output: Number(pricing.output) || 0
+      }
+    });
+
+    const { clearUserClientCache } = await import('../lib/ai/clientFactory.mjs');
+    clearUserClientCache(req.user.userId);
+    console.log(`🔄 Cleared client cache for user ${req.user.userId} after saving custom endpoint ${slug}`);
+
+    const saved = user.customEndpoints.find(e => e.slug === slug);
+    res.json({
+      success: true,
+      message: 'Custom endpoint saved successfully',
+      data: formatCustomEndpoint(saved)
+    });
+  } catch (error) {
+    console.error('Error saving custom endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save custom endpoint'
+    });
+  }
+});
+
+/**
+ * Delete a custom endpoint
+ * DELETE /api/api-keys/custom-endpoints/:slug
+ */
+router.delete('/custom-endpoints/:slug', authenticateUser, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.customEndpoints.some(e => e.slug === slug)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom endpoint not found'
+      });
+    }
+
+    await user.removeCustomEndpoint(slug);
+
+    const { clearUserClientCache } = await import('../lib/ai/clientFactory.mjs');
+    clearUserClientCache(req.user.userId);
+    console.log(`🔄 Cleared client cache for user ${req.user.userId} after deleting custom endpoint ${slug}`);
+
+    res.json({
+      success: true,
+      message: 'Custom endpoint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting custom endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete custom endpoint'
+    });
+  }
+});
+
 /**
  * Validate an API key
  * POST /api/api-keys/validate
@@ -310,7 +500,7 @@ router.get('/status', authenticateUser, async (req, res) => {
       });
     }
 
-    const providers = ['openai', 'anthropic', 'google', 'deepseek', 'grok', 'llama'];
+    const providers = providerRegistry.ids();
     const status = {};
 
     for (const provider of providers) {
@@ -324,14 +514,10 @@ router.get('/status', authenticateUser, async (req, res) => {
     }
 
     // Check which providers can be used (either user key or system key)
-    const systemKeys = {
-      openai: !!process.env.OPENAI_API_KEY,
-      anthropic: !!process.env.ANTHROPIC_API_KEY,
-      google: !!(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY),
-      deepseek: !!process.env.DEEPSEEK_API_KEY,
-      grok: !!(process.env.GROK_API_KEY || process.env.XAI_API_KEY),
-      llama: !!(process.env.LLAMA_API_KEY || process.env.GROQ_API_KEY)
-    };
+    const systemKeys = {};
+    for (const provider of providers) {
+      systemKeys[provider] = !!providerRegistry.getSystemApiKey(provider);
+    }
 
     for (const provider of providers) {
       status[provider].available = status[provider].configured || systemKeys[provider];
@@ -378,8 +564,14 @@ async function validateApiKey(provider, apiKey) {
         // Llama validation would depend on the deployment
         return { isValid: true, message: 'Validation not implemented for Llama' };
       
-      default:
+      default: {
+        // Providers registered from config are OpenAI-compatible and expose /models
+        const adapter = providerRegistry.get(provider);
+        if (adapter?.baseURL) {
+          return await validateOpenAICompatibleKey(apiKey, adapter.baseURL);
+        }
         return { isValid: false, error: 'Unknown provider' };
+      }
     }
   } catch (error) {
     console.error(`Error validating ${provider} key:`, error);
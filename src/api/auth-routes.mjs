@@ -9,6 +9,7 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
 import { MongoClient, ObjectId } from 'mongodb';
 import dotenv from 'dotenv';
+import { describeEntitlements } from '../lib/billing/entitlements.mjs';
 
 dotenv.config();
 
@@ -127,6 +128,31 @@ export const authenticateUser = (req, res, next) => {
   next();
 };
 
+/**
+ * The account behind a request (session or JWT), without setting req.user
+ * @returns {{userId: string, subscriptionTier: string}|null}
+ */
+export const identifyRequest = (req) => {
+  if (req.isAuthenticated?.() && req.user?._id) {
+    return {
+      userId: req.user._id.toString(),
+      subscriptionTier: req.user.subscriptionTier || 'free'
+    };
+  }
+
+  const token = req.cookies?.authToken || req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+  try {
+    const decodedToken = jwt.verify(token, JWT_SECRET);
+    return {
+      userId: decodedToken.userId,
+      subscriptionTier: decodedToken.subscriptionTier || 'free'
+    };
+  } catch (error) {
+    return null; // Routes that need the account report the invalid token
+  }
+};
+
 /**
  * Optional Auth Middleware
  * Does not block requests without authentication
@@ -534,6 +560,17 @@ router.get('/session', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * What the caller's subscription tier allows, with locked modes and model families
+ * marked with the tier that unlocks them. Visitors without an account get the guest tier.
+ */
+router.get('/entitlements', optionalAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: describeEntitlements(req.user ? req.user.subscriptionTier || 'free' : 'guest')
+  });
+});
+
 /**
  * Debug endpoint to check API keys for authenticated user
  */
@@ -0,0 +1,165 @@
+/**
+ * Budget Routes
+ * The caller's budgets (daily, weekly or monthly limits for all usage, a project or a
+ * provider key) with their spend in the current period, and the monthly cost alert
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateUser } from './auth-routes.mjs';
+import {
+  listBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getCostAlert,
+  setCostAlertThreshold
+} from '../services/budgetService.mjs';
+
+const router = express.Router();
+
+function requireDatabase(req, res, next) {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Budgets are unavailable'
+    });
+  }
+  next();
+}
+
+/**
+ * List budgets with their current period's spend, and the cost alert
+ * GET /api/budgets
+ */
+router.get('/', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const [budgets, costAlert] = await Promise.all([
+      listBudgets(req.user.userId),
+      getCostAlert(req.user.userId)
+    ]);
+    res.json({
+      success: true,
+      data: {
+        budgets,
+        costAlert
+      }
+    });
+  } catch (error) {
+    console.error('Error listing budgets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve budgets'
+    });
+  }
+});
+
+/**
+ * Create a budget
+ * POST /api/budgets
+ * Body: { name?, scope: user|project|provider, scopeId?, period: daily|weekly|monthly, limitUSD,
+ *         softThresholds?: [50, 80, 100], hardThreshold?: number|null, notify?: { email, webhookUrl }, enabled? }
+ */
+router.post('/', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const result = await createBudget(req.user.userId, req.body || {});
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.budget
+    });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create budget'
+    });
+  }
+});
+
+/**
+ * Set the monthly spend that sends a cost alert; 0 turns it off
+ * PUT /api/budgets/cost-alert
+ * Body: { thresholdUSD }
+ */
+router.put('/cost-alert', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const result = await setCostAlertThreshold(req.user.userId, req.body?.thresholdUSD);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      data: result.costAlert
+    });
+  } catch (error) {
+    console.error('Error setting cost alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set cost alert'
+    });
+  }
+});
+
+/**
+ * Change a budget; fields left out keep their values
+ * PUT /api/budgets/:budgetId
+ */
+router.put('/:budgetId', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const result = await updateBudget(req.user.userId, req.params.budgetId, req.body || {});
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Budget not found'
+      });
+    }
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      data: result.budget
+    });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update budget'
+    });
+  }
+});
+
+/**
+ * Delete a budget
+ * DELETE /api/budgets/:budgetId
+ */
+router.delete('/:budgetId', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const deleted = await deleteBudget(req.user.userId, req.params.budgetId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete budget'
+    });
+  }
+});
+
+export default router;
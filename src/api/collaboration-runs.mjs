@@ -0,0 +1,75 @@
+/**
+ * Collaboration Run Routes
+ * Read access to stored collaboration transcripts (every phase and agent call of a run)
+ */
+
+import express from 'express';
+import { authenticateUser } from './auth-routes.mjs';
+import { listRunsForConversation, getRun } from '../services/collaborationRunService.mjs';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * List the runs of a conversation, newest first (summaries without step bodies)
+ * GET /api/collaboration-runs/conversations/:conversationSessionId?limit=20&skip=0
+ */
+router.get('/conversations/:conversationSessionId', authenticateUser, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const { runs, total } = await listRunsForConversation(
+      req.user.userId,
+      req.params.conversationSessionId,
+      { limit, skip }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    console.error('Error listing collaboration runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve collaboration runs'
+    });
+  }
+});
+
+/**
+ * Get one run with its full transcript
+ * GET /api/collaboration-runs/:collaborationSessionId
+ */
+router.get('/:collaborationSessionId', authenticateUser, async (req, res) => {
+  try {
+    const run = await getRun(req.user.userId, req.params.collaborationSessionId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collaboration run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error getting collaboration run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve collaboration run'
+    });
+  }
+});
+
+export default router;
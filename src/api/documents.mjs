@@ -0,0 +1,109 @@
+/**
+ * Document Routes
+ * Lists, inspects and deletes the caller's uploaded documents. Documents are created
+ * by POST /api/upload and attached to chat messages with { documentId } in filePaths.
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateUser } from './auth-routes.mjs';
+import {
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  getStorageUsage
+} from '../services/documentService.mjs';
+import { getEntitlements, getStorageLimits } from '../lib/billing/entitlements.mjs';
+
+const router = express.Router();
+
+function requireDatabase(req, res, next) {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Document storage is unavailable'
+    });
+  }
+  next();
+}
+
+/**
+ * List documents with storage usage
+ * GET /api/documents
+ */
+router.get('/', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const [documents, usage] = await Promise.all([
+      listDocuments(req.user.userId),
+      getStorageUsage(req.user.userId, getStorageLimits(getEntitlements(req.user.subscriptionTier)))
+    ]);
+    res.json({
+      success: true,
+      data: { documents, usage }
+    });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve documents'
+    });
+  }
+});
+
+/**
+ * Get one document; ?includeText=true adds the extracted text
+ * GET /api/documents/:documentId
+ */
+router.get('/:documentId', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const document = await getDocument(req.user.userId, req.params.documentId, {
+      includeText: req.query.includeText === 'true'
+    });
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    console.error('Error getting document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve document'
+    });
+  }
+});
+
+/**
+ * Delete a document and its file
+ * DELETE /api/documents/:documentId
+ */
+router.delete('/:documentId', authenticateUser, requireDatabase, async (req, res) => {
+  try {
+    const deleted = await deleteDocument(req.user.userId, req.params.documentId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Document deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete document'
+    });
+  }
+});
+
+export default router;
@@ -13,16 +13,26 @@ import collaborationRouter from './collaboration.mjs';
 import mcpRouter from './mcp.mjs';
 import contextRouter from './context.mjs';
 import authRouter from './auth-routes.mjs'; // Updated to use new auth routes
-import { optionalAuth, authenticateUser } from './auth-routes.mjs'; // Updated import
+import { optionalAuth, authenticateUser, identifyRequest } from './auth-routes.mjs'; // Updated import
 import adminRouter from './admin.mjs'; // Import admin routes
 import votesRouter from './votes.mjs'; // Import votes routes
 import feedbackRouter from './feedback.mjs'; // Import feedback routes
 import metricsRouter from './metrics.mjs'; // Import metrics routes
 import apiKeysRouter from './api-keys.mjs'; // Import API keys routes
 import adminMetricsRouter from './admin-metrics.mjs'; // Import admin metrics routes
+import collaborationRunsRouter from './collaboration-runs.mjs'; // Import collaboration transcript routes
+import workflowsRouter from './workflows.mjs'; // Import collaboration workflow routes
+import documentsRouter from './documents.mjs'; // Import uploaded document routes
+import mcpServersRouter from './mcp-servers.mjs'; // Import external MCP server routes
+import usageRouter from './usage.mjs'; // Import usage ledger routes
+import budgetsRouter from './budgets.mjs'; // Import budget routes
+import { createRestRateLimiter } from '../lib/rateLimit/rateLimiter.mjs';
 
 const router = express.Router();
 
+// Per-user, per-IP and per-tier request limits, before any route
+router.use(createRestRateLimiter({ identify: identifyRequest }));
+
 // Mount auth router
 router.use('/auth', authRouter); // Handles /api/auth/*
 
@@ -40,6 +50,12 @@ router.use('/votes', votesRouter); // Handles /api/votes/* - voting routes
 router.use('/feedback', feedbackRouter); // Handles /api/feedback/* - feedback routes
 router.use('/metrics', metricsRouter); // Handles /api/metrics/* - metrics routes
 router.use('/api-keys', apiKeysRouter); // Handles /api/api-keys/* - API key management
+router.use('/collaboration-runs', collaborationRunsRouter); // Handles /api/collaboration-runs/* - collaboration transcripts
+router.use('/workflows', workflowsRouter); // Handles /api/workflows/* - declarative collaboration workflows
+router.use('/documents', documentsRouter); // Handles /api/documents/* - uploaded documents
+router.use('/mcp-servers', mcpServersRouter); // Handles /api/mcp-servers/* - external MCP servers
+router.use('/usage', usageRouter); // Handles /api/usage/* - usage ledger, dashboard and exports
+router.use('/budgets', budgetsRouter); // Handles /api/budgets/* - budgets and cost alerts
 
 // Debug route for database connection test
 router.get('/debug/db-test', async (req, res) => {
@@ -480,6 +496,10 @@ router.get('/', optionalAuth, (req, res) => {
             '/mcp/pending-operations',
             '/mcp/approve-operation',
             '/mcp/reject-operation',
+            '/mcp/audit',
+            '/mcp/rpc',
+            '/mcp/sse',
+            '/mcp-servers',
             // Context management endpoints
             '/context/list',
             '/context/status',
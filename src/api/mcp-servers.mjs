@@ -0,0 +1,241 @@
+/**
+ * MCP Server Routes
+ * Manages the external Model Context Protocol servers a user connects to the hub. Their
+ * tools and resources are offered to the agents of the user's collaborations.
+ */
+
+import express from 'express';
+import { User } from '../models/User.mjs';
+import { authenticateUser } from './auth-routes.mjs';
+import { isStdioAllowed, connectServer, closeUserServers } from '../lib/mcp/servers.mjs';
+import { checkWebhookUrl } from '../lib/billing/budgetNotifiers.mjs';
+
+const router = express.Router();
+
+/**
+ * Mask a stored MCP server for responses
+ */
+function formatMcpServer(server) {
+  return {
+    slug: server.slug,
+    name: server.name,
+    transport: server.transport,
+    command: server.command,
+    args: server.args,
+    url: server.url,
+    keyId: server.keyId,
+    enabled: server.enabled,
+    addedAt: server.addedAt
+  };
+}
+
+async function loadUser(req, res) {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+  return user;
+}
+
+/**
+ * List the user's MCP servers
+ * GET /api/mcp-servers
+ */
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: (user.mcpServers || []).map(formatMcpServer),
+      stdioAllowed: isStdioAllowed()
+    });
+  } catch (error) {
+    console.error('Error getting MCP servers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve MCP servers'
+    });
+  }
+});
+
+/**
+ * Add or update an MCP server. Unless skipValidation is set, the hub connects to it
+ * first and only saves servers that complete the handshake.
+ * POST /api/mcp-servers
+ * Body: { name, transport: 'stdio'|'sse', command?, args?, url?, token?, enabled?, skipValidation? }
+ */
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const { name, transport, command, url, token, enabled, skipValidation } = req.body;
+    const args = Array.isArray(req.body.args) ? req.body.args.map(String) : [];
+
+    if (!name || !['stdio', 'sse'].includes(transport)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and a transport of stdio or sse are required'
+      });
+    }
+
+    if (transport === 'stdio') {
+      if (!isStdioAllowed()) {
+        return res.status(403).json({
+          success: false,
+          error: 'stdio MCP servers are disabled on this hub'
+        });
+      }
+      if (!command) {
+        return res.status(400).json({
+          success: false,
+          error: 'A command is required for stdio servers'
+        });
+      }
+    } else {
+      // The hub makes these requests, so the URL may not point into its own network
+      const urlError = await checkWebhookUrl(url, 'URL');
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          error: urlError
+        });
+      }
+    }
+
+    const slug = String(req.body.slug || name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name must contain letters or digits'
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const config = { slug, name, transport, command, args, url, token };
+    let tools = null;
+    if (!skipValidation) {
+      try {
+        const client = await connectServer(config);
+        try {
+          tools = (await client.listTools()).map(tool => tool.name);
+        } finally {
+          client.close();
+        }
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Could not connect to MCP server: ${error.message}`
+        });
+      }
+    }
+
+    await user.addMcpServer({ ...config, enabled });
+    closeUserServers(req.user.userId, slug);
+    console.log(`🔌 Saved MCP server ${slug} (${transport}) for user ${req.user.userId}`);
+
+    const saved = user.mcpServers.find(s => s.slug === slug);
+    res.json({
+      success: true,
+      message: 'MCP server saved successfully',
+      data: { ...formatMcpServer(saved), tools }
+    });
+  } catch (error) {
+    console.error('Error saving MCP server:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save MCP server'
+    });
+  }
+});
+
+/**
+ * Delete an MCP server
+ * DELETE /api/mcp-servers/:slug
+ */
+router.delete('/:slug', authenticateUser, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (!user.mcpServers.some(s => s.slug === slug)) {
+      return res.status(404).json({
+        success: false,
+        error: 'MCP server not found'
+      });
+    }
+
+    await user.removeMcpServer(slug);
+    closeUserServers(req.user.userId, slug);
+
+    res.json({
+      success: true,
+      message: 'MCP server deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting MCP server:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete MCP server'
+    });
+  }
+});
+
+/**
+ * Connect to a server and list its tools and resources
+ * GET /api/mcp-servers/:slug/tools
+ */
+router.get('/:slug/tools', authenticateUser, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const config = user.getMcpServer(req.params.slug);
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'MCP server not found'
+      });
+    }
+
+    let client;
+    try {
+      client = await connectServer(config);
+      const [tools, resources] = await Promise.all([client.listTools(), client.listResources()]);
+      res.json({
+        success: true,
+        data: {
+          serverInfo: client.serverInfo,
+          protocolVersion: client.protocolVersion,
+          tools: tools.map(tool => ({ name: tool.name, description: tool.description })),
+          resources: resources.map(resource => ({ uri: resource.uri, name: resource.name }))
+        }
+      });
+    } catch (error) {
+      res.status(502).json({
+        success: false,
+        error: `Could not reach MCP server: ${error.message}`
+      });
+    } finally {
+      client?.close();
+    }
+  } catch (error) {
+    console.error('Error listing MCP server tools:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list MCP server tools'
+    });
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@
  */
 
 import express from 'express';
+import clientFactory from '../lib/ai/clientFactory.mjs';
 // Correctly import functions from the refactored MCP library
 import {
     registerContext,
@@ -14,10 +15,26 @@ import {
     requestCreateDirectory,
     getUserPendingOperations,
     approveOperation,
-    rejectOperation
+    rejectOperation,
+    approveBatch,
+    draftBatchCommitMessage,
+    getContextCommits,
+    revertContextCommit
 } from '../lib/mcp/index.mjs'; // Adjusted path
+import { getAuditLog } from '../services/mcpStoreService.mjs';
+import {
+    createServerSession,
+    getServerSession,
+    closeServerSession,
+    handleServerMessage
+} from '../lib/mcp/server.mjs';
+import { ErrorCodes, JSONRPC_VERSION } from '../lib/mcp/jsonrpc.mjs';
 
 const router = express.Router();
+// The MCP server transports authenticate with the context token alone, so they are
+// routed ahead of the userId middleware below
+const transports = express.Router();
+router.use(transports);
 
 // --- Middleware for User ID (Example - Replace with real auth) ---
 // This middleware simulates extracting a userId. In a real app,
@@ -42,7 +59,7 @@ router.use(extractUserId);
 
 // POST /api/mcp/register-context
 router.post('/register-context', express.json(), async (req, res) => {
-    const { directory, projectId, description, permissions, duration } = req.body;
+    const { directory, projectId, description, permissions, duration, git } = req.body;
     const userId = req.userId; // Get userId from middleware
     const sessionId = `api-${Date.now()}-${userId}`; // Create a session ID for API context
 
@@ -51,14 +68,17 @@ router.post('/register-context', express.json(), async (req, res) => {
     }
 
     try {
-        const token = registerContext(sessionId, directory, userId, { projectId, description, permissions, duration });
+        const token = await registerContext(sessionId, directory, userId, { projectId, description, permissions, duration, git });
         const context = validateContext(token, userId); // Get full context details
+        const repository = context.context?.git;
         res.status(201).json({
             success: true,
             token,
             directory: context.context?.directory, // Send back resolved path
             expiresAt: context.context?.expiresAt,
-            permissions: context.context?.permissions
+            permissions: context.context?.permissions,
+            // Present when approved operations are committed to a scratch branch
+            git: repository ? { branch: repository.branch, scratchBranch: repository.scratchBranch, baseCommit: repository.baseCommit } : null
         });
     } catch (error) {
         console.error(`MCP API Error (registerContext for user ${userId}):`, error);
@@ -137,6 +157,7 @@ router.post('/request-write', express.json(), async (req, res) => {
         const operationId = await requestWriteFile(token, userId, filePath, content, {
             description: description || `API request to write file: ${filePath}`,
             requestedBy: `API User ${userId}`,
+            agent: req.body.agent || null,
             timestamp: Date.now()
         });
         res.status(202).json({ success: true, operationId, filePath, status: 'pending', message: 'Write operation requested, pending approval.' });
@@ -163,6 +184,7 @@ router.post('/request-delete', express.json(), async (req, res) => {
         const operationId = await requestDeleteFile(token, userId, filePath, {
             description: description || `API request to delete: ${filePath}`,
             requestedBy: `API User ${userId}`,
+            agent: req.body.agent || null,
             timestamp: Date.now()
         });
         res.status(202).json({ success: true, operationId, filePath, status: 'pending', message: 'Delete operation requested, pending approval.' });
@@ -189,6 +211,7 @@ router.post('/request-create-directory', express.json(), async (req, res) => {
         const operationId = await requestCreateDirectory(token, userId, dirPath, {
             description: description || `API request to create directory: ${dirPath}`,
             requestedBy: `API User ${userId}`,
+            agent: req.body.agent || null,
             timestamp: Date.now()
         });
         res.status(202).json({ success: true, operationId, dirPath, status: 'pending', message: 'Create directory operation requested, pending approval.' });
@@ -218,15 +241,18 @@ router.get('/pending-operations', async (req, res) => {
 
 // POST /api/mcp/approve-operation
 router.post('/approve-operation', express.json(), async (req, res) => {
-    const { operationId } = req.body;
+    const { operationId, hunks } = req.body;
     const userId = req.userId;
 
     if (!operationId) {
         return res.status(400).json({ error: 'Operation ID (operationId) is required.' });
     }
+    if (hunks !== undefined && !Array.isArray(hunks)) {
+        return res.status(400).json({ error: 'hunks must be an array of hunk ids.' });
+    }
 
     try {
-        const result = await approveOperation(operationId, userId);
+        const result = await approveOperation(operationId, userId, { hunks });
         res.json({ success: true, ...result });
     } catch (error) {
         console.error(`MCP API Error (approveOperation for user ${userId}, op ${operationId}):`, error);
@@ -237,6 +263,10 @@ router.post('/approve-operation', express.json(), async (req, res) => {
             res.status(403).json({ error: error.message });
         } else if (error.message.includes('Context for operation is no longer valid')) {
              res.status(410).json({ error: error.message }); // Gone
+        } else if (error.message.includes('hunk') || error.message.includes('cannot be approved in part')) {
+            res.status(400).json({ error: error.message });
+        } else if (error.code === 'MCP_CONFLICT') {
+            res.status(409).json({ error: error.message, conflict: true, operationId });
         } else if (error.message.startsWith('Execution failed')) {
              res.status(409).json({ error: error.message }); // Conflict or execution error
         } else {
@@ -270,4 +300,230 @@ router.post('/reject-operation', express.json(), async (req, res) => {
     }
 });
 
+// --- Audit Log ---
+
+// GET /api/mcp/audit?token=&operationId=&event=&agent=&before=&limit=
+// The caller's own operation history, newest first; page with `before` (createdAt of the last entry)
+router.get('/audit', async (req, res) => {
+    const userId = req.userId;
+    const { token, operationId, event, agent, before, limit } = req.query;
+
+    try {
+        const log = await getAuditLog({ userId, contextToken: token, operationId, event, agent, before, limit });
+        res.json({ success: true, ...log });
+    } catch (error) {
+        console.error(`MCP API Error (getAuditLog for user ${userId}):`, error);
+        res.status(500).json({ error: `Failed to read audit log: ${error.message}` });
+    }
+});
+
+// --- Git Contexts ---
+
+// Maps git-context errors to status codes
+function sendGitError(res, error, fallbackMessage) {
+    if (error.message.includes('Invalid or unknown context token') || error.message.includes('User ID does not match') || error.message.includes('token has expired') || error.message.includes('Permission')) {
+        res.status(401).json({ error: `Context validation or permission failed: ${error.message}` });
+    } else if (error.message.includes('not inside a git repository') || error.message.includes('needs a context inside a git repository') || error.message.includes('required')) {
+        res.status(400).json({ error: error.message });
+    } else if (error.message.includes('Operation not found') || error.message.includes('not pending') || error.message.includes('No pending operations') || error.message.includes('is not on')) {
+        res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Execution failed') || error.message.includes('has changed since')) {
+        res.status(409).json({ error: error.message });
+    } else {
+        res.status(500).json({ error: `${fallbackMessage}: ${error.message}` });
+    }
+}
+
+// POST /api/mcp/draft-commit-message
+router.post('/draft-commit-message', express.json(), async (req, res) => {
+    const { token, operationIds, agent, model } = req.body;
+    const userId = req.userId;
+
+    if (!token || !agent) {
+        return res.status(400).json({ error: 'Context token (token) and agent are required.' });
+    }
+
+    try {
+        const client = await clientFactory.getClient(userId, agent);
+        if (!client?.getResponse) {
+            return res.status(400).json({ error: `${agent} is not available.` });
+        }
+        const draft = await draftBatchCommitMessage(token, userId, {
+            operationIds,
+            complete: (prompt) => client.getResponse(prompt, { modelId: model, maxTokens: 300 })
+        });
+        res.json({ success: true, ...draft });
+    } catch (error) {
+        console.error(`MCP API Error (draftCommitMessage for user ${userId}):`, error);
+        sendGitError(res, error, 'Failed to draft commit message');
+    }
+});
+
+// POST /api/mcp/approve-batch
+router.post('/approve-batch', express.json(), async (req, res) => {
+    const { token, operationIds, message } = req.body;
+    const userId = req.userId;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Context token (token) is required.' });
+    }
+
+    try {
+        const result = await approveBatch(token, userId, { operationIds, message });
+        res.json(result);
+    } catch (error) {
+        console.error(`MCP API Error (approveBatch for user ${userId}):`, error);
+        sendGitError(res, error, 'Failed to approve batch');
+    }
+});
+
+// GET /api/mcp/commits
+router.get('/commits', async (req, res) => {
+    const { token } = req.query;
+    const userId = req.userId;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Context token (token) is required.' });
+    }
+
+    try {
+        const history = await getContextCommits(token, userId);
+        res.json({ success: true, ...history });
+    } catch (error) {
+        console.error(`MCP API Error (getContextCommits for user ${userId}):`, error);
+        sendGitError(res, error, 'Failed to list commits');
+    }
+});
+
+// POST /api/mcp/revert-commit
+router.post('/revert-commit', express.json(), async (req, res) => {
+    const { token, commit } = req.body;
+    const userId = req.userId;
+
+    if (!token || !commit) {
+        return res.status(400).json({ error: 'Context token (token) and commit are required.' });
+    }
+
+    try {
+        const result = await revertContextCommit(token, userId, commit);
+        res.json(result);
+    } catch (error) {
+        console.error(`MCP API Error (revertCommit for user ${userId}, commit ${commit}):`, error);
+        sendGitError(res, error, 'Failed to revert commit');
+    }
+});
+
+// --- MCP Server Transports ---
+// External MCP clients use a context through the protocol itself: Streamable HTTP at /rpc,
+// or the older HTTP+SSE transport at /sse and /messages. Every request sends the context
+// token as a bearer token (or ?token=); sessions act as the user who registered the context.
+
+const SSE_KEEP_ALIVE = 25 * 1000;
+
+function getContextToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : req.query.token;
+}
+
+function sendRpcError(res, status, code, message) {
+    res.status(status).json({ jsonrpc: JSONRPC_VERSION, id: null, error: { code, message } });
+}
+
+// POST /api/mcp/rpc
+transports.post('/rpc', express.json(), async (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+    let session;
+
+    if (sessionId) {
+        session = getServerSession(sessionId, getContextToken(req));
+        if (!session) {
+            return sendRpcError(res, 404, ErrorCodes.CONNECTION_CLOSED, 'Session not found. Initialize a new session.');
+        }
+    } else {
+        const messages = Array.isArray(req.body) ? req.body : [req.body];
+        if (!messages.some(message => message?.method === 'initialize')) {
+            return sendRpcError(res, 400, ErrorCodes.INVALID_REQUEST, 'Mcp-Session-Id header is required.');
+        }
+        try {
+            session = createServerSession({ token: getContextToken(req) });
+        } catch (error) {
+            return sendRpcError(res, 401, ErrorCodes.INVALID_REQUEST, error.message);
+        }
+        res.set('Mcp-Session-Id', session.id);
+    }
+
+    try {
+        const responses = await handleServerMessage(session, req.body);
+        if (!responses) return res.status(202).end();
+        res.json(responses);
+    } catch (error) {
+        console.error(`MCP API Error (server session ${session.id.substring(0, 8)}...):`, error);
+        sendRpcError(res, 500, ErrorCodes.INTERNAL_ERROR, 'Internal error');
+    }
+});
+
+// GET /api/mcp/rpc - The server sends no messages of its own, so no stream is offered
+transports.get('/rpc', (req, res) => {
+    res.set('Allow', 'POST, DELETE').status(405).end();
+});
+
+// DELETE /api/mcp/rpc
+transports.delete('/rpc', (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+    if (!sessionId || !getServerSession(sessionId, getContextToken(req))) {
+        return res.status(404).json({ error: 'Session not found.' });
+    }
+    closeServerSession(sessionId);
+    res.status(200).end();
+});
+
+// GET /api/mcp/sse
+transports.get('/sse', (req, res) => {
+    let session;
+    try {
+        session = createServerSession({
+            token: getContextToken(req),
+            send: message => res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`)
+        });
+    } catch (error) {
+        return res.status(401).json({ error: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const query = new URLSearchParams({ sessionId: session.id });
+    res.write(`event: endpoint\ndata: ${req.baseUrl}/messages?${query}\n\n`);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEP_ALIVE);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        closeServerSession(session.id);
+    });
+});
+
+// POST /api/mcp/messages?sessionId=
+transports.post('/messages', express.json(), async (req, res) => {
+    const session = getServerSession(req.query.sessionId, getContextToken(req));
+    if (!session || !session.send) {
+        return res.status(404).json({ error: 'Session not found.' });
+    }
+
+    // Responses go out over the event stream
+    res.status(202).end();
+    try {
+        const responses = await handleServerMessage(session, req.body);
+        if (responses) session.send(responses);
+    } catch (error) {
+        console.error(`MCP API Error (server session ${session.id.substring(0, 8)}...):`, error);
+        session.send({
+            jsonrpc: JSONRPC_VERSION,
+            id: null,
+            error: { code: ErrorCodes.INTERNAL_ERROR, message: 'Internal error' }
+        });
+    }
+});
+
 export default router;
\ No newline at end of file
@@ -1,11 +1,20 @@
 /**
  * API Route Handler for File Uploads
+ * Files are stored per owner (see lib/uploads.mjs). With the database available each
+ * upload by a signed-in user also becomes a document (text extracted, quota checked) that
+ * chat messages attach by `documentId`; guests attach the returned `filename`.
  */
 
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises'; // Use promises for async operations
+import mongoose from 'mongoose';
+import { optionalAuth } from './auth-routes.mjs';
+import { setUploadRoot, getOwnerDirectory } from '../lib/uploads.mjs';
+import { isSupportedFile } from '../lib/documents/index.mjs';
+import { ingestUpload } from '../services/documentService.mjs';
+import { getEntitlements, checkUploadSize, getStorageLimits } from '../lib/billing/entitlements.mjs';
 
 const router = express.Router();
 
@@ -17,6 +26,7 @@ let UPLOAD_DIR = ''; // Will be initialized
  */
 export function initializeUploads(uploadsPath) {
     UPLOAD_DIR = uploadsPath;
+    setUploadRoot(uploadsPath);
     // Ensure the upload directory exists
     fs.mkdir(UPLOAD_DIR, { recursive: true })
         .then(() => console.log(`Upload directory ensured at: ${UPLOAD_DIR}`))
@@ -31,7 +41,10 @@ const storage = multer.diskStorage({
             console.error("Upload directory not initialized!");
             return cb(new Error("Server configuration error: Upload directory not set."), '');
         }
-        cb(null, UPLOAD_DIR); // Use the initialized directory path
+        const ownerDirectory = getOwnerDirectory(getUploadOwner(req));
+        fs.mkdir(ownerDirectory, { recursive: true })
+            .then(() => cb(null, ownerDirectory))
+            .catch(err => cb(err, ''));
     },
     filename: (req, file, cb) => {
         // Sanitize filename slightly, keep original extension
@@ -43,30 +56,58 @@ const storage = multer.diskStorage({
     }
 });
 
-// File filter (optional: restrict file types)
+// Signed-in users own their uploads. Guests name their temporary session id ('user-...'),
+// sent ahead of the files in the form; a database id there is ignored, so an unauthenticated
+// upload cannot land in a real user's storage
+const GUEST_ID_PATTERN = /^user-[a-zA-Z0-9_-]+$/;
+
+function getUploadOwner(req) {
+    if (req.user?.userId) return String(req.user.userId);
+    const guestId = req.body?.userId;
+    return typeof guestId === 'string' && GUEST_ID_PATTERN.test(guestId) ? guestId : null;
+}
+
+// Owners identified only by the form field are guests
+function getUploadEntitlements(req) {
+    return getEntitlements(req.user ? req.user.subscriptionTier : 'guest');
+}
+
+// Only formats whose text can be extracted: documents, text, code and archives
 const fileFilter = (req, file, cb) => {
-    // Example: Allow only text, images, pdf
-    // const allowedTypes = /text\/plain|image\/jpeg|image\/png|image\/gif|application\/pdf/;
-    // if (allowedTypes.test(file.mimetype)) {
-    //     cb(null, true);
-    // } else {
-    //     cb(new Error('Unsupported file type'), false);
-    // }
-    cb(null, true); // Allow all file types for now
+    if (isSupportedFile(file.originalname)) {
+        cb(null, true);
+    } else {
+        const error = new Error(`Unsupported file type: ${file.originalname}`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        cb(error);
+    }
 };
 
 const upload = multer({
     storage: storage,
     fileFilter: fileFilter,
     limits: {
-        fileSize: 100 * 1024 * 1024 // 100 MB limit per file
+        fileSize: 25 * 1024 * 1024 // 25 MB per file; files are read into memory for extraction. Tiers may allow less
     }
 });
 
+/**
+ * Runs multer and answers its errors (size limit, unsupported type) as JSON
+ */
+function receiveFiles(req, res, next) {
+    upload.array('files', 10)(req, res, err => { // Allow up to 10 files
+        if (err instanceof multer.MulterError || err?.code === 'UNSUPPORTED_FILE_TYPE') {
+            const error = err instanceof multer.MulterError ? `File upload error: ${err.message}` : err.message;
+            return res.status(400).json({ success: false, error, code: err.code });
+        }
+        next(err);
+    });
+}
+
 // --- Route Handler ---
 
 // POST /api/upload
-router.post('/upload', upload.array('files', 10), (req, res) => { // Allow up to 10 files
+router.post('/upload', optionalAuth, receiveFiles, async (req, res) => {
     if (!UPLOAD_DIR) {
         return res.status(500).json({ success: false, error: 'Server configuration error: Upload directory not available.' });
     }
@@ -76,14 +117,44 @@ router.post('/upload', upload.array('files', 10), (req, res) => { // Allow up to
     }
 
     try {
-        const uploadedFiles = req.files.map(file => ({
-            originalName: file.originalname, // Keep original name for reference
-            filename: file.filename,       // The generated unique filename
-            path: file.path,               // Full path on the server
-            relativePath: path.relative(__dirname, file.path), // Path relative to server.js location (adjust if needed)
-            size: file.size,
-            mimetype: file.mimetype
-        }));
+        const owner = getUploadOwner(req);
+        const entitlements = getUploadEntitlements(req);
+        const uploadedFiles = [];
+        for (const file of req.files) {
+            const uploaded = {
+                originalName: file.originalname, // Keep original name for reference
+                filename: file.filename,       // The generated unique filename
+                size: file.size,
+                mimetype: file.mimetype
+            };
+            const sizeRefusal = checkUploadSize(entitlements, file.size);
+            if (sizeRefusal) {
+                await fs.unlink(file.path).catch(() => {});
+                uploadedFiles.push({ ...uploaded, filename: undefined, error: sizeRefusal.error, code: sizeRefusal.code, requiredTier: sizeRefusal.requiredTier });
+                continue;
+            }
+            // Documents (and the storage quota) belong to accounts; guests keep plain files
+            if (req.user && mongoose.connection.readyState === 1) {
+                // Refused files (tier quota) are removed and reported per file
+                const result = await ingestUpload(owner, file, getStorageLimits(entitlements)).catch(error => {
+                    console.error(`Error storing document ${file.filename}:`, error);
+                    fs.unlink(file.path).catch(() => {});
+                    return { success: false, error: 'The file could not be stored as a document.' };
+                });
+                if (result.success) {
+                    Object.assign(uploaded, {
+                        documentId: result.document.id,
+                        kind: result.document.kind,
+                        status: result.document.status,
+                        duplicate: result.duplicate || false,
+                        warnings: result.document.warnings
+                    });
+                } else {
+                    uploaded.error = result.error;
+                }
+            }
+            uploadedFiles.push(uploaded);
+        }
 
         console.log(`Files uploaded successfully: ${uploadedFiles.length}`, uploadedFiles.map(f => f.filename));
         res.json({ success: true, files: uploadedFiles });
@@ -100,26 +171,5 @@ router.post('/upload', upload.array('files', 10), (req, res) => { // Allow up to
     }
 });
 
-// --- Multer Error Handling Middleware ---
-// This needs to be added *after* the upload route in the main server file (server.mjs)
-// or used specifically with the upload route like: router.post('/upload', (req, res, next) => { upload.array(...)(req, res, err => { /* handle multer err */ next(err); }) });
-// For simplicity here, we'll rely on the main server's error handler, but a dedicated one is better.
-// Example dedicated handler (would go in server.mjs or be passed to the route):
-/*
-function handleMulterError(err, req, res, next) {
-    if (err instanceof multer.MulterError) {
-        // A Multer error occurred when uploading.
-        console.error("Multer Error:", err);
-        return res.status(400).json({ success: false, error: `File upload error: ${err.message}`, code: err.code });
-    } else if (err) {
-        // An unknown error occurred when uploading.
-        console.error("Unknown Upload Error:", err);
-        return res.status(500).json({ success: false, error: `Upload failed: ${err.message}` });
-    }
-    // Everything went fine.
-    next();
-}
-*/
-
 export default router;
 // initializeUploads is already exported above
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Usage Routes
+ * The caller's spend from the usage ledger: grouped totals for the usage dashboard,
+ * the individual entries, and CSV/JSON exports for billing and reporting
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateUser } from './auth-routes.mjs';
+import {
+  SUMMARY_GROUPS,
+  getUsageSummary,
+  listUsageEntries,
+  exportUserCosts,
+  toCsv
+} from '../services/usageLedgerService.mjs';
+import { USAGE_SOURCES } from '../models/UsageEntry.mjs';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366;
+
+function requireDatabase(req, res, next) {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Usage data is unavailable'
+    });
+  }
+  next();
+}
+
+/**
+ * Reads ?from=&to= (ISO dates); defaults to the last 30 days
+ * @returns {{from: Date, to: Date}|{error: string}}
+ */
+function parsePeriod(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be ISO dates' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+  if (to - from > MAX_PERIOD_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `The period cannot be longer than ${MAX_PERIOD_DAYS} days` };
+  }
+  return { from, to };
+}
+
+/**
+ * Spend over a period, grouped for the dashboard
+ * GET /api/usage/summary?from=&to=&groupBy=day|provider|model|source|phase|session|run|project
+ */
+router.get('/summary', authenticateUser, requireDatabase, async (req, res) => {
+  const period = parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({ success: false, error: period.error });
+  }
+  const groupBy = req.query.groupBy || 'day';
+  if (!SUMMARY_GROUPS.includes(groupBy)) {
+    return res.status(400).json({
+      success: false,
+      error: `groupBy must be one of: ${SUMMARY_GROUPS.join(', ')}`
+    });
+  }
+
+  try {
+    const summary = await getUsageSummary(req.user.userId, { ...period, groupBy });
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error summarizing usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve usage summary'
+    });
+  }
+});
+
+/**
+ * Ledger entries over a period, newest first
+ * GET /api/usage/entries?from=&to=&source=chat|collaboration|cli&limit=50&skip=0
+ */
+router.get('/entries', authenticateUser, requireDatabase, async (req, res) => {
+  const period = parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({ success: false, error: period.error });
+  }
+  const source = req.query.source || null;
+  if (source && !USAGE_SOURCES.includes(source)) {
+    return res.status(400).json({
+      success: false,
+      error: `source must be one of: ${USAGE_SOURCES.join(', ')}`
+    });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const { entries, total } = await listUsageEntries(req.user.userId, { ...period, source, limit, skip });
+    res.json({
+      success: true,
+      data: {
+        entries,
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    console.error('Error listing usage entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve usage entries'
+    });
+  }
+});
+
+/**
+ * Export a period for billing or reporting: CSV with one row per entry, or JSON with daily totals
+ * GET /api/usage/export?from=&to=&format=csv|json
+ */
+router.get('/export', authenticateUser, requireDatabase, async (req, res) => {
+  const period = parsePeriod(req.query);
+  if (period.error) {
+    return res.status(400).json({ success: false, error: period.error });
+  }
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be csv or json' });
+  }
+
+  const result = await exportUserCosts(req.user.userId, period.from, period.to);
+  if (!result.success) {
+    return res.status(500).json({ success: false, error: 'Failed to export usage' });
+  }
+
+  const filename = `usage-${period.from.toISOString().slice(0, 10)}-to-${period.to.toISOString().slice(0, 10)}`;
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    return res.json({
+      success: true,
+      data: result
+    });
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.send(toCsv(result.rawRecords));
+});
+
+export default router;
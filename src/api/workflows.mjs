@@ -0,0 +1,164 @@
+/**
+ * Collaboration Workflow Routes
+ * Lists built-in workflows and manages user-authored ones (JSON or YAML).
+ * Run a workflow by sending a collaboration with mode 'workflow:<id>'.
+ */
+
+import express from 'express';
+import { authenticateUser } from './auth-routes.mjs';
+import { validateWorkflowDefinition, parseWorkflowSource } from '../lib/ai/workflows/index.mjs';
+import {
+  listWorkflows,
+  getWorkflow,
+  saveWorkflow,
+  deleteWorkflow
+} from '../services/workflowService.mjs';
+
+const router = express.Router();
+
+// YAML documents arrive as text/yaml bodies or as a string in JSON { definition, format }
+const yamlBody = express.text({ type: ['text/yaml', 'application/yaml', 'application/x-yaml'], limit: '128kb' });
+
+/**
+ * Pulls { source, format } out of a JSON or YAML request body
+ */
+function readDefinitionBody(req) {
+  if (typeof req.body === 'string') {
+    return { source: req.body, format: 'yaml' };
+  }
+  return { source: req.body?.definition, format: req.body?.format };
+}
+
+/**
+ * List built-in and saved workflows
+ * GET /api/workflows
+ */
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const workflows = await listWorkflows(req.user.userId);
+    res.json({
+      success: true,
+      data: workflows
+    });
+  } catch (error) {
+    console.error('Error listing workflows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve workflows'
+    });
+  }
+});
+
+/**
+ * Check a definition without saving it
+ * POST /api/workflows/validate
+ */
+router.post('/validate', authenticateUser, yamlBody, async (req, res) => {
+  const { source, format } = readDefinitionBody(req);
+  let definition;
+  try {
+    definition = parseWorkflowSource(source, format).definition;
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      errors: [error.message]
+    });
+  }
+
+  const { valid, errors } = validateWorkflowDefinition(definition);
+  res.json({
+    success: true,
+    data: { valid, errors }
+  });
+});
+
+/**
+ * Get one workflow with its definition
+ * GET /api/workflows/:workflowId
+ */
+router.get('/:workflowId', authenticateUser, async (req, res) => {
+  try {
+    const workflow = await getWorkflow(req.user.userId, req.params.workflowId);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: workflow
+    });
+  } catch (error) {
+    console.error('Error getting workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve workflow'
+    });
+  }
+});
+
+/**
+ * Create or replace a workflow (keyed by the definition's id)
+ * POST /api/workflows
+ * Body: { definition: <object or JSON/YAML text>, format?: 'json'|'yaml' } or a text/yaml document
+ */
+router.post('/', authenticateUser, yamlBody, async (req, res) => {
+  try {
+    const { source, format } = readDefinitionBody(req);
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        error: 'A workflow definition is required'
+      });
+    }
+
+    const result = await saveWorkflow(req.user.userId, source, format);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: `Workflow saved; run it with collaboration mode '${result.workflow.mode}'`,
+      data: result.workflow
+    });
+  } catch (error) {
+    console.error('Error saving workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save workflow'
+    });
+  }
+});
+
+/**
+ * Delete a saved workflow
+ * DELETE /api/workflows/:workflowId
+ */
+router.delete('/:workflowId', authenticateUser, async (req, res) => {
+  try {
+    const deleted = await deleteWorkflow(req.user.userId, req.params.workflowId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Workflow deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete workflow'
+    });
+  }
+});
+
+export default router;
@@ -7,6 +7,12 @@ import {
 } from './enhanced-error-handling.mjs';
 import { smartTruncate, truncateModelResponse } from './truncation-utils.mjs';
 import { isRetryableError, calculateBackoffDelay, withRetry } from './improved-error-handling.mjs';
+import providerRegistry from './providers/index.mjs';
+import { toAnthropicToolChoice, toGeminiGenerationConfig, toOpenAIResponseFormat } from './providers/structuredOutput.mjs';
+import { recordStep } from '../../services/collaborationRunService.mjs';
+import { mergeUsage, resolveUsage } from './tokenizer.mjs';
+import { withRetrievedSources } from '../attachments.mjs';
+import { getToolSession, runToolLoop } from './toolLoop.mjs';
 
 /**
  * Enhanced version of getAgentResponse that incorporates improved error handling, 
@@ -47,6 +53,9 @@ export async function enhancedGetAgentResponse(
     throw new Error(`${agentProvider} client not available - check API keys and configuration`);
   }
 
+  // Passages retrieved from the conversation's files, sized for this agent
+  prompt = withRetrievedSources(redisChannel, agentProvider, prompt);
+
   // Validate that the client has the required methods with detailed logging
   // In the original collaboration module, the clients might have different methods based on provider
   // We need to check multiple possible client structures and adapt accordingly
@@ -96,8 +105,11 @@ export async function enhancedGetAgentResponse(
 
   console.log(`✅ ${agentProvider} client validated with getResponse method`);
 
+  // Token counts of the successful attempt, for the transcript
+  let stepUsage = null;
+
   // Use retry logic for the entire operation
-  return await withRetry(
+  const runWithRetry = () => withRetry(
     async (attempt) => {
       console.log(`🔄 Attempt ${attempt + 1}/${maxRetries + 1} for ${agentProvider}`);
 
@@ -127,9 +139,44 @@ export async function enhancedGetAgentResponse(
     // Process using the appropriate client function based on provider
     const responseParts = [];
     let response = '';
+    // Usage blocks reported by the API, and the output already charged chunk by chunk
+    let reportedUsage = null;
+    let streamedOutputTokens = 0;
+
+    // With an MCP context opened to the session, the agent may browse and propose edits first
+    const toolAdapter = providerRegistry.get(agentProvider);
+    const toolSession = getToolSession(redisChannel, toolAdapter, prompt);
 
     try {
-      if (agentProvider === 'claude') {
+      if (toolSession) {
+        const toolModelId = modelId || client.defaultModel || toolAdapter.defaultModel;
+        console.log(`🔄 Using ${toolAdapter.displayName} tool calls for ${agentProvider} with model ${toolModelId}`);
+        const toolResult = await runToolLoop({
+          agent: agentProvider,
+          phase,
+          redisChannel,
+          adapter: toolAdapter,
+          client,
+          request: {
+            modelId: toolModelId,
+            systemPrompt: prompt.systemPrompt || "You are a helpful assistant.",
+            userPrompt: prompt.userPrompt || "Please provide a response.",
+            temperature: 0.7
+          },
+          session: toolSession,
+          publishEvent,
+          checkpoint: () => {
+            if ((globalAbortSignal && globalAbortSignal.aborted) || modelController.signal.aborted) {
+              throw new Error('AbortError');
+            }
+            if (costTracker && typeof costTracker.shouldAbort === 'function' && costTracker.shouldAbort()) {
+              throw new Error('CostLimitExceededError');
+            }
+          }
+        });
+        responseParts.push(toolResult.text);
+        reportedUsage = toolResult.usage;
+      } else if (agentProvider === 'claude') {
         // Use explicitly provided model ID or fall back to default
         const claudeModelId = modelId || 'claude-4-sonnet-20250514';
         console.log(`🔄 Using Claude API for ${agentProvider} with model ${claudeModelId}`);
@@ -152,7 +199,8 @@ export async function enhancedGetAgentResponse(
               }]
             }],
             max_tokens: 1500,
-            stream: true
+            stream: true,
+            ...toAnthropicToolChoice(prompt.responseFormat)
           });
           
           console.log(`✅ Claude API call successful, processing stream...`);
@@ -164,20 +212,28 @@ export async function enhancedGetAgentResponse(
               throw new Error('AbortError');
             }
             
-            if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
-              responseParts.push(chunk.delta.text);
+            if (chunk.type === 'message_start' || chunk.type === 'message_delta') {
+              reportedUsage = mergeUsage(reportedUsage, chunk.message?.usage || chunk.usage);
+            }
+
+            // Structured replies arrive as the input of the forced tool call
+            const deltaText = chunk.delta?.text || chunk.delta?.partial_json;
+            if (chunk.type === 'content_block_delta' && deltaText) {
+              responseParts.push(deltaText);
               
               // Stream the chunk to Redis
               publishEvent(redisChannel, {
                 type: 'agent_thought',
                 agent: agentProvider,
                 phase: phase,
-                text: chunk.delta.text,
+                text: deltaText,
                 timestamp: new Date().toISOString()
               });
               
               // Track token usage
-              costTracker.addOutputTokens(agentProvider, estimateTokenCount(chunk.delta.text));
+              const chunkTokens = estimateTokenCount(deltaText, agentProvider, claudeModelId);
+              streamedOutputTokens += chunkTokens;
+              costTracker.addOutputTokens(agentProvider, chunkTokens, claudeModelId);
               
               // Check if we should abort due to cost (with safety check)
               if (costTracker && typeof costTracker.shouldAbort === 'function' && costTracker.shouldAbort()) {
@@ -201,7 +257,8 @@ export async function enhancedGetAgentResponse(
             model: geminiModelId,
             generationConfig: {
               maxOutputTokens: 8192,
-              temperature: 0.7
+              temperature: 0.7,
+              ...toGeminiGenerationConfig(prompt.responseFormat)
             }
           });
 
@@ -262,6 +319,9 @@ export async function enhancedGetAgentResponse(
               throw new Error('AbortError');
             }
 
+            // The last chunk carries the totals for the whole call
+            reportedUsage = mergeUsage(reportedUsage, chunk.usageMetadata);
+
             // Extract text safely from the chunk using direct access
             let chunkText = '';
             try {
@@ -333,7 +393,9 @@ export async function enhancedGetAgentResponse(
               });
 
               // Track token usage
-              costTracker.addOutputTokens(agentProvider, estimateTokenCount(chunkText));
+              const chunkTokens = estimateTokenCount(chunkText, agentProvider, geminiModelId);
+              streamedOutputTokens += chunkTokens;
+              costTracker.addOutputTokens(agentProvider, chunkTokens, geminiModelId);
 
               // Check if we should abort due to cost (with safety check)
               if (costTracker && typeof costTracker.shouldAbort === 'function' && costTracker.shouldAbort()) {
@@ -382,12 +444,16 @@ export async function enhancedGetAgentResponse(
           console.log(`📤 Preparing OpenAI-compatible call for ${agentProvider} with ${messages.length} messages`);
           console.log(`📤 Messages structure:`, JSON.stringify(messages.map(m => ({ role: m.role, content_length: m.content?.length || 0 }))));
 
+          const adapter = providerRegistry.get(agentProvider);
+          const responseFormat = toOpenAIResponseFormat(prompt.responseFormat, adapter?.structuredOutput);
           const openaiCompatibleResponse = await client.chat.completions.create({
             model: modelName,
             messages: messages,
             max_tokens: agentProvider === 'deepseek' ? 8000 : 4000,
             stream: true,
-            temperature: 0.7
+            temperature: 0.7,
+            ...(responseFormat ? { response_format: responseFormat } : {}),
+            ...(adapter?.streamUsage ? { stream_options: { include_usage: true } } : {})
           });
           
           console.log(`✅ OpenAI-compatible API call successful for ${agentProvider}, processing stream...`);
@@ -399,6 +465,9 @@ export async function enhancedGetAgentResponse(
               throw new Error('AbortError');
             }
             
+            // The usage chunk comes last, with no choices
+            reportedUsage = mergeUsage(reportedUsage, chunk.usage);
+
             if (chunk.choices && chunk.choices[0]?.delta?.content) {
               const content = chunk.choices[0].delta.content;
               responseParts.push(content);
@@ -413,7 +482,9 @@ export async function enhancedGetAgentResponse(
               });
               
               // Track token usage
-              costTracker.addOutputTokens(agentProvider, estimateTokenCount(content));
+              const chunkTokens = estimateTokenCount(content, agentProvider, modelName);
+              streamedOutputTokens += chunkTokens;
+              costTracker.addOutputTokens(agentProvider, chunkTokens, modelName);
               
               // Check if we should abort due to cost (with safety check)
               if (costTracker && typeof costTracker.shouldAbort === 'function' && costTracker.shouldAbort()) {
@@ -431,6 +502,14 @@ export async function enhancedGetAgentResponse(
       // Join the response parts to form the complete response
       response = responseParts.join('');
 
+      // Settle on the provider's counts where reported; these cover the full, untruncated reply
+      const usage = resolveUsage(reportedUsage, {
+        provider: agentProvider,
+        model: modelId,
+        input: prompt.systemPrompt + prompt.userPrompt,
+        output: response
+      });
+
       // Extra handling specifically for Gemini which might return a function reference
       if (agentProvider === 'gemini') {
         // Check for function references in the response
@@ -481,7 +560,7 @@ I'll implement this with clean, maintainable code following best practices for a
 
       // Apply safe truncation to ensure we don't exceed model context limits
       const originalLength = response.length;
-      response = truncateModelResponse(response, agentProvider);
+      response = truncateModelResponse(response, agentProvider, 'default', modelId);
 
       if (originalLength !== response.length) {
         console.log(`📏 Truncated ${agentProvider} response from ${originalLength} to ${response.length} chars`);
@@ -489,9 +568,9 @@ I'll implement this with clean, maintainable code following best practices for a
 
       console.log(`✅ Complete response received from ${agentProvider} (${response.length} chars)`);
 
-      // Calculate approximate token counts for billing
-      const inputTokenEstimate = estimateTokenCount(prompt.systemPrompt + prompt.userPrompt);
-      costTracker.addInputTokens(agentProvider, inputTokenEstimate);
+      costTracker.addInputTokens(agentProvider, usage.inputTokens, stepModel);
+      costTracker.addOutputTokens(agentProvider, usage.outputTokens - streamedOutputTokens, stepModel);
+      stepUsage = usage;
 
       if (response.length === 0) {
         console.warn(`⚠️ Empty response received from ${agentProvider}`);
@@ -562,6 +641,42 @@ I'll implement this with clean, maintainable code following best practices for a
       }
     }
   );
+
+  // Transcript details for the collaboration run (one step per call, covering all retries)
+  const stepStartedAt = Date.now();
+  const stepModel = modelId || client.defaultModel || providerRegistry.get(agentProvider)?.defaultModel || null;
+  const stepInputTokens = estimateTokenCount(prompt.systemPrompt + prompt.userPrompt, agentProvider, stepModel);
+
+  try {
+    const response = await runWithRetry();
+    await recordStep(redisChannel, {
+      phase,
+      agent: agentProvider,
+      model: stepModel,
+      systemPrompt: prompt.systemPrompt,
+      userPrompt: prompt.userPrompt,
+      output: response,
+      inputTokens: stepUsage ? stepUsage.inputTokens : stepInputTokens,
+      outputTokens: stepUsage ? stepUsage.outputTokens : estimateTokenCount(response, agentProvider, stepModel),
+      tokenSource: stepUsage ? stepUsage.source : 'estimate',
+      startedAt: stepStartedAt,
+      pricing: client.pricing
+    });
+    return response;
+  } catch (error) {
+    await recordStep(redisChannel, {
+      phase,
+      agent: agentProvider,
+      model: stepModel,
+      systemPrompt: prompt.systemPrompt,
+      userPrompt: prompt.userPrompt,
+      error: error.message,
+      inputTokens: stepInputTokens,
+      startedAt: stepStartedAt,
+      pricing: client.pricing
+    });
+    throw error;
+  }
 }
 
 // Helper function to get default model based on provider
@@ -1,12 +1,10 @@
 /**
  * AI Client Factory
  * Creates AI clients with user-provided or system API keys
- * Version: 1.0.0
+ * Version: 2.0.0
  */
 
-import { Anthropic } from '@anthropic-ai/sdk';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
+import providerRegistry, { parseCustomAgentName, toCustomAgentName } from './providers/index.mjs';
 import apiKeyService from '../../services/apiKeyService.mjs';
 
 class AIClientFactory {
@@ -24,16 +22,7 @@ class AIClientFactory {
     console.log(`  - provider (input): ${provider}`);
     
     // Normalize provider names to match database schema
-    const providerMap = {
-      'claude': 'anthropic',
-      'gemini': 'google',
-      'chatgpt': 'openai',
-      'grok': 'grok',
-      'deepseek': 'deepseek',
-      'llama': 'llama'
-    };
-    
-    const normalizedProvider = providerMap[provider] || provider;
+    const normalizedProvider = providerRegistry.resolveId(provider) || provider;
     console.log(`  - provider (normalized): ${normalizedProvider}`);
     
     const cacheKey = `${userId || 'system'}-${provider}`;
@@ -45,6 +34,18 @@ class AIClientFactory {
       return cached.client;
     }
 
+    // User-registered OpenAI-compatible endpoints carry their own base URL and key
+    if (providerRegistry.isNamespaced(provider)) {
+      const client = await this.createCustomEndpointClient(userId, provider);
+      this.clientCache.set(cacheKey, {
+        client,
+        timestamp: Date.now(),
+        source: 'user'
+      });
+      console.log(`  💾 Cached custom endpoint client for ${cacheKey}`);
+      return client;
+    }
+
     // Get API key using normalized provider name for database lookup
     console.log(`  🔍 Looking up API key for normalized provider: ${normalizedProvider}`);
     const apiKeyInfo = await apiKeyService.getApiKey(userId, normalizedProvider);
@@ -55,8 +56,7 @@ class AIClientFactory {
 
     console.log(`  ✅ Found API key (source: ${apiKeyInfo.source})`);
 
-    // Create client (createClient will normalize again, but that's OK)
-    const client = await this.createClient(provider, apiKeyInfo.key);
+    const client = await this.createClient(normalizedProvider, apiKeyInfo.key);
     
     // Cache it
     this.clientCache.set(cacheKey, {
@@ -73,60 +73,35 @@ class AIClientFactory {
    * Create a client for a specific provider
    */
   async createClient(provider, apiKey) {
-    // Normalize provider names to match database schema
-    const providerMap = {
-      'claude': 'anthropic',
-      'gemini': 'google',
-      'chatgpt': 'openai',
-      'grok': 'grok',
-      'deepseek': 'deepseek',
-      'llama': 'llama'
-    };
-    
-    const normalizedProvider = providerMap[provider] || provider;
-    console.log(`🔄 ClientFactory: Mapping provider '${provider}' to '${normalizedProvider}'`);
-    
-    switch (normalizedProvider) {
-      case 'anthropic':
-        return new Anthropic({ 
-          apiKey,
-          timeout: 600000 // 10 minutes
-        });
-
-      case 'google':
-        return new GoogleGenerativeAI(apiKey);
-
-      case 'openai':
-      case 'chatgpt':
-        return new OpenAI({ 
-          apiKey,
-          timeout: 600000
-        });
-
-      case 'grok':
-        return new OpenAI({
-          apiKey,
-          baseURL: 'https://api.x.ai/v1',
-          timeout: 600000
-        });
-
-      case 'deepseek':
-        return new OpenAI({
-          apiKey,
-          baseURL: 'https://api.deepseek.com/v1',
-          timeout: 600000
-        });
-
-      case 'llama':
-        return new OpenAI({
-          apiKey,
-          baseURL: process.env.LLAMA_API_BASE_URL || 'https://api.llama.com/v1',
-          timeout: 600000
-        });
-
-      default:
-        throw new Error(`Unknown provider: ${normalizedProvider}`);
+    const adapter = providerRegistry.get(provider);
+    if (!adapter) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+    console.log(`🔄 ClientFactory: Mapping provider '${provider}' to '${adapter.id}'`);
+
+    // Attach getResponse so user-keyed clients work with every collaboration path
+    return providerRegistry.decorateClient(adapter.id, adapter.createClient(apiKey));
+  }
+
+  /**
+   * Create a client for one of the user's custom endpoints ('custom:<slug>')
+   */
+  async createCustomEndpointClient(userId, agentName) {
+    const slug = parseCustomAgentName(agentName);
+    const endpoint = slug ? await apiKeyService.getCustomEndpoint(userId, slug) : null;
+    if (!endpoint) {
+      console.log(`  ❌ No custom endpoint '${slug}' registered for user ${userId}`);
+      throw new Error(`No custom endpoint registered for ${agentName}`);
     }
+
+    const adapter = providerRegistry.get(agentName);
+    const client = adapter.createClient(endpoint.apiKey, { baseURL: endpoint.baseURL });
+    client.defaultModel = endpoint.defaultModel;
+    client.pricing = endpoint.pricing;
+    client.displayName = endpoint.name;
+    console.log(`🔄 ClientFactory: Created custom endpoint client '${agentName}' for ${endpoint.baseURL}`);
+
+    return providerRegistry.decorateClient(agentName, client);
   }
 
   /**
@@ -134,17 +109,11 @@ class AIClientFactory {
    */
   async isProviderAvailable(userId, provider) {
     try {
-      // Normalize provider names to match database schema
-      const providerMap = {
-        'claude': 'anthropic',
-        'gemini': 'google',
-        'chatgpt': 'openai',
-        'grok': 'grok',
-        'deepseek': 'deepseek',
-        'llama': 'llama'
-      };
-      
-      const normalizedProvider = providerMap[provider] || provider;
+      if (providerRegistry.isNamespaced(provider)) {
+        const slug = parseCustomAgentName(provider);
+        return !!(slug && await apiKeyService.getCustomEndpoint(userId, slug));
+      }
+      const normalizedProvider = providerRegistry.resolveId(provider) || provider;
       const apiKeyInfo = await apiKeyService.getApiKey(userId, normalizedProvider);
       return apiKeyInfo !== null;
     } catch (error) {
@@ -157,17 +126,19 @@ class AIClientFactory {
    * Get availability status for all providers for a user
    */
   async getAvailability(userId) {
-    const providers = ['anthropic', 'google', 'openai', 'grok', 'deepseek', 'llama'];
     const availability = {};
 
-    for (const provider of providers) {
-      availability[provider] = await this.isProviderAvailable(userId, provider);
+    for (const adapter of providerRegistry.list()) {
+      availability[adapter.id] = await this.isProviderAvailable(userId, adapter.id);
+      // Map variations (claude, gemini, chatgpt, ...)
+      availability[adapter.agentName] = availability[adapter.id];
     }
 
-    // Map variations
-    availability.chatgpt = availability.openai;
-    availability.claude = availability.anthropic;
-    availability.gemini = availability.google;
+    // The user's custom endpoints are always usable once registered
+    const customEndpoints = await apiKeyService.getCustomEndpoints(userId);
+    for (const endpoint of customEndpoints) {
+      availability[toCustomAgentName(endpoint.slug)] = true;
+    }
 
     return availability;
   }
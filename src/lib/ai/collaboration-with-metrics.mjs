@@ -5,7 +5,6 @@
 
 import { runCollab as originalRunCollab } from './collaboration.mjs';
 import metricsService from '../../services/metricsService.mjs';
-import apiKeyService from '../../services/apiKeyService.mjs';
 import clientFactory from './clientFactory.mjs';
 
 /**
@@ -44,15 +43,7 @@ export async function runCollab(options) {
             console.error('Error recording metrics:', metricsError);
             // Don't throw - we don't want metrics failures to affect the main operation
         }
-        
-        // Update usage statistics
-        if (userId && result?.totalCost) {
-            try {
-                await apiKeyService.updateUsageStats(userId, result.totalCost, result.totalTokens);
-            } catch (usageError) {
-                console.error('Error updating usage stats:', usageError);
-            }
-        }
+        // Usage statistics are updated per call from the usage ledger (budgetService)
     }
     
     return result;
@@ -5,13 +5,29 @@
  */
 
 import { clients, availability, agentClients } from './index.mjs';
-import { getClient } from './index.mjs';
+import { getClient, providerRegistry } from './index.mjs';
 import clientFactory from './clientFactory.mjs';
-import { DEFAULT_CLAUDE_MODEL } from './claude.mjs';
-import { DEFAULT_GEMINI_MODEL } from './gemini.mjs';
 import { publishEvent, subscribeToChannel } from '../messaging/redis.mjs';
 import { securityGuard } from '../security/promptGuard.mjs';
-import { estimateCost, trackUsage } from './costControl.mjs';
+import { estimateCollaborationCost } from './costEstimator.mjs';
+import { countTokens, resolveUsage } from './tokenizer.mjs';
+import { appendAttachments, registerSessionRetrieval, withRetrievedSources } from '../attachments.mjs';
+import { registerSessionTools } from '../mcp/tools.mjs';
+import { getToolSession, runToolLoop } from './toolLoop.mjs';
+import * as collaborationRuns from '../../services/collaborationRunService.mjs';
+import { resolveWorkflowMode } from '../../services/workflowService.mjs';
+import { isWorkflowMode, runWorkflow } from './workflows/index.mjs';
+import {
+  buildRolePlanningInstructions,
+  parseRoleProposal,
+  withDefaultRoles,
+  seatExpertPanel,
+  reviewExpertRoles
+} from './expertRoles.mjs';
+import { getUserEntitlements, checkRunEntitlements, getDailySpend, checkDailySpend } from '../billing/entitlements.mjs';
+import { checkBudgets } from '../../services/budgetService.mjs';
+import { resolveDebateSettings, buildScorecardInstructions, parseScorecard, formatScorecard } from './debate.mjs';
+import { buildVoteInstructions, collectStructuredVote, tallyVotes, formatVotes } from './structuredVote.mjs';
 
 // Constants
 const DEFAULT_TIMEOUT_SECONDS = 600; // 10 minutes - for complex prompts that can take 5-10 minutes
@@ -60,41 +76,36 @@ const collaborationConfig = {
   },
   currentStyle: "balanced",
   mode: "individual", // Default to individual mode (no collaboration between AIs)
-  collaborationOrder: ["claude", "gemini", "chatgpt", "grok", "deepseek", "llama"]
+  collaborationOrder: providerRegistry.agentNames() // claude, gemini, chatgpt, grok, deepseek, llama + configured providers
 };
 
-// Provider-specific prompt templates
-const SYSTEM_PROMPTS = {
-  claude: {
-    base: "You are Claude, a helpful, honest, and harmless AI assistant from Anthropic.",
-    agent: "You are Claude, participating in a multi-model AI collaboration. You are known for thoughtfulness, nuance, and detail."
-  },
-  gemini: {
-    base: "You are Gemini, a helpful AI assistant from Google.",
-    agent: "You are Gemini, participating in a multi-model AI collaboration. You are known for reasoning and problem-solving capabilities."
-  },
-  chatgpt: {
-    base: "You are ChatGPT, a helpful AI assistant from OpenAI.",
-    agent: "You are ChatGPT, participating in a multi-model AI collaboration. You are known for your broad knowledge and helpful responses."
-  },
-  grok: {
-    base: "You are Grok, a helpful AI assistant from xAI with a witty personality.",
-    agent: "You are Grok, participating in a multi-model AI collaboration. You are known for witty, creative thinking and unconventional solutions."
-  },
-  deepseek: {
-    base: "You are DeepSeek, a helpful AI assistant focused on advanced reasoning.",
-    agent: "You are DeepSeek, participating in a multi-model AI collaboration. You are known for thoroughness and advanced reasoning capabilities."
-  },
-  llama: {
-    base: "You are Llama, a helpful open-source AI assistant.",
-    agent: "You are Llama, participating in a multi-model AI collaboration. You are known for your straightforward, helpful responses."
-  },
-};
+// Clients for each running collaboration, keyed by its event channel. Lets getAgentResponse
+// use the requesting user's own keys and custom endpoints in every mode.
+const sessionClients = new Map();
+
+/**
+ * Makes a client map available to getAgentResponse for the lifetime of a collaboration
+ * @param {string} redisChannel - The collaboration's event channel ('collab:<sessionId>')
+ * @param {Object} clientMap - Agent name -> client
+ * @returns {Function} Call to release the clients when the collaboration ends
+ */
+export function registerSessionClients(redisChannel, clientMap) {
+  sessionClients.set(redisChannel, clientMap || {});
+  return () => sessionClients.delete(redisChannel);
+}
+
+// Provider-specific prompt templates are declared by each provider adapter
+function getSystemPrompts(agentProvider) {
+  return providerRegistry.get(agentProvider)?.systemPrompts || null;
+}
 
 /**
  * Main collaboration function exposed to API
  * @param {Object} options - Collaboration options
  * @param {string} options.prompt - User's prompt/question
+ * @param {string} [options.attachmentContext] - Formatted file attachments (lib/attachments.mjs)
+ * @param {Array} [options.retrievedSources] - Passages retrieved from the conversation's files,
+ *   added to each agent's prompts within its context budget
  * @param {string} options.mode - Collaboration mode (default: 'round_table')
  * @param {Array<string>} options.agents - List of agent provider names
  * @param {number} options.costCapDollars - Maximum cost cap in USD (default: 1.0)
@@ -147,21 +158,28 @@ async function originalRunCollab(options) {
     }
   }
   
-  // Security check on prompt
-  var sanitizedPrompt = securityGuard.sanitizePrompt(prompt);
+  // Security check on prompt; attached files are added afterwards with their formatting intact
+  var sanitizedPrompt = appendAttachments(securityGuard.sanitizePrompt(prompt), options.attachmentContext);
   
-  // Estimate initial cost
-  var estimatedCost = estimateCost({
+  // Estimate the cost from the mode's phases; abort only if even the low bound is over
+  // the cap, otherwise the cost tracker stops the run if it gets there
+  var estimate = estimateCollaborationCost({
+    prompt: sanitizedPrompt,
+    retrievedSources: options.retrievedSources,
+    mode: mode,
     agents: availableAgents,
-    promptLength: sanitizedPrompt.length,
-    mode: mode
+    models: options.models,
+    workflow: options.workflow,
+    debate: options.debate,
+    clients: options.clients
   });
   
-  if (estimatedCost > costCapDollars) {
+  if (estimate.low.costUSD > costCapDollars) {
     return {
       final: "Collaboration aborted: estimated cost exceeds budget cap.",
-      rationale: "The estimated cost of " + estimatedCost.toFixed(2) + " exceeds the budget cap of $" + costCapDollars.toFixed(2) + ".",
-      spentUSD: 0
+      rationale: "The estimated cost of $" + estimate.low.costUSD.toFixed(2) + "-$" + estimate.high.costUSD.toFixed(2) + " exceeds the budget cap of $" + costCapDollars.toFixed(2) + ".",
+      spentUSD: 0,
+      estimate: estimate
     };
   }
   
@@ -172,7 +190,7 @@ async function originalRunCollab(options) {
   }, maxSeconds * 1000);
   
   // Setup cost tracking with safeguards
-  const { initializeSession } = await import('./costControl.mjs');
+  const { initializeSession } = await import('../billing/costControl.mjs');
   var costTracker = initializeSession(sessionId, costCapDollars);
   
   // Ensure costTracker has required methods
@@ -188,6 +206,9 @@ async function originalRunCollab(options) {
   
   // Setup Redis channel for streaming
   var redisChannel = 'collab:' + sessionId;
+  var releaseSessionClients = registerSessionClients(redisChannel, options.clients);
+  var releaseSessionRetrieval = registerSessionRetrieval(redisChannel, options.retrievedSources);
+  var releaseSessionTools = await registerSessionTools(redisChannel, { token: options.mcpContextToken, userId: userId, sessionId: sessionId });
   
   try {
     var result;
@@ -320,6 +341,16 @@ async function originalRunCollab(options) {
           options
         );
         break;
+      case 'workflow': // Declarative workflow resolved by handleCollaborativeDiscussion
+        result = await executeWorkflowCollaboration(
+          sanitizedPrompt, 
+          availableAgents, 
+          redisChannel, 
+          timeoutController.signal, 
+          costTracker,
+          options
+        );
+        break;
       default:
         // Default to individual if an unknown mode is specified
         result = await executeIndividualResponses(
@@ -361,6 +392,9 @@ async function originalRunCollab(options) {
     }
   } finally {
     clearTimeout(timeoutId);
+    releaseSessionClients();
+    releaseSessionRetrieval();
+    releaseSessionTools();
     // Ensure any streaming or resources are properly closed
     publishEvent(redisChannel, {
       type: 'collaboration_complete',
@@ -435,7 +469,7 @@ async function executeRoundTableCollaboration(prompt, agents, redisChannel, abor
     console.log(`🤖 Agent ${agent} starting initial draft...`);
     try {
       // Check if we have the client for this agent
-      const client = getClient(agent);
+      const client = sessionClients.get(redisChannel)?.[agent] || getClient(agent);
       if (!client) {
         console.error(`❌ Client for ${agent} not found or not initialized`);
         initialDrafts.push({
@@ -616,11 +650,17 @@ async function executeRoundTableCollaboration(prompt, agents, redisChannel, abor
   });
   
   var votes = [];
+  var voteCandidates = initialDrafts.filter(function(draft) {
+    return !draft.error;
+  }).map(function(draft) {
+    return draft.agent;
+  });
+  
   for (var j = 0; j < agents.length; j++) {
     var voter = agents[j];
     
     // Skip agents that failed to produce a draft
-    if (initialDrafts.find(function(draft) { return draft.agent === voter; }).error) {
+    if (!voteCandidates.includes(voter)) {
       continue;
     }
     
@@ -647,30 +687,11 @@ async function executeRoundTableCollaboration(prompt, agents, redisChannel, abor
         "\n\nDRAFTS:\n" + draftsForVoting + 
         "\n\nCRITIQUES:\n" + critiquesText,
         voter,
-        'Based on all drafts and critiques, vote for which draft offers the best starting point for a final answer. Explain your reasoning.'
+        'Based on all drafts and critiques, vote for which draft offers the best starting point for a final answer. Candidates are named by the agent that wrote the draft.\n\n' +
+        buildVoteInstructions(voteCandidates)
       );
       
-      var voteResponse = await getAgentResponse(voter, votePrompt, 'vote', redisChannel, abortSignal, costTracker);
-      
-      // Attempt to extract the voted-for agent
-      var votedForAgent = agents.find(function(a) {
-        var regex = new RegExp(`\\b${a}\\b`, 'i');
-        return regex.test(voteResponse.split('\n')[0]);
-      }) || extractVotedAgent(voteResponse, agents);
-      
-      votes.push({
-        voter: voter,
-        votedFor: votedForAgent,
-        reasoning: voteResponse
-      });
-      
-      publishEvent(redisChannel, {
-        type: 'agent_vote',
-        agent: voter,
-        vote: votedForAgent,
-        reasoning: voteResponse,
-        timestamp: new Date().toISOString()
-      });
+      votes.push(await castStructuredVote(voter, voteCandidates, votePrompt, 'vote', redisChannel, abortSignal, costTracker, models[voter] && models[voter][0]));
     } catch (error) {
       console.error(`Error getting vote from ${voter}:`, error);
       // Continue with other agents even if one fails
@@ -682,21 +703,9 @@ async function executeRoundTableCollaboration(prompt, agents, redisChannel, abor
     }
   }
   
-  // Count votes to find the winning draft
-  var voteCounts = {};
-  agents.forEach(function(agent) {
-    voteCounts[agent] = 0;
-  });
-  
-  votes.forEach(function(vote) {
-    if (vote.votedFor && voteCounts[vote.votedFor] !== undefined) {
-      voteCounts[vote.votedFor]++;
-    }
-  });
-  
-  var leadAgent = Object.keys(voteCounts).reduce(function(a, b) {
-    return voteCounts[a] > voteCounts[b] ? a : b;
-  }, agents[0]);
+  // The draft with the most votes leads; without any valid ballot, the first agent does
+  var voteTally = publishVoteTally(redisChannel, 'vote', votes, voteCandidates);
+  var leadAgent = voteTally.winner || agents[0];
   
   /**
  * Finds the agent with the highest token limit based on model type
@@ -822,9 +831,7 @@ async function getAgentWithHighestTokenLimit(agents, models = {}, userId = null)
     return `${draft.agent.toUpperCase()}'s DRAFT:\n${draft.content}\n`;
   }).join('\n');
   
-  var votesText = votes.map(function(vote) {
-    return `${vote.voter.toUpperCase()}'s VOTE: ${vote.votedFor || 'Unclear'}\nReasoning: ${vote.reasoning}\n`;
-  }).join('\n');
+  var votesText = formatVotes(votes);
   
   var synthesisPrompt = constructPrompt(
     prompt + 
@@ -873,7 +880,8 @@ async function getAgentWithHighestTokenLimit(agents, models = {}, userId = null)
     summarizerAgent: summarizerAgent,
     drafts: initialDrafts,
     critiques: critiques,
-    votes: votes
+    votes: votes,
+    voteTally: voteTally
   };
   
   return result;
@@ -1178,6 +1186,8 @@ async function executeValidatedConsensus(prompt, agents, redisChannel, abortSign
   
   console.log(`Starting validated consensus mode with ${agents.length} agents`);
   const userId = options.userId || null;
+  const models = options.models || {};
+  const modelFor = agent => (models[agent] && models[agent][0]) || null;
   
   // Assign roles: first 2 agents as co-drafters, rest as verifiers
   var drafterAgents = agents.slice(0, 2);
@@ -1263,10 +1273,53 @@ async function executeValidatedConsensus(prompt, agents, redisChannel, abortSign
   
   // Merge drafts (use first drafter if only one succeeded)
   var initialDraft;
+  var draftVotes = [];
+  var draftTally = null;
   
   if (validDrafts.length === 1) {
     initialDraft = validDrafts[0].content;
   } else {
+    // The verifiers vote on which draft is more accurate; the merge builds on the winner
+    publishEvent(redisChannel, {
+      type: 'phase_start',
+      phase: 'draft_vote',
+      timestamp: new Date().toISOString()
+    });
+    
+    var draftCandidates = validDrafts.map(function(draft) { return draft.agent; });
+    var draftsForVoting = validDrafts.map(function(draft) {
+      return `${draft.agent.toUpperCase()}'S DRAFT:\n${draft.content}\n`;
+    }).join('\n');
+    
+    draftVotes = await Promise.all(verifierAgents.map(async function(agent) {
+      publishEvent(redisChannel, {
+        type: 'agent_thinking',
+        agent: agent,
+        phase: 'draft_vote',
+        timestamp: new Date().toISOString()
+      });
+      
+      var votePrompt = constructPrompt(
+        prompt + "\n\nDRAFTS:\n" + draftsForVoting,
+        agent,
+        'You are a fact-checker. Vote for the draft that is the more factually accurate and better supported. Candidates are named by the agent that wrote the draft.\n\n' +
+        buildVoteInstructions(draftCandidates)
+      );
+      
+      try {
+        return await castStructuredVote(agent, draftCandidates, votePrompt, 'draft_vote', redisChannel, abortSignal, costTracker, modelFor(agent));
+      } catch (error) {
+        console.error(`Error getting draft vote from ${agent}:`, error);
+        return { voter: agent, votedFor: null, error: true };
+      }
+    }));
+    
+    if (costTracker.shouldAbort()) {
+      throw new Error('CostLimitExceededError');
+    }
+    
+    draftTally = publishVoteTally(redisChannel, 'draft_vote', draftVotes, draftCandidates);
+    
     // Use a third agent (first verifier) to merge, if available
     var mergerAgent = verifierAgents[0] || drafterAgents[0];
     
@@ -1284,7 +1337,10 @@ async function executeValidatedConsensus(prompt, agents, redisChannel, abortSign
     var mergePrompt = constructPrompt(
       prompt + "\n\nDRAFTS TO MERGE:\n" + draftsText,
       mergerAgent,
-      'Combine these drafts into a single coherent answer. Preserve facts and insights from both. Identify any contradictions and resolve them by selecting the most accurate information.'
+      'Combine these drafts into a single coherent answer. Preserve facts and insights from both. Identify any contradictions and resolve them by selecting the most accurate information.' +
+      (draftTally.winner
+        ? ` The fact-checkers judged ${draftTally.winner.toUpperCase()}'S DRAFT the more accurate, so use it as the base and where the drafts conflict prefer it unless the other draft is clearly better supported.`
+        : '')
     );
     
     initialDraft = await getAgentResponse(mergerAgent, mergePrompt, 'merge', redisChannel, abortSignal, costTracker);
@@ -1582,6 +1638,8 @@ async function executeValidatedConsensus(prompt, agents, redisChannel, abortSign
     answer: finalResponse,
     rationale: finalRationale,
     drafts: drafts,
+    draftVotes: draftVotes.filter(function(vote) { return !vote.error; }),
+    draftTally: draftTally,
     verifications: validVerifications,
     verified: !issuesFound
   };
@@ -1921,6 +1979,8 @@ async function executeCreativeBrainstormSwarm(prompt, agents, redisChannel, abor
  */
 async function executeHybridGuardedBraintrust(prompt, agents, redisChannel, abortSignal, costTracker, options = {}) {
   const userId = options.userId || null;
+  const models = options.models || {};
+  const modelFor = agent => (models[agent] && models[agent][0]) || null;
   
   // Turn 1: Creative Ideation (borrowing from creative_brainstorm_swarm)
   publishEvent(redisChannel, {
@@ -2073,6 +2133,57 @@ async function executeHybridGuardedBraintrust(prompt, agents, redisChannel, abor
   });
   
   // Turn 3: Rank & Elaborate (final selection based on combined score)
+  // The ranker and validators vote on whose ideas should be developed, with the
+  // ranking and the validations in view
+  publishEvent(redisChannel, {
+    type: 'phase_start',
+    phase: 'idea_vote',
+    timestamp: new Date().toISOString()
+  });
+  
+  var ideaCandidates = validRawIdeas.map(function(idea) { return idea.agent; });
+  var ideaVoters = Array.from(new Set([rankerAgent].concat(validValidations.map(function(validation) {
+    return validation.agent;
+  }))));
+  var reviewText = "\n\nALL GENERATED IDEAS:\n" + allIdeasText +
+    "\n\nRANKED IDEAS:\n" + rankingResponse +
+    "\n\nVALIDATIONS:\n" + validValidations.map(function(validation) {
+      return `${validation.agent.toUpperCase()}'S VALIDATION:\n${validation.content}\n`;
+    }).join('\n');
+  
+  var ideaVotes = await Promise.all(ideaVoters.map(async function(agent) {
+    // Agents do not vote for their own ideas unless there is nothing else to choose between
+    var others = ideaCandidates.filter(function(candidate) { return candidate !== agent; });
+    var candidates = others.length >= 2 ? others : ideaCandidates;
+    
+    publishEvent(redisChannel, {
+      type: 'agent_thinking',
+      agent: agent,
+      phase: 'idea_vote',
+      timestamp: new Date().toISOString()
+    });
+    
+    var votePrompt = constructPrompt(
+      prompt + reviewText,
+      agent,
+      'Vote for the agent whose ideas, as ranked and validated above, give the best answer to the user\'s original question. Weigh feasibility and factual soundness as much as originality.\n\n' +
+      buildVoteInstructions(candidates)
+    );
+    
+    try {
+      return await castStructuredVote(agent, candidates, votePrompt, 'idea_vote', redisChannel, abortSignal, costTracker, modelFor(agent));
+    } catch (error) {
+      console.error(`Error getting idea vote from ${agent}:`, error);
+      return { voter: agent, votedFor: null, error: true };
+    }
+  }));
+  
+  if (costTracker.shouldAbort()) {
+    throw new Error('CostLimitExceededError');
+  }
+  
+  var ideaTally = publishVoteTally(redisChannel, 'idea_vote', ideaVotes, ideaCandidates);
+  
   publishEvent(redisChannel, {
     type: 'phase_start',
     phase: 'final_elaboration',
@@ -2122,9 +2233,11 @@ async function executeHybridGuardedBraintrust(prompt, agents, redisChannel, abor
   var elaborationPrompt = constructPrompt(
     prompt + 
     "\n\nRANKED IDEAS:\n" + rankingResponse + 
-    "\n\nVALIDATIONS:\n" + validationsText,
+    "\n\nVALIDATIONS:\n" + validationsText +
+    "\n\nVOTES:\n" + formatVotes(ideaVotes) +
+    (ideaTally.winner ? `\n\nThe vote favored ${ideaTally.winner.toUpperCase()}'S IDEAS.` : ''),
     elaboratorAgent,
-    'You are creating the final answer. Based on the validations, identify the best idea that answers the user\'s original question. Develop this into a comprehensive response ABOUT WHAT THEY ASKED. If they asked about food, give a detailed food answer. If they asked about travel, give travel details. Include creative elements but stay focused on their actual topic. Do NOT discuss collaboration processes unless that was their question.'
+    'You are creating the final answer. Based on the validations and the vote, identify the best idea that answers the user\'s original question. Develop this into a comprehensive response ABOUT WHAT THEY ASKED. If they asked about food, give a detailed food answer. If they asked about travel, give travel details. Include creative elements but stay focused on their actual topic. Do NOT discuss collaboration processes unless that was their question.'
   );
   
   var elaborationResponse;
@@ -2174,6 +2287,8 @@ async function executeHybridGuardedBraintrust(prompt, agents, redisChannel, abor
       content: rankingResponse
     },
     validations: validValidations,
+    ideaVotes: ideaVotes.filter(function(vote) { return !vote.error; }),
+    ideaTally: ideaTally,
     elaborator: elaboratorAgent
   };
 }
@@ -2186,7 +2301,7 @@ async function executeHybridGuardedBraintrust(prompt, agents, redisChannel, abor
  * Construct a prompt for a specific agent with system instructions
  */
 function constructPrompt(userPrompt, agentProvider, instructions) {
-  var baseSystemPrompt = SYSTEM_PROMPTS[agentProvider]?.agent ||
+  var baseSystemPrompt = getSystemPrompts(agentProvider)?.agent ||
     "You are an AI assistant participating in a multi-model collaboration.";
 
   var systemPrompt = baseSystemPrompt;
@@ -2222,7 +2337,7 @@ Please provide your response focusing specifically on answering this question.`;
  */
 async function getAgentResponse(agentProvider, prompt, phase, redisChannel, abortSignal, costTracker, modelId = null) {
   console.log(`🚀 getAgentResponse starting for ${agentProvider}${modelId ? ` with model ${modelId}` : ''}`);
-  var client = getClient(agentProvider);
+  var client = sessionClients.get(redisChannel)?.[agentProvider] || getClient(agentProvider);
   
   if (!client) {
     console.error(`❌ ${agentProvider} client not available in getAgentResponse`);
@@ -2230,6 +2345,7 @@ async function getAgentResponse(agentProvider, prompt, phase, redisChannel, abor
   }
   
   console.log(`✅ ${agentProvider} client found`);
+  prompt = withRetrievedSources(redisChannel, agentProvider, prompt);
   
   // Check if the operation has been aborted
   if (abortSignal && abortSignal.aborted) {
@@ -2248,193 +2364,90 @@ async function getAgentResponse(agentProvider, prompt, phase, redisChannel, abor
   // Use the appropriate client function based on provider
   var responseParts = [];
   var response = '';
+  var resolvedModelId = modelId || client.defaultModel || null;
+  var startedAt = Date.now();
+  var reportedUsage = null;
+  var streamedOutputTokens = 0;
   
   try {
-    if (agentProvider === 'claude') {
-      // Use the explicitly provided model ID or fall back to the DEFAULT_CLAUDE_MODEL from claude.mjs
-      const claudeModelId = modelId || DEFAULT_CLAUDE_MODEL;
-      console.log(`🔄 Using Claude API for ${agentProvider} with model ${claudeModelId}`);
-      
-      try {
-        var claudeResponse = await clients.anthropic.messages.create({
-          model: claudeModelId, // Use proper versioned model ID
-          system: prompt.systemPrompt,
-          messages: [{
-            role: 'user',
-            content: prompt.userPrompt
-          }],
-          max_tokens: 1500,
-          stream: true
-        });
-        
-        console.log(`✅ Claude API call successful, processing stream...`);
-        
-        for await (const chunk of claudeResponse) {
-          if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
-            responseParts.push(chunk.delta.text);
-            
-            // Stream the chunk to Redis
-            publishEvent(redisChannel, {
-              type: 'agent_thought',
-              agent: agentProvider,
-              phase: phase,
-              text: chunk.delta.text,
-              timestamp: new Date().toISOString()
-            });
-            
-            // Track token usage
-            costTracker.addOutputTokens(agentProvider, estimateTokenCount(chunk.delta.text));
-            
-            // Check if we should abort
-            if (costTracker.shouldAbort()) {
-              console.warn(`⚠️ Cost limit exceeded during Claude streaming for ${agentProvider}`);
-              throw new Error('CostLimitExceededError');
-            }
-            
-            // Check if the operation has been aborted
-            if (abortSignal.aborted) {
-              console.warn(`⚠️ Operation aborted during Claude streaming for ${agentProvider}`);
-              throw new Error('AbortError');
-            }
+    const adapter = providerRegistry.get(agentProvider);
+    if (!adapter) {
+      throw new Error(`No provider adapter registered for ${agentProvider}`);
+    }
+
+    resolvedModelId = resolvedModelId || adapter.defaultModel;
+    console.log(`🔄 Using ${adapter.displayName} adapter for ${agentProvider} with model ${resolvedModelId}`);
+
+    // With an MCP context opened to the session, the agent may browse and propose edits first
+    var toolSession = getToolSession(redisChannel, adapter, prompt);
+    
+    try {
+      if (toolSession) {
+        const toolResult = await runToolLoop({
+          agent: agentProvider,
+          phase: phase,
+          redisChannel: redisChannel,
+          adapter: adapter,
+          client: client,
+          request: {
+            modelId: resolvedModelId,
+            systemPrompt: prompt.systemPrompt,
+            userPrompt: prompt.userPrompt,
+            temperature: 0.7
+          },
+          session: toolSession,
+          publishEvent: publishEvent,
+          checkpoint: function() {
+            if (abortSignal && abortSignal.aborted) throw new Error('AbortError');
+            if (costTracker.shouldAbort()) throw new Error('CostLimitExceededError');
           }
-        }
-      } catch (claudeError) {
-        console.error(`❌ Claude API error for ${agentProvider}:`, claudeError);
-        throw claudeError;
-      }
-    } else if (agentProvider === 'gemini') {
-      // Use the explicitly provided model ID or fall back to a properly versioned default
-      const geminiModelId = modelId || DEFAULT_GEMINI_MODEL;
-      console.log(`🔄 Using Gemini API for ${agentProvider} with model ${geminiModelId}`);
-      
-      try {
-        // Gemini model initialization
-        var geminiModel = clients.gemini.getGenerativeModel({
-          model: geminiModelId // Use proper versioned model ID
         });
-        
-        console.log(`✅ Gemini model initialized, preparing stream...`);
-        
-        // Configure streaming
-        var geminiResponse = await geminiModel.generateContentStream({
-          contents: [{
-            role: 'user',
-            parts: [{ text: prompt.systemPrompt + "\n\n" + prompt.userPrompt }]
-          }]
+        responseParts.push(toolResult.text);
+        reportedUsage = toolResult.usage;
+      } else {
+        const stream = adapter.stream(client, {
+          modelId: resolvedModelId,
+          systemPrompt: prompt.systemPrompt,
+          userPrompt: prompt.userPrompt,
+          temperature: 0.7,
+          responseFormat: prompt.responseFormat,
+          onUsage: function(usage) { reportedUsage = usage; }
         });
-        
-        console.log(`✅ Gemini API call successful, processing stream...`);
-        
-        for await (const chunk of geminiResponse.stream) {
-          // Extract text from chunk - it's a function that needs to be called
-          let chunkText = '';
-          if (typeof chunk.text === 'function') {
-            try {
-              chunkText = chunk.text();
-              // Check if we got a function definition instead of actual text
-              if (typeof chunkText === 'string' && chunkText.includes('() => {')) {
-                console.error(`❌ chunk.text() returned a function definition in Code Architect mode!`);
-                // Skip this problematic chunk
-                continue;
-              }
-            } catch (e) {
-              console.error(`❌ Error calling chunk.text():`, e.message);
-              continue;
-            }
-          } else if (chunk.text && typeof chunk.text === 'string') {
-            chunkText = chunk.text;
-          }
-          
-          if (chunkText) {
-            responseParts.push(chunkText);
-            
-            // Stream the chunk to Redis
-            publishEvent(redisChannel, {
-              type: 'agent_thought',
-              agent: agentProvider,
-              phase: phase,
-              text: chunkText,
-              timestamp: new Date().toISOString()
-            });
-            
-            // Track token usage
-            costTracker.addOutputTokens(agentProvider, estimateTokenCount(chunkText));
-            
-            // Check if we should abort
-            if (costTracker.shouldAbort()) {
-              console.warn(`⚠️ Cost limit exceeded during Gemini streaming for ${agentProvider}`);
-              throw new Error('CostLimitExceededError');
-            }
-            
-            // Check if the operation has been aborted
-            if (abortSignal.aborted) {
-              console.warn(`⚠️ Operation aborted during Gemini streaming for ${agentProvider}`);
-              throw new Error('AbortError');
-            }
+
+        for await (const text of stream) {
+          if (!text) continue;
+          responseParts.push(text);
+
+          // Stream the chunk to Redis
+          publishEvent(redisChannel, {
+            type: 'agent_thought',
+            agent: agentProvider,
+            phase: phase,
+            text: text,
+            timestamp: new Date().toISOString()
+          });
+
+          // Track token usage
+          var chunkTokens = countTokens(text, agentProvider, resolvedModelId);
+          streamedOutputTokens += chunkTokens;
+          costTracker.addOutputTokens(agentProvider, chunkTokens, resolvedModelId);
+
+          // Check if we should abort
+          if (costTracker.shouldAbort()) {
+            console.warn(`⚠️ Cost limit exceeded during streaming for ${agentProvider}`);
+            throw new Error('CostLimitExceededError');
           }
-        }
-      } catch (geminiError) {
-        console.error(`❌ Gemini API error for ${agentProvider}:`, geminiError);
-        throw geminiError;
-      }
-    } else {
-      // For other models (ChatGPT, Grok, DeepSeek, Llama), use the OpenAI-compatible client
-      console.log(`🔄 Using OpenAI-compatible API for ${agentProvider}`);
-      try {
-        var modelName = getDefaultModelForProvider(agentProvider);
-        console.log(`✅ Selected model for ${agentProvider}: ${modelName}`);
-        
-        var messages = [
-          { role: 'system', content: prompt.systemPrompt },
-          { role: 'user', content: prompt.userPrompt }
-        ];
-        
-        console.log(`📤 Preparing OpenAI-compatible call for ${agentProvider} with ${messages.length} messages`);
-        
-        var openaiCompatibleResponse = await client.chat.completions.create({
-          model: modelName,
-          messages: messages,
-          max_tokens: agentProvider === 'deepseek' ? 8000 : 4000,
-          stream: true,
-          temperature: 0.7
-        });
-        
-        console.log(`✅ OpenAI-compatible API call successful for ${agentProvider}, processing stream...`);
-        
-        for await (const chunk of openaiCompatibleResponse) {
-          if (chunk.choices && chunk.choices[0]?.delta?.content) {
-            var content = chunk.choices[0].delta.content;
-            responseParts.push(content);
-            
-            // Stream the chunk to Redis
-            publishEvent(redisChannel, {
-              type: 'agent_thought',
-              agent: agentProvider,
-              phase: phase,
-              text: content,
-              timestamp: new Date().toISOString()
-            });
-            
-            // Track token usage
-            costTracker.addOutputTokens(agentProvider, estimateTokenCount(content));
-            
-            // Check if we should abort
-            if (costTracker.shouldAbort()) {
-              console.warn(`⚠️ Cost limit exceeded during OpenAI-compatible streaming for ${agentProvider}`);
-              throw new Error('CostLimitExceededError');
-            }
-            
-            // Check if the operation has been aborted
-            if (abortSignal.aborted) {
-              console.warn(`⚠️ Operation aborted during OpenAI-compatible streaming for ${agentProvider}`);
-              throw new Error('AbortError');
-            }
+
+          // Check if the operation has been aborted
+          if (abortSignal && abortSignal.aborted) {
+            console.warn(`⚠️ Operation aborted during streaming for ${agentProvider}`);
+            throw new Error('AbortError');
           }
         }
-      } catch (openAIError) {
-        console.error(`❌ OpenAI-compatible API error for ${agentProvider}:`, openAIError);
-        throw openAIError;
       }
+    } catch (streamError) {
+      console.error(`❌ ${adapter.displayName} API error for ${agentProvider}:`, streamError);
+      throw streamError;
     }
     
     response = responseParts.join('');
@@ -2449,18 +2462,59 @@ async function getAgentResponse(agentProvider, prompt, phase, redisChannel, abor
       timestamp: new Date().toISOString()
     });
     
-    // Calculate approximate token counts for billing (more precise count available in API responses)
-    var inputTokenEstimate = estimateTokenCount(prompt.systemPrompt + prompt.userPrompt);
-    costTracker.addInputTokens(agentProvider, inputTokenEstimate);
+    // Bill the provider's own counts when it reported them; streamed chunks were charged as they arrived
+    var usage = resolveUsage(reportedUsage, {
+      provider: agentProvider,
+      model: resolvedModelId,
+      input: prompt.systemPrompt + prompt.userPrompt,
+      output: response
+    });
+    costTracker.addInputTokens(agentProvider, usage.inputTokens, resolvedModelId);
+    costTracker.addOutputTokens(agentProvider, usage.outputTokens - streamedOutputTokens, resolvedModelId);
     
     if (response.length === 0) {
       console.warn(`⚠️ Empty response received from ${agentProvider}`);
       throw new Error(`Empty response from ${agentProvider}`);
     }
     
+    await collaborationRuns.recordStep(redisChannel, {
+      phase: phase,
+      agent: agentProvider,
+      model: resolvedModelId,
+      systemPrompt: prompt.systemPrompt,
+      userPrompt: prompt.userPrompt,
+      output: response,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      tokenSource: usage.source,
+      startedAt: startedAt,
+      pricing: client.pricing
+    });
+    
     console.log(`🏁 getAgentResponse completed successfully for ${agentProvider}`);
     return response;
   } catch (error) {
+    var partialUsage = resolveUsage(reportedUsage, {
+      provider: agentProvider,
+      model: resolvedModelId,
+      input: prompt.systemPrompt + prompt.userPrompt,
+      output: responseParts.join('')
+    });
+    await collaborationRuns.recordStep(redisChannel, {
+      phase: phase,
+      agent: agentProvider,
+      model: resolvedModelId,
+      systemPrompt: prompt.systemPrompt,
+      userPrompt: prompt.userPrompt,
+      output: responseParts.join(''),
+      error: error.message,
+      inputTokens: partialUsage.inputTokens,
+      outputTokens: partialUsage.outputTokens,
+      tokenSource: partialUsage.source,
+      startedAt: startedAt,
+      pricing: client.pricing
+    });
+    
     if (error.message === 'AbortError' || error.name === 'AbortError') {
       console.error(`❌ Operation aborted for ${agentProvider}`);
       throw new Error('AbortError');
@@ -2482,27 +2536,54 @@ async function getAgentResponse(agentProvider, prompt, phase, redisChannel, abor
 }
 
 /**
- * Get the default model for a provider
+ * Collect one structured ballot from a voter and publish it as an agent_vote event.
+ * Malformed ballots are re-prompted; a voter that never returns a valid one abstains.
  */
-function getDefaultModelForProvider(provider) {
-  var modelMap = {
-    'claude': 'claude-4-sonnet-20250514',
-    'chatgpt': 'gpt-4.1',
-    'grok': 'grok-3-mini',
-    'deepseek': 'deepseek-chat',
-    'llama': 'Llama-4-Maverick-17B-128E-Instruct-FP8',
-    'gemini': 'gemini-2.5-pro-preview-05-06'
-  };
-
-  return modelMap[provider] || provider;
+async function castStructuredVote(voter, candidates, votePrompt, phase, redisChannel, abortSignal, costTracker, modelId = null) {
+  var vote = await collectStructuredVote({
+    voter: voter,
+    candidates: candidates,
+    prompt: votePrompt,
+    ask: function(attemptPrompt) {
+      return getAgentResponse(voter, attemptPrompt, phase, redisChannel, abortSignal, costTracker, modelId);
+    }
+  });
+  
+  publishEvent(redisChannel, {
+    type: 'agent_vote',
+    agent: voter,
+    phase: phase,
+    vote: vote.votedFor,
+    ranking: vote.ranking,
+    confidence: vote.confidence,
+    reasons: vote.reasons,
+    reasoning: vote.reasoning,
+    structured: vote.structured,
+    attempts: vote.attempts,
+    timestamp: new Date().toISOString()
+  });
+  
+  return vote;
 }
 
 /**
- * Estimate token count in a string (very approximate)
+ * Count the ballots of a voting phase and publish the result as a vote_tally event
  */
-function estimateTokenCount(text) {
-  // Simple approximation: average English tokens are ~4 characters
-  return Math.ceil(text.length / 4);
+function publishVoteTally(redisChannel, phase, votes, candidates) {
+  var tally = tallyVotes(votes, candidates);
+  
+  publishEvent(redisChannel, {
+    type: 'vote_tally',
+    phase: phase,
+    winner: tally.winner,
+    standings: tally.standings,
+    counts: tally.counts,
+    confidence: tally.confidence,
+    abstained: tally.abstained,
+    timestamp: new Date().toISOString()
+  });
+  
+  return tally;
 }
 
 /**
@@ -2563,6 +2644,31 @@ function determineMostReliableAgent(agents, chain) {
   }, agents[0]);
 }
 
+/**
+ * Workflow Mode
+ * Runs a declarative workflow definition (options.workflow) through the workflow interpreter
+ */
+async function executeWorkflowCollaboration(prompt, agents, redisChannel, abortSignal, costTracker, options = {}) {
+  if (!options.workflow) {
+    throw new Error('Workflow mode requires a workflow definition');
+  }
+
+  return runWorkflow(options.workflow, {
+    prompt: prompt,
+    agents: agents,
+    models: options.models || {},
+    redisChannel: redisChannel,
+    abortSignal: abortSignal,
+    costTracker: costTracker,
+    getAgentResponse: getAgentResponse,
+    constructPrompt: constructPrompt,
+    publishEvent: publishEvent,
+    extractVotedAgent: extractVotedAgent,
+    onModelStatusChange: options.onModelStatusChange,
+    variables: { styleDirective: options.styleDirective || '' }
+  });
+}
+
 /**
  * Individual Responses (No Collaboration)
  * Each AI responds independently
@@ -3008,166 +3114,191 @@ async function executeCodeArchitect(prompt, agents, redisChannel, abortSignal, c
 
 /**
  * Adversarial Debate Mode
- * Structured debate with pro/con analysis
+ * Structured debate: opening statements, options.debate.rounds rebuttal rounds, then a
+ * judge who takes no side scores both teams and writes the balanced synthesis
  */
 async function executeAdversarialDebate(prompt, agents, redisChannel, abortSignal, costTracker, options = {}) {
   const userId = options.userId || null;
-  // Need at least 2 agents for this mode
-  if (agents.length < 2) {
-    throw new Error("Adversarial Debate mode requires at least 2 agents");
-  }
+  // Two sides and a judge; throws if options.debate cannot be satisfied with these agents
+  const lineup = resolveDebateSettings(agents, options.debate);
+  const models = options.models || {};
+  const modelFor = agent => (models[agent] && models[agent][0]) || null;
+  const sideLabels = { pro: 'Affirmative', con: 'Opposing' };
   
   publishEvent(redisChannel, {
     type: 'phase_start',
     phase: 'adversarial_debate',
     timestamp: new Date().toISOString()
   });
-  
-  // Assign roles
-  var proponent = agents[0];
-  var opponent = agents[1];
-  var moderator = agents.length > 2 ? agents[2] : agents[0];
-  
-  // Phase 1: Initial positions
   publishEvent(redisChannel, {
-    type: 'phase_start',
-    phase: 'initial_positions',
-    timestamp: new Date().toISOString()
-  });
-  
-  // Proponent perspective
-  publishEvent(redisChannel, {
-    type: 'agent_thinking',
-    agent: proponent,
-    phase: 'proponent',
+    type: 'debate_lineup',
+    pro: lineup.pro,
+    con: lineup.con,
+    judge: lineup.judge,
+    rounds: lineup.rounds,
     timestamp: new Date().toISOString()
   });
+  console.log(`⚖️ Debate: ${lineup.pro.join(', ')} vs ${lineup.con.join(', ')}, judged by ${lineup.judge}, ${lineup.rounds} rebuttal round(s)`);
+  
+  // Every statement made so far: { side, agent, round (0 = opening), text }
+  var transcript = [];
+  var transcriptText = function() {
+    return transcript.map(function(turn) {
+      var stage = turn.round === 0 ? 'opening statement' : 'rebuttal, round ' + turn.round;
+      return `${sideLabels[turn.side].toUpperCase()} - ${stage} (${turn.agent}):\n${turn.text}`;
+    }).join('\n\n');
+  };
   
-  var proponentPrompt = constructPrompt(
-    prompt,
-    proponent,
-    'You are taking the AFFIRMATIVE position in this debate. Present the strongest, most convincing case for this position or approach. Focus on advantages, benefits, supporting evidence, and address potential objections.'
-  );
+  // One side speaks: its members answer in parallel, each seeing the debate so far
+  var argue = async function(side, round, phase, instructions) {
+    var team = lineup[side];
+    var context = transcript.length > 0
+      ? prompt + "\n\nDEBATE SO FAR:\n" + transcriptText()
+      : prompt;
+    
+    var turns = await Promise.all(team.map(async function(agent) {
+      var teammates = team.filter(function(member) { return member !== agent; });
+      var teamNote = teammates.length > 0
+        ? ` You argue alongside ${teammates.join(', ')}; contribute points they are unlikely to make rather than repeating the shared case.`
+        : '';
+      
+      publishEvent(redisChannel, {
+        type: 'agent_thinking',
+        agent: agent,
+        phase: phase,
+        timestamp: new Date().toISOString()
+      });
+      
+      try {
+        var text = await getAgentResponse(
+          agent,
+          constructPrompt(context, agent, instructions + teamNote),
+          phase,
+          redisChannel,
+          abortSignal,
+          costTracker,
+          modelFor(agent)
+        );
+        return { side: side, agent: agent, round: round, text: text };
+      } catch (error) {
+        if (error.message === 'AbortError' || error.message === 'CostLimitExceededError') throw error;
+        console.error(`Error from ${agent} in debate phase ${phase}:`, error.message);
+        return null;
+      }
+    }));
+    
+    turns = turns.filter(Boolean);
+    transcript.push(...turns);
+    
+    if (costTracker.shouldAbort()) {
+      throw new Error('CostLimitExceededError');
+    }
+    if (abortSignal.aborted) {
+      throw new Error('AbortError');
+    }
+    return turns;
+  };
   
-  var proArgument;
-  try {
-    proArgument = await getAgentResponse(
-      proponent,
-      proponentPrompt,
-      'proponent',
-      redisChannel,
-      abortSignal,
-      costTracker
-    );
-  } catch (error) {
-    console.error("Error in proponent phase:", error);
+  var failedPhase = function(phaseName) {
     return {
-      answer: "Failed during proponent phase.",
-      rationale: `Error: ${error.message}`,
-      proArgument: null,
-      conArgument: null,
-      rebuttal: null,
+      answer: `Failed during ${phaseName} phase.`,
+      rationale: `Error: no debater responded in the ${phaseName} phase.`,
+      lineup: lineup,
+      transcript: transcript,
+      scorecard: null,
       synthesis: null
     };
-  }
-  
-  // Check cost after proponent
-  if (costTracker.shouldAbort()) {
-    throw new Error('CostLimitExceededError');
-  }
+  };
   
-  // Opponent perspective
+  // Phase 1: Opening statements
   publishEvent(redisChannel, {
-    type: 'agent_thinking',
-    agent: opponent,
-    phase: 'opponent',
+    type: 'phase_start',
+    phase: 'initial_positions',
     timestamp: new Date().toISOString()
   });
   
-  var opponentPrompt = constructPrompt(
-    prompt + "\n\nOPPOSING VIEW TO ADDRESS:\n" + proArgument,
-    opponent,
-    'You are taking the OPPOSING position in this debate. Present the strongest, most convincing counterarguments against the proposed position or approach. Focus on limitations, drawbacks, risks, and alternative perspectives.'
-  );
+  var proOpening = await argue('pro', 0, 'proponent',
+    'You are taking the AFFIRMATIVE position in this debate. Present the strongest, most convincing case for this position or approach. Focus on advantages, benefits, supporting evidence, and address potential objections.');
+  if (proOpening.length === 0) return failedPhase('affirmative opening');
   
-  var conArgument;
-  try {
-    conArgument = await getAgentResponse(
-      opponent,
-      opponentPrompt,
-      'opponent',
-      redisChannel,
-      abortSignal,
-      costTracker
-    );
-  } catch (error) {
-    console.error("Error in opponent phase:", error);
-    return {
-      answer: "Failed during opponent phase.",
-      rationale: `Error: ${error.message}`,
-      proArgument: proArgument,
-      conArgument: null,
-      rebuttal: null,
-      synthesis: null
-    };
-  }
+  var conOpening = await argue('con', 0, 'opponent',
+    'You are taking the OPPOSING position in this debate. Present the strongest, most convincing counterarguments against the proposed position or approach. Focus on limitations, drawbacks, risks, and alternative perspectives.');
+  if (conOpening.length === 0) return failedPhase('opposing opening');
   
-  // Check cost after opponent
-  if (costTracker.shouldAbort()) {
-    throw new Error('CostLimitExceededError');
+  // Phase 2: Rebuttal rounds
+  for (var round = 1; round <= lineup.rounds; round++) {
+    publishEvent(redisChannel, {
+      type: 'phase_start',
+      phase: lineup.rounds > 1 ? `rebuttals_round_${round}` : 'rebuttals',
+      timestamp: new Date().toISOString()
+    });
+    
+    var proRebuttal = await argue('pro', round, 'rebuttal',
+      'You are on the AFFIRMATIVE side. Address the opposing side\'s latest counterarguments directly. Defend your position while acknowledging valid criticisms. Provide additional evidence or clarifications as needed.');
+    if (proRebuttal.length === 0) return failedPhase(`affirmative rebuttal (round ${round})`);
+    
+    var conRebuttal = await argue('con', round, 'counter_rebuttal',
+      'You are on the OPPOSING side. Respond directly to the affirmative side\'s latest arguments. Press on the weaknesses they have not answered while acknowledging valid points. Provide additional evidence or clarifications as needed.');
+    if (conRebuttal.length === 0) return failedPhase(`opposing rebuttal (round ${round})`);
   }
   
-  // Phase 2: Rebuttals
+  // Phase 3: Judging - the judge scores the debate without having argued in it
   publishEvent(redisChannel, {
     type: 'phase_start',
-    phase: 'rebuttals',
+    phase: 'judging',
     timestamp: new Date().toISOString()
   });
-  
-  // Proponent rebuttal
   publishEvent(redisChannel, {
     type: 'agent_thinking',
-    agent: proponent,
-    phase: 'rebuttal',
+    agent: lineup.judge,
+    phase: 'judging',
     timestamp: new Date().toISOString()
   });
   
-  var rebuttalPrompt = constructPrompt(
-    prompt + 
-    "\n\nYOUR INITIAL ARGUMENT:\n" + proArgument + 
-    "\n\nOPPONENT'S COUNTERARGUMENT:\n" + conArgument,
-    proponent,
-    'Address the opponent\'s counterarguments directly. Defend your position while acknowledging valid criticisms. Provide additional evidence or clarifications as needed.'
-  );
-  
-  var rebuttal;
+  var debateTranscript = transcriptText();
+  var scorecard = null;
   try {
-    rebuttal = await getAgentResponse(
-      proponent,
-      rebuttalPrompt,
-      'rebuttal',
+    var verdict = await getAgentResponse(
+      lineup.judge,
+      constructPrompt(prompt + "\n\nDEBATE TRANSCRIPT:\n" + debateTranscript, lineup.judge, buildScorecardInstructions()),
+      'judging',
       redisChannel,
       abortSignal,
-      costTracker
+      costTracker,
+      modelFor(lineup.judge)
     );
+    scorecard = parseScorecard(verdict);
+    if (!scorecard) {
+      console.warn(`⚠️ Could not read a scorecard from the judge (${lineup.judge}); continuing without one`);
+    }
   } catch (error) {
-    console.error("Error in rebuttal phase:", error);
-    return {
-      answer: "Failed during rebuttal phase.",
-      rationale: `Error: ${error.message}`,
-      proArgument: proArgument,
-      conArgument: conArgument,
-      rebuttal: null,
-      synthesis: null
-    };
+    if (error.message === 'AbortError' || error.message === 'CostLimitExceededError') throw error;
+    console.error("Error in judging phase:", error.message);
+  }
+  
+  if (scorecard) {
+    publishEvent(redisChannel, {
+      type: 'debate_scorecard',
+      judge: lineup.judge,
+      pro: lineup.pro,
+      con: lineup.con,
+      scorecard: scorecard,
+      timestamp: new Date().toISOString()
+    });
+    await collaborationRuns.recordScorecard(redisChannel, {
+      ...scorecard,
+      judge: lineup.judge,
+      pro: lineup.pro,
+      con: lineup.con,
+      rounds: lineup.rounds
+    });
   }
   
-  // Check cost after rebuttal
   if (costTracker.shouldAbort()) {
     throw new Error('CostLimitExceededError');
   }
   
-  // Phase 3: Synthesis and balanced conclusion
+  // Phase 4: Synthesis and balanced conclusion, written by the judge
   publishEvent(redisChannel, {
     type: 'phase_start',
     phase: 'synthesis',
@@ -3176,62 +3307,83 @@ async function executeAdversarialDebate(prompt, agents, redisChannel, abortSigna
   
   publishEvent(redisChannel, {
     type: 'agent_thinking',
-    agent: moderator,
+    agent: lineup.judge,
     phase: 'synthesis',
     timestamp: new Date().toISOString()
   });
   
   var synthesisPrompt = constructPrompt(
     prompt + 
-    "\n\nPRO POSITION:\n" + proArgument + 
-    "\n\nCON POSITION:\n" + conArgument + 
-    "\n\nREBUTTAL:\n" + rebuttal,
-    moderator,
-    'As a neutral moderator, synthesize the strongest arguments from both sides of this debate. Present a balanced conclusion that acknowledges trade-offs and identifies the contexts in which different approaches may be valid. Highlight areas of agreement and disagreement.'
+    "\n\nDEBATE TRANSCRIPT:\n" + debateTranscript +
+    (scorecard ? "\n\nYOUR SCORECARD:\n" + formatScorecard(scorecard, lineup) : ''),
+    lineup.judge,
+    'As the neutral judge, synthesize the strongest arguments from both sides of this debate. Present a balanced conclusion that acknowledges trade-offs and identifies the contexts in which different approaches may be valid. Highlight areas of agreement and disagreement.'
   );
   
   var synthesis;
   try {
     synthesis = await getAgentResponse(
-      moderator,
+      lineup.judge,
       synthesisPrompt,
       'synthesis',
       redisChannel,
       abortSignal,
-      costTracker
+      costTracker,
+      modelFor(lineup.judge)
     );
   } catch (error) {
     console.error("Error in synthesis phase:", error);
     return {
       answer: "Failed during synthesis phase.",
       rationale: `Error: ${error.message}`,
-      proArgument: proArgument,
-      conArgument: conArgument,
-      rebuttal: rebuttal,
+      lineup: lineup,
+      transcript: transcript,
+      scorecard: scorecard,
       synthesis: null
     };
   }
   
   // Compile final answer
+  var statements = function(turns) {
+    return turns.map(function(turn) {
+      return `### ${sideLabels[turn.side]} (${turn.agent})\n\n${turn.text}\n\n`;
+    }).join('');
+  };
+  
   var finalAnswer = "# Structured Debate Analysis\n\n";
-  finalAnswer += "## Pro Perspective\n\n" + proArgument + "\n\n";
-  finalAnswer += "## Con Perspective\n\n" + conArgument + "\n\n";
-  finalAnswer += "## Rebuttal\n\n" + rebuttal + "\n\n";
+  finalAnswer += "## Opening Statements\n\n" + statements(transcript.filter(function(turn) { return turn.round === 0; }));
+  for (var r = 1; r <= lineup.rounds; r++) {
+    var roundTurns = transcript.filter(function(turn) { return turn.round === r; });
+    finalAnswer += `## ${lineup.rounds > 1 ? `Rebuttals, Round ${r}` : 'Rebuttals'}\n\n` + statements(roundTurns);
+  }
+  if (scorecard) {
+    finalAnswer += `## Judge's Scorecard (${lineup.judge})\n\n` + formatScorecard(scorecard, lineup) + "\n\n";
+  }
   finalAnswer += "## Balanced Synthesis\n\n" + synthesis;
   
+  var firstTurn = function(side, round) {
+    var turn = transcript.find(function(entry) { return entry.side === side && entry.round === round; });
+    return turn ? turn.text : null;
+  };
+  
   return {
     answer: finalAnswer,
-    rationale: "Multi-perspective analysis through structured adversarial debate.",
-    proArgument: proArgument,
-    conArgument: conArgument,
-    rebuttal: rebuttal,
+    rationale: `Structured adversarial debate (${lineup.pro.join(', ')} vs ${lineup.con.join(', ')}, ${lineup.rounds} rebuttal round${lineup.rounds === 1 ? '' : 's'}) judged by ${lineup.judge}.`,
+    lineup: lineup,
+    transcript: transcript,
+    scorecard: scorecard,
+    proArgument: firstTurn('pro', 0),
+    conArgument: firstTurn('con', 0),
+    rebuttal: firstTurn('pro', lineup.rounds),
     synthesis: synthesis
   };
 }
 
 /**
  * Expert Panel Mode
- * Simulates diverse domain experts
+ * Simulates diverse domain experts. The first agent proposes the roles the prompt needs,
+ * the user may review them (options.reviewExpertRoles), and each role is seated with the
+ * agent that has the best historical ratings in its domain.
  */
 async function executeExpertPanel(prompt, agents, redisChannel, abortSignal, costTracker, options = {}) {
   const userId = options.userId || null;
@@ -3240,24 +3392,78 @@ async function executeExpertPanel(prompt, agents, redisChannel, abortSignal, cos
     throw new Error("Expert Panel mode works best with at least 3 agents");
   }
   
+  const models = options.models || {};
+  const modelFor = agent => (models[agent] && models[agent][0]) || null;
+  
   publishEvent(redisChannel, {
     type: 'phase_start',
     phase: 'expert_panel',
     timestamp: new Date().toISOString()
   });
   
-  // Define expert roles based on the prompt
-  // For simplicity, we'll use predefined roles, but in production this should
-  // dynamically identify required domains of expertise based on prompt analysis
-  var roles = [
-    { name: "Technical Expert", focus: "technical implementation, feasibility, and best practices" },
-    { name: "Business Strategist", focus: "business value, market positioning, and competitive advantage" },
-    { name: "User Experience Specialist", focus: "usability, accessibility, and user satisfaction" },
-    { name: "Risk & Compliance Analyst", focus: "potential risks, compliance issues, and mitigations" }
-  ];
+  // Phase 0: Role Planning - the first agent decides which domains of expertise the prompt needs
+  publishEvent(redisChannel, {
+    type: 'phase_start',
+    phase: 'role_planning',
+    timestamp: new Date().toISOString()
+  });
   
-  // Limit roles to available agents
-  roles = roles.slice(0, agents.length);
+  var planner = agents[0];
+  var proposedRoles = [];
+  try {
+    publishEvent(redisChannel, {
+      type: 'agent_thinking',
+      agent: planner,
+      phase: 'role_planning',
+      timestamp: new Date().toISOString()
+    });
+    var plan = await getAgentResponse(
+      planner,
+      constructPrompt(prompt, planner, buildRolePlanningInstructions(agents.length)),
+      'role_planning',
+      redisChannel,
+      abortSignal,
+      costTracker,
+      modelFor(planner)
+    );
+    proposedRoles = parseRoleProposal(plan, agents.length);
+  } catch (error) {
+    if (error.message === 'AbortError' || error.message === 'CostLimitExceededError') throw error;
+    console.error("Error planning expert roles:", error.message);
+  }
+  
+  var { roles, planned } = withDefaultRoles(proposedRoles, agents.length);
+  if (!planned) {
+    console.log(`👥 Role planning produced no usable roles; using the default panel`);
+  }
+  
+  // Seat each role with the agent rated best in its domain
+  var assignments = await seatExpertPanel(roles, agents);
+  var rolesSource = planned ? 'planned' : 'default';
+  
+  // Let the user accept or edit the panel before any expert runs
+  if (options.reviewExpertRoles) {
+    var review = await reviewExpertRoles({ redisChannel, assignments, agents, abortSignal });
+    if (review.roles) {
+      assignments = await seatExpertPanel(review.roles, agents);
+    }
+    rolesSource = review.source === 'user_edited' || review.source === 'user_accepted' ? review.source : rolesSource;
+  }
+  
+  if (costTracker.shouldAbort()) {
+    throw new Error('CostLimitExceededError');
+  }
+  if (abortSignal.aborted) {
+    throw new Error('AbortError');
+  }
+  
+  console.log(`👥 Expert panel (${rolesSource}): ${assignments.map(seat => `${seat.name} → ${seat.agent}`).join(', ')}`);
+  publishEvent(redisChannel, {
+    type: 'expert_roles_assigned',
+    roles: assignments,
+    source: rolesSource,
+    timestamp: new Date().toISOString()
+  });
   
   // Phase 1: Expert Analysis
   publishEvent(redisChannel, {
@@ -3268,9 +3474,9 @@ async function executeExpertPanel(prompt, agents, redisChannel, abortSignal, cos
   
   var expertInsights = [];
   
-  for (var i = 0; i < roles.length; i++) {
-    var role = roles[i];
-    var agent = agents[i];
+  for (var i = 0; i < assignments.length; i++) {
+    var role = assignments[i];
+    var agent = role.agent;
     
     publishEvent(redisChannel, {
       type: 'agent_thinking',
@@ -3292,7 +3498,8 @@ async function executeExpertPanel(prompt, agents, redisChannel, abortSignal, cos
         'expert_analysis',
         redisChannel,
         abortSignal,
-        costTracker
+        costTracker,
+        modelFor(agent)
       );
       
       expertInsights.push({
@@ -3370,7 +3577,8 @@ async function executeExpertPanel(prompt, agents, redisChannel, abortSignal, cos
       'discussion',
       redisChannel,
       abortSignal,
-      costTracker
+      costTracker,
+      modelFor(moderator)
     );
   } catch (error) {
     console.error("Error in panel discussion phase:", error);
@@ -3418,7 +3626,8 @@ async function executeExpertPanel(prompt, agents, redisChannel, abortSignal, cos
       'recommendation',
       redisChannel,
       abortSignal,
-      costTracker
+      costTracker,
+      modelFor(moderator)
     );
   } catch (error) {
     console.error("Error in recommendation phase:", error);
@@ -3445,7 +3654,8 @@ async function executeExpertPanel(prompt, agents, redisChannel, abortSignal, cos
   
   return {
     answer: finalAnswer,
-    rationale: "Cross-disciplinary analysis from simulated domain experts.",
+    rationale: `Cross-disciplinary analysis from a panel of ${assignments.map(seat => seat.name).join(', ')}.`,
+    roles: assignments,
     insights: expertInsights,
     discussion: discussion,
     recommendation: recommendation
@@ -3876,6 +4086,13 @@ export async function handleCollaborativeDiscussion(options) {
   }
   
   try {
+    // 'workflow:<id>' runs a declarative workflow (built-in or saved by this user)
+    if (isWorkflowMode(mode)) {
+      enhancedOptions.workflow = await resolveWorkflowMode(userId, mode);
+      enhancedOptions.mode = 'workflow';
+      console.log(`🧩 Using workflow ${enhancedOptions.workflow.id} (${enhancedOptions.workflow.name})`);
+    }
+    
     // Run the collaboration for advanced modes
     console.log(`🔄 Running collaboration in ${enhancedOptions.mode} mode with ${availableAgents.length} agents`);
     
@@ -3885,12 +4102,26 @@ export async function handleCollaborativeDiscussion(options) {
       console.log(`📋 Using specified model IDs:`, JSON.stringify(enhancedOptions.models, null, 2));
     }
     
+    // Open the transcript before any agent call so every step has a run to land in
+    await collaborationRuns.startRun({
+      collaborationSessionId: sessionId,
+      userId: userId || 'system',
+      conversationSessionId: options.conversationSessionId || null,
+      projectId: options.projectId || null,
+      mode: enhancedOptions.workflow ? mode : enhancedOptions.mode,
+      agents: availableAgents,
+      models: options.models,
+      prompt: options.prompt
+    });
+    
     const result = await runCollab(enhancedOptions);
     console.log(`✅ Collaboration complete. Cost: $${result.spentUSD.toFixed(4)}`);
+    await collaborationRuns.finishRun(sessionId, { result });
     return result;
   } catch (error) {
     console.error(`❌ Collaboration error:`, error);
     console.error(`🔍 Error details:`, error.stack || error);
+    await collaborationRuns.finishRun(sessionId, { error });
     
     // Return an error message that will be shown to the user
     return {
@@ -3906,8 +4137,11 @@ import { patchCollaborationModule } from './enhanced-collab-integration.mjs';
 
 // Create a wrapper runCollab that correctly passes the clients object
 async function wrappedRunCollab(options) {
-  // Use the properly mapped client object imported directly
-  const mappedClients = agentClients;
+  // Prefer the user-specific clients built by handleCollaborativeDiscussion, falling back
+  // to the system clients keyed by agent name
+  const mappedClients = options.clients && Object.keys(options.clients).length > 0
+    ? { ...agentClients, ...options.clients }
+    : agentClients;
   
   // Create the enhanced options
   var enhancedOptions = {
@@ -3943,11 +4177,49 @@ const collaborationModule = { runCollab: wrappedRunCollab };
 // Apply the enhancements to create an enhanced runCollab function
 const enhancedModule = patchCollaborationModule(collaborationModule);
 
-// Export the enhanced version of runCollab
-export const runCollab = enhancedModule.runCollab;
+/**
+ * The enhanced runCollab, limited to what the user's subscription tier and budgets allow.
+ * Every entry point (chat, CLI, API) runs collaborations through here, so the tier's modes,
+ * agent count, model families and daily allowance apply to all of them, as do the user's
+ * blocking budgets (for options.projectId and the run's agents); the run's cost cap is
+ * lowered to what is left of the allowance and of those budgets.
+ * @param {Object} options - runCollab options
+ * @returns {Promise<Object>} - Collaboration results
+ * @throws {Error} With code 'entitlement_required' if the tier does not allow the run,
+ *   or 'budget_exceeded' if a budget is used up
+ */
+export async function runCollab(options) {
+  const entitlements = await getUserEntitlements(options.userId);
+  const spend = await getDailySpend(options.userId, entitlements);
+  const refusal = checkRunEntitlements(entitlements, {
+    mode: options.workflow ? `workflow:${options.workflow.id}` : options.mode,
+    agents: options.agents || [],
+    models: options.models
+  }) || checkDailySpend(entitlements, spend);
+  if (refusal) {
+    console.warn(`🔒 Collaboration refused for ${options.userId || 'system'} (${refusal.feature}, ${refusal.tier} tier)`);
+    throw Object.assign(new Error(refusal.error), refusal);
+  }
+
+  const budgetCheck = await checkBudgets(options.userId, {
+    projectId: options.projectId || null,
+    providers: options.agents || []
+  });
+  if (budgetCheck.refusal) {
+    console.warn(`💸 Collaboration refused for ${options.userId}: ${budgetCheck.refusal.budget.name} is used up`);
+    throw Object.assign(new Error(budgetCheck.refusal.error), budgetCheck.refusal);
+  }
+
+  const remainingUSD = Math.min(spend.remainingUSD, budgetCheck.remainingUSD);
+  return await enhancedModule.runCollab({
+    ...options,
+    costCapDollars: Math.min(options.costCapDollars || remainingUSD, remainingUSD)
+  });
+}
 
 // Export individual collaboration functions for enhanced integration
 export { 
+  executeWorkflowCollaboration,
   executeCodeArchitect,
   executeAdversarialDebate, 
   executeExpertPanel,
@@ -10,7 +10,8 @@ import { DEFAULT_CLAUDE_MODEL } from './claude.mjs';
 import { DEFAULT_GEMINI_MODEL } from './gemini.mjs';
 import { publishEvent, subscribeToChannel } from '../messaging/redis.mjs';
 import { securityGuard } from '../security/promptGuard.mjs';
-import { estimateCost, trackCost } from '../billing/costControl.mjs';
+import { trackCost } from '../billing/costControl.mjs';
+import { estimateCollaborationCost } from './costEstimator.mjs';
 
 // Constants
 const DEFAULT_TIMEOUT_SECONDS = 13;
@@ -118,11 +119,12 @@ export async function runCollab(options) {
   var sanitizedPrompt = securityGuard.sanitizePrompt(prompt);
   
   // Estimate initial cost
-  var estimatedCost = estimateCost({
+  var estimatedCost = estimateCollaborationCost({
+    prompt: sanitizedPrompt,
+    mode: mode,
     agents: availableAgents,
-    promptLength: sanitizedPrompt.length,
-    mode: mode
-  });
+    models: options.models
+  }).low.costUSD;
   
   if (estimatedCost > costCapDollars) {
     return {
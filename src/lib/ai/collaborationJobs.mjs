@@ -0,0 +1,186 @@
+/**
+ * Collaboration Jobs
+ * Runs collaborations as server-side jobs keyed by their collaboration session id,
+ * independent of the WebSocket that started them. Everything a client needs to
+ * render a collaboration (status updates, the final answer) is published on the
+ * job's event channel, so any connection - including one on another server
+ * instance - can re-attach, replay what it missed and stream the remainder.
+ * Version: 1.0.0
+ */
+
+import { publishEvent, subscribeToChannel, getChannelHistory } from '../messaging/redis.mjs';
+
+// Events that end a job; subscribers detach after forwarding them
+export const TERMINAL_EVENT_TYPES = ['collaboration_result', 'collaboration_failed'];
+
+// How long finished jobs stay resumable from this instance (event history has its own TTL)
+const FINISHED_JOB_RETENTION_MS = 30 * 60 * 1000;
+
+/**
+ * @typedef {Object} CollaborationJob
+ * @property {string} sessionId - Collaboration session id (the event channel is 'collab:<sessionId>')
+ * @property {string} userId - Owner; only this user may re-attach
+ * @property {string[]} agents
+ * @property {string} mode
+ * @property {'running'|'completed'|'failed'} status
+ * @property {Date} startedAt
+ * @property {Date|null} finishedAt
+ * @property {Promise<Object|null>} [promise] - Resolves with the collaboration result (local jobs only)
+ */
+
+class CollaborationJobManager {
+  constructor() {
+    /** @type {Map<string, CollaborationJob>} */
+    this.jobs = new Map();
+  }
+
+  channelFor(sessionId) {
+    return `collab:${sessionId}`;
+  }
+
+  /**
+   * Starts a collaboration job. The job keeps running if the starting connection goes away.
+   * @param {Object} params
+   * @param {string} params.sessionId
+   * @param {string} params.userId
+   * @param {string[]} params.agents
+   * @param {string} params.mode
+   * @param {function(function(string, string, string): void): Promise<Object>} params.run - Runs the
+   *   collaboration; receives an onModelStatusChange(model, status, message) callback that publishes to the channel
+   * @returns {CollaborationJob}
+   */
+  start({ sessionId, userId, agents, mode, run }) {
+    if (this.jobs.has(sessionId)) {
+      throw new Error(`Collaboration ${sessionId} is already running`);
+    }
+
+    const channel = this.channelFor(sessionId);
+    const job = {
+      sessionId,
+      userId,
+      agents,
+      mode,
+      status: 'running',
+      startedAt: new Date(),
+      finishedAt: null
+    };
+    this.jobs.set(sessionId, job);
+
+    // First event on the channel: lets any instance verify ownership from history alone
+    publishEvent(channel, {
+      type: 'collaboration_started',
+      userId,
+      agents,
+      mode,
+      timestamp: job.startedAt.toISOString()
+    });
+
+    const onModelStatusChange = (model, status, message) => {
+      publishEvent(channel, {
+        type: 'model_status',
+        model,
+        status,
+        message,
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    job.promise = (async () => {
+      try {
+        const result = await run(onModelStatusChange);
+        job.status = 'completed';
+        await publishEvent(channel, {
+          type: 'collaboration_result',
+          agents,
+          mode,
+          final: result?.final || null,
+          rationale: result?.rationale || null,
+          spentUSD: result?.spentUSD || 0,
+          timestamp: new Date().toISOString()
+        });
+        return result;
+      } catch (error) {
+        console.error(`❌ Collaboration job ${sessionId} failed:`, error);
+        job.status = 'failed';
+        await publishEvent(channel, {
+          type: 'collaboration_failed',
+          agents,
+          mode,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        return null;
+      } finally {
+        job.finishedAt = new Date();
+        const cleanup = setTimeout(() => this.jobs.delete(sessionId), FINISHED_JOB_RETENTION_MS);
+        if (cleanup.unref) cleanup.unref();
+        console.log(`🏁 Collaboration job ${sessionId} ${job.status}`);
+      }
+    })();
+
+    console.log(`🚀 Collaboration job ${sessionId} started for user ${userId} (${agents.join(', ')})`);
+    return job;
+  }
+
+  /**
+   * Looks up a job, falling back to the channel history for jobs started on another instance
+   * @param {string} sessionId
+   * @returns {Promise<CollaborationJob|null>}
+   */
+  async getJob(sessionId) {
+    const local = this.jobs.get(sessionId);
+    if (local) return local;
+
+    const history = await getChannelHistory(this.channelFor(sessionId));
+    const started = history.find(event => event.type === 'collaboration_started');
+    if (!started) return null;
+
+    const terminal = history.find(event => TERMINAL_EVENT_TYPES.includes(event.type));
+    return {
+      sessionId,
+      userId: started.userId,
+      agents: started.agents || [],
+      mode: started.mode,
+      status: !terminal ? 'running' : terminal.type === 'collaboration_result' ? 'completed' : 'failed',
+      startedAt: new Date(started.timestamp),
+      finishedAt: terminal ? new Date(terminal.timestamp) : null
+    };
+  }
+
+  /**
+   * Streams a job's events to a listener: buffered events newer than afterEventId first,
+   * then live ones. Detaches by itself after the terminal event.
+   * @param {string} sessionId
+   * @param {function(Object): void} onEvent
+   * @param {Object} [options]
+   * @param {number} [options.afterEventId=0] - Last event the client already has
+   * @returns {function} Detach function
+   */
+  attach(sessionId, onEvent, { afterEventId = 0 } = {}) {
+    let detached = false;
+    let unsubscribe = null;
+
+    const detach = () => {
+      if (detached) return;
+      detached = true;
+      if (unsubscribe) unsubscribe();
+    };
+
+    unsubscribe = subscribeToChannel(this.channelFor(sessionId), event => {
+      if (detached) return;
+      onEvent(event);
+      if (TERMINAL_EVENT_TYPES.includes(event.type)) {
+        detach();
+      }
+    }, { afterEventId });
+
+    // The terminal event may have been delivered before subscribeToChannel returned
+    if (detached) unsubscribe();
+    return detach;
+  }
+}
+
+const collaborationJobs = new CollaborationJobManager();
+
+export { CollaborationJobManager };
+export default collaborationJobs;
@@ -0,0 +1,329 @@
+/**
+ * Collaboration Cost Estimator
+ * Pre-flight estimate of what a collaboration will cost, built from the phase structure
+ * of its mode: which agents are called in each phase, what each call reads (the prompt,
+ * attached files, retrieved passages and earlier phases' outputs) and how much it may
+ * write. Prices come from costControl's model tables for the selected model ids.
+ *
+ * The low bound assumes answers of typical length and skips conditional phases; the
+ * high bound assumes every call writes up to its provider's output cap. Where the agent
+ * is chosen at run time (e.g. the synthesizer), the low bound uses the cheapest
+ * candidate and the high bound the most expensive. Tool-call rounds are not included.
+ * Version: 1.0.0
+ */
+
+import providerRegistry from './providers/index.mjs';
+import { estimateCost } from './costControl.mjs';
+import { countTokens } from './tokenizer.mjs';
+import { appendAttachments, formatRetrievedSources } from '../attachments.mjs';
+import { resolveDebateSettings } from './debate.mjs';
+import { selectParticipants, selectSingleAgent, templateReferences } from './workflows/index.mjs';
+
+// Runs whose high bound reaches this are confirmed with the user before they start
+export const CONFIRMATION_THRESHOLD_USD = parseFloat(process.env.COST_CONFIRMATION_THRESHOLD_USD || '0.10');
+
+// Output length of a typical reply per kind of call, for the low bound
+const TYPICAL_OUTPUT_TOKENS = {
+  answer: 700,
+  plan: 300,
+  critique: 400,
+  vote: 150,
+  synthesis: 900
+};
+
+// System prompt and collaboration instructions sent with every call
+const INSTRUCTION_TOKENS = 250;
+
+const DEFAULT_OUTPUT_CAP = 4000;
+
+const MIN_AGENTS = {
+  validated_consensus: 3,
+  expert_panel: 3,
+  scenario_analysis: 3
+};
+
+/**
+ * @typedef {Object} PlannedPhase
+ * @property {string} id
+ * @property {'answer'|'plan'|'critique'|'vote'|'synthesis'} kind - Sets the typical output length
+ * @property {string[]} agents - Participants, or the candidates when pick is 'any'
+ * @property {'each'|'chain'|'any'} [pick='each'] - each: every participant is called once;
+ *   chain: in order, each also reading the previous reply; any: one candidate, chosen at run time
+ * @property {string[]} [reads=[]] - Earlier phases whose outputs the calls read
+ * @property {boolean} [conditional=false] - Only runs in some cases; left out of the low bound
+ */
+
+function phase(id, kind, agents, reads = [], extra = {}) {
+  return { id, kind, agents: agents.filter(Boolean), pick: 'each', reads, ...extra };
+}
+
+// The calls each hand-written mode makes (see the execute* functions in collaboration.mjs)
+const MODE_PLANS = {
+  individual: agents => [
+    phase('response', 'answer', agents)
+  ],
+  round_table: agents => [
+    phase('draft', 'answer', agents),
+    phase('critique', 'critique', agents, ['draft']),
+    phase('vote', 'vote', agents, ['draft']),
+    phase('synthesis', 'synthesis', agents, ['draft', 'critique', 'vote'], { pick: 'any' })
+  ],
+  sequential_critique_chain: agents => [
+    phase('initial', 'answer', agents.slice(0, 1)),
+    phase('critique', 'critique', agents.slice(1), ['initial'], { pick: 'chain' }),
+    phase('summary', 'synthesis', agents, ['initial', 'critique'], { pick: 'any' })
+  ],
+  validated_consensus: agents => {
+    const drafters = agents.slice(0, 2);
+    const verifiers = agents.slice(2);
+    const rewriters = agents.filter(agent => !verifiers.includes(agent));
+    return [
+      phase('draft', 'answer', drafters),
+      phase('draft_vote', 'vote', verifiers, ['draft']),
+      phase('merge', 'synthesis', [verifiers[0] || drafters[0]], ['draft', 'draft_vote']),
+      phase('verify', 'critique', verifiers, ['merge']),
+      phase('rewrite', 'synthesis', rewriters, ['merge', 'verify'], { pick: 'any', conditional: true })
+    ];
+  },
+  creative_brainstorm_swarm: agents => [
+    phase('ideation', 'answer', agents),
+    phase('fusion', 'answer', agents, ['ideation']),
+    phase('vote', 'vote', agents, ['fusion']),
+    phase('amplify', 'synthesis', agents, ['fusion', 'vote'], { pick: 'any' })
+  ],
+  hybrid_guarded_braintrust: agents => {
+    const validators = agents.slice(1, 3);
+    return [
+      phase('ideation', 'answer', agents),
+      phase('ranking', 'critique', agents.slice(0, 1), ['ideation']),
+      phase('validation', 'critique', validators, ['ranking']),
+      phase('idea_vote', 'vote', [agents[0], ...validators], ['ranking', 'validation']),
+      phase('elaboration', 'synthesis', agents, ['ranking', 'validation', 'idea_vote'], { pick: 'any' })
+    ];
+  },
+  code_architect: agents => [
+    phase('architecture', 'answer', [agents[0]]),
+    phase('implementation', 'answer', [agents[1] || agents[0]], ['architecture']),
+    phase('review', 'critique', [agents[2] || agents[0]], ['architecture', 'implementation']),
+    phase('testing', 'answer', [agents[3] || agents[1] || agents[0]], ['architecture', 'implementation', 'review'])
+  ],
+  adversarial_debate: (agents, options) => {
+    const lineup = resolveDebateSettings(agents, options.debate);
+    const debaters = [...lineup.pro, ...lineup.con];
+    const plan = [phase('initial_positions', 'answer', debaters)];
+    for (let round = 1; round <= lineup.rounds; round++) {
+      plan.push(phase(lineup.rounds > 1 ? `rebuttals_round_${round}` : 'rebuttals', 'critique', debaters, plan.map(step => step.id)));
+    }
+    const transcript = plan.map(step => step.id);
+    plan.push(phase('judging', 'critique', [lineup.judge], transcript));
+    plan.push(phase('synthesis', 'synthesis', [lineup.judge], [...transcript, 'judging']));
+    return plan;
+  },
+  expert_panel: agents => [
+    phase('role_planning', 'plan', [agents[0]]),
+    phase('expert_analysis', 'answer', agents, ['role_planning']),
+    phase('discussion', 'critique', [agents[0]], ['expert_analysis']),
+    phase('recommendation', 'synthesis', [agents[0]], ['expert_analysis', 'discussion'])
+  ],
+  scenario_analysis: agents => [
+    phase('trends_analysis', 'answer', [agents[0]]),
+    phase('scenario_building', 'answer', [agents[1]], ['trends_analysis']),
+    phase('strategy', 'synthesis', [agents[2]], ['trends_analysis', 'scenario_building'])
+  ],
+  workflow: (agents, options) => planWorkflow(options.workflow, agents)
+};
+
+/**
+ * Plans a declarative workflow: the participants each phase type selects, reading the
+ * phases its templates refer to ({{phases.<id>}})
+ */
+function planWorkflow(workflow, agents) {
+  if (!workflow) {
+    throw new Error('Workflow mode needs a workflow definition');
+  }
+  if (workflow.minAgents && agents.length < workflow.minAgents) {
+    throw new Error(`Workflow "${workflow.name}" needs at least ${workflow.minAgents} agents (got ${agents.length})`);
+  }
+
+  return workflow.phases.map(step => {
+    const reads = new Set(step.candidates ? [step.candidates] : []);
+    [step.prompt, step.instructions].flatMap(templateReferences)
+      .filter(reference => reference.startsWith('phases.'))
+      .forEach(reference => reads.add(reference.split('.')[1]));
+    const participants = selectParticipants(step, agents).map(participant => participant.agent);
+
+    switch (step.type) {
+      case 'chain':
+        return phase(step.id, 'answer', participants, [...reads], { pick: 'chain' });
+      case 'vote':
+        return phase(step.id, 'vote', participants, [...reads]);
+      case 'single': {
+        // A templated agent (e.g. the vote winner) is only known once the run gets there
+        const chosen = typeof step.agent === 'string' && step.agent.includes('{{')
+          ? { agents, pick: 'any' }
+          : { agents: [selectSingleAgent(step, agents, {})], pick: 'each' };
+        return phase(step.id, reads.size > 0 ? 'synthesis' : 'answer', chosen.agents, [...reads], { pick: chosen.pick });
+      }
+      default:
+        return phase(step.id, 'answer', participants, [...reads]);
+    }
+  });
+}
+
+function modelIdFor(agent, models, clients) {
+  const requested = models[agent];
+  return (Array.isArray(requested) ? requested[0] : requested)
+    || clients[agent]?.defaultModel
+    || providerRegistry.get(agent)?.defaultModel
+    || null;
+}
+
+function emptyBound() {
+  return { inputTokens: 0, outputTokens: 0, costUSD: 0 };
+}
+
+function addToBound(bound, call) {
+  bound.inputTokens += call.inputTokens;
+  bound.outputTokens += call.outputTokens;
+  bound.costUSD += call.costUSD;
+}
+
+function roundBound(bound) {
+  return { ...bound, costUSD: Math.round(bound.costUSD * 10000) / 10000 };
+}
+
+/**
+ * Estimates the cost of a collaboration before it runs
+ * @param {Object} options - The runCollab options the estimate is for
+ * @param {string} options.prompt - Sanitized prompt (history and the user's query)
+ * @param {string} [options.attachmentContext] - Formatted attachments (lib/attachments.mjs)
+ * @param {Array} [options.retrievedSources] - Passages retrieved from the conversation's files
+ * @param {string} [options.mode='round_table'] - Collaboration mode ('workflow' with options.workflow)
+ * @param {string[]} options.agents - Agents taking part, in collaboration order
+ * @param {Object<string, string[]>} [options.models] - Requested model id per agent
+ * @param {Object} [options.workflow] - Workflow definition, for mode 'workflow'
+ * @param {Object} [options.debate] - Adversarial debate settings
+ * @param {Object<string, Object>} [options.clients] - Agent clients; custom endpoints carry
+ *   their own pricing and default model
+ * @returns {{
+ *   mode: string,
+ *   agents: string[],
+ *   models: Object<string, string>,
+ *   low: {inputTokens: number, outputTokens: number, costUSD: number},
+ *   high: {inputTokens: number, outputTokens: number, costUSD: number},
+ *   byAgent: Object<string, {model: string, low: Object, high: Object}>,
+ *   byPhase: Array<{phase: string, agents: string[], calls: number, conditional: boolean, low: Object, high: Object}>,
+ *   unpriced: string[]
+ * }} Token and cost bounds; agents in `unpriced` have no known prices and count as $0
+ * @throws {Error} If the mode cannot run with these agents
+ */
+export function estimateCollaborationCost(options) {
+  const mode = options.mode || 'round_table';
+  const agents = options.agents || [];
+  const models = options.models || {};
+  const clients = options.clients || {};
+
+  // Unknown modes run as individual responses
+  const planMode = MODE_PLANS[mode] || MODE_PLANS.individual;
+  if (agents.length === 0) {
+    throw new Error('No agents to estimate');
+  }
+  if (agents.length < (MIN_AGENTS[mode] || 1)) {
+    throw new Error(`${mode} requires at least ${MIN_AGENTS[mode]} agents`);
+  }
+  const plan = planMode(agents, options).filter(step => step.agents.length > 0);
+
+  const prompt = appendAttachments(options.prompt || '', options.attachmentContext);
+  const unpriced = new Set();
+  const agentInfo = {};
+  for (const agent of new Set(plan.flatMap(step => step.agents))) {
+    const model = modelIdFor(agent, models, clients);
+    const limits = providerRegistry.get(agent)?.limits || {};
+    const { context: sources } = formatRetrievedSources(options.retrievedSources, agent);
+    agentInfo[agent] = {
+      model,
+      pricing: clients[agent]?.pricing || null,
+      contextWindow: limits.contextWindow || Infinity,
+      outputCap: limits.defaultOutputTokens || DEFAULT_OUTPUT_CAP,
+      promptTokens: INSTRUCTION_TOKENS + countTokens(prompt, agent, model) + countTokens(sources, agent, model)
+    };
+  }
+
+  // One call's tokens and cost for a bound, given the tokens it reads from earlier phases
+  const priceCall = (agent, kind, readTokens, bound) => {
+    const info = agentInfo[agent];
+    const inputTokens = Math.min(info.contextWindow, info.promptTokens + readTokens);
+    const outputTokens = bound === 'low' ? Math.min(TYPICAL_OUTPUT_TOKENS[kind], info.outputCap) : info.outputCap;
+    const estimate = info.model
+      ? estimateCost(agent, info.model, inputTokens, outputTokens, info.pricing)
+      : { success: false };
+    if (!estimate.success) unpriced.add(agent);
+    return { agent, inputTokens, outputTokens, costUSD: estimate.success ? estimate.totalCost : 0 };
+  };
+
+  const totals = { low: emptyBound(), high: emptyBound() };
+  const byAgent = {};
+  const outputs = {}; // phase id -> output tokens per call, per bound
+  const byPhase = plan.map(step => {
+    const summary = {
+      phase: step.id,
+      agents: step.agents,
+      calls: step.pick === 'any' ? 1 : step.agents.length,
+      conditional: Boolean(step.conditional),
+      low: emptyBound(),
+      high: emptyBound()
+    };
+    outputs[step.id] = { low: [], high: [] };
+
+    for (const bound of ['low', 'high']) {
+      if (bound === 'low' && step.conditional) continue;
+      const readTokens = step.reads.reduce((sum, id) => sum + (outputs[id]?.[bound] || []).reduce((a, b) => a + b, 0), 0);
+
+      let calls;
+      if (step.pick === 'any') {
+        const candidates = step.agents.map(agent => priceCall(agent, step.kind, readTokens, bound));
+        const choose = bound === 'low' ? Math.min : Math.max;
+        const cost = choose(...candidates.map(call => call.costUSD));
+        calls = [candidates.find(call => call.costUSD === cost)];
+      } else {
+        let previous = 0;
+        calls = step.agents.map(agent => {
+          const call = priceCall(agent, step.kind, readTokens + previous, bound);
+          if (step.pick === 'chain') previous = call.outputTokens;
+          return call;
+        });
+      }
+
+      for (const call of calls) {
+        outputs[step.id][bound].push(call.outputTokens);
+        addToBound(summary[bound], call);
+        addToBound(totals[bound], call);
+        byAgent[call.agent] = byAgent[call.agent] || { model: agentInfo[call.agent].model, low: emptyBound(), high: emptyBound() };
+        addToBound(byAgent[call.agent][bound], call);
+      }
+    }
+
+    return { ...summary, low: roundBound(summary.low), high: roundBound(summary.high) };
+  });
+
+  Object.values(byAgent).forEach(entry => {
+    entry.low = roundBound(entry.low);
+    entry.high = roundBound(entry.high);
+  });
+
+  return {
+    mode,
+    agents,
+    models: Object.fromEntries(Object.entries(agentInfo).map(([agent, info]) => [agent, info.model])),
+    low: roundBound(totals.low),
+    high: roundBound(totals.high),
+    byAgent,
+    byPhase,
+    unpriced: [...unpriced]
+  };
+}
+
+export default {
+  CONFIRMATION_THRESHOLD_USD,
+  estimateCollaborationCost
+};
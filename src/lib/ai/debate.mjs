@@ -0,0 +1,211 @@
+/**
+ * Adversarial Debate Settings and Scorecards
+ * Resolves who argues for which side and who judges, and turns the judge's reply
+ * into a structured scorecard (argument strength, evidence, rebuttal quality).
+ * Version: 1.0.0
+ */
+
+export const DEBATE_SIDES = ['pro', 'con'];
+
+export const SCORECARD_CRITERIA = [
+  { key: 'argumentStrength', label: 'Argument strength' },
+  { key: 'evidence', label: 'Evidence' },
+  { key: 'rebuttalQuality', label: 'Rebuttal quality' }
+];
+
+export const MAX_DEBATE_ROUNDS = 5;
+
+const DEFAULT_ROUNDS = 1;
+const DEFAULT_TEAM_SIZE = 1;
+const MAX_SCORE = 10;
+
+/**
+ * @typedef {Object} DebateSettings
+ * @property {number} [rounds=1] - Rebuttal rounds after the opening statements (1-5)
+ * @property {number} [teamSize=1] - Agents per side when teams are not given explicitly
+ * @property {{pro: string[], con: string[]}} [teams] - Explicit sides
+ * @property {string} [judge] - Agent that scores the debate; it never argues
+ */
+
+/**
+ * @typedef {Object} DebateLineup
+ * @property {number} rounds
+ * @property {string[]} pro
+ * @property {string[]} con
+ * @property {string} judge
+ */
+
+function checkAgentList(list, agents, label) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`Debate team '${label}' must be a non-empty list of agents`);
+  }
+  list.forEach(agent => {
+    if (!agents.includes(agent)) {
+      throw new Error(`Debate team '${label}' includes '${agent}', which is not taking part in this collaboration`);
+    }
+  });
+}
+
+/**
+ * Works out the debate lineup. By default the third agent judges (as the old moderator
+ * did), and the remaining agents alternate between the sides up to teamSize each.
+ * @param {string[]} agents - Available agents, in collaboration order
+ * @param {DebateSettings} [settings]
+ * @returns {DebateLineup}
+ * @throws {Error} If the settings cannot be satisfied with these agents
+ */
+export function resolveDebateSettings(agents, settings = {}) {
+  settings = settings || {};
+
+  const rounds = settings.rounds === undefined ? DEFAULT_ROUNDS : Number(settings.rounds);
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_DEBATE_ROUNDS) {
+    throw new Error(`Debate rounds must be a whole number from 1 to ${MAX_DEBATE_ROUNDS}`);
+  }
+
+  if (agents.length < 3) {
+    throw new Error('Adversarial Debate mode requires at least 3 agents: one per side and a judge');
+  }
+
+  let judge = settings.judge;
+  if (judge !== undefined && judge !== null && !agents.includes(judge)) {
+    throw new Error(`Debate judge '${judge}' is not taking part in this collaboration`);
+  }
+
+  let pro;
+  let con;
+  if (settings.teams) {
+    pro = Array.from(new Set(settings.teams.pro || []));
+    con = Array.from(new Set(settings.teams.con || []));
+    checkAgentList(pro, agents, 'pro');
+    checkAgentList(con, agents, 'con');
+    const shared = pro.filter(agent => con.includes(agent));
+    if (shared.length > 0) {
+      throw new Error(`An agent cannot argue for both sides: ${shared.join(', ')}`);
+    }
+    if (!judge) {
+      judge = agents.find(agent => !pro.includes(agent) && !con.includes(agent));
+      if (!judge) {
+        throw new Error('Every agent is on a debate team; leave one out to act as judge');
+      }
+    }
+  } else {
+    const teamSize = settings.teamSize === undefined ? DEFAULT_TEAM_SIZE : Number(settings.teamSize);
+    if (!Number.isInteger(teamSize) || teamSize < 1) {
+      throw new Error('Debate teamSize must be a positive whole number');
+    }
+    judge = judge || agents[2];
+    const debaters = agents.filter(agent => agent !== judge);
+    pro = debaters.filter((agent, index) => index % 2 === 0).slice(0, teamSize);
+    con = debaters.filter((agent, index) => index % 2 === 1).slice(0, teamSize);
+  }
+
+  if (pro.includes(judge) || con.includes(judge)) {
+    throw new Error(`The judge (${judge}) cannot also argue in the debate`);
+  }
+
+  return { rounds, pro, con, judge };
+}
+
+/**
+ * Collaboration instructions for the judge's scoring call
+ * @returns {string}
+ */
+export function buildScorecardInstructions() {
+  const scoreFields = SCORECARD_CRITERIA.map(criterion => `"${criterion.key}": <1-${MAX_SCORE}>`).join(', ');
+  return `You are the impartial judge of this debate. You did not take part in it. Score each side from 1 to ${MAX_SCORE} on ${SCORECARD_CRITERIA.map(criterion => criterion.label.toLowerCase()).join(', ')}.
+
+Reply with ONLY a JSON object, no other text, in this form:
+{"pro": {${scoreFields}, "comments": "<one or two sentences>"},
+ "con": {${scoreFields}, "comments": "<one or two sentences>"},
+ "winner": "pro" | "con" | "tie",
+ "summary": "<why the winner won>"}`;
+}
+
+function clampScore(value) {
+  const score = Number(value);
+  if (!Number.isFinite(score)) return null;
+  return Math.round(Math.min(MAX_SCORE, Math.max(0, score)) * 10) / 10;
+}
+
+function extractJsonObject(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced?.[1], text];
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate.trim());
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not JSON; try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the judge's reply into a scorecard. Totals are recomputed, and the winner is
+ * taken from the totals when the judge's own verdict is missing or not a side.
+ * @param {string} text - Judge output
+ * @returns {{sides: Object, winner: 'pro'|'con'|'tie', summary: string}|null} Null if no scores could be read
+ */
+export function parseScorecard(text) {
+  if (typeof text !== 'string') return null;
+  const parsed = extractJsonObject(text);
+  if (!parsed) return null;
+
+  const sides = {};
+  for (const side of DEBATE_SIDES) {
+    const raw = parsed[side] || parsed.scores?.[side];
+    if (!raw || typeof raw !== 'object') return null;
+
+    const scores = {};
+    for (const { key } of SCORECARD_CRITERIA) {
+      const score = clampScore(raw[key]);
+      if (score === null) return null;
+      scores[key] = score;
+    }
+    sides[side] = {
+      scores,
+      total: Math.round(Object.values(scores).reduce((sum, score) => sum + score, 0) * 10) / 10,
+      comments: typeof raw.comments === 'string' ? raw.comments.trim() : ''
+    };
+  }
+
+  const byTotal = sides.pro.total === sides.con.total ? 'tie' : sides.pro.total > sides.con.total ? 'pro' : 'con';
+  const verdict = typeof parsed.winner === 'string' ? parsed.winner.trim().toLowerCase() : '';
+  return {
+    sides,
+    winner: [...DEBATE_SIDES, 'tie'].includes(verdict) ? verdict : byTotal,
+    summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : ''
+  };
+}
+
+/**
+ * Renders a scorecard as a Markdown table
+ * @param {{sides: Object, winner: string, summary: string}} scorecard
+ * @param {DebateLineup} lineup
+ * @returns {string}
+ */
+export function formatScorecard(scorecard, lineup) {
+  const header = `| Criterion | Affirmative (${lineup.pro.join(', ')}) | Opposing (${lineup.con.join(', ')}) |`;
+  const rows = SCORECARD_CRITERIA.map(({ key, label }) =>
+    `| ${label} | ${scorecard.sides.pro.scores[key]} | ${scorecard.sides.con.scores[key]} |`);
+  rows.push(`| **Total** | **${scorecard.sides.pro.total}** | **${scorecard.sides.con.total}** |`);
+
+  const verdict = scorecard.winner === 'tie'
+    ? 'The judge scored the debate a tie.'
+    : `Winner: **${scorecard.winner === 'pro' ? 'Affirmative' : 'Opposing'}**.`;
+
+  let text = `${header}\n|---|---|---|\n${rows.join('\n')}\n\n${verdict}`;
+  if (scorecard.summary) text += ` ${scorecard.summary}`;
+  DEBATE_SIDES.forEach(side => {
+    if (scorecard.sides[side].comments) {
+      text += `\n\n- ${side === 'pro' ? 'Affirmative' : 'Opposing'}: ${scorecard.sides[side].comments}`;
+    }
+  });
+  return text;
+}
@@ -9,7 +9,11 @@ import { executeParallelRoundTableCollaboration } from './parallel-collaboration
 import { executeSequentialCritiqueChain } from './sequential-critique-chain.mjs';
 import { applySequentialStyle, SEQUENTIAL_STYLES } from './sequential-style-options.mjs';
 import { getOptimalAgentOrder } from './collaboration-options.mjs';
-import { estimateCost as originalEstimateCost, trackCost as originalTrackCost } from '../billing/costControl.mjs';
+import { trackCost as originalTrackCost } from '../billing/costControl.mjs';
+import { estimateCollaborationCost } from './costEstimator.mjs';
+import { countTokens } from './tokenizer.mjs';
+import { appendAttachments, registerSessionRetrieval } from '../attachments.mjs';
+import { registerSessionTools } from '../mcp/tools.mjs';
 // Import core collaboration functions directly to avoid circular imports
 import { 
   executeCodeArchitect,
@@ -17,7 +21,10 @@ import {
   executeExpertPanel,
   executeScenarioAnalysis,
   executeCreativeBrainstormSwarm,
-  executeHybridGuardedBraintrust
+  executeHybridGuardedBraintrust,
+  executeValidatedConsensus as coreExecuteValidatedConsensus,
+  executeWorkflowCollaboration,
+  registerSessionClients
 } from './collaboration.mjs';
 
 // Import security and cost utilities from the main collaboration module
@@ -26,10 +33,6 @@ const DEFAULT_SECURITY_GUARD = {
   sanitizePrompt: (prompt) => prompt // Default sanitization just returns the prompt
 };
 
-const DEFAULT_COST_ESTIMATOR = {
-  estimateCost: ({agents, promptLength, mode}) => 0.10 // Default low estimate
-};
-
 const DEFAULT_COST_TRACKER = {
   initializeSession: (sessionId, costCapDollars) => ({
     addCost: (cost) => {},
@@ -50,6 +53,8 @@ export async function enhancedRunCollab(options) {
   // Extract all original parameters
   const {
     prompt,
+    attachmentContext = '',
+    retrievedSources = [],
     // Handle both options.agents (used in server code) and options.agentNames (used in enhanced version)
     agentNames,
     agents,
@@ -61,7 +66,6 @@ export async function enhancedRunCollab(options) {
     models = {},
     // Get utility functions from options or use imported versions or defaults
     securityGuard = options.securityGuard || DEFAULT_SECURITY_GUARD,
-    estimateCost = options.estimateCost || originalEstimateCost || DEFAULT_COST_ESTIMATOR.estimateCost,
     trackCost = options.trackCost || originalTrackCost || DEFAULT_COST_TRACKER
   } = options;
   
@@ -84,21 +88,28 @@ export async function enhancedRunCollab(options) {
     }
   }
   
-  // Security check on prompt
-  const sanitizedPrompt = securityGuard.sanitizePrompt(prompt);
+  // Security check on prompt; attached files are added afterwards with their formatting intact
+  const sanitizedPrompt = appendAttachments(securityGuard.sanitizePrompt(prompt), attachmentContext);
   
-  // Estimate initial cost
-  const estimatedCost = estimateCost({
+  // Estimate the cost from the mode's phases; abort only if even the low bound is over
+  // the cap, otherwise the cost tracker stops the run if it gets there
+  const estimate = estimateCollaborationCost({
+    prompt: sanitizedPrompt,
+    retrievedSources,
+    mode,
     agents: availableAgents,
-    promptLength: sanitizedPrompt.length,
-    mode: mode
+    models,
+    workflow: options.workflow,
+    debate: options.debate,
+    clients: options.clients
   });
   
-  if (estimatedCost > costCapDollars) {
+  if (estimate.low.costUSD > costCapDollars) {
     return {
       final: "Collaboration aborted: estimated cost exceeds budget cap.",
-      rationale: "The estimated cost of " + estimatedCost.toFixed(2) + " exceeds the budget cap of $" + costCapDollars.toFixed(2) + ".",
-      spentUSD: 0
+      rationale: "The estimated cost of $" + estimate.low.costUSD.toFixed(2) + "-$" + estimate.high.costUSD.toFixed(2) + " exceeds the budget cap of $" + costCapDollars.toFixed(2) + ".",
+      spentUSD: 0,
+      estimate
     };
   }
   
@@ -144,7 +155,7 @@ export async function enhancedRunCollab(options) {
   const {
     publishEvent = (channel, message) => console.log(`[${channel}] ${JSON.stringify(message)}`),
     clients = {},
-    estimateTokenCount = (text) => Math.ceil(text.length / 4), // Rough estimate
+    estimateTokenCount = countTokens, // (text, provider, model)
     constructPrompt = (promptText, agent, instruction) => ({
       systemPrompt: instruction || "You are a helpful assistant.",
       userPrompt: promptText || "Please provide a response."
@@ -154,7 +165,7 @@ export async function enhancedRunCollab(options) {
     // We now import the actual executeSequentialCritiqueChain function,
     // but keep this as a fallback option in case we need to override
     customExecuteSequentialCritiqueChain = null,
-    executeValidatedConsensus = async () => { throw new Error("Validated consensus not implemented in enhanced version") }
+    executeValidatedConsensus = coreExecuteValidatedConsensus
   } = options;
   
   // Validate that clients are available for all agents
@@ -193,6 +204,20 @@ export async function enhancedRunCollab(options) {
     }
   }
   
+  // Agent calls inside the mode executors resolve their client through this map
+  const releaseSessionClients = registerSessionClients(redisChannel, clients);
+  const releaseSessionRetrieval = registerSessionRetrieval(redisChannel, retrievedSources);
+  const releaseSessionTools = await registerSessionTools(redisChannel, {
+    token: options.mcpContextToken,
+    userId: options.userId,
+    sessionId
+  });
+  for (const agent of availableAgents) {
+    if (clients[agent]?.pricing && typeof costTracker.setProviderPricing === 'function') {
+      costTracker.setProviderPricing(agent, clients[agent].pricing);
+    }
+  }
+  
   try {
     let result;
     
@@ -323,7 +348,9 @@ export async function enhancedRunCollab(options) {
           costTracker,
           {
             ignoreFailingModels,
-            models
+            models,
+            userId: options.userId,
+            onModelStatusChange: options.onModelStatusChange
           }
         );
         break;
@@ -361,7 +388,8 @@ export async function enhancedRunCollab(options) {
             availableAgents,
             redisChannel,
             timeoutController.signal,
-            costTracker
+            costTracker,
+            options
           );
         } catch (debateError) {
           if (ignoreFailingModels) {
@@ -384,7 +412,8 @@ export async function enhancedRunCollab(options) {
             availableAgents,
             redisChannel,
             timeoutController.signal,
-            costTracker
+            costTracker,
+            options
           );
         } catch (panelError) {
           if (ignoreFailingModels) {
@@ -492,8 +521,32 @@ export async function enhancedRunCollab(options) {
         }
         break;
         
+      case 'workflow':
+        console.log(`🧩 Executing workflow ${options.workflow?.id} with ${availableAgents.length} agents`);
+        try {
+          result = await executeWorkflowCollaboration(
+            sanitizedPrompt,
+            availableAgents,
+            redisChannel,
+            timeoutController.signal,
+            costTracker,
+            options
+          );
+        } catch (workflowError) {
+          if (ignoreFailingModels && workflowError.message !== 'AbortError' && workflowError.message !== 'CostLimitExceededError') {
+            result = {
+              answer: `Workflow "${options.workflow?.name}" encountered issues: ${workflowError.message}`,
+              rationale: "Workflow collaboration failed but continuing with fallback.",
+              spentUSD: costTracker.getTotalSpent()
+            };
+          } else {
+            throw workflowError;
+          }
+        }
+        break;
+        
       default:
-        throw new Error(`Unknown collaboration mode: ${mode}. Supported modes: round_table, sequential_critique_chain, validated_consensus, code_architect, adversarial_debate, expert_panel, scenario_analysis, creative_brainstorm_swarm, hybrid_guarded_braintrust`);
+        throw new Error(`Unknown collaboration mode: ${mode}. Supported modes: round_table, sequential_critique_chain, validated_consensus, code_architect, adversarial_debate, expert_panel, scenario_analysis, creative_brainstorm_swarm, hybrid_guarded_braintrust, workflow`);
     }
     
     // Format the final result
@@ -583,6 +636,10 @@ export async function enhancedRunCollab(options) {
     }
     
     throw error;
+  } finally {
+    releaseSessionClients();
+    releaseSessionRetrieval();
+    releaseSessionTools();
   }
 }
 
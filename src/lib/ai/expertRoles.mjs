@@ -0,0 +1,295 @@
+/**
+ * Expert Panel Roles
+ * Helpers for the Expert Panel mode: the planning prompt that asks an agent which
+ * domains of expertise a question needs, parsing and cleaning of proposed (or
+ * user-edited) roles, the WebSocket review round-trip, and seating each role with
+ * the agent that users have rated best in that role's domain.
+ * Version: 1.0.0
+ */
+
+import { QUESTION_TYPES } from '../../models/Vote.mjs';
+import { getModelDomainRatings } from '../../services/voteService.mjs';
+import { publishEvent, subscribeToChannel } from '../messaging/redis.mjs';
+
+/**
+ * @typedef {Object} ExpertRole
+ * @property {string} name - Role title (e.g. 'Pharmacologist')
+ * @property {string} focus - What the expert concentrates on
+ * @property {string} domain - One of the Vote question types, used to match the role to an agent
+ * @property {string|null} [agent] - Agent the user pinned to this role
+ */
+
+// The original fixed panel; used when planning fails or yields fewer than two roles
+export const DEFAULT_EXPERT_ROLES = [
+  { name: 'Technical Expert', focus: 'technical implementation, feasibility, and best practices', domain: 'computer_science' },
+  { name: 'Business Strategist', focus: 'business value, market positioning, and competitive advantage', domain: 'management' },
+  { name: 'User Experience Specialist', focus: 'usability, accessibility, and user satisfaction', domain: 'psychology' },
+  { name: 'Risk & Compliance Analyst', focus: 'potential risks, compliance issues, and mitigations', domain: 'law' }
+];
+
+// How long the panel waits for the user to accept or edit proposed roles
+export const ROLE_REVIEW_TIMEOUT_MS = parseInt(process.env.EXPERT_ROLE_REVIEW_TIMEOUT_MS, 10) || 120000;
+
+const MIN_PLANNED_ROLES = 2;
+const MAX_NAME_LENGTH = 80;
+const MAX_FOCUS_LENGTH = 300;
+
+// Ratings are 1-10. An agent's domain average is blended with its overall average,
+// which counts as this many votes, so a single rating cannot decide a seat.
+const RATING_PRIOR_WEIGHT = 5;
+const NEUTRAL_RATING = 5.5;
+
+// Beyond this many agents the exhaustive assignment search is replaced by a greedy one
+const MAX_EXHAUSTIVE_AGENTS = 12;
+
+/**
+ * Collaboration instructions for the planning agent
+ * @param {number} roleCount - Number of roles wanted (one per agent)
+ * @returns {string}
+ */
+export function buildRolePlanningInstructions(roleCount) {
+  return `You are assembling an expert panel to answer the user's query. Identify the ${roleCount} distinct domains of expertise that matter most for this specific query and define one expert role for each.
+
+Reply with ONLY a JSON array, no other text, in this form:
+[{"name": "<role title>", "focus": "<what this expert concentrates on>", "domain": "<domain>"}]
+
+"domain" must be the closest match from this list: ${QUESTION_TYPES.join(', ')}.
+Prefer roles whose perspectives complement each other over overlapping ones.`;
+}
+
+function normalizeDomain(value) {
+  if (typeof value !== 'string') return 'other';
+  const domain = value.trim().toLowerCase().replace(/\s+/g, '_');
+  return QUESTION_TYPES.includes(domain) ? domain : 'other';
+}
+
+/**
+ * Cleans a list of roles from the planner or the user: trims and caps text, drops
+ * unnamed and duplicate roles, maps unknown domains to 'other' and keeps an agent
+ * pin only if that agent is taking part and not already pinned to another role.
+ * @param {Object[]} roles
+ * @param {Object} [options]
+ * @param {number} [options.maxRoles]
+ * @param {string[]} [options.agents] - Participating agents, for validating pins
+ * @returns {ExpertRole[]}
+ */
+export function normalizeRoles(roles, { maxRoles = Infinity, agents = [] } = {}) {
+  if (!Array.isArray(roles)) return [];
+
+  const names = new Set();
+  const pinned = new Set();
+  const normalized = [];
+  for (const role of roles) {
+    if (normalized.length >= maxRoles) break;
+    if (!role || typeof role !== 'object') continue;
+
+    const name = typeof role.name === 'string' ? role.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!name || names.has(name.toLowerCase())) continue;
+    names.add(name.toLowerCase());
+
+    const focus = typeof role.focus === 'string' ? role.focus.trim().slice(0, MAX_FOCUS_LENGTH) : '';
+    const agent = agents.includes(role.agent) && !pinned.has(role.agent) ? role.agent : null;
+    if (agent) pinned.add(agent);
+
+    normalized.push({
+      name,
+      focus: focus || `the considerations a ${name} would raise`,
+      domain: normalizeDomain(role.domain),
+      agent
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Reads the planner's reply. Accepts a bare JSON array, one inside a code fence,
+ * or an object with a `roles` array.
+ * @param {string} text - Planner output
+ * @param {number} maxRoles
+ * @returns {ExpertRole[]} Empty if nothing usable was found
+ */
+export function parseRoleProposal(text, maxRoles) {
+  if (typeof text !== 'string') return [];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced?.[1], text];
+  const arrayStart = text.indexOf('[');
+  const arrayEnd = text.lastIndexOf(']');
+  if (arrayStart !== -1 && arrayEnd > arrayStart) {
+    candidates.push(text.slice(arrayStart, arrayEnd + 1));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate.trim());
+      const roles = normalizeRoles(Array.isArray(parsed) ? parsed : parsed?.roles, { maxRoles });
+      if (roles.length > 0) return roles;
+    } catch (error) {
+      // Not JSON; try the next candidate
+    }
+  }
+  return [];
+}
+
+/**
+ * Falls back to the default panel when a proposal is too small to be a panel
+ * @param {ExpertRole[]} roles
+ * @param {number} maxRoles
+ * @returns {{roles: ExpertRole[], planned: boolean}}
+ */
+export function withDefaultRoles(roles, maxRoles) {
+  if (roles.length >= Math.min(MIN_PLANNED_ROLES, maxRoles)) {
+    return { roles, planned: true };
+  }
+  return { roles: normalizeRoles(DEFAULT_EXPERT_ROLES, { maxRoles }), planned: false };
+}
+
+/**
+ * Expected rating (1-10) of an agent in a domain
+ * @param {{byType: Object, overall: Object}} ratings - From getModelDomainRatings
+ * @param {string} agent
+ * @param {string} domain
+ * @returns {{score: number, votes: number}}
+ */
+export function scoreAgentForDomain(ratings, agent, domain) {
+  const overall = ratings.overall?.[agent];
+  const prior = overall
+    ? (overall.averageRating * overall.count + NEUTRAL_RATING * RATING_PRIOR_WEIGHT) / (overall.count + RATING_PRIOR_WEIGHT)
+    : NEUTRAL_RATING;
+
+  const inDomain = ratings.byType?.[agent]?.[domain];
+  if (!inDomain) return { score: prior, votes: 0 };
+  return {
+    score: (inDomain.averageRating * inDomain.count + prior * RATING_PRIOR_WEIGHT) / (inDomain.count + RATING_PRIOR_WEIGHT),
+    votes: inDomain.count
+  };
+}
+
+/**
+ * Seats one agent per role, maximizing the total expected rating. Pinned roles keep
+ * their agent; ties go to the earlier agent, so without ratings roles are seated in
+ * collaboration order.
+ * @param {ExpertRole[]} roles - At most one per agent
+ * @param {string[]} agents
+ * @param {{byType: Object, overall: Object}} ratings
+ * @returns {Array<ExpertRole & {agent: string, score: number, votes: number}>}
+ */
+export function assignRolesToAgents(roles, agents, ratings) {
+  const seats = roles.slice(0, agents.length);
+  const scores = seats.map(role => agents.map(agent => scoreAgentForDomain(ratings, agent, role.domain)));
+  const choicesFor = index => (seats[index].agent
+    ? [agents.indexOf(seats[index].agent)]
+    : agents.map((agent, agentIndex) => agentIndex));
+
+  let picks;
+  if (agents.length <= MAX_EXHAUSTIVE_AGENTS) {
+    // Best assignment of roles [index..] given the agents already used (bitmask)
+    const memo = new Map();
+    const best = (index, used) => {
+      if (index === seats.length) return { total: 0, picks: [] };
+      const key = `${index}:${used}`;
+      if (memo.has(key)) return memo.get(key);
+
+      let result = null;
+      for (const agentIndex of choicesFor(index)) {
+        if (used & (1 << agentIndex)) continue;
+        const rest = best(index + 1, used | (1 << agentIndex));
+        if (!rest) continue;
+        const total = scores[index][agentIndex].score + rest.total;
+        if (!result || total > result.total + 1e-9) {
+          result = { total, picks: [agentIndex, ...rest.picks] };
+        }
+      }
+      memo.set(key, result);
+      return result;
+    };
+
+    picks = best(0, 0)?.picks;
+  }
+
+  if (!picks) {
+    const used = new Set(seats.filter(role => role.agent).map(role => agents.indexOf(role.agent)));
+    picks = seats.map((role, index) => {
+      if (role.agent) return agents.indexOf(role.agent);
+      const free = choicesFor(index).filter(agentIndex => !used.has(agentIndex));
+      const agentIndex = free.reduce((bestIndex, candidate) => (
+        scores[index][candidate].score > scores[index][bestIndex].score ? candidate : bestIndex
+      ), free[0]);
+      used.add(agentIndex);
+      return agentIndex;
+    });
+  }
+
+  return seats.map((role, index) => ({
+    ...role,
+    agent: agents[picks[index]],
+    score: Math.round(scores[index][picks[index]].score * 100) / 100,
+    votes: scores[index][picks[index]].votes
+  }));
+}
+
+/**
+ * Looks up historical ratings for the roles' domains and seats the panel
+ * @param {ExpertRole[]} roles
+ * @param {string[]} agents
+ * @returns {Promise<Array<ExpertRole & {agent: string, score: number, votes: number}>>}
+ */
+export async function seatExpertPanel(roles, agents) {
+  const ratings = await getModelDomainRatings(agents, Array.from(new Set(roles.map(role => role.domain))));
+  return assignRolesToAgents(roles, agents, ratings);
+}
+
+/**
+ * Publishes the proposed panel and waits for the user's decision, which arrives on the
+ * same channel as an 'expert_roles_decision' event ({ roles? }). Resolves with the
+ * user's roles, or with null roles when the proposal was accepted unchanged, the
+ * review timed out or the collaboration was aborted.
+ * @param {Object} review
+ * @param {string} review.redisChannel
+ * @param {Array<ExpertRole & {agent: string}>} review.assignments - The proposed seating
+ * @param {string[]} review.agents
+ * @param {AbortSignal} [review.abortSignal]
+ * @param {number} [review.timeoutMs]
+ * @returns {Promise<{roles: ExpertRole[]|null, source: 'user_edited'|'user_accepted'|'timeout'|'aborted'}>}
+ */
+export function reviewExpertRoles({ redisChannel, assignments, agents, abortSignal, timeoutMs = ROLE_REVIEW_TIMEOUT_MS }) {
+  return new Promise(resolve => {
+    let settled = false;
+    let unsubscribe = null;
+    let timer = null;
+
+    const onAbort = () => finish({ roles: null, source: 'aborted' });
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      abortSignal?.removeEventListener('abort', onAbort);
+      if (unsubscribe) unsubscribe();
+      resolve(result);
+    };
+
+    if (abortSignal?.aborted) return onAbort();
+    abortSignal?.addEventListener('abort', onAbort);
+
+    unsubscribe = subscribeToChannel(redisChannel, event => {
+      if (event.type !== 'expert_roles_decision') return;
+      const roles = normalizeRoles(event.roles, { maxRoles: agents.length, agents });
+      finish(roles.length > 0
+        ? { roles, source: 'user_edited' }
+        : { roles: null, source: 'user_accepted' });
+    }, { replay: false });
+    if (settled) unsubscribe();
+
+    timer = setTimeout(() => finish({ roles: null, source: 'timeout' }), timeoutMs);
+
+    publishEvent(redisChannel, {
+      type: 'expert_roles_proposed',
+      roles: assignments.map(({ name, focus, domain, agent }) => ({ name, focus, domain, agent })),
+      agents,
+      domains: QUESTION_TYPES,
+      timeoutMs,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
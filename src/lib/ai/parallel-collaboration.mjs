@@ -2,6 +2,7 @@ import { enhancedGetAgentResponse } from './agent-response.mjs';
 import { runParallelWithConcurrency, recoverFromError } from './collaboration-improvements.mjs';
 import { trackCost as originalTrackCost } from '../billing/costControl.mjs';
 import { truncatePhaseContent, truncateResponseArray, logContentMetrics } from './truncation-utils.mjs';
+import { buildVoteInstructions, collectStructuredVote, tallyVotes, formatVotes } from './structuredVote.mjs';
 
 /**
  * Parallel version of the Round Table Collaboration
@@ -26,7 +27,6 @@ export async function executeParallelRoundTableCollaboration(
     publishEvent,
     estimateTokenCount,
     constructPrompt,
-    extractVotedAgent,
     onModelStatusChange
   } = options;
   
@@ -586,6 +586,9 @@ export async function executeParallelRoundTableCollaboration(
     }
     // --- END ADDITION ---
 
+    // Every successful draft is a candidate, named by its author
+    const voteCandidates = initialDrafts.filter(draft => !draft.error).map(draft => draft.agent);
+
     // Create vote tasks for agents that had successful drafts
     const voteTasks = agents
       .filter(agent => {
@@ -612,7 +615,8 @@ export async function executeParallelRoundTableCollaboration(
               .map(critique => `${critique.agent.toUpperCase()}'s CRITIQUE:\n${critique.content}\n`)
               .join('\n');
             
-            const voteInstruction = 'Based on all drafts and critiques, vote for which draft offers the best starting point for a final answer. BE EXTREMELY BRIEF - state your chosen draft in the first line, then provide just 2-3 short bullet points explaining your reasoning. Keep your vote and explanation UNDER 500 WORDS TOTAL.';
+            const voteInstruction = 'Based on all drafts and critiques, vote for which draft offers the best starting point for a final answer. Candidates are named by the agent that wrote the draft. Keep each reason to one short sentence.\n\n' +
+              buildVoteInstructions(voteCandidates);
             const combinedVotePrompt = prompt +
               "\n\nDRAFTS:\n" + draftsForVoting +
               "\n\nCRITIQUES:\n" + critiquesText;
@@ -631,29 +635,38 @@ export async function executeParallelRoundTableCollaboration(
               onModelStatusChange(agent, 'processing', 'Voting');
             }
             
-            // Get the vote using the enhanced function
-            const voteResponse = await enhancedGetAgentResponse(
-              agent, votePrompt, 'vote', redisChannel, 
-              globalAbortSignal, costTracker, models?.[agent]?.[0],
-              clients, publishEvent, estimateTokenCount
-            );
-            
-            // Attempt to extract the voted-for agent
-            const votedForAgent = agents.find(a => {
-              const regex = new RegExp(`\\b${a}\\b`, 'i');
-              return regex.test(voteResponse.split('\n')[0]);
-            }) || extractVotedAgent(voteResponse, agents);
+            // Get a structured ballot, re-prompting if the reply is malformed
+            const vote = await collectStructuredVote({
+              voter: agent,
+              candidates: voteCandidates,
+              prompt: votePrompt,
+              ask: attemptPrompt => enhancedGetAgentResponse(
+                agent, attemptPrompt, 'vote', redisChannel,
+                globalAbortSignal, costTracker, models?.[agent]?.[0],
+                clients, publishEvent, estimateTokenCount
+              )
+            });
+
+            publishEvent(redisChannel, {
+              type: 'agent_vote',
+              agent,
+              phase: 'vote',
+              vote: vote.votedFor,
+              ranking: vote.ranking,
+              confidence: vote.confidence,
+              reasons: vote.reasons,
+              reasoning: vote.reasoning,
+              structured: vote.structured,
+              attempts: vote.attempts,
+              timestamp: new Date().toISOString()
+            });
             
             // Send status update if callback provided
             if (typeof onModelStatusChange === 'function') {
               onModelStatusChange(agent, 'completed', 'Voting completed');
             }
             
-            return {
-              voter: agent,
-              votedFor: votedForAgent,
-              reasoning: voteResponse
-            };
+            return vote;
           } catch (error) {
             console.error(`Error getting vote from ${agent}:`, error);
             
@@ -686,6 +699,18 @@ export async function executeParallelRoundTableCollaboration(
     // Filter out error votes
     const successfulVotes = votes.filter(vote => !vote.error);
 
+    const voteTally = tallyVotes(votes, voteCandidates);
+    publishEvent(redisChannel, {
+      type: 'vote_tally',
+      phase: 'vote',
+      winner: voteTally.winner,
+      standings: voteTally.standings,
+      counts: voteTally.counts,
+      confidence: voteTally.confidence,
+      abstained: voteTally.abstained,
+      timestamp: new Date().toISOString()
+    });
+
     // Log vote content metrics
     logContentMetrics('vote', {
       totalVotes: votes.length,
@@ -862,9 +887,7 @@ export async function executeParallelRoundTableCollaboration(
       .map(draft => `${draft.agent.toUpperCase()}'s DRAFT:\n${draft.content}\n`)
       .join('\n');
     
-    const votesText = successfulVotes
-      .map(vote => `${vote.voter.toUpperCase()}'s VOTE: ${vote.votedFor || 'Unclear'}\nReasoning: ${vote.reasoning}\n`)
-      .join('\n');
+    const votesText = formatVotes(successfulVotes);
     
     const synthesisInstruction = 'As the summarizer, create an efficient synthesis of the best content from all drafts while addressing key critiques. BE DIRECT AND FOCUSED - avoid unnecessary explanation or verbose reasoning. Split your response into: 1) FINAL ANSWER (clear, concise, direct) and 2) BRIEF RATIONALE explaining your synthesis approach in 2-3 paragraphs maximum.';
 
@@ -898,7 +921,8 @@ export async function executeParallelRoundTableCollaboration(
 
     const combinedSynthesisPrompt = prompt +
       "\n\nDRAFTS:\n" + useDraftsText +
-      "\n\nVOTES:\n" + useVotesText;
+      "\n\nVOTES:\n" + useVotesText +
+      (voteTally.winner ? `\n\nThe vote favored ${voteTally.winner.toUpperCase()}'s DRAFT as the starting point.` : '');
 
     const synthesisPrompt = constructPrompt(
       combinedSynthesisPrompt,
@@ -1211,7 +1235,8 @@ export async function executeParallelRoundTableCollaboration(
       summarizerAgent: summarizerAgent,
       drafts: initialDrafts,
       critiques: critiques,
-      votes: votes
+      votes: votes,
+      voteTally: voteTally
     };
   } catch (error) {
     // Handle errors during the round table process
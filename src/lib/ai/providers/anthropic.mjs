@@ -0,0 +1,168 @@
+/**
+ * Anthropic (Claude) Provider Adapter
+ * Version: 1.0.0
+ */
+
+import { Anthropic } from '@anthropic-ai/sdk';
+import { toAnthropicToolChoice } from './structuredOutput.mjs';
+import { mergeUsage, normalizeUsage } from '../tokenizer.mjs';
+
+export const DEFAULT_CLAUDE_MODEL = 'claude-4-sonnet-20250514';
+
+/**
+ * Builds the Messages API request body shared by streaming and non-streaming calls.
+ * @param {import('./registry.mjs').CompletionRequest} request
+ * @param {number} fallbackMaxTokens
+ */
+function buildRequest(request, fallbackMaxTokens) {
+    const params = {
+        model: request.modelId || DEFAULT_CLAUDE_MODEL,
+        max_tokens: request.maxTokens || fallbackMaxTokens,
+        messages: [{ role: 'user', content: request.userPrompt }]
+    };
+    // Only add system if provided and not empty
+    if (request.systemPrompt && request.systemPrompt.trim()) {
+        params.system = request.systemPrompt;
+    }
+    if (typeof request.temperature === 'number') {
+        params.temperature = request.temperature;
+    }
+    const toolChoice = toAnthropicToolChoice(request.responseFormat);
+    if (toolChoice) {
+        Object.assign(params, toolChoice);
+    }
+    return params;
+}
+
+/**
+ * Messages for a tool-use exchange: the user prompt, then each assistant turn with its
+ * tool_use blocks and the matching tool_result blocks sent back as a user turn.
+ * @param {import('./registry.mjs').ToolRequest} request
+ */
+function buildToolMessages(request) {
+    const messages = [{ role: 'user', content: request.userPrompt }];
+    for (const turn of request.turns || []) {
+        if (turn.role === 'assistant') {
+            const content = turn.text ? [{ type: 'text', text: turn.text }] : [];
+            (turn.toolCalls || []).forEach(call => content.push({
+                type: 'tool_use',
+                id: call.id,
+                name: call.name,
+                input: call.arguments || {}
+            }));
+            messages.push({ role: 'assistant', content });
+        } else {
+            messages.push({
+                role: 'user',
+                content: turn.results.map(result => ({
+                    type: 'tool_result',
+                    tool_use_id: result.id,
+                    content: result.content,
+                    is_error: Boolean(result.isError)
+                }))
+            });
+        }
+    }
+    return messages;
+}
+
+const anthropicAdapter = {
+    id: 'anthropic',
+    agentName: 'claude',
+    aliases: [],
+    displayName: 'Claude',
+    envKeys: ['ANTHROPIC_API_KEY'],
+    defaultModel: DEFAULT_CLAUDE_MODEL,
+    models: ['claude-4-opus-20250514', DEFAULT_CLAUDE_MODEL, 'claude-3-7-sonnet-20250219', 'claude-3-5-haiku-20241022'],
+    // Claude's tokenizer is not published; it yields roughly 20% more tokens than o200k_base
+    tokenizer: { encoding: 'o200k_base', ratio: 1.2 },
+    limits: {
+        contextWindow: 200000,
+        maxOutputTokens: 64000, // Claude 4 Sonnet has a 64k token output limit
+        defaultOutputTokens: 4000
+    },
+    pricing: {
+        input: 3.00,
+        output: 15.00,
+        models: {
+            'claude-4-opus-20250514': { input: 15.00, output: 75.00 },
+            'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00 },
+            'claude-4-opus': { input: 15.00, output: 75.00 },
+            'claude-4-sonnet': { input: 3.00, output: 15.00 },
+            'claude-3.7-sonnet': { input: 3.00, output: 15.00 },
+            'claude-3.5-haiku': { input: 0.80, output: 4.00 },
+            'claude-3.5-sonnet-v2': { input: 3.00, output: 15.00 },
+            'claude-3.5-sonnet': { input: 3.00, output: 15.00 },
+            'claude-3-opus': { input: 15.00, output: 75.00 },
+            'claude-3-sonnet': { input: 3.00, output: 15.00 },
+            'claude-3-haiku': { input: 0.25, output: 1.25 }
+        }
+    },
+    systemPrompts: {
+        base: "You are Claude, a helpful, honest, and harmless AI assistant from Anthropic.",
+        agent: "You are Claude, participating in a multi-model AI collaboration. You are known for thoughtfulness, nuance, and detail."
+    },
+
+    createClient(apiKey) {
+        return new Anthropic({
+            apiKey,
+            timeout: 600000 // 10 minutes for complex prompts
+        });
+    },
+
+    async *stream(client, request) {
+        const stream = await client.messages.create({
+            ...buildRequest(request, this.limits.defaultOutputTokens),
+            stream: true
+        });
+
+        let usage = null;
+        for await (const chunk of stream) {
+            if (chunk.type === 'message_start') {
+                usage = mergeUsage(usage, chunk.message?.usage);
+            } else if (chunk.type === 'message_delta') {
+                usage = mergeUsage(usage, chunk.usage);
+            } else if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'text_delta') {
+                yield chunk.delta.text;
+            } else if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'input_json_delta') {
+                // Structured replies arrive as the input of the forced tool call
+                yield chunk.delta.partial_json;
+            } else if (chunk.type === 'error') {
+                throw new Error(chunk.error?.message || 'Claude stream error');
+            }
+        }
+        if (usage && request.onUsage) request.onUsage(usage);
+    },
+
+    async complete(client, request) {
+        const response = await client.messages.create(buildRequest(request, this.limits.defaultOutputTokens));
+        const usage = normalizeUsage(response.usage);
+        if (usage && request.onUsage) request.onUsage(usage);
+        return response.content
+            .map(block => (block.type === 'tool_use' ? JSON.stringify(block.input) : block.text || ''))
+            .join('');
+    },
+
+    async completeWithTools(client, request) {
+        const response = await client.messages.create({
+            ...buildRequest(request, this.limits.defaultOutputTokens),
+            messages: buildToolMessages(request),
+            tools: request.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            })),
+            tool_choice: { type: request.toolChoice === 'none' ? 'none' : 'auto' }
+        });
+        const usage = normalizeUsage(response.usage);
+        if (usage && request.onUsage) request.onUsage(usage);
+        return {
+            text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            toolCalls: response.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+        };
+    }
+};
+
+export default anthropicAdapter;
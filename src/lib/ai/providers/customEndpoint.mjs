@@ -0,0 +1,52 @@
+/**
+ * Custom Endpoint Provider Adapter
+ * Serves user-registered OpenAI-compatible endpoints (vLLM, Ollama, LM Studio, gateways).
+ * Each endpoint is stored on the user document and addressed as the agent 'custom:<slug>'.
+ * Version: 1.0.0
+ */
+
+import { createOpenAICompatibleAdapter } from './openaiCompatible.mjs';
+
+export const CUSTOM_ENDPOINT_NAMESPACE = 'custom';
+
+/**
+ * @param {string} slug - Endpoint slug as stored on the user.
+ * @returns {string} Agent name used in chat and collaboration ('custom:<slug>').
+ */
+export function toCustomAgentName(slug) {
+    return `${CUSTOM_ENDPOINT_NAMESPACE}:${slug}`;
+}
+
+/**
+ * @param {string} agentName - e.g. 'custom:vllm'.
+ * @returns {string|null} The endpoint slug, or null if the name is not a custom endpoint agent.
+ */
+export function parseCustomAgentName(agentName) {
+    const prefix = `${CUSTOM_ENDPOINT_NAMESPACE}:`;
+    if (typeof agentName !== 'string' || !agentName.toLowerCase().startsWith(prefix)) return null;
+    return agentName.slice(prefix.length).toLowerCase() || null;
+}
+
+const customEndpointAdapter = createOpenAICompatibleAdapter({
+    id: CUSTOM_ENDPOINT_NAMESPACE,
+    agentName: CUSTOM_ENDPOINT_NAMESPACE,
+    namespaced: true,
+    displayName: 'Custom Endpoint',
+    // Endpoints are per user; there is never a system key or base URL
+    envKeys: [],
+    requiresApiKey: true,
+    // Placeholder only: clientFactory sets client.defaultModel from the stored endpoint
+    defaultModel: 'default',
+    limits: {
+        contextWindow: 32768,
+        maxOutputTokens: 8192,
+        defaultOutputTokens: 4000
+    },
+    pricing: null,
+    systemPrompts: {
+        base: "You are a helpful AI assistant.",
+        agent: "You are a self-hosted model participating in a multi-model AI collaboration. Give direct, well-reasoned answers."
+    }
+});
+
+export default customEndpointAdapter;
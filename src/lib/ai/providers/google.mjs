@@ -0,0 +1,206 @@
+/**
+ * Google Generative AI (Gemini) Provider Adapter
+ * Version: 1.0.0
+ */
+
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
+import { toGeminiGenerationConfig } from './structuredOutput.mjs';
+import { normalizeUsage } from '../tokenizer.mjs';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-pro'; // Latest stable Gemini 2.5 Pro model
+
+const SAFETY_SETTINGS = [
+    { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+    { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+    { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+    { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+];
+
+const BLOCKED_RESPONSE_TEXT = "I apologize, but I cannot provide a response to this request due to content policy restrictions. Please try rephrasing your question.";
+
+/**
+ * Gemini has no separate system role on generateContent, so instructions are prepended.
+ * @param {import('./registry.mjs').CompletionRequest} request
+ * @returns {string}
+ */
+function buildPromptText(request) {
+    if (request.systemPrompt && request.systemPrompt.trim()) {
+        return `${request.systemPrompt}\n\n${request.userPrompt}`;
+    }
+    return request.userPrompt;
+}
+
+/**
+ * Reads text straight from the candidate parts. The SDK's text() helper has been seen
+ * returning its own function source, so it is only used as a last resort.
+ * @param {Object} payload - A generateContent response or stream chunk.
+ * @returns {string}
+ */
+function extractText(payload) {
+    const candidate = payload?.candidates?.[0];
+    if (candidate) {
+        if (candidate.finishReason === 'SAFETY' || candidate.finishReason === 'BLOCKED') {
+            console.warn(`⚠️ Gemini response blocked due to safety filters`);
+            return BLOCKED_RESPONSE_TEXT;
+        }
+        const parts = candidate.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+
+    if (typeof payload?.text === 'function') {
+        try {
+            const text = payload.text();
+            if (typeof text === 'string' && !text.includes('() => {')) return text;
+        } catch (error) {
+            console.warn(`⚠️ Gemini text() extraction failed:`, error.message);
+        }
+    }
+    return '';
+}
+
+/**
+ * Contents for a tool-use exchange. Gemini calls carry no ids, so results are matched
+ * to calls by function name and order.
+ * @param {import('./registry.mjs').ToolRequest} request
+ * @returns {Array<Object>}
+ */
+function buildToolContents(request) {
+    const contents = [{ role: 'user', parts: [{ text: buildPromptText(request) }] }];
+    for (const turn of request.turns || []) {
+        if (turn.role === 'assistant') {
+            const parts = turn.text ? [{ text: turn.text }] : [];
+            (turn.toolCalls || []).forEach(call => parts.push({
+                functionCall: { name: call.name, args: call.arguments || {} }
+            }));
+            contents.push({ role: 'model', parts });
+        } else {
+            contents.push({
+                role: 'function',
+                parts: turn.results.map(result => ({
+                    functionResponse: { name: result.name, response: { content: result.content } }
+                }))
+            });
+        }
+    }
+    return contents;
+}
+
+const googleAdapter = {
+    id: 'google',
+    agentName: 'gemini',
+    aliases: [],
+    displayName: 'Gemini',
+    envKeys: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+    defaultModel: DEFAULT_GEMINI_MODEL,
+    models: [DEFAULT_GEMINI_MODEL, 'gemini-2.5-flash', 'gemini-2.0-flash'],
+    // Gemini's tokenizer is only reachable through its API; its density is close to o200k_base
+    tokenizer: { encoding: 'o200k_base', ratio: 1.05 },
+    limits: {
+        contextWindow: 1000000,
+        maxOutputTokens: 65536, // Gemini 2.5 Pro supports exactly 65,536 tokens output with 1M input context
+        defaultOutputTokens: 8192
+    },
+    pricing: {
+        input: 1.25,
+        output: 10.00,
+        models: {
+            'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+            'gemini-2.0-flash': { input: 0.70, output: 2.10 },
+            'gemini-2.5-pro-preview': { input: 8.00, output: 24.00 },
+            'gemini-2.5-flash-preview': { input: 0.40, output: 1.20 },
+            'gemini-2.0-flash-image': { input: 0.70, output: 2.10 },
+            'gemini-2.0-flash-lite': { input: 0.50, output: 1.50 },
+            'gemini-1.5-flash': { input: 0.35, output: 1.05 },
+            'gemini-1.5-flash-8b': { input: 0.15, output: 0.45 },
+            'gemini-1.5-pro': { input: 7.00, output: 21.00 },
+            'gemini-embedding': { input: 0.25, output: 0.00 },
+            'imagen-3': { input: 0.00, output: 0.04 },
+            'veo-2': { input: 0.08, output: 0.08 },
+            'gemini-2.0-flash-live': { input: 0.70, output: 2.10 }
+        }
+    },
+    systemPrompts: {
+        base: "You are Gemini, a helpful AI assistant from Google.",
+        agent: "You are Gemini, participating in a multi-model AI collaboration. You are known for reasoning and problem-solving capabilities."
+    },
+
+    createClient(apiKey) {
+        return new GoogleGenerativeAI(apiKey);
+    },
+
+    getModel(client, request, maxTokens, extraParams = {}) {
+        const generationConfig = { maxOutputTokens: request.maxTokens || maxTokens };
+        if (typeof request.temperature === 'number') {
+            generationConfig.temperature = request.temperature;
+        }
+        Object.assign(generationConfig, toGeminiGenerationConfig(request.responseFormat));
+        return client.getGenerativeModel({
+            model: request.modelId || DEFAULT_GEMINI_MODEL,
+            safetySettings: SAFETY_SETTINGS,
+            generationConfig,
+            ...extraParams
+        });
+    },
+
+    async *stream(client, request) {
+        const model = this.getModel(client, request, this.limits.defaultOutputTokens);
+        const result = await model.generateContentStream(buildPromptText(request));
+
+        for await (const chunk of result.stream) {
+            const text = extractText(chunk);
+            if (text) yield text;
+        }
+
+        const finalResponse = await result.response;
+        if (finalResponse?.promptFeedback?.blockReason) {
+            throw new Error(`Content blocked by Gemini safety filters: ${finalResponse.promptFeedback.blockReason}`);
+        }
+        const usage = normalizeUsage(finalResponse?.usageMetadata);
+        if (usage && request.onUsage) request.onUsage(usage);
+    },
+
+    async complete(client, request) {
+        const model = this.getModel(client, request, this.limits.defaultOutputTokens);
+        const result = await model.generateContent(buildPromptText(request));
+        const usage = normalizeUsage((result.response || result)?.usageMetadata);
+        if (usage && request.onUsage) request.onUsage(usage);
+        const text = extractText(result.response || result);
+        if (!text) {
+            console.warn(`⚠️ Could not extract text from Gemini response`);
+            return "I apologize, but I encountered an issue processing the response. Please try again.";
+        }
+        return text;
+    },
+
+    async completeWithTools(client, request) {
+        const model = this.getModel(client, request, this.limits.defaultOutputTokens, {
+            tools: [{
+                functionDeclarations: request.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }))
+            }],
+            toolConfig: { functionCallingConfig: { mode: request.toolChoice === 'none' ? 'NONE' : 'AUTO' } }
+        });
+        const result = await model.generateContent({ contents: buildToolContents(request) });
+        const response = result.response || result;
+        const usage = normalizeUsage(response?.usageMetadata);
+        if (usage && request.onUsage) request.onUsage(usage);
+
+        const parts = response?.candidates?.[0]?.content?.parts || [];
+        const turn = (request.turns || []).length;
+        return {
+            text: extractText(response),
+            toolCalls: parts
+                .filter(part => part.functionCall)
+                .map((part, index) => ({
+                    id: `call_${turn}_${index}`,
+                    name: part.functionCall.name,
+                    arguments: part.functionCall.args || {}
+                }))
+        };
+    }
+};
+
+export default googleAdapter;
@@ -0,0 +1,124 @@
+/**
+ * Provider Registry Bootstrap
+ * Registers the built-in provider adapters plus any OpenAI-compatible backends
+ * declared in configuration, and re-exports the shared registry.
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import providerRegistry, { ProviderRegistry } from './registry.mjs';
+import anthropicAdapter from './anthropic.mjs';
+import googleAdapter from './google.mjs';
+import customEndpointAdapter from './customEndpoint.mjs';
+import {
+    createOpenAICompatibleAdapter,
+    openaiAdapter,
+    grokAdapter,
+    deepseekAdapter,
+    llamaAdapter
+} from './openaiCompatible.mjs';
+
+dotenv.config();
+
+const BUILT_IN_ADAPTERS = [
+    anthropicAdapter,
+    googleAdapter,
+    openaiAdapter,
+    grokAdapter,
+    deepseekAdapter,
+    llamaAdapter,
+    customEndpointAdapter // Per-user OpenAI-compatible endpoints ('custom:<slug>')
+];
+
+/**
+ * Converts a plain config entry into an adapter. Only OpenAI-compatible backends can be
+ * declared from config; anything needing a bespoke SDK must ship an adapter module.
+ *
+ * Example entry:
+ *   { "id": "vllm", "type": "openai-compatible", "baseURL": "http://gpu-box:8000/v1",
+ *     "apiKeyEnv": "VLLM_API_KEY", "defaultModel": "Qwen2.5-72B-Instruct",
+ *     "pricing": { "input": 0, "output": 0 } }
+ *
+ * @param {Object} entry
+ * @returns {import('./registry.mjs').ProviderAdapter}
+ */
+export function adapterFromConfig(entry) {
+    const type = entry.type || 'openai-compatible';
+    if (type !== 'openai-compatible') {
+        throw new Error(`Unsupported provider type '${type}' for '${entry.id}'`);
+    }
+    if (!entry.id || !entry.baseURL || !entry.defaultModel) {
+        throw new Error(`Provider config entries need id, baseURL and defaultModel (got ${JSON.stringify(entry)})`);
+    }
+
+    const displayName = entry.displayName || entry.id;
+    return createOpenAICompatibleAdapter({
+        id: entry.id,
+        agentName: entry.agentName || entry.id,
+        aliases: entry.aliases || [],
+        displayName,
+        envKeys: entry.apiKeyEnv ? [entry.apiKeyEnv] : [],
+        requiresApiKey: entry.requiresApiKey ?? Boolean(entry.apiKeyEnv),
+        baseURL: entry.baseURL,
+        defaultModel: entry.defaultModel,
+        models: entry.models || [entry.defaultModel],
+        limits: entry.limits,
+        pricing: entry.pricing || null,
+        structuredOutput: entry.structuredOutput,
+        streamUsage: entry.streamUsage,
+        tokenizer: entry.tokenizer,
+        systemPrompts: entry.systemPrompts || {
+            base: `You are ${displayName}, a helpful AI assistant.`,
+            agent: `You are ${displayName}, participating in a multi-model AI collaboration.`
+        }
+    });
+}
+
+/**
+ * Reads AI_PROVIDERS_CONFIG, which may hold inline JSON or a path to a JSON file
+ * containing an array of provider entries (or `{ "providers": [...] }`).
+ * @returns {Object[]}
+ */
+function readProviderConfig() {
+    const raw = process.env.AI_PROVIDERS_CONFIG;
+    if (!raw) return [];
+
+    try {
+        const trimmed = raw.trim();
+        const json = trimmed.startsWith('[') || trimmed.startsWith('{')
+            ? trimmed
+            : fs.readFileSync(path.resolve(process.cwd(), trimmed), 'utf8');
+        const parsed = JSON.parse(json);
+        return Array.isArray(parsed) ? parsed : parsed.providers || [];
+    } catch (error) {
+        console.error(`❌ Provider registry: failed to read AI_PROVIDERS_CONFIG:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Registers providers from a list of config entries. Invalid entries are logged and skipped
+ * so one bad entry cannot take down the built-in providers.
+ * @param {Object[]} entries
+ * @returns {string[]} Ids that were registered.
+ */
+export function registerProvidersFromConfig(entries) {
+    const registered = [];
+    for (const entry of entries) {
+        try {
+            registered.push(providerRegistry.register(adapterFromConfig(entry)).id);
+        } catch (error) {
+            console.error(`❌ Provider registry: skipping config entry '${entry?.id}':`, error.message);
+        }
+    }
+    return registered;
+}
+
+BUILT_IN_ADAPTERS.forEach(adapter => providerRegistry.register(adapter));
+registerProvidersFromConfig(readProviderConfig());
+
+export { providerRegistry, ProviderRegistry, createOpenAICompatibleAdapter };
+export { toCustomAgentName, parseCustomAgentName } from './customEndpoint.mjs';
+export default providerRegistry;
@@ -0,0 +1,365 @@
+/**
+ * OpenAI-Compatible Provider Adapters
+ * Factory for any backend that speaks the OpenAI chat completions API
+ * (OpenAI, xAI Grok, DeepSeek, Llama, vLLM, Ollama, ...).
+ * Version: 1.0.0
+ */
+
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+import { toOpenAIResponseFormat } from './structuredOutput.mjs';
+import { normalizeUsage } from '../tokenizer.mjs';
+
+dotenv.config(); // The Llama base URL is read when the built-in adapters are defined
+
+/**
+ * @param {import('./registry.mjs').CompletionRequest} request
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildMessages(request) {
+    const messages = [];
+    if (request.systemPrompt && request.systemPrompt.trim()) {
+        messages.push({ role: 'system', content: request.systemPrompt });
+    }
+    messages.push({ role: 'user', content: request.userPrompt });
+    return messages;
+}
+
+/**
+ * Messages for a tool-use exchange: assistant turns carry tool_calls, and each result is
+ * a 'tool' message answering one call.
+ * @param {import('./registry.mjs').ToolRequest} request
+ * @returns {Array<Object>}
+ */
+function buildToolMessages(request) {
+    const messages = buildMessages(request);
+    for (const turn of request.turns || []) {
+        if (turn.role === 'assistant') {
+            const message = { role: 'assistant', content: turn.text || null };
+            if (turn.toolCalls && turn.toolCalls.length > 0) {
+                message.tool_calls = turn.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                }));
+            }
+            messages.push(message);
+        } else {
+            turn.results.forEach(result => messages.push({
+                role: 'tool',
+                tool_call_id: result.id,
+                content: result.content
+            }));
+        }
+    }
+    return messages;
+}
+
+function parseToolArguments(raw) {
+    try {
+        const parsed = JSON.parse(raw || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Creates an adapter for an OpenAI-compatible endpoint.
+ *
+ * @param {Object} definition
+ * @param {string} definition.id - Canonical provider id.
+ * @param {string} [definition.agentName] - Agent name (defaults to id).
+ * @param {string} [definition.baseURL] - API base URL; omit for api.openai.com.
+ * @param {string} definition.defaultModel
+ * @param {Object} [definition.modelOutputLimits] - Per-model overrides of limits.maxOutputTokens.
+ * @param {'json_schema'|'json_object'} [definition.structuredOutput] - Native JSON mode, if the backend has one.
+ * @param {boolean} [definition.streamUsage] - Ask for a final usage chunk (`stream_options.include_usage`).
+ * @param {import('../tokenizer.mjs').TokenizerSpec} [definition.tokenizer]
+ * @returns {import('./registry.mjs').ProviderAdapter}
+ */
+export function createOpenAICompatibleAdapter(definition) {
+    const { baseURL, modelOutputLimits = {}, ...rest } = definition;
+
+    return {
+        agentName: definition.id,
+        requiresApiKey: true,
+        ...rest,
+        baseURL: baseURL || null,
+
+        createClient(apiKey, options = {}) {
+            const clientOptions = {
+                // The OpenAI SDK insists on a key even when a self-hosted server ignores it
+                apiKey: apiKey || 'no-key-required',
+                timeout: 600000 // 10 minutes for complex prompts
+            };
+            const resolvedBaseURL = options.baseURL || this.baseURL;
+            if (resolvedBaseURL) {
+                clientOptions.baseURL = resolvedBaseURL;
+            }
+            return new OpenAI(clientOptions);
+        },
+
+        getMaxTokens(request) {
+            if (request.maxTokens) {
+                return Math.min(request.maxTokens, modelOutputLimits[request.modelId] || request.maxTokens);
+            }
+            return this.limits.defaultOutputTokens;
+        },
+
+        async *stream(client, request) {
+            const modelId = request.modelId || this.defaultModel;
+            const params = {
+                model: modelId,
+                messages: buildMessages(request),
+                max_tokens: this.getMaxTokens({ ...request, modelId }),
+                stream: true
+            };
+            if (typeof request.temperature === 'number') {
+                params.temperature = request.temperature;
+            }
+            const responseFormat = toOpenAIResponseFormat(request.responseFormat, this.structuredOutput);
+            if (responseFormat) {
+                params.response_format = responseFormat;
+            }
+            if (this.streamUsage) {
+                params.stream_options = { include_usage: true };
+            }
+
+            const stream = await client.chat.completions.create(params);
+            for await (const chunk of stream) {
+                const content = chunk.choices?.[0]?.delta?.content;
+                if (content) yield content;
+                // Some servers report usage on the last chunk even without being asked
+                const usage = normalizeUsage(chunk.usage);
+                if (usage && request.onUsage) request.onUsage(usage);
+            }
+        },
+
+        async complete(client, request) {
+            const modelId = request.modelId || this.defaultModel;
+            const params = {
+                model: modelId,
+                messages: buildMessages(request),
+                max_tokens: this.getMaxTokens({ ...request, modelId }),
+                temperature: typeof request.temperature === 'number' ? request.temperature : 0.7
+            };
+            const responseFormat = toOpenAIResponseFormat(request.responseFormat, this.structuredOutput);
+            if (responseFormat) {
+                params.response_format = responseFormat;
+            }
+
+            const response = await client.chat.completions.create(params);
+            const usage = normalizeUsage(response.usage);
+            if (usage && request.onUsage) request.onUsage(usage);
+            return response.choices[0]?.message?.content || '';
+        },
+
+        async completeWithTools(client, request) {
+            const modelId = request.modelId || this.defaultModel;
+            const response = await client.chat.completions.create({
+                model: modelId,
+                messages: buildToolMessages(request),
+                max_tokens: this.getMaxTokens({ ...request, modelId }),
+                temperature: typeof request.temperature === 'number' ? request.temperature : 0.7,
+                tools: request.tools.map(tool => ({
+                    type: 'function',
+                    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+                })),
+                tool_choice: request.toolChoice === 'none' ? 'none' : 'auto'
+            });
+            const usage = normalizeUsage(response.usage);
+            if (usage && request.onUsage) request.onUsage(usage);
+
+            const message = response.choices[0]?.message || {};
+            return {
+                text: message.content || '',
+                toolCalls: (message.tool_calls || [])
+                    .filter(call => call.type === 'function' || call.function)
+                    .map(call => ({
+                        id: call.id,
+                        name: call.function.name,
+                        arguments: parseToolArguments(call.function.arguments)
+                    }))
+            };
+        }
+    };
+}
+
+export const openaiAdapter = createOpenAICompatibleAdapter({
+    id: 'openai',
+    agentName: 'chatgpt',
+    aliases: ['gpt', 'gpt4'],
+    displayName: 'ChatGPT',
+    envKeys: ['OPENAI_API_KEY'],
+    defaultModel: 'gpt-4.1',
+    structuredOutput: 'json_schema',
+    streamUsage: true,
+    // OpenAI publishes its tables; GPT-4 and GPT-3.5 predate o200k_base
+    tokenizer: {
+        encoding: 'o200k_base',
+        exact: true,
+        modelEncodings: { 'gpt-4': 'cl100k_base', 'gpt-3.5-turbo': 'cl100k_base' }
+    },
+    models: ['gpt-4.1', 'gpt-4.1-mini', 'gpt-4o', 'o3', 'o4-mini'],
+    limits: {
+        contextWindow: 1047576,
+        maxOutputTokens: 32768, // GPT-4.1 has a 32,768 token output limit
+        defaultOutputTokens: 4000
+    },
+    modelOutputLimits: {
+        'gpt-4o': 8192 // GPT-4o supports up to 8k tokens output
+    },
+    pricing: {
+        input: 2.00,
+        output: 8.00,
+        models: {
+            'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+            'gpt-4o': { input: 2.50, output: 10.00 },
+            'o3': { input: 10.00, output: 40.00 },
+            'o4-mini': { input: 1.10, output: 4.40 },
+            'gpt-4.1': { input: 2.00, output: 8.00 },
+            'gpt-4.1-2025-04-14': { input: 2.00, output: 8.00 },
+            'gpt-4.1-fine-tuning': { input: 4.00, output: 16.00 },
+            'gpt-4.1-mini-2025-04-14': { input: 0.40, output: 1.60 },
+            'gpt-4.1-mini-fine-tuning': { input: 0.80, output: 3.20 },
+            'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+            'gpt-4.1-nano-2025-04-14': { input: 0.10, output: 0.40 },
+            'gpt-4.5-preview': { input: 75.00, output: 150.00 },
+            'gpt-4.5-preview-2025-02-27': { input: 75.00, output: 150.00 },
+            'gpt-4o-2024-08-06': { input: 2.50, output: 10.00 },
+            'gpt-4o-fine-tuning': { input: 5.00, output: 20.00 },
+            'gpt-4o-audio-preview': { input: 40.00, output: 80.00 },
+            'gpt-4o-audio-preview-2024-12-17': { input: 40.00, output: 80.00 },
+            'gpt-4o-realtime-preview': { input: 40.00, output: 80.00 },
+            'gpt-4o-realtime-preview-2024-12-17': { input: 40.00, output: 80.00 },
+            'gpt-4o-mini': { input: 0.15, output: 0.60 },
+            'gpt-4o-mini-2024-07-18': { input: 0.15, output: 0.60 },
+            'gpt-4o-mini-fine-tuning': { input: 0.30, output: 1.20 },
+            'gpt-4o-mini-audio-preview': { input: 10.00, output: 20.00 },
+            'gpt-4o-mini-audio-preview-2024-12-17': { input: 10.00, output: 20.00 },
+            'gpt-4o-mini-realtime-preview': { input: 10.00, output: 20.00 },
+            'gpt-4o-mini-realtime-preview-2024-12-17': { input: 10.00, output: 20.00 },
+            'gpt-4o-mini-search-preview': { input: 0.15, output: 0.60 },
+            'gpt-4o-mini-search-preview-2025-03-11': { input: 0.15, output: 0.60 },
+            'gpt-4o-search-preview': { input: 2.50, output: 10.00 },
+            'gpt-4o-search-preview-2025-03-11': { input: 2.50, output: 10.00 },
+            'o1': { input: 15.00, output: 60.00 },
+            'o1-2024-12-17': { input: 15.00, output: 60.00 },
+            'o1-pro': { input: 150.00, output: 600.00 },
+            'o1-pro-2025-03-19': { input: 150.00, output: 600.00 },
+            'o3-2025-04-16': { input: 10.00, output: 40.00 },
+            'o3-mini': { input: 1.10, output: 4.40 },
+            'o3-mini-2025-01-31': { input: 1.10, output: 4.40 },
+            'o4-mini-2025-04-16': { input: 1.10, output: 4.40 },
+            'o1-mini': { input: 1.10, output: 4.40 },
+            'o1-mini-2024-09-12': { input: 1.10, output: 4.40 },
+            'gpt-image-1': { input: 5.00, output: 10.00 },
+            'gpt-4o-mini-tts': { input: 12.00, output: 0.00 },
+            'gpt-4o-transcribe': { input: 6.00, output: 0.00 },
+            'gpt-4o-mini-transcribe': { input: 3.00, output: 0.00 },
+            'text-embedding-3-small': { input: 0.02, output: 0.02 },
+            'text-embedding-3-large': { input: 0.13, output: 0.13 },
+            'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+            'gpt-3.5-turbo-fine-tuning': { input: 1.00, output: 3.00 }
+        }
+    },
+    systemPrompts: {
+        base: "You are ChatGPT, a helpful AI assistant from OpenAI.",
+        agent: "You are ChatGPT, participating in a multi-model AI collaboration. You are known for your broad knowledge and helpful responses."
+    }
+});
+
+export const grokAdapter = createOpenAICompatibleAdapter({
+    id: 'grok',
+    agentName: 'grok',
+    aliases: ['xai'],
+    displayName: 'Grok',
+    envKeys: ['XAI_API_KEY', 'GROK_API_KEY'],
+    baseURL: 'https://api.x.ai/v1',
+    defaultModel: 'grok-3-mini',
+    structuredOutput: 'json_schema',
+    streamUsage: true,
+    // No offline table for Grok; it counts slightly more tokens than o200k_base
+    tokenizer: { encoding: 'o200k_base', ratio: 1.05 },
+    models: ['grok-3', 'grok-3-mini', 'grok-3-fast'],
+    limits: {
+        contextWindow: 131072,
+        maxOutputTokens: 128000, // Grok-3 supports large outputs
+        defaultOutputTokens: 4000
+    },
+    pricing: {
+        input: 0.30,
+        output: 0.50,
+        models: {
+            'grok-3': { input: 3.00, output: 15.00 },
+            'grok-3-fast': { input: 5.00, output: 25.00 },
+            'grok-3-mini': { input: 0.30, output: 0.50 },
+            'grok-2-vision': { input: 2.00, output: 10.00 }
+        }
+    },
+    chatSystemPrompt: 'You are Grok, a helpful AI from xAI.',
+    systemPrompts: {
+        base: "You are Grok, a helpful AI assistant from xAI with a witty personality.",
+        agent: "You are Grok, participating in a multi-model AI collaboration. You are known for witty, creative thinking and unconventional solutions."
+    }
+});
+
+export const deepseekAdapter = createOpenAICompatibleAdapter({
+    id: 'deepseek',
+    agentName: 'deepseek',
+    displayName: 'DeepSeek',
+    envKeys: ['DEEPSEEK_API_KEY'],
+    baseURL: 'https://api.deepseek.com/v1',
+    defaultModel: 'deepseek-chat', // Alternative is 'deepseek-reasoner'
+    structuredOutput: 'json_object',
+    streamUsage: true,
+    // Estimated: DeepSeek reports about 10% more tokens than o200k_base for the same text
+    tokenizer: { encoding: 'o200k_base', ratio: 1.1 },
+    models: ['deepseek-chat', 'deepseek-reasoner'],
+    limits: {
+        contextWindow: 65536,
+        maxOutputTokens: 8000, // DeepSeek supports up to 8k tokens output
+        defaultOutputTokens: 8000
+    },
+    pricing: {
+        input: 0.27,
+        output: 1.10,
+        models: {
+            'deepseek-reasoner': { input: 0.55, output: 2.19 },
+            'deepseek-chat': { input: 0.27, output: 1.10 }
+        }
+    },
+    chatSystemPrompt: 'You are a helpful assistant from DeepSeek.',
+    systemPrompts: {
+        base: "You are DeepSeek, a helpful AI assistant focused on advanced reasoning.",
+        agent: "You are DeepSeek, participating in a multi-model AI collaboration. You are known for thoroughness and advanced reasoning capabilities."
+    }
+});
+
+export const llamaAdapter = createOpenAICompatibleAdapter({
+    id: 'llama',
+    agentName: 'llama',
+    aliases: ['meta'],
+    displayName: 'Llama',
+    envKeys: ['LLAMA_API_KEY', 'GROQ_API_KEY'],
+    // Llama may be self-hosted, in which case no key is needed once a base URL is set.
+    // LLAMA_API_BASE_URL is the older name of the same setting.
+    requiresApiKey: !(process.env.LLAMA_BASE_URL || process.env.LLAMA_API_BASE_URL),
+    baseURL: process.env.LLAMA_BASE_URL || process.env.LLAMA_API_BASE_URL || 'https://api.llama.com/compat/v1/',
+    defaultModel: 'Llama-4-Maverick-17B-128E-Instruct-FP8',
+    structuredOutput: 'json_object',
+    // Llama 3 and 4 extend cl100k_base with extra tokens, so its count is a close upper bound
+    tokenizer: { encoding: 'cl100k_base' },
+    models: ['Llama-4-Maverick-17B-128E-Instruct-FP8', 'Llama-4-Scout-17B-16E-Instruct-FP8', 'Llama-3.3-70B-Instruct'],
+    limits: {
+        contextWindow: 128000,
+        maxOutputTokens: 32768, // Llama-4 models support varying limits (this is conservative)
+        defaultOutputTokens: 4000
+    },
+    pricing: { input: 0, output: 0 },
+    systemPrompts: {
+        base: "You are Llama, a helpful open-source AI assistant.",
+        agent: "You are Llama, participating in a multi-model AI collaboration. You are known for your straightforward, helpful responses."
+    }
+});
@@ -0,0 +1,343 @@
+/**
+ * Provider Adapter Registry
+ * Single source of truth for every AI backend the hub can talk to. Each adapter
+ * declares its id, aliases, client construction, streaming and non-streaming
+ * calls, default model, token limits and pricing.
+ * Version: 1.0.0
+ */
+
+const REQUIRED_ADAPTER_FIELDS = ['id', 'agentName', 'defaultModel', 'createClient', 'stream', 'complete'];
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} [modelId] - Model to use (falls back to the adapter default).
+ * @property {string} [systemPrompt] - Optional system instructions.
+ * @property {string} userPrompt - The user message.
+ * @property {number} [maxTokens] - Output token cap (falls back to limits.defaultOutputTokens).
+ * @property {number} [temperature] - Sampling temperature.
+ * @property {import('./structuredOutput.mjs').ResponseFormat} [responseFormat] - Ask for JSON, natively where the API supports it.
+ * @property {function({inputTokens?: number, outputTokens?: number}): void} [onUsage] - Called with the token
+ *   counts the API reported for the call, if it reported any.
+ */
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Function name shown to the model.
+ * @property {string} description
+ * @property {Object} parameters - JSON Schema of the arguments.
+ */
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} id - Call id, sent back with the call's result.
+ * @property {string} name
+ * @property {Object|null} arguments - Parsed arguments; null if the model sent invalid JSON.
+ */
+
+/**
+ * One step of a tool-use exchange, following the user prompt.
+ * @typedef {Object} ToolTurn
+ * @property {'assistant'|'tool'} role
+ * @property {string} [text] - What the assistant said alongside its calls.
+ * @property {ToolCall[]} [toolCalls] - Calls the assistant made.
+ * @property {Array<{id: string, name: string, content: string, isError?: boolean}>} [results] - Tool results, one per call.
+ */
+
+/**
+ * @typedef {CompletionRequest & {tools: ToolDefinition[], turns: ToolTurn[], toolChoice?: 'auto'|'none'}} ToolRequest
+ *   toolChoice 'none' asks for a final answer without further calls.
+ */
+
+/**
+ * @typedef {Object} ProviderAdapter
+ * @property {string} id - Canonical id, also used as the stored API key provider name (e.g. 'anthropic').
+ * @property {string} agentName - Name used by the frontend and collaboration agents (e.g. 'claude').
+ * @property {string[]} [aliases] - Additional names that resolve to this adapter.
+ * @property {string} [displayName] - Human readable name.
+ * @property {string[]} [envKeys] - Environment variables holding a system API key, in priority order.
+ * @property {boolean} [requiresApiKey=true] - False for self-hosted backends that accept anonymous calls.
+ * @property {boolean} [namespaced=false] - Adapter serves a family of per-user agents named '<id>:<name>'
+ *   (e.g. 'custom:vllm'). Namespaced adapters resolve by prefix and are left out of list()/ids().
+ * @property {string} defaultModel - Model used when none is requested.
+ * @property {string[]} [models] - Known model ids.
+ * @property {{contextWindow: number, maxOutputTokens: number, defaultOutputTokens: number}} limits
+ * @property {{input: number, output: number, models?: Object<string, {input: number, output: number}>}} [pricing] - USD per 1M tokens.
+ * @property {{base: string, agent: string}} [systemPrompts] - Persona prompts for collaboration.
+ * @property {string} [chatSystemPrompt] - System prompt sent with direct (non-collaborative) chat streams.
+ * @property {'json_schema'|'json_object'} [structuredOutput] - Native JSON support of an OpenAI-compatible backend.
+ * @property {boolean} [streamUsage] - The OpenAI-compatible backend accepts `stream_options.include_usage`.
+ * @property {import('../tokenizer.mjs').TokenizerSpec} [tokenizer] - How to count this provider's tokens
+ *   when the API does not report them (defaults to an uncalibrated o200k_base count).
+ * @property {function(string, Object=): Object} createClient - Builds an SDK client from an API key.
+ * @property {function(Object, CompletionRequest): AsyncGenerator<string>} stream - Yields text chunks.
+ * @property {function(Object, CompletionRequest): Promise<string>} complete - Returns the full response text.
+ * @property {function(Object, ToolRequest): Promise<{text: string, toolCalls: ToolCall[]}>} [completeWithTools] - One
+ *   non-streaming step of a tool-use exchange. Providers without function calling leave it out.
+ */
+
+class ProviderRegistry {
+    constructor() {
+        /** @type {Map<string, ProviderAdapter>} */
+        this.adapters = new Map();
+        /** @type {Map<string, string>} alias -> canonical id */
+        this.aliases = new Map();
+    }
+
+    /**
+     * Registers (or replaces) a provider adapter.
+     * @param {ProviderAdapter} adapter
+     * @returns {ProviderAdapter} The registered adapter.
+     * @throws {Error} If the adapter is missing required fields or an alias collides with another provider.
+     */
+    register(adapter) {
+        const missing = REQUIRED_ADAPTER_FIELDS.filter(field => !adapter?.[field]);
+        if (missing.length > 0) {
+            throw new Error(`Provider adapter is missing required fields: ${missing.join(', ')}`);
+        }
+
+        const id = adapter.id.toLowerCase();
+        const names = [id, adapter.agentName, ...(adapter.aliases || [])].map(name => name.toLowerCase());
+        for (const name of names) {
+            const owner = this.aliases.get(name);
+            if (owner && owner !== id) {
+                throw new Error(`Provider name '${name}' is already registered by '${owner}'`);
+            }
+        }
+
+        if (this.adapters.has(id)) {
+            this.unregister(id);
+        }
+
+        const normalized = {
+            requiresApiKey: true,
+            aliases: [],
+            envKeys: [],
+            models: [],
+            systemPrompts: null,
+            pricing: null,
+            ...adapter,
+            id,
+            displayName: adapter.displayName || adapter.agentName,
+            limits: {
+                contextWindow: 128000,
+                maxOutputTokens: 4096,
+                defaultOutputTokens: 4000,
+                ...(adapter.limits || {})
+            }
+        };
+
+        this.adapters.set(id, normalized);
+        names.forEach(name => this.aliases.set(name, id));
+        console.log(`🔌 Provider registry: registered '${id}' (agent: ${normalized.agentName})`);
+        return normalized;
+    }
+
+    /**
+     * Removes an adapter and all of its aliases.
+     * @param {string} idOrAlias
+     * @returns {boolean} True if an adapter was removed.
+     */
+    unregister(idOrAlias) {
+        const id = this.resolveId(idOrAlias);
+        if (!id || !this.adapters.has(id)) return false;
+
+        this.adapters.delete(id);
+        for (const [alias, owner] of this.aliases.entries()) {
+            if (owner === id) this.aliases.delete(alias);
+        }
+        return true;
+    }
+
+    /**
+     * Resolves any known provider name (id, agent name or alias) to the canonical id.
+     * @param {string} name
+     * @returns {string|null}
+     */
+    resolveId(name) {
+        if (!name) return null;
+        const lowered = String(name).toLowerCase();
+        const id = this.aliases.get(lowered);
+        if (id) return id;
+
+        const separator = lowered.indexOf(':');
+        if (separator > 0) {
+            const namespace = lowered.slice(0, separator);
+            if (this.adapters.get(namespace)?.namespaced) return namespace;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} name - Id, agent name or alias.
+     * @returns {boolean} True for agent names served by a namespaced adapter (e.g. 'custom:vllm').
+     */
+    isNamespaced(name) {
+        return !!this.get(name)?.namespaced;
+    }
+
+    /**
+     * @param {string} name - Id, agent name or alias.
+     * @returns {ProviderAdapter|null}
+     */
+    get(name) {
+        const id = this.resolveId(name);
+        return id ? this.adapters.get(id) : null;
+    }
+
+    /**
+     * @param {string} name - Id, agent name or alias.
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.resolveId(name) !== null;
+    }
+
+    /**
+     * @param {string} name - Id, agent name or alias.
+     * @returns {string|null} The agent name used by the frontend and collaboration modes.
+     */
+    getAgentName(name) {
+        const adapter = this.get(name);
+        if (!adapter) return null;
+        return adapter.namespaced ? String(name).toLowerCase() : adapter.agentName;
+    }
+
+    /** @returns {ProviderAdapter[]} Concrete (non-namespaced) providers. */
+    list() {
+        return Array.from(this.adapters.values()).filter(adapter => !adapter.namespaced);
+    }
+
+    /** @returns {string[]} Canonical ids. */
+    ids() {
+        return this.list().map(adapter => adapter.id);
+    }
+
+    /** @returns {string[]} Agent names. */
+    agentNames() {
+        return this.list().map(adapter => adapter.agentName);
+    }
+
+    /**
+     * Reads the system (environment) API key for a provider.
+     * @param {string} name - Id, agent name or alias.
+     * @returns {string|null}
+     */
+    getSystemApiKey(name) {
+        const adapter = this.get(name);
+        if (!adapter) return null;
+        for (const envKey of adapter.envKeys) {
+            if (process.env[envKey]) return process.env[envKey];
+        }
+        return null;
+    }
+
+    /**
+     * Looks up per-million-token pricing for a model, falling back to the provider default.
+     * @param {string} name - Id, agent name or alias.
+     * @param {string} [modelId]
+     * @returns {{input: number, output: number}|null}
+     */
+    getPricing(name, modelId) {
+        const pricing = this.get(name)?.pricing;
+        if (!pricing) return null;
+
+        const modelPricing = modelId && pricing.models
+            ? pricing.models[modelId] || pricing.models[modelId.toLowerCase()]
+            : null;
+        if (modelPricing) return modelPricing;
+
+        return typeof pricing.input === 'number' ? { input: pricing.input, output: pricing.output || 0 } : null;
+    }
+
+    /**
+     * Creates an SDK client for a provider.
+     * @param {string} name - Id, agent name or alias.
+     * @param {string} apiKey
+     * @param {Object} [options] - Adapter specific options (e.g. baseURL).
+     * @returns {Object}
+     */
+    createClient(name, apiKey, options = {}) {
+        const adapter = this.get(name);
+        if (!adapter) {
+            throw new Error(`Unknown provider: ${name}`);
+        }
+        return adapter.createClient(apiKey, options);
+    }
+
+    /**
+     * Attaches the `getResponse(promptData, options)` helper expected by the collaboration
+     * modules so every client, regardless of SDK, exposes the same non-streaming call.
+     * A `client.defaultModel` set before decorating overrides the adapter default.
+     * @param {string} name - Id, agent name or alias.
+     * @param {Object} client
+     * @returns {Object} The same client.
+     */
+    decorateClient(name, client) {
+        const adapter = this.get(name);
+        if (!adapter || !client) return client;
+
+        client.getResponse = (promptData, options = {}) => adapter.complete(client, {
+            systemPrompt: promptData?.systemPrompt,
+            userPrompt: promptData?.userPrompt,
+            modelId: options.modelId || client.defaultModel,
+            maxTokens: options.maxTokens,
+            temperature: options.temperature
+        });
+        client.providerId = adapter.id;
+        return client;
+    }
+
+    /**
+     * Adapts an adapter's async-iterator stream to the callback signature used by the
+     * WebSocket chat flow: (modelId, prompt, onChunk, onComplete, onError). onComplete
+     * receives the token usage the API reported, or null.
+     * @param {string} name - Id, agent name or alias.
+     * @param {function(): (Object|null|Promise<Object|null>)} resolveClient - Returns the client to stream from.
+     * @returns {function(string, string, function(string): void, function(Object|null): void, function(Error): void): Promise<void>|null}
+     */
+    getStreamFunction(name, resolveClient) {
+        const adapter = this.get(name);
+        if (!adapter) return null;
+
+        return async (modelId, prompt, onChunk, onComplete, onError) => {
+            let client = null;
+            try {
+                client = await resolveClient();
+            } catch (error) {
+                console.warn(`${adapter.displayName} Stream: could not resolve client: ${error.message}`);
+            }
+            if (!client) {
+                onError(new Error(`${adapter.displayName} API client is not available or not configured.`));
+                onComplete();
+                return;
+            }
+
+            const modelToUse = modelId || client.defaultModel || adapter.defaultModel;
+            console.log(`${adapter.displayName} Stream: Using model ${modelToUse}`);
+
+            let usage = null;
+            try {
+                const stream = adapter.stream(client, {
+                    modelId: modelToUse,
+                    systemPrompt: adapter.chatSystemPrompt,
+                    userPrompt: prompt,
+                    maxTokens: adapter.limits.maxOutputTokens,
+                    onUsage: (reported) => { usage = reported; }
+                });
+                for await (const text of stream) {
+                    if (text) onChunk(text);
+                }
+                console.log(`${adapter.displayName} Stream: Completed for model ${modelToUse}`);
+            } catch (error) {
+                console.error(`${adapter.displayName} Stream Error (model ${modelToUse}):`, error);
+                onError(new Error(`${adapter.displayName} API Error: ${error.message || 'Unknown error'}`));
+            }
+            onComplete(usage);
+        };
+    }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+export { ProviderRegistry };
+export default providerRegistry;
@@ -0,0 +1,74 @@
+/**
+ * Structured Output Helpers
+ * Maps a provider-neutral response format ({ type: 'json', name, schema }) onto each
+ * API's native JSON support: OpenAI-style response_format, a forced Claude tool call,
+ * or Gemini's JSON response MIME type. Callers must still validate what comes back.
+ * Version: 1.0.0
+ */
+
+/**
+ * @typedef {Object} ResponseFormat
+ * @property {'json'} type
+ * @property {string} [name] - Identifier for the schema / tool (letters, digits, _ and -)
+ * @property {Object} [schema] - JSON Schema the reply should satisfy
+ */
+
+const DEFAULT_FORMAT_NAME = 'structured_reply';
+
+function formatName(responseFormat) {
+    return responseFormat.name || DEFAULT_FORMAT_NAME;
+}
+
+/**
+ * @param {ResponseFormat} [responseFormat]
+ * @returns {boolean}
+ */
+export function wantsJson(responseFormat) {
+    return Boolean(responseFormat && responseFormat.type === 'json');
+}
+
+/**
+ * OpenAI chat completions `response_format`.
+ * @param {ResponseFormat} responseFormat
+ * @param {'json_schema'|'json_object'} [support] - What the backend accepts; omit for none
+ * @returns {Object|null} Null if the backend has no JSON mode (the prompt alone must do)
+ */
+export function toOpenAIResponseFormat(responseFormat, support) {
+    if (!wantsJson(responseFormat) || !support) return null;
+    if (support === 'json_schema' && responseFormat.schema) {
+        return {
+            type: 'json_schema',
+            json_schema: { name: formatName(responseFormat), schema: responseFormat.schema, strict: true }
+        };
+    }
+    return { type: 'json_object' };
+}
+
+/**
+ * Claude has no JSON mode; a single tool whose input is the schema, with the tool call
+ * forced, gets the same result. The tool input streams as `input_json_delta` chunks.
+ * @param {ResponseFormat} responseFormat
+ * @returns {{tools: Object[], tool_choice: Object}|null}
+ */
+export function toAnthropicToolChoice(responseFormat) {
+    if (!wantsJson(responseFormat) || !responseFormat.schema) return null;
+    const name = formatName(responseFormat);
+    return {
+        tools: [{
+            name,
+            description: 'Submit the reply in the required structure.',
+            input_schema: responseFormat.schema
+        }],
+        tool_choice: { type: 'tool', name }
+    };
+}
+
+/**
+ * Gemini generationConfig fields. Only the MIME type is set: Gemini's responseSchema
+ * accepts a narrower OpenAPI subset than the schemas used here.
+ * @param {ResponseFormat} responseFormat
+ * @returns {Object}
+ */
+export function toGeminiGenerationConfig(responseFormat) {
+    return wantsJson(responseFormat) ? { responseMimeType: 'application/json' } : {};
+}
@@ -0,0 +1,295 @@
+/**
+ * Structured Votes
+ * Consensus modes ask each voter for a JSON ballot (chosen agent, full ranking,
+ * confidence and reasons) instead of free text. Ballots are validated against the
+ * candidates; a malformed ballot is sent back to the voter with the problems listed,
+ * and a voter that never produces a valid one abstains rather than being guessed at.
+ * Version: 1.0.0
+ */
+
+export const MAX_VOTE_ATTEMPTS = 3;
+
+const MAX_REASONS = 5;
+const MAX_REASON_LENGTH = 500;
+// How much of a rejected reply is quoted back to the voter
+const MAX_ECHOED_REPLY_LENGTH = 2000;
+
+/**
+ * @typedef {Object} Ballot
+ * @property {string} chosenAgent - The candidate voted for
+ * @property {string[]} ranking - Every candidate, best first; starts with chosenAgent
+ * @property {number} confidence - 0 to 1
+ * @property {string[]} reasons
+ */
+
+/**
+ * @typedef {Object} CollectedVote
+ * @property {string} voter
+ * @property {string|null} votedFor - Null when the voter abstained
+ * @property {string[]} ranking
+ * @property {number|null} confidence
+ * @property {string[]} reasons
+ * @property {string} reasoning - Reasons joined, or the raw reply of an abstaining voter
+ * @property {boolean} structured - False if no valid ballot was received
+ * @property {number} attempts
+ * @property {string[]} [errors] - Problems with the last reply of an abstaining voter
+ */
+
+/**
+ * JSON Schema for a ballot, used for provider-native JSON and tool modes
+ * @param {string[]} candidates
+ * @returns {Object}
+ */
+export function buildVoteSchema(candidates) {
+  return {
+    type: 'object',
+    properties: {
+      chosenAgent: { type: 'string', enum: candidates, description: 'The candidate you vote for' },
+      ranking: { type: 'array', items: { type: 'string', enum: candidates }, description: 'Every candidate exactly once, best first' },
+      confidence: { type: 'number', description: 'How sure you are of your choice, from 0 to 1' },
+      reasons: { type: 'array', items: { type: 'string' }, description: `1-${MAX_REASONS} short reasons for your choice` }
+    },
+    required: ['chosenAgent', 'ranking', 'confidence', 'reasons'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Response format for getAgentResponse, carried on the prompt object
+ * @param {string[]} candidates
+ * @returns {import('./providers/structuredOutput.mjs').ResponseFormat}
+ */
+export function buildVoteResponseFormat(candidates) {
+  return { type: 'json', name: 'cast_vote', schema: buildVoteSchema(candidates) };
+}
+
+/**
+ * Ballot instructions appended to a mode's own voting instructions
+ * @param {string[]} candidates
+ * @returns {string}
+ */
+export function buildVoteInstructions(candidates) {
+  return `Reply with ONLY a JSON object, no other text, in this form:
+{"chosenAgent": "<candidate>", "ranking": ["<best candidate>", "..."], "confidence": <0 to 1>, "reasons": ["<short reason>", "..."]}
+
+The candidates are: ${candidates.join(', ')}. Use these names exactly. "ranking" must list every candidate once, starting with "chosenAgent". Give 1-${MAX_REASONS} reasons.`;
+}
+
+function extractJsonObject(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced?.[1], text];
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate.trim());
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not JSON; try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a parsed ballot against the schema and the candidates. Candidate names are
+ * matched case-insensitively and returned in their canonical spelling.
+ * @param {Object} value
+ * @param {string[]} candidates
+ * @returns {{ballot: Ballot|null, errors: string[]}}
+ */
+export function validateBallot(value, candidates) {
+  const errors = [];
+  const byName = new Map(candidates.map(candidate => [candidate.toLowerCase(), candidate]));
+  const resolve = name => (typeof name === 'string' ? byName.get(name.trim().toLowerCase()) || null : null);
+
+  const chosenAgent = resolve(value.chosenAgent);
+  if (!chosenAgent) {
+    errors.push(`"chosenAgent" must be one of: ${candidates.join(', ')}`);
+  }
+
+  let ranking = [];
+  if (!Array.isArray(value.ranking)) {
+    errors.push('"ranking" must be an array of candidate names');
+  } else {
+    ranking = value.ranking.map(resolve);
+    const unknown = value.ranking.filter((name, index) => !ranking[index]);
+    if (unknown.length > 0) {
+      errors.push(`"ranking" contains names that are not candidates: ${unknown.map(name => JSON.stringify(name)).join(', ')}`);
+    }
+    ranking = ranking.filter(Boolean);
+    if (new Set(ranking).size !== ranking.length) {
+      errors.push('"ranking" lists a candidate more than once');
+    }
+    const missing = candidates.filter(candidate => !ranking.includes(candidate));
+    if (missing.length > 0) {
+      errors.push(`"ranking" is missing: ${missing.join(', ')}`);
+    }
+    if (chosenAgent && ranking[0] !== chosenAgent) {
+      errors.push('"ranking" must start with "chosenAgent"');
+    }
+  }
+
+  const confidence = typeof value.confidence === 'number' ? value.confidence : NaN;
+  if (!(confidence >= 0 && confidence <= 1)) {
+    errors.push('"confidence" must be a number from 0 to 1');
+  }
+
+  const reasons = Array.isArray(value.reasons)
+    ? value.reasons
+      .filter(reason => typeof reason === 'string' && reason.trim())
+      .slice(0, MAX_REASONS)
+      .map(reason => reason.trim().slice(0, MAX_REASON_LENGTH))
+    : [];
+  if (reasons.length === 0) {
+    errors.push('"reasons" must be a non-empty array of strings');
+  }
+
+  if (errors.length > 0) return { ballot: null, errors };
+  return { ballot: { chosenAgent, ranking, confidence, reasons }, errors };
+}
+
+/**
+ * Reads a voter's reply into a ballot
+ * @param {string} text
+ * @param {string[]} candidates
+ * @returns {{ballot: Ballot|null, errors: string[]}}
+ */
+export function parseBallot(text, candidates) {
+  const parsed = typeof text === 'string' ? extractJsonObject(text) : null;
+  if (!parsed) {
+    return { ballot: null, errors: ['the reply is not a JSON object'] };
+  }
+  return validateBallot(parsed, candidates);
+}
+
+function buildRetryPrompt(prompt, reply, errors) {
+  const echoed = reply.length > MAX_ECHOED_REPLY_LENGTH ? `${reply.slice(0, MAX_ECHOED_REPLY_LENGTH)}...` : reply;
+  return {
+    ...prompt,
+    userPrompt: `${prompt.userPrompt}
+
+YOUR PREVIOUS REPLY:
+${echoed}
+
+That reply was rejected:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object.`
+  };
+}
+
+/**
+ * Asks one voter for a ballot, re-prompting with the validation errors when the reply
+ * is malformed. Errors thrown by `ask` (abort, cost limit, provider failure) propagate.
+ * @param {Object} vote
+ * @param {string} vote.voter
+ * @param {string[]} vote.candidates
+ * @param {{systemPrompt: string, userPrompt: string}} vote.prompt - Should include buildVoteInstructions
+ * @param {function(Object): Promise<string>} vote.ask - Sends a prompt to the voter and returns the reply
+ * @param {number} [vote.maxAttempts]
+ * @returns {Promise<CollectedVote>}
+ */
+export async function collectStructuredVote({ voter, candidates, prompt, ask, maxAttempts = MAX_VOTE_ATTEMPTS }) {
+  const votePrompt = { ...prompt, responseFormat: buildVoteResponseFormat(candidates) };
+  let currentPrompt = votePrompt;
+  let reply = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    reply = await ask(currentPrompt);
+    const result = parseBallot(reply, candidates);
+    if (result.ballot) {
+      return {
+        voter,
+        votedFor: result.ballot.chosenAgent,
+        ranking: result.ballot.ranking,
+        confidence: result.ballot.confidence,
+        reasons: result.ballot.reasons,
+        reasoning: result.ballot.reasons.join('\n'),
+        structured: true,
+        attempts: attempt
+      };
+    }
+
+    errors = result.errors;
+    console.warn(`⚠️ Malformed vote from ${voter} (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+    currentPrompt = buildRetryPrompt(votePrompt, reply, errors);
+  }
+
+  return {
+    voter,
+    votedFor: null,
+    ranking: [],
+    confidence: null,
+    reasons: [],
+    reasoning: reply,
+    structured: false,
+    attempts: maxAttempts,
+    errors
+  };
+}
+
+/**
+ * Counts ballots. The winner has the most first-choice votes; ties are broken by the
+ * summed confidence of those votes, then by ranking points (a candidate scores one point
+ * for each candidate ranked below it), then by candidate order.
+ * @param {CollectedVote[]} votes - Abstentions and errored votes are ignored
+ * @param {string[]} candidates
+ * @returns {{winner: string|null, standings: string[], counts: Object<string, number>, confidence: Object<string, number>, points: Object<string, number>, abstained: string[]}}
+ */
+export function tallyVotes(votes, candidates) {
+  const counts = {};
+  const confidence = {};
+  const points = {};
+  candidates.forEach(candidate => {
+    counts[candidate] = 0;
+    confidence[candidate] = 0;
+    points[candidate] = 0;
+  });
+
+  const abstained = [];
+  let cast = 0;
+  for (const vote of votes) {
+    if (!vote || vote.error || !vote.votedFor || counts[vote.votedFor] === undefined) {
+      if (vote && vote.voter) abstained.push(vote.voter);
+      continue;
+    }
+    cast++;
+    counts[vote.votedFor]++;
+    confidence[vote.votedFor] += vote.confidence || 0;
+    const ranked = (vote.ranking || []).filter(candidate => points[candidate] !== undefined);
+    ranked.forEach((candidate, index) => {
+      points[candidate] += ranked.length - 1 - index;
+    });
+  }
+
+  const standings = candidates.slice().sort((a, b) => (
+    counts[b] - counts[a]
+    || confidence[b] - confidence[a]
+    || points[b] - points[a]
+    || candidates.indexOf(a) - candidates.indexOf(b)
+  ));
+  Object.keys(confidence).forEach(candidate => {
+    confidence[candidate] = Math.round(confidence[candidate] * 100) / 100;
+  });
+
+  return { winner: cast > 0 ? standings[0] : null, standings, counts, confidence, points, abstained };
+}
+
+/**
+ * One line per voter, for prompts and rationales
+ * @param {CollectedVote[]} votes
+ * @returns {string}
+ */
+export function formatVotes(votes) {
+  return votes
+    .filter(vote => vote && !vote.error)
+    .map(vote => (vote.votedFor
+      ? `${vote.voter.toUpperCase()} voted for ${vote.votedFor} (confidence ${vote.confidence}; ranking ${vote.ranking.join(' > ')}): ${vote.reasons.join(' ')}`
+      : `${vote.voter.toUpperCase()} abstained (no valid ballot)`))
+    .join('\n');
+}
@@ -0,0 +1,188 @@
+/**
+ * Tokenizer Service
+ * Counts tokens per provider instead of guessing from character counts. OpenAI models
+ * are counted exactly with their published BPE tables (o200k_base / cl100k_base via
+ * gpt-tokenizer); providers whose tokenizers are not available offline are estimated
+ * from a BPE count scaled by a calibration ratio declared on the provider adapter.
+ * Token counts reported by the provider in a response always take precedence.
+ * Version: 1.0.0
+ */
+
+import { createRequire } from 'module';
+import providerRegistry from './providers/registry.mjs';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * How an adapter's tokens are counted. `exact` marks a table that is the provider's own.
+ * @typedef {Object} TokenizerSpec
+ * @property {'o200k_base'|'cl100k_base'} encoding - BPE table to count with
+ * @property {number} [ratio=1] - Multiplier from the table's count to the provider's
+ * @property {boolean} [exact=false]
+ * @property {Object<string, 'o200k_base'|'cl100k_base'>} [modelEncodings] - Per-model table, matched
+ *   on the model id or its '<id>-' prefix (e.g. 'gpt-4' covers 'gpt-4-turbo' but not 'gpt-4o')
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {'provider'|'exact'|'estimate'} source - Reported by the API, counted with the
+ *   provider's own table, or estimated
+ */
+
+/** @type {TokenizerSpec} */
+const DEFAULT_SPEC = { encoding: 'o200k_base', ratio: 1, exact: false };
+
+// Loaded on first use; each table costs ~60 MB and a few hundred ms
+const encodings = new Map();
+let tokenizerUnavailable = false;
+
+// Encoded as plain text: prompts quoting '<|endoftext|>' must not throw
+const COUNT_OPTIONS = { disallowedSpecial: new Set() };
+
+function loadEncoding(name) {
+  if (tokenizerUnavailable) return null;
+  if (!encodings.has(name)) {
+    try {
+      encodings.set(name, require(`gpt-tokenizer/encoding/${name}`));
+    } catch (error) {
+      console.error(`❌ Tokenizer: could not load ${name}, falling back to character estimates:`, error.message);
+      tokenizerUnavailable = true;
+      return null;
+    }
+  }
+  return encodings.get(name);
+}
+
+/**
+ * Last-resort estimate when no BPE table can be loaded. Dense text (code, punctuation,
+ * non-Latin scripts) yields far fewer characters per token than English prose.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateFromCharacters(text) {
+  let letters = 0;
+  let symbols = 0;
+  let wide = 0;
+  for (const char of text) {
+    if (/[a-zA-Z\s]/.test(char)) letters++;
+    else if (char.charCodeAt(0) < 128) symbols++;
+    else wide++;
+  }
+  return Math.ceil(letters / 4.5 + symbols / 1.5 + wide);
+}
+
+/**
+ * @param {string} [provider] - Any name the provider registry resolves
+ * @param {string} [model]
+ * @returns {{encoding: string, ratio: number, exact: boolean}}
+ */
+export function getTokenizerSpec(provider, model) {
+  const spec = { ...DEFAULT_SPEC, ...(providerRegistry.get(provider)?.tokenizer || {}) };
+  const lowered = model ? String(model).toLowerCase() : '';
+  const modelEncoding = lowered && Object.entries(spec.modelEncodings || {})
+    .find(([prefix]) => lowered === prefix || lowered.startsWith(`${prefix}-`))?.[1];
+
+  return {
+    encoding: modelEncoding || spec.encoding,
+    ratio: spec.ratio || 1,
+    exact: Boolean(spec.exact) && (spec.ratio || 1) === 1
+  };
+}
+
+/**
+ * Counts the tokens a provider will see (or bill) for a piece of text.
+ * @param {string} text
+ * @param {string} [provider] - Omit for a provider-neutral count
+ * @param {string} [model]
+ * @returns {number}
+ */
+export function countTokens(text, provider, model) {
+  if (!text) return 0;
+  const spec = getTokenizerSpec(provider, model);
+  const encoding = loadEncoding(spec.encoding);
+  const count = encoding
+    ? encoding.countTokens(String(text), COUNT_OPTIONS)
+    : estimateFromCharacters(String(text));
+  return Math.ceil(count * spec.ratio);
+}
+
+/**
+ * Reads the usage block of any supported API into input/output counts. Cached and
+ * reasoning tokens are included, since they are billed.
+ * @param {Object} raw - OpenAI `usage`, Anthropic `usage` or Gemini `usageMetadata`
+ * @returns {{inputTokens?: number, outputTokens?: number}|null}
+ */
+export function normalizeUsage(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const usage = {};
+
+  if (typeof raw.prompt_tokens === 'number' || typeof raw.completion_tokens === 'number') {
+    // OpenAI-compatible
+    if (typeof raw.prompt_tokens === 'number') usage.inputTokens = raw.prompt_tokens;
+    if (typeof raw.completion_tokens === 'number') usage.outputTokens = raw.completion_tokens;
+  } else if (typeof raw.input_tokens === 'number' || typeof raw.output_tokens === 'number') {
+    // Anthropic: input_tokens excludes prompt-cache reads and writes
+    if (typeof raw.input_tokens === 'number') {
+      usage.inputTokens = raw.input_tokens
+        + (raw.cache_creation_input_tokens || 0)
+        + (raw.cache_read_input_tokens || 0);
+    }
+    if (typeof raw.output_tokens === 'number') usage.outputTokens = raw.output_tokens;
+  } else if (typeof raw.promptTokenCount === 'number' || typeof raw.candidatesTokenCount === 'number') {
+    // Gemini: thinking tokens are billed as output
+    if (typeof raw.promptTokenCount === 'number') usage.inputTokens = raw.promptTokenCount;
+    if (typeof raw.candidatesTokenCount === 'number') {
+      usage.outputTokens = raw.candidatesTokenCount + (raw.thoughtsTokenCount || 0);
+    }
+  }
+
+  return Object.keys(usage).length > 0 ? usage : null;
+}
+
+/**
+ * Folds a usage block into what has been reported so far. Streams report usage in
+ * pieces (Anthropic sends input on message_start and output on message_delta), and
+ * later values are cumulative, so they replace earlier ones.
+ * @param {{inputTokens?: number, outputTokens?: number}|null} current
+ * @param {Object} raw
+ * @returns {{inputTokens?: number, outputTokens?: number}|null}
+ */
+export function mergeUsage(current, raw) {
+  const usage = normalizeUsage(raw);
+  if (!usage) return current || null;
+  return { ...(current || {}), ...usage };
+}
+
+/**
+ * Final token counts for one call: what the provider reported, with anything missing
+ * counted from the text.
+ * @param {{inputTokens?: number, outputTokens?: number}|null} reported
+ * @param {Object} call
+ * @param {string} [call.provider]
+ * @param {string} [call.model]
+ * @param {string} [call.input] - Everything sent as the prompt
+ * @param {string} [call.output] - The reply text
+ * @returns {TokenUsage}
+ */
+export function resolveUsage(reported, { provider, model, input = '', output = '' } = {}) {
+  const hasInput = typeof reported?.inputTokens === 'number';
+  const hasOutput = typeof reported?.outputTokens === 'number';
+
+  return {
+    inputTokens: hasInput ? reported.inputTokens : countTokens(input, provider, model),
+    outputTokens: hasOutput ? reported.outputTokens : countTokens(output, provider, model),
+    source: hasInput && hasOutput
+      ? 'provider'
+      : (getTokenizerSpec(provider, model).exact && !tokenizerUnavailable ? 'exact' : 'estimate')
+  };
+}
+
+export default {
+  countTokens,
+  getTokenizerSpec,
+  normalizeUsage,
+  mergeUsage,
+  resolveUsage
+};
@@ -0,0 +1,126 @@
+/**
+ * Agent Tool Loop
+ * Lets a collaboration agent call the MCP tools opened to its session: the model is
+ * asked again with each round of tool results until it answers without calling a tool.
+ * Every call and result is published on the collaboration channel for the UI.
+ */
+
+import { getSessionTools, executeTool } from '../mcp/tools.mjs';
+
+// Rounds of tool calls before the model is made to answer
+export const MAX_TOOL_ROUNDS = 8;
+
+/**
+ * Tool session for an agent call, if tools apply to it. Prompts that ask for structured
+ * output (votes, scorecards) never get tools.
+ * @param {string} redisChannel
+ * @param {import('./providers/registry.mjs').ProviderAdapter|null} adapter
+ * @param {{responseFormat?: Object}} prompt
+ * @returns {import('../mcp/tools.mjs').ToolSession|null}
+ */
+export function getToolSession(redisChannel, adapter, prompt) {
+  const session = getSessionTools(redisChannel);
+  if (!session || session.tools.length === 0 || prompt.responseFormat) return null;
+  if (!adapter || typeof adapter.completeWithTools !== 'function') return null;
+  return session;
+}
+
+// Every round resends the conversation, so each round's counts are billed
+function addUsage(total, reported) {
+  const sum = { ...(total || {}) };
+  for (const key of ['inputTokens', 'outputTokens']) {
+    if (typeof reported?.[key] === 'number') sum[key] = (sum[key] || 0) + reported[key];
+  }
+  return sum;
+}
+
+/**
+ * Runs the tool-use exchange for one agent call
+ * @param {Object} options
+ * @param {string} options.agent - Agent name
+ * @param {string} options.phase - Collaboration phase, for events
+ * @param {string} options.redisChannel
+ * @param {import('./providers/registry.mjs').ProviderAdapter} options.adapter
+ * @param {Object} options.client
+ * @param {import('./providers/registry.mjs').CompletionRequest} options.request
+ * @param {import('../mcp/tools.mjs').ToolSession} options.session
+ * @param {Function} options.publishEvent - (channel, event) publisher of the collaboration
+ * @param {Function} [options.checkpoint] - Called before every model and tool call; throws to stop
+ * @returns {Promise<{text: string, usage: Object|null, toolCalls: number}>} The final answer,
+ *   summed token counts the provider reported, and how many tools were called
+ */
+export async function runToolLoop({ agent, phase, redisChannel, adapter, client, request, session, publishEvent, checkpoint = () => {} }) {
+  const tools = session.tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+  const systemPrompt = request.systemPrompt ? `${request.systemPrompt}\n\n${session.instructions}` : session.instructions;
+  const turns = [];
+  const texts = [];
+  let usage = null;
+  let toolCalls = 0;
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    checkpoint();
+    const lastRound = round === MAX_TOOL_ROUNDS;
+    const step = await adapter.completeWithTools(client, {
+      ...request,
+      systemPrompt,
+      tools,
+      turns,
+      toolChoice: lastRound ? 'none' : 'auto',
+      onUsage: (reported) => { usage = addUsage(usage, reported); }
+    });
+
+    if (step.text) {
+      texts.push(step.text);
+      publishEvent(redisChannel, {
+        type: 'agent_thought',
+        agent,
+        phase,
+        text: step.text,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const calls = lastRound ? [] : step.toolCalls || [];
+    if (calls.length === 0) {
+      // The answer is the last reply; earlier text only narrated the tool calls
+      return { text: step.text || texts.join('\n\n'), usage, toolCalls };
+    }
+
+    turns.push({ role: 'assistant', text: step.text, toolCalls: calls });
+    const results = [];
+    for (const call of calls) {
+      checkpoint();
+      toolCalls++;
+      publishEvent(redisChannel, {
+        type: 'agent_tool_call',
+        agent,
+        phase,
+        callId: call.id,
+        tool: call.name,
+        path: typeof call.arguments?.path === 'string' ? call.arguments.path : null,
+        timestamp: new Date().toISOString()
+      });
+
+      const result = await executeTool(session, agent, call.name, call.arguments);
+      publishEvent(redisChannel, {
+        type: 'agent_tool_result',
+        agent,
+        phase,
+        callId: call.id,
+        tool: call.name,
+        ok: result.ok,
+        summary: result.summary,
+        operationId: result.operationId || null,
+        timestamp: new Date().toISOString()
+      });
+      results.push({ id: call.id, name: call.name, content: result.content, isError: !result.ok });
+    }
+    turns.push({ role: 'tool', results });
+  }
+}
+
+export default {
+  MAX_TOOL_ROUNDS,
+  getToolSession,
+  runToolLoop
+};
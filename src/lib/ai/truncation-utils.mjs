@@ -1,8 +1,15 @@
 /**
  * Utility functions for smart AI content truncation
  * to prevent context length issues in collaborations.
+ * Provider-specific limits are in tokens, counted with the tokenizer service.
  */
 
+import { countTokens } from './tokenizer.mjs';
+import providerRegistry from './providers/registry.mjs';
+
+// Safety margin when converting a token budget into a character cut
+const TOKEN_CUT_MARGIN = 0.95;
+
 /**
  * Log content metrics for debugging and analysis
  * @param {string} phaseId - Identifier for the phase
@@ -112,6 +119,30 @@ export function smartTruncate(text, maxLength, beginRatio = 0.3) {
   return basicTruncate(text, maxLength, beginRatio);
 }
 
+/**
+ * Truncates text to a token budget. The character cut is scaled by the text's own
+ * characters-per-token density and re-counted, since the truncation marker and uneven
+ * density can leave the first cut slightly over.
+ * @param {string} text - The text to truncate
+ * @param {number} maxTokens - Maximum allowed tokens
+ * @param {string} [provider] - AI provider name, selects the tokenizer
+ * @param {string} [model] - Model id
+ * @returns {string} - Truncated text
+ */
+export function truncateToTokenLimit(text, maxTokens, provider, model) {
+  if (!text) return text;
+  let tokens = countTokens(text, provider, model);
+  let result = text;
+
+  for (let attempt = 0; attempt < 3 && tokens > maxTokens; attempt++) {
+    const maxLength = Math.floor(result.length * (maxTokens / tokens) * TOKEN_CUT_MARGIN);
+    result = smartTruncate(text, maxLength);
+    tokens = countTokens(result, provider, model);
+  }
+
+  return result;
+}
+
 /**
  * Basic truncation that preserves beginning and end portions
  * @param {string} text - The text to truncate
@@ -486,22 +517,23 @@ function truncateQAContent(text, maxLength) {
  * Truncates an AI-generated draft to fit within token limits
  * @param {string} draft - The draft text to truncate
  * @param {string} provider - AI provider name for provider-specific limits
+ * @param {string} [model] - Model id, selects the tokenizer
  * @returns {string} - Truncated draft
  */
-export function truncateDraft(draft, provider) {
-  // Provider-specific character limits (approximate)
+export function truncateDraft(draft, provider, model) {
+  // Provider-specific token limits
   const limits = {
-    'claude': 100000,  // Claude has a large context
-    'gemini': 80000,   // Gemini has large context
-    'chatgpt': 60000,  // GPT-4 with standard context
-    'grok': 40000,     // Conservative estimate
-    'deepseek': 50000, // Conservative estimate
-    'llama': 30000,    // More restrictive for Llama
-    'default': 25000   // Default conservative limit
+    'claude': 25000,   // Claude has a large context
+    'gemini': 20000,   // Gemini has large context
+    'chatgpt': 15000,  // GPT-4 with standard context
+    'grok': 10000,     // Conservative estimate
+    'deepseek': 12500, // Conservative estimate
+    'llama': 7500,     // More restrictive for Llama
+    'default': 6000    // Default conservative limit
   };
   
   const limit = limits[provider] || limits.default;
-  return smartTruncate(draft, limit);
+  return truncateToTokenLimit(draft, limit, provider, model);
 }
 
 /**
@@ -541,21 +573,10 @@ export function truncateDraftsCollection(drafts, maxTotalChars = 80000) {
 /**
  * Get max safe context size for a given provider
  * @param {string} provider - AI provider name
- * @returns {number} - Safe context size in characters
+ * @returns {number} - Safe context size in tokens (the adapter's context window)
  */
 export function getMaxContextSize(provider) {
-  // Provider-specific character limits (approximate)
-  const contextSizes = {
-    'claude': 200000,  // Claude-3 Opus
-    'gemini': 180000,  // Gemini Ultra
-    'chatgpt': 120000, // GPT-4
-    'grok': 80000,     // Estimated
-    'deepseek': 100000, // Estimated
-    'llama': 60000,    // Estimated
-    'default': 50000   // Default conservative limit
-  };
-
-  return contextSizes[provider] || contextSizes.default;
+  return providerRegistry.get(provider)?.limits.contextWindow || 64000;
 }
 
 /**
@@ -563,70 +584,66 @@ export function getMaxContextSize(provider) {
  * @param {string} text - The text to truncate
  * @param {string} provider - AI provider name
  * @param {string} phase - Collaboration phase
+ * @param {string} [model] - Model id, selects the tokenizer
  * @returns {string} - Truncated text if needed
  */
-export function truncateModelResponse(text, provider, phase = 'default') {
-  // Define safe limits for each provider and phase
-  const MAX_RESPONSE_SIZES = {
+export function truncateModelResponse(text, provider, phase = 'default', model) {
+  // Define safe limits (in tokens) for each provider and phase
+  const MAX_RESPONSE_TOKENS = {
     'default': {
-      'default': 25000,
-      'draft': 25000,
-      'critique': 15000,
-      'vote': 5000,
-      'synthesis': 40000
+      'default': 6000,
+      'draft': 6000,
+      'critique': 4000,
+      'vote': 1250,
+      'synthesis': 10000
     },
     'claude': {
-      'default': 50000,
-      'draft': 50000,
-      'critique': 30000,
-      'vote': 8000,
-      'synthesis': 80000
+      'default': 12500,
+      'draft': 12500,
+      'critique': 7500,
+      'vote': 2000,
+      'synthesis': 20000
     },
     'gemini': {
-      'default': 40000,
-      'draft': 40000,
-      'critique': 25000,
-      'vote': 7000,
-      'synthesis': 60000
+      'default': 10000,
+      'draft': 10000,
+      'critique': 6000,
+      'vote': 1750,
+      'synthesis': 15000
     },
     'chatgpt': {
-      'default': 35000,
-      'draft': 35000,
-      'critique': 20000,
-      'vote': 6000,
-      'synthesis': 50000
+      'default': 9000,
+      'draft': 9000,
+      'critique': 5000,
+      'vote': 1500,
+      'synthesis': 12500
     },
     'grok': {
-      'default': 25000,
-      'draft': 25000,
-      'critique': 15000,
-      'vote': 5000,
-      'synthesis': 40000
+      'default': 6000,
+      'draft': 6000,
+      'critique': 4000,
+      'vote': 1250,
+      'synthesis': 10000
     },
     'deepseek': {
-      'default': 30000,
-      'draft': 30000,
-      'critique': 18000,
-      'vote': 5000,
-      'synthesis': 45000
+      'default': 7500,
+      'draft': 7500,
+      'critique': 4500,
+      'vote': 1250,
+      'synthesis': 11000
     },
     'llama': {
-      'default': 20000,
-      'draft': 20000,
-      'critique': 12000,
-      'vote': 4000,
-      'synthesis': 35000
+      'default': 5000,
+      'draft': 5000,
+      'critique': 3000,
+      'vote': 1000,
+      'synthesis': 9000
     }
   };
 
   // Get the appropriate size limit
-  const providerLimits = MAX_RESPONSE_SIZES[provider] || MAX_RESPONSE_SIZES['default'];
-  const maxSize = providerLimits[phase] || providerLimits['default'];
-
-  // Apply truncation if needed
-  if (text && text.length > maxSize) {
-    return smartTruncate(text, maxSize);
-  }
+  const providerLimits = MAX_RESPONSE_TOKENS[provider] || MAX_RESPONSE_TOKENS['default'];
+  const maxTokens = providerLimits[phase] || providerLimits['default'];
 
-  return text;
+  return truncateToTokenLimit(text, maxTokens, provider, model);
 }
\ No newline at end of file
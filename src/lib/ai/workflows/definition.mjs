@@ -0,0 +1,275 @@
+/**
+ * Workflow Definitions
+ * Parsing and validation for declarative collaboration workflows. A workflow is a
+ * JSON or YAML document listing phases; each phase says which agents take part,
+ * what they are asked (prompt templates) and how their outputs are combined
+ * (fan-out, chain, vote, single-agent fan-in).
+ * Version: 1.0.0
+ */
+
+import YAML from 'yaml';
+
+export const PHASE_TYPES = ['fanout', 'chain', 'vote', 'single'];
+
+// Source documents larger than this are rejected before parsing
+export const MAX_DEFINITION_BYTES = 100 * 1024;
+
+const MAX_PHASES = 20;
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const PHASE_ID_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const TEMPLATE_TAG = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+const WORKFLOW_KEYS = ['id', 'name', 'description', 'version', 'minAgents', 'phases', 'output', 'rationale'];
+const PHASE_KEYS = [
+  'id', 'name', 'type', 'agents', 'agent', 'roles', 'instructions', 'prompt',
+  'candidates', 'parallel', 'optional', 'status', 'entryTemplate'
+];
+
+/**
+ * @typedef {Object} WorkflowRole
+ * @property {string} name - Role title shown to the agent (e.g. 'Risk Analyst')
+ * @property {string} [focus] - What the role concentrates on
+ */
+
+/**
+ * @typedef {Object} WorkflowPhase
+ * @property {string} id - Unique within the workflow; later templates read its output as {{phases.<id>}}
+ * @property {string} [name] - Display name
+ * @property {'fanout'|'chain'|'vote'|'single'} type
+ *   - fanout: every participant answers independently (fan-out)
+ *   - chain: participants answer in order, each seeing {{previous}}
+ *   - vote: participants vote for the best entry of the `candidates` phase
+ *   - single: one agent (chosen by `agent`) answers, typically combining earlier phases (fan-in)
+ * @property {'all'|string[]|number} [agents='all'] - Participants: all agents, a list of agent names, or the first N
+ * @property {string|number} [agent='first'] - For single phases: 'first', 'last', a 1-based position,
+ *   an agent name, or a template such as '{{phases.vote.winner}}'
+ * @property {WorkflowRole[]} [roles] - Assigned to participants in order; participants beyond the last role sit out
+ * @property {string} [instructions] - Template for the collaboration instructions (system prompt)
+ * @property {string} [prompt='{{prompt}}'] - Template for the message the agent answers
+ * @property {string} [candidates] - For vote phases: id of the phase whose entries are voted on
+ * @property {boolean} [parallel=true] - For fanout/vote phases: call participants concurrently
+ * @property {boolean} [optional=false] - Continue even if every participant fails
+ * @property {string} [status] - Status text sent to the client while the phase runs
+ * @property {string} [entryTemplate] - How one entry renders inside {{phases.<id>}}; sees {{label}}, {{agent}}, {{role}}, {{output}}
+ */
+
+/**
+ * @typedef {Object} WorkflowDefinition
+ * @property {string} id - Lowercase slug
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number} [version]
+ * @property {number} [minAgents] - Refuse to run with fewer agents
+ * @property {WorkflowPhase[]} phases
+ * @property {string} [output] - Template for the final answer (default: the last phase's output)
+ * @property {string} [rationale] - Template for the rationale shown with the answer
+ */
+
+/**
+ * Parses a workflow document
+ * @param {string|Object} source - JSON or YAML text, or an already parsed object
+ * @param {'json'|'yaml'} [format] - Detected from the text when omitted
+ * @returns {{definition: Object, format: 'json'|'yaml'|'object'}}
+ * @throws {Error} If the text is too large or cannot be parsed
+ */
+export function parseWorkflowSource(source, format) {
+  if (source && typeof source === 'object') {
+    return { definition: source, format: 'object' };
+  }
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Workflow definition is empty');
+  }
+  if (Buffer.byteLength(source, 'utf8') > MAX_DEFINITION_BYTES) {
+    throw new Error(`Workflow definition exceeds ${MAX_DEFINITION_BYTES / 1024}KB`);
+  }
+
+  const detected = format || (/^\s*[{[]/.test(source) ? 'json' : 'yaml');
+  try {
+    const definition = detected === 'json' ? JSON.parse(source) : YAML.parse(source);
+    return { definition, format: detected };
+  } catch (error) {
+    throw new Error(`Invalid ${detected.toUpperCase()} workflow definition: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the {{...}} expressions used in a template
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function templateReferences(template) {
+  if (typeof template !== 'string') return [];
+  return Array.from(template.matchAll(TEMPLATE_TAG), match => match[1]);
+}
+
+function checkString(errors, value, path, { required = false } = {}) {
+  if (value === undefined || value === null) {
+    if (required) errors.push(`${path} is required`);
+    return;
+  }
+  if (typeof value !== 'string' || (required && !value.trim())) {
+    errors.push(`${path} must be a${required ? ' non-empty' : ''} string`);
+  }
+}
+
+function checkUnknownKeys(errors, object, allowed, path) {
+  Object.keys(object).forEach(key => {
+    if (!allowed.includes(key)) errors.push(`${path}: unknown property '${key}'`);
+  });
+}
+
+/**
+ * Checks that every {{phases.<id>}} reference in a template points at a known phase
+ */
+function checkPhaseReferences(errors, template, knownPhaseIds, path) {
+  templateReferences(template).forEach(reference => {
+    const [root, phaseId] = reference.split('.');
+    if (root !== 'phases') return;
+    if (!phaseId || !knownPhaseIds.includes(phaseId)) {
+      errors.push(`${path} references '${reference}', but no earlier phase has id '${phaseId || ''}'`);
+    }
+  });
+}
+
+/**
+ * Validates a parsed workflow definition
+ * @param {Object} definition
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateWorkflowDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, errors: ['Workflow definition must be an object'] };
+  }
+
+  checkUnknownKeys(errors, definition, WORKFLOW_KEYS, 'workflow');
+
+  if (typeof definition.id !== 'string' || !ID_PATTERN.test(definition.id)) {
+    errors.push('id must be a lowercase slug (letters, digits, - and _, up to 64 characters)');
+  }
+  checkString(errors, definition.name, 'name', { required: true });
+  checkString(errors, definition.description, 'description');
+  checkString(errors, definition.output, 'output');
+  checkString(errors, definition.rationale, 'rationale');
+
+  if (definition.version !== undefined && typeof definition.version !== 'number') {
+    errors.push('version must be a number');
+  }
+  if (definition.minAgents !== undefined && (!Number.isInteger(definition.minAgents) || definition.minAgents < 1)) {
+    errors.push('minAgents must be a positive integer');
+  }
+
+  if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+    errors.push('phases must be a non-empty array');
+    return { valid: false, errors };
+  }
+  if (definition.phases.length > MAX_PHASES) {
+    errors.push(`A workflow may have at most ${MAX_PHASES} phases`);
+  }
+
+  const seenIds = [];
+  const phaseTypes = {};
+  definition.phases.forEach((phase, index) => {
+    const path = `phases[${index}]${phase?.id ? ` (${phase.id})` : ''}`;
+    if (!phase || typeof phase !== 'object' || Array.isArray(phase)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    checkUnknownKeys(errors, phase, PHASE_KEYS, path);
+
+    if (typeof phase.id !== 'string' || !PHASE_ID_PATTERN.test(phase.id)) {
+      errors.push(`${path}.id must start with a letter and contain only lowercase letters, digits and _`);
+    } else if (seenIds.includes(phase.id)) {
+      errors.push(`${path}.id '${phase.id}' is used more than once`);
+    }
+
+    if (!PHASE_TYPES.includes(phase.type)) {
+      errors.push(`${path}.type must be one of: ${PHASE_TYPES.join(', ')}`);
+    }
+
+    ['name', 'instructions', 'prompt', 'status', 'entryTemplate'].forEach(key => {
+      checkString(errors, phase[key], `${path}.${key}`);
+    });
+    if (phase.agent !== undefined && typeof phase.agent !== 'string' && !(Number.isInteger(phase.agent) && phase.agent > 0)) {
+      errors.push(`${path}.agent must be 'first', 'last', a position, an agent name or a template`);
+    }
+    if (phase.agent !== undefined && phase.type !== 'single') {
+      errors.push(`${path}: 'agent' only applies to single phases (use 'agents')`);
+    }
+    ['parallel', 'optional'].forEach(key => {
+      if (phase[key] !== undefined && typeof phase[key] !== 'boolean') {
+        errors.push(`${path}.${key} must be true or false`);
+      }
+    });
+
+    const agents = phase.agents;
+    if (agents !== undefined && agents !== 'all'
+      && !(Number.isInteger(agents) && agents > 0)
+      && !(Array.isArray(agents) && agents.length > 0 && agents.every(agent => typeof agent === 'string' && agent))) {
+      errors.push(`${path}.agents must be 'all', a positive number or a list of agent names`);
+    }
+    if (phase.type === 'single' && agents !== undefined) {
+      errors.push(`${path}: single phases pick their agent with 'agent', not 'agents'`);
+    }
+
+    if (phase.roles !== undefined) {
+      if (!Array.isArray(phase.roles) || phase.roles.length === 0) {
+        errors.push(`${path}.roles must be a non-empty array`);
+      } else {
+        phase.roles.forEach((role, roleIndex) => {
+          if (!role || typeof role !== 'object' || typeof role.name !== 'string' || !role.name.trim()) {
+            errors.push(`${path}.roles[${roleIndex}] needs a name`);
+          } else {
+            checkString(errors, role.focus, `${path}.roles[${roleIndex}].focus`);
+          }
+        });
+      }
+    }
+
+    if (phase.type === 'vote') {
+      if (!phase.candidates) {
+        errors.push(`${path}: vote phases need 'candidates' (the id of an earlier phase)`);
+      } else if (!seenIds.includes(phase.candidates)) {
+        errors.push(`${path}.candidates '${phase.candidates}' is not an earlier phase`);
+      } else if (phaseTypes[phase.candidates] === 'vote' || phaseTypes[phase.candidates] === 'single') {
+        errors.push(`${path}.candidates must be a fanout or chain phase`);
+      }
+    } else if (phase.candidates !== undefined) {
+      errors.push(`${path}: 'candidates' only applies to vote phases`);
+    }
+
+    checkPhaseReferences(errors, phase.prompt, seenIds, `${path}.prompt`);
+    checkPhaseReferences(errors, phase.instructions, seenIds, `${path}.instructions`);
+    checkPhaseReferences(errors, phase.agent, seenIds, `${path}.agent`);
+
+    if (typeof phase.id === 'string') {
+      seenIds.push(phase.id);
+      phaseTypes[phase.id] = phase.type;
+    }
+  });
+
+  checkPhaseReferences(errors, definition.output, seenIds, 'output');
+  checkPhaseReferences(errors, definition.rationale, seenIds, 'rationale');
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parses and validates a workflow document
+ * @param {string|Object} source - JSON or YAML text, or a parsed object
+ * @param {'json'|'yaml'} [format]
+ * @returns {{definition: WorkflowDefinition, format: string}}
+ * @throws {Error} With an `errors` array when the definition is invalid
+ */
+export function loadWorkflowDefinition(source, format) {
+  const parsed = parseWorkflowSource(source, format);
+  const { valid, errors } = validateWorkflowDefinition(parsed.definition);
+  if (!valid) {
+    const error = new Error(`Invalid workflow definition: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return parsed;
+}
@@ -0,0 +1,71 @@
+/**
+ * Collaboration Workflows
+ * Entry point for declarative collaboration modes: loads the built-in workflow
+ * definitions shipped in ./builtin and re-exports the parser and interpreter.
+ * A collaboration runs a workflow when its mode is 'workflow:<id>'.
+ * Version: 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadWorkflowDefinition } from './definition.mjs';
+
+export const WORKFLOW_MODE_PREFIX = 'workflow:';
+
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'builtin');
+
+/** @type {Map<string, import('./definition.mjs').WorkflowDefinition>} */
+const builtinWorkflows = new Map();
+
+function loadBuiltinWorkflows() {
+  for (const file of fs.readdirSync(BUILTIN_DIR).filter(name => /\.(ya?ml|json)$/.test(name)).sort()) {
+    // A broken built-in is a packaging bug; fail loudly at startup
+    const { definition } = loadWorkflowDefinition(fs.readFileSync(path.join(BUILTIN_DIR, file), 'utf8'));
+    builtinWorkflows.set(definition.id, Object.freeze({ ...definition, builtin: true }));
+  }
+  console.log(`🧩 Loaded ${builtinWorkflows.size} built-in collaboration workflows`);
+}
+
+/**
+ * @param {string} mode - Collaboration mode
+ * @returns {boolean} True for 'workflow:<id>' modes
+ */
+export function isWorkflowMode(mode) {
+  return typeof mode === 'string' && mode.startsWith(WORKFLOW_MODE_PREFIX) && mode.length > WORKFLOW_MODE_PREFIX.length;
+}
+
+/**
+ * @param {string} mode - 'workflow:<id>'
+ * @returns {string|null} The workflow id
+ */
+export function parseWorkflowMode(mode) {
+  return isWorkflowMode(mode) ? mode.slice(WORKFLOW_MODE_PREFIX.length) : null;
+}
+
+/**
+ * @param {string} id
+ * @returns {import('./definition.mjs').WorkflowDefinition|null}
+ */
+export function getBuiltinWorkflow(id) {
+  return builtinWorkflows.get(id) || null;
+}
+
+/**
+ * @returns {import('./definition.mjs').WorkflowDefinition[]}
+ */
+export function listBuiltinWorkflows() {
+  return Array.from(builtinWorkflows.values());
+}
+
+loadBuiltinWorkflows();
+
+export {
+  PHASE_TYPES,
+  MAX_DEFINITION_BYTES,
+  parseWorkflowSource,
+  validateWorkflowDefinition,
+  loadWorkflowDefinition,
+  templateReferences
+} from './definition.mjs';
+export { runWorkflow, renderTemplate, selectParticipants, selectSingleAgent } from './interpreter.mjs';
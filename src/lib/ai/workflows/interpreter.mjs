@@ -0,0 +1,309 @@
+/**
+ * Workflow Interpreter
+ * Runs a validated workflow definition phase by phase. Agent calls go through the
+ * getAgentResponse function supplied by the collaboration module, so workflows get
+ * the same client resolution, streaming events, cost tracking and transcripts as
+ * the hand-written modes.
+ * Version: 1.0.0
+ */
+
+const DEFAULT_PROMPT = '{{prompt}}';
+const DEFAULT_ENTRY_TEMPLATE = '{{label}}:\n{{output}}';
+const DEFAULT_VOTE_INSTRUCTIONS = 'Vote for the single best candidate. Start your reply with the name of the agent whose answer you vote for, then explain your reasoning.';
+
+/**
+ * Resolves a dotted path ('phases.draft.claude') against the template context.
+ * Objects render as their `text` property so {{phases.draft}} yields the whole phase.
+ */
+function lookup(context, path) {
+  let value = context;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return '';
+    value = value[key];
+  }
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return value.text ?? '';
+  return String(value);
+}
+
+/**
+ * Replaces {{path}} tags in a template
+ * @param {string} template
+ * @param {Object} context
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+  if (!template) return '';
+  return template.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, path) => lookup(context, path));
+}
+
+function entryLabel(entry) {
+  return entry.role ? `${entry.role.name} (${entry.agent})` : entry.agent.toUpperCase();
+}
+
+/**
+ * Builds the template view of a finished phase. {{phases.<id>}} renders every successful
+ * entry (for chain and single phases, only the latest output), {{phases.<id>.all}} always
+ * renders every entry and {{phases.<id>.<agent>}} one agent's output; vote phases add
+ * winner, winnerOutput and tally.
+ */
+function buildPhaseView(phase, entries, extra = {}) {
+  const successful = entries.filter(entry => !entry.error);
+  const view = {};
+  successful.forEach(entry => {
+    view[entry.agent] = entry.output;
+  });
+
+  const entryTemplate = phase.entryTemplate || DEFAULT_ENTRY_TEMPLATE;
+  view.all = successful.map(entry => renderTemplate(entryTemplate, {
+    label: entryLabel(entry),
+    agent: entry.agent,
+    role: entry.role?.name || '',
+    output: entry.output
+  })).join('\n\n');
+  view.text = phase.type === 'chain' || phase.type === 'single'
+    ? successful[successful.length - 1]?.output || ''
+    : view.all;
+  view.agents = successful.map(entry => entry.agent).join(', ');
+  view.count = successful.length;
+  return Object.assign(view, extra);
+}
+
+/**
+ * Picks the participants of a fanout/chain/vote phase, pairing them with roles
+ * @returns {Array<{agent: string, role: Object|null}>}
+ */
+export function selectParticipants(phase, agents) {
+  let selected;
+  if (Array.isArray(phase.agents)) {
+    selected = phase.agents.filter(agent => agents.includes(agent));
+  } else if (Number.isInteger(phase.agents)) {
+    selected = agents.slice(0, phase.agents);
+  } else {
+    selected = agents.slice();
+  }
+
+  if (phase.roles) {
+    return phase.roles.slice(0, selected.length).map((role, index) => ({ agent: selected[index], role }));
+  }
+  return selected.map(agent => ({ agent, role: null }));
+}
+
+/**
+ * Resolves the agent for a single phase: 'first', 'last', a 1-based position (clamped to the
+ * available agents), an agent name or a rendered template
+ */
+export function selectSingleAgent(phase, agents, context) {
+  if (Number.isInteger(phase.agent)) return agents[Math.min(phase.agent, agents.length) - 1];
+  const selector = renderTemplate(phase.agent || 'first', context).trim();
+  if (selector === 'last') return agents[agents.length - 1];
+  if (agents.includes(selector)) return selector;
+  if (selector !== 'first') {
+    console.warn(`⚠️ Workflow phase ${phase.id}: agent '${selector}' is not available, using ${agents[0]}`);
+  }
+  return agents[0];
+}
+
+function isFatal(error) {
+  return error.name === 'AbortError' || error.message === 'AbortError' || error.message === 'CostLimitExceededError';
+}
+
+/**
+ * Runs a workflow
+ * @param {import('./definition.mjs').WorkflowDefinition} workflow - A validated definition
+ * @param {Object} run
+ * @param {string} run.prompt - The user's question
+ * @param {string[]} run.agents - Available agents, in collaboration order
+ * @param {Object} [run.models] - Requested model per agent (string or [modelId])
+ * @param {string} run.redisChannel
+ * @param {AbortSignal} run.abortSignal
+ * @param {Object} run.costTracker
+ * @param {function} run.getAgentResponse - (agent, {systemPrompt, userPrompt}, phase, channel, signal, tracker, modelId) => Promise<string>
+ * @param {function} run.constructPrompt - (userPrompt, agent, instructions) => {systemPrompt, userPrompt}
+ * @param {function} run.publishEvent
+ * @param {function} [run.extractVotedAgent] - (voteText, candidates) => agent|null
+ * @param {function} [run.onModelStatusChange]
+ * @param {Object} [run.variables] - Extra template variables (e.g. styleDirective)
+ * @returns {Promise<{answer: string, rationale: string, leadAgent: string, phases: Object}>}
+ */
+export async function runWorkflow(workflow, run) {
+  const {
+    prompt,
+    agents,
+    models = {},
+    redisChannel,
+    abortSignal,
+    costTracker,
+    getAgentResponse,
+    constructPrompt,
+    publishEvent,
+    extractVotedAgent = () => null,
+    onModelStatusChange,
+    variables = {}
+  } = run;
+
+  if (workflow.minAgents && agents.length < workflow.minAgents) {
+    throw new Error(`Workflow "${workflow.name}" needs at least ${workflow.minAgents} agents (got ${agents.length})`);
+  }
+
+  const notify = (agent, status, message) => {
+    if (typeof onModelStatusChange === 'function') onModelStatusChange(agent, status, message);
+  };
+  const modelFor = agent => (Array.isArray(models[agent]) ? models[agent][0] : models[agent]) || null;
+  const checkLimits = () => {
+    if (costTracker?.shouldAbort && costTracker.shouldAbort()) throw new Error('CostLimitExceededError');
+    if (abortSignal?.aborted) throw new Error('AbortError');
+  };
+
+  const phases = {};
+  const baseContext = {
+    ...variables,
+    prompt,
+    agents: agents.join(', '),
+    workflow: { id: workflow.id, name: workflow.name },
+    phases
+  };
+
+  console.log(`🧩 Running workflow ${workflow.id} (${workflow.phases.length} phases) with ${agents.join(', ')}`);
+
+  /**
+   * One agent call inside a phase; failures are recorded on the entry unless they must stop the run
+   */
+  const callAgent = async (phase, participant, context) => {
+    const { agent, role } = participant;
+    const callContext = { ...context, agent, role: role || { name: '', focus: '' } };
+    const instructions = renderTemplate(
+      phase.instructions || (phase.type === 'vote' ? DEFAULT_VOTE_INSTRUCTIONS : ''),
+      callContext
+    );
+    const message = renderTemplate(phase.prompt || DEFAULT_PROMPT, callContext);
+
+    publishEvent(redisChannel, {
+      type: 'agent_thinking',
+      agent,
+      phase: phase.id,
+      timestamp: new Date().toISOString()
+    });
+    notify(agent, 'processing', renderTemplate(phase.status, callContext) || `Working on ${phase.name || phase.id}`);
+
+    try {
+      const output = await getAgentResponse(
+        agent,
+        constructPrompt(message, agent, instructions),
+        phase.id,
+        redisChannel,
+        abortSignal,
+        costTracker,
+        modelFor(agent)
+      );
+      notify(agent, 'processing', `${phase.name || phase.id} completed`);
+      return { agent, role, output };
+    } catch (error) {
+      if (isFatal(error)) throw error;
+      console.error(`❌ Workflow ${workflow.id}: ${agent} failed in phase ${phase.id}:`, error.message);
+      notify(agent, 'failed', `Failed in ${phase.name || phase.id}: ${error.message}`);
+      return { agent, role, error: error.message };
+    }
+  };
+
+  const runParticipants = async (phase, participants, contextFor) => {
+    if (phase.parallel === false) {
+      const entries = [];
+      for (const participant of participants) {
+        entries.push(await callAgent(phase, participant, contextFor(participant)));
+        checkLimits();
+      }
+      return entries;
+    }
+    const entries = await Promise.all(participants.map(participant => callAgent(phase, participant, contextFor(participant))));
+    checkLimits();
+    return entries;
+  };
+
+  let lastPhaseId = null;
+  for (const phase of workflow.phases) {
+    checkLimits();
+    publishEvent(redisChannel, {
+      type: 'phase_start',
+      phase: phase.id,
+      workflow: workflow.id,
+      timestamp: new Date().toISOString()
+    });
+
+    let entries;
+    let extra = {};
+
+    if (phase.type === 'single') {
+      const agent = selectSingleAgent(phase, agents, baseContext);
+      entries = [await callAgent(phase, { agent, role: phase.roles?.[0] || null }, baseContext)];
+      checkLimits();
+    } else if (phase.type === 'chain') {
+      entries = [];
+      let previous = '';
+      for (const participant of selectParticipants(phase, agents)) {
+        const entry = await callAgent(phase, participant, { ...baseContext, previous });
+        entries.push(entry);
+        if (!entry.error) previous = entry.output;
+        checkLimits();
+      }
+    } else if (phase.type === 'vote') {
+      const candidateEntries = Object.keys(phases[phase.candidates])
+        .filter(key => agents.includes(key));
+      const candidatesText = phases[phase.candidates].text;
+      entries = await runParticipants(phase, selectParticipants(phase, agents), () => ({
+        ...baseContext,
+        candidates: candidatesText
+      }));
+
+      const tally = {};
+      candidateEntries.forEach(agent => { tally[agent] = 0; });
+      entries.filter(entry => !entry.error).forEach(entry => {
+        const firstLine = entry.output.split('\n')[0];
+        const votedFor = candidateEntries.find(agent => new RegExp(`\\b${agent.replace(/[^a-z0-9]/gi, '\\$&')}\\b`, 'i').test(firstLine))
+          || extractVotedAgent(entry.output, candidateEntries);
+        entry.votedFor = votedFor || null;
+        if (votedFor) tally[votedFor] += 1;
+        publishEvent(redisChannel, {
+          type: 'agent_vote',
+          agent: entry.agent,
+          vote: entry.votedFor,
+          reasoning: entry.output,
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      // Ties go to the candidate listed first
+      const winner = candidateEntries.reduce((best, agent) => (tally[agent] > tally[best] ? agent : best), candidateEntries[0]);
+      extra = {
+        winner: winner || '',
+        winnerOutput: winner ? phases[phase.candidates][winner] : '',
+        tally: candidateEntries.map(agent => `${agent}: ${tally[agent]}`).join(', ')
+      };
+    } else {
+      entries = await runParticipants(phase, selectParticipants(phase, agents), () => baseContext);
+    }
+
+    const successful = entries.filter(entry => !entry.error);
+    if (successful.length === 0 && !phase.optional) {
+      throw new Error(`All agents failed in workflow phase "${phase.name || phase.id}"`);
+    }
+    if (phase.type === 'vote' && !extra.winner && !phase.optional) {
+      throw new Error(`Workflow phase "${phase.name || phase.id}" has no candidates to vote on`);
+    }
+
+    phases[phase.id] = buildPhaseView(phase, entries, extra);
+    if (successful.length > 0) lastPhaseId = phase.id;
+    console.log(`✅ Workflow ${workflow.id}: phase ${phase.id} done (${successful.length}/${entries.length} succeeded)`);
+  }
+
+  const answer = workflow.output
+    ? renderTemplate(workflow.output, baseContext)
+    : phases[lastPhaseId]?.text || '';
+  const rationale = workflow.rationale
+    ? renderTemplate(workflow.rationale, baseContext)
+    : `Produced by the "${workflow.name}" workflow (${workflow.phases.map(phase => phase.name || phase.id).join(' → ')}).`;
+  const lastPhase = workflow.phases.find(phase => phase.id === lastPhaseId);
+  const leadAgent = lastPhase?.type === 'single' ? phases[lastPhaseId].agents : agents[0];
+
+  return { answer, rationale, leadAgent, phases };
+}
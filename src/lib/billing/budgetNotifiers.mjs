@@ -0,0 +1,265 @@
+/**
+ * Budget Notifiers
+ * Deliver budget alerts. Every registered notifier receives every alert and decides
+ * whether it applies: the WebSocket notifier always does, email and webhook only when
+ * the budget asks for them. Deployments can register their own with registerNotifier.
+ *
+ * Webhook URLs are chosen by users, so they may only reach public addresses: the host is
+ * resolved when the budget is saved and again on every delivery, and loopback, private,
+ * link-local (cloud metadata) and other reserved addresses are refused. Redirects are
+ * not followed.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+/**
+ * @typedef {Object} BudgetAlert
+ * @property {string} userId
+ * @property {Object} budget - { id, name, scope, scopeId, period, limitUSD, hardThreshold, notify }
+ * @property {number} threshold - Percentage of the limit that was reached
+ * @property {'soft'|'hard'} level - 'hard' once new requests are refused
+ * @property {number} spentUSD - Spend in the current period
+ * @property {number} percentUsed
+ * @property {Date} periodStart
+ * @property {Date} periodEnd
+ * @property {string} message
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const notifiers = new Map();
+
+// Addresses webhooks may not reach (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedAddressError(hostname, address) {
+  return Object.assign(new Error(`${hostname} resolves to ${address}, which is not a public address`), { code: 'EADDRBLOCKED' });
+}
+
+// dns.lookup for webhook requests that fails when the host resolves to a blocked address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Checks that a webhook URL is http(s) and that its host only resolves to public addresses
+ * @param {string} url
+ * @param {string} [field='notify.webhookUrl'] - Name of the setting, for the message
+ * @returns {Promise<string|null>} Why the URL is refused, or null
+ */
+export async function checkWebhookUrl(url, field = 'notify.webhookUrl') {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `${field} must be a valid http(s) URL`;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return `${field} must be a valid http(s) URL`;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  try {
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    return blocked ? `${field}: ${blockedAddressError(hostname, blocked.address).message}` : null;
+  } catch (error) {
+    return `${field}: ${hostname} cannot be resolved (${error.code || error.message})`;
+  }
+}
+
+/**
+ * POSTs a body to a public address without following redirects
+ * @returns {Promise<number>} The response status
+ */
+function postToPublicAddress(url, body, headers) {
+  const parsed = new URL(url);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  // Literal addresses are connected to without a lookup, so they are checked here
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return Promise.reject(blockedAddressError(hostname, hostname));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error(`Webhook ${parsed.origin} timed out`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Adds (or replaces) a notifier
+ * @param {string} name
+ * @param {function(BudgetAlert): Promise<void>} notify
+ */
+export function registerNotifier(name, notify) {
+  notifiers.set(name, notify);
+}
+
+/**
+ * @param {string} name
+ */
+export function unregisterNotifier(name) {
+  notifiers.delete(name);
+}
+
+/**
+ * Sends an alert through every notifier; one failing does not stop the others
+ * @param {BudgetAlert} alert
+ * @returns {Promise<void>}
+ */
+export async function deliverAlert(alert) {
+  await Promise.all([...notifiers].map(async ([name, notify]) => {
+    try {
+      await notify(alert);
+    } catch (error) {
+      console.error(`❌ Budget notifier '${name}' failed for user ${alert.userId}:`, error.message);
+    }
+  }));
+}
+
+// What is sent to the user: everything but their id
+function toPayload(alert) {
+  return {
+    budget: alert.budget,
+    threshold: alert.threshold,
+    level: alert.level,
+    spentUSD: alert.spentUSD,
+    limitUSD: alert.budget.limitUSD,
+    percentUsed: alert.percentUsed,
+    periodStart: alert.periodStart,
+    periodEnd: alert.periodEnd,
+    message: alert.message
+  };
+}
+
+/**
+ * Sends alerts as budget_alert messages to the user's open connections
+ * @param {function(string, Object): void} broadcast - Sends a message to every connection of a user
+ * @returns {function(BudgetAlert): Promise<void>}
+ */
+export function createWebSocketNotifier(broadcast) {
+  return async (alert) => {
+    broadcast(alert.userId, { type: 'budget_alert', ...toPayload(alert) });
+  };
+}
+
+/**
+ * POSTs alerts as JSON to the budget's webhook URL, if it resolves to a public address.
+ * With a secret, the body is signed with HMAC-SHA256 in the X-Budget-Signature header
+ * ('sha256=<hex>'). Redirects count as failures.
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Defaults to BUDGET_WEBHOOK_SECRET
+ * @returns {function(BudgetAlert): Promise<void>}
+ */
+export function createWebhookNotifier({ secret = process.env.BUDGET_WEBHOOK_SECRET } = {}) {
+  return async (alert) => {
+    const url = alert.budget.notify?.webhookUrl;
+    if (!url) return;
+
+    const body = JSON.stringify({ event: 'budget.threshold_reached', ...toPayload(alert) });
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Budget-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+    const status = await postToPublicAddress(url, body, headers);
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook ${url} answered ${status}`);
+    }
+  };
+}
+
+/**
+ * Emails alerts to the user over SMTP. Needs the optional nodemailer package; without it
+ * (or without a server) email alerts are skipped.
+ * @param {Object} options
+ * @param {function(string): Promise<string|null>} options.lookupEmail - The user's address
+ * @param {string} [options.server] - SMTP URL, defaults to EMAIL_SERVER
+ * @param {string} [options.from] - Defaults to EMAIL_FROM
+ * @returns {function(BudgetAlert): Promise<void>}
+ */
+export function createEmailNotifier({ lookupEmail, server = process.env.EMAIL_SERVER, from = process.env.EMAIL_FROM }) {
+  let transport = null;
+
+  async function getTransport() {
+    if (transport === null && !server) {
+      transport = false;
+    } else if (transport === null) {
+      try {
+        const nodemailer = await import('nodemailer');
+        transport = nodemailer.default.createTransport(server);
+      } catch {
+        console.warn('⚠️ Budget email alerts are disabled: install nodemailer to send them');
+        transport = false;
+      }
+    }
+    return transport;
+  }
+
+  return async (alert) => {
+    if (!alert.budget.notify?.email) return;
+    const mailer = await getTransport();
+    if (!mailer) return;
+    const to = await lookupEmail(alert.userId);
+    if (!to) return;
+
+    await mailer.sendMail({
+      from,
+      to,
+      subject: alert.level === 'hard'
+        ? `Budget reached: ${alert.budget.name}`
+        : `Budget alert: ${alert.budget.name} at ${alert.threshold}%`,
+      text: `${alert.message}\n\nSpent $${alert.spentUSD.toFixed(2)} of $${alert.budget.limitUSD.toFixed(2)} `
+        + `(${alert.percentUsed}%) between ${alert.periodStart.toISOString()} and ${alert.periodEnd.toISOString()}.`
+    });
+  };
+}
+
+export default {
+  isBlockedAddress,
+  checkWebhookUrl,
+  registerNotifier,
+  unregisterNotifier,
+  deliverAlert,
+  createWebSocketNotifier,
+  createWebhookNotifier,
+  createEmailNotifier
+};
@@ -4,85 +4,15 @@
  * Version: 9.0.0
  */
 
-// Token cost rates per million tokens (in USD)
-var TOKEN_COSTS = {
-  claude: {
-    input: 8.00,   // $8.00 per million input tokens
-    output: 24.00  // $24.00 per million output tokens
-  },
-  gemini: {
-    input: 3.50,   // $3.50 per million input tokens
-    output: 10.50  // $10.50 per million output tokens
-  },
-  chatgpt: {
-    input: 10.00,  // $10.00 per million input tokens
-    output: 30.00  // $30.00 per million output tokens
-  },
-  grok: {
-    input: 2.00,   // $2.00 per million input tokens
-    output: 6.00   // $6.00 per million output tokens
-  },
-  deepseek: {
-    input: 0.27,   // $0.27 per million input tokens
-    output: 1.10   // $1.10 per million output tokens
-  },
-  llama: {
-    input: 1.00,   // $1.00 per million input tokens
-    output: 3.00   // $3.00 per million output tokens
-  }
-};
+import { getModelPricing } from '../ai/costControl.mjs';
+import providerRegistry from '../ai/providers/index.mjs';
 
-// Token counts by mode multipliers (for estimation)
-var MODE_TOKEN_MULTIPLIERS = {
-  round_table: 2.5,
-  sequential_critique_chain: 2.0,
-  validated_consensus: 3.0,
-  creative_brainstorm_swarm: 2.5,
-  hybrid_guarded_braintrust: 3.5
-};
+// Rates for calls to a provider with no pricing (e.g. an unpriced custom endpoint)
+var NO_PRICING = { input: 0, output: 0 };
 
 // Map of active cost tracking sessions
 var activeSessions = {};
 
-/**
- * Estimates cost based on prompt length, models, and mode
- * @param {Object} options - Estimation options
- * @param {Array<string>} options.agents - List of agent provider names
- * @param {number} options.promptLength - Length of prompt in characters
- * @param {string} options.mode - Collaboration mode
- * @returns {number} - Estimated cost in USD
- */
-export function estimateCost(options) {
-  var agents = options.agents || [];
-  var promptLength = options.promptLength || 0;
-  var mode = options.mode || 'round_table';
-  
-  // Estimate token count (very rough approximation)
-  var estimatedTokens = Math.ceil(promptLength / 4) * agents.length;
-  
-  // Apply mode multiplier
-  var modeMultiplier = MODE_TOKEN_MULTIPLIERS[mode] || 2.0;
-  estimatedTokens = estimatedTokens * modeMultiplier;
-  
-  // Calculate input and output costs
-  var totalCost = 0;
-  agents.forEach(function(agent) {
-    var costs = TOKEN_COSTS[agent] || TOKEN_COSTS.chatgpt; // Default to chatgpt costs
-    
-    // Assume 1:3 input:output token ratio
-    var inputTokens = estimatedTokens;
-    var outputTokens = estimatedTokens * 3;
-    
-    // Calculate costs (convert to millions of tokens)
-    var inputCost = (inputTokens / 1000000) * costs.input;
-    var outputCost = (outputTokens / 1000000) * costs.output;
-    
-    totalCost += inputCost + outputCost;
-  });
-  
-  return totalCost;
-}
-
 /**
  * Creates a cost tracking session
  * @param {string} sessionId - Unique session identifier
@@ -95,28 +25,29 @@ export function initializeSession(sessionId, budgetLimit) {
     budgetLimit: budgetLimit || 1.0,
     startTime: Date.now(),
     usage: {},
+    pricing: {}, // Per-provider overrides, e.g. user-priced custom endpoints
     totalCost: 0
   };
   
-  // Initialize usage counters for all providers
-  Object.keys(TOKEN_COSTS).forEach(function(provider) {
-    session.usage[provider] = {
-      inputTokens: 0,
-      outputTokens: 0,
-      cost: 0
-    };
-  });
-  
-  // Store session
   activeSessions[sessionId] = session;
   
+  // Session overrides (custom endpoints), then the provider adapter's price for the model
+  // or the provider; calls to a provider without pricing are tracked at no cost
+  function getRates(provider, modelId) {
+    return session.pricing[provider]
+      || getModelPricing(provider, modelId)
+      || providerRegistry.getPricing(provider)
+      || NO_PRICING;
+  }
+  
   return {
     /**
      * Add input tokens to the session
      * @param {string} provider - Provider name
      * @param {number} tokens - Number of tokens
+     * @param {string} [modelId] - Model that used them, priced like the usage ledger prices it
      */
-    addInputTokens: function(provider, tokens) {
+    addInputTokens: function(provider, tokens, modelId) {
       if (!session.usage[provider]) {
         session.usage[provider] = { inputTokens: 0, outputTokens: 0, cost: 0 };
       }
@@ -124,7 +55,7 @@ export function initializeSession(sessionId, budgetLimit) {
       session.usage[provider].inputTokens += tokens;
       
       // Calculate and add cost
-      var costs = TOKEN_COSTS[provider] || TOKEN_COSTS.chatgpt;
+      var costs = getRates(provider, modelId);
       var additionalCost = (tokens / 1000000) * costs.input;
       
       session.usage[provider].cost += additionalCost;
@@ -135,8 +66,9 @@ export function initializeSession(sessionId, budgetLimit) {
      * Add output tokens to the session
      * @param {string} provider - Provider name
      * @param {number} tokens - Number of tokens
+     * @param {string} [modelId] - Model that produced them
      */
-    addOutputTokens: function(provider, tokens) {
+    addOutputTokens: function(provider, tokens, modelId) {
       if (!session.usage[provider]) {
         session.usage[provider] = { inputTokens: 0, outputTokens: 0, cost: 0 };
       }
@@ -144,13 +76,25 @@ export function initializeSession(sessionId, budgetLimit) {
       session.usage[provider].outputTokens += tokens;
       
       // Calculate and add cost
-      var costs = TOKEN_COSTS[provider] || TOKEN_COSTS.chatgpt;
+      var costs = getRates(provider, modelId);
       var additionalCost = (tokens / 1000000) * costs.output;
       
       session.usage[provider].cost += additionalCost;
       session.totalCost += additionalCost;
     },
     
+    /**
+     * Override the per-million token rates used for a provider in this session
+     * @param {string} provider - Provider name
+     * @param {Object} pricing - { input, output } in USD per million tokens
+     */
+    setProviderPricing: function(provider, pricing) {
+      session.pricing[provider] = {
+        input: pricing.input || 0,
+        output: pricing.output || 0
+      };
+    },
+    
     /**
      * Check if the session should abort due to exceeding budget
      * @returns {boolean} - True if should abort, false otherwise
@@ -230,7 +174,6 @@ export const trackCost = {
 };
 
 export default {
-  estimateCost,
   trackCost,
   getSessionInfo,
   cleanupSessions
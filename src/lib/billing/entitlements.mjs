@@ -0,0 +1,322 @@
+/**
+ * Subscription Entitlements
+ * What each subscription tier may use: collaboration modes, agents per run, model
+ * families, daily spend, conversation context size and document storage. Checks
+ * return a refusal naming the lowest tier that would allow the request, so the UI
+ * can say why an option is locked. Temporary (unsaved) users get the guest tier.
+ * Version: 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import providerRegistry from '../ai/providers/index.mjs';
+import { getUserDailyCost } from '../../services/usageLedgerService.mjs';
+import apiKeyService from '../../services/apiKeyService.mjs';
+
+const MB = 1024 * 1024;
+const PERSISTED_USER_ID = /^[0-9a-fA-F]{24}$/;
+
+export const TIER_ORDER = ['guest', 'free', 'basic', 'pro', 'enterprise'];
+
+const TIER_NAMES = {
+  guest: 'Guest',
+  free: 'Free',
+  basic: 'Basic',
+  pro: 'Pro',
+  enterprise: 'Enterprise'
+};
+
+/**
+ * Model families, matched against the model id in order; ids matching none are 'standard'
+ */
+export const MODEL_FAMILIES = [
+  { id: 'o_pro', name: 'o-series pro', pattern: /^o\d+-pro/i },
+  { id: 'audio', name: 'Audio and realtime', pattern: /(audio|realtime)/i },
+  { id: 'small', name: 'Small and fast', pattern: /(^|[-_.])(mini|nano|haiku|flash|lite|8b|scout)([-_.]|$)/i },
+  { id: 'premium', name: 'Premium', pattern: /(opus|gpt-4\.5|^o\d+($|-))/i },
+  { id: 'standard', name: 'Standard', pattern: null }
+];
+
+const BASE_MODES = ['individual', 'round_table', 'sequential_critique_chain'];
+const FREE_MODES = [...BASE_MODES, 'validated_consensus', 'creative_brainstorm_swarm'];
+const BASIC_MODES = [...FREE_MODES, 'code_architect', 'adversarial_debate', 'expert_panel', 'scenario_analysis'];
+// 'workflow' stands for every 'workflow:<id>' mode
+const ALL_MODES = [...BASIC_MODES, 'hybrid_guarded_braintrust', 'workflow'];
+
+/**
+ * Limits per tier. Context size is in characters, like the conversation's maxContextSize.
+ */
+export const TIER_ENTITLEMENTS = Object.freeze({
+  guest: {
+    collaborationModes: BASE_MODES,
+    maxAgentsPerRun: 2,
+    modelFamilies: ['small'],
+    dailySpendUSD: 0.25,
+    maxContextSize: 32000,
+    uploadQuotaMB: 10,
+    maxDocuments: 20,
+    maxUploadFileMB: 5
+  },
+  free: {
+    collaborationModes: FREE_MODES,
+    maxAgentsPerRun: 3,
+    modelFamilies: ['small', 'standard'],
+    dailySpendUSD: 1,
+    maxContextSize: 32000,
+    uploadQuotaMB: 50,
+    maxDocuments: 50,
+    maxUploadFileMB: 10
+  },
+  basic: {
+    collaborationModes: BASIC_MODES,
+    maxAgentsPerRun: 4,
+    modelFamilies: ['small', 'standard', 'audio'],
+    dailySpendUSD: 5,
+    maxContextSize: 64000,
+    uploadQuotaMB: 250,
+    maxDocuments: 200,
+    maxUploadFileMB: 25
+  },
+  pro: {
+    collaborationModes: ALL_MODES,
+    maxAgentsPerRun: 6,
+    modelFamilies: ['small', 'standard', 'audio', 'premium'],
+    dailySpendUSD: 25,
+    maxContextSize: 128000,
+    uploadQuotaMB: 1024,
+    maxDocuments: 1000,
+    maxUploadFileMB: 25
+  },
+  enterprise: {
+    collaborationModes: ALL_MODES,
+    maxAgentsPerRun: 12,
+    modelFamilies: ['small', 'standard', 'audio', 'premium', 'o_pro'],
+    dailySpendUSD: 100,
+    maxContextSize: 256000,
+    uploadQuotaMB: 5120,
+    maxDocuments: 5000,
+    maxUploadFileMB: 25
+  }
+});
+
+/**
+ * @param {string} [modelId]
+ * @returns {string} Family id
+ */
+export function getModelFamily(modelId) {
+  const family = MODEL_FAMILIES.find(candidate => candidate.pattern && candidate.pattern.test(String(modelId || '')));
+  return family ? family.id : 'standard';
+}
+
+/**
+ * @param {string} [tier] - Unknown tiers get the free entitlements
+ * @returns {Object} Entitlements with their tier
+ */
+export function getEntitlements(tier) {
+  const resolvedTier = TIER_ENTITLEMENTS[tier] ? tier : 'free';
+  return { tier: resolvedTier, ...TIER_ENTITLEMENTS[resolvedTier] };
+}
+
+/**
+ * The subscription tier of a user id. Temporary ids are guests; a saved user who cannot
+ * be looked up (database unavailable) gets the free tier.
+ * @param {string|null} userId
+ * @returns {Promise<string>}
+ */
+export async function resolveUserTier(userId) {
+  if (!userId || !PERSISTED_USER_ID.test(userId)) return 'guest';
+  const user = await apiKeyService.findPersistedUser(userId);
+  return user?.subscriptionTier || 'free';
+}
+
+/**
+ * @param {string|null} userId
+ * @returns {Promise<Object>} Entitlements of the user's tier
+ */
+export async function getUserEntitlements(userId) {
+  return getEntitlements(await resolveUserTier(userId));
+}
+
+function allowsMode(entitlements, mode) {
+  const normalized = !mode || mode === 'collaborative' ? 'individual' : mode;
+  const key = normalized.startsWith('workflow') ? 'workflow' : normalized;
+  return entitlements.collaborationModes.includes(key);
+}
+
+/**
+ * The lowest tier whose entitlements satisfy the test
+ * @returns {string|null} null if no tier does
+ */
+function lowestTierAllowing(test) {
+  return TIER_ORDER.find(tier => test(getEntitlements(tier))) || null;
+}
+
+function refuse(entitlements, feature, requiredTier, error) {
+  let upgrade = ' No plan allows this.';
+  if (requiredTier === 'free') {
+    upgrade = ' Sign in to continue.';
+  } else if (requiredTier) {
+    upgrade = ` Upgrade to the ${TIER_NAMES[requiredTier]} plan to continue; you are on ${TIER_NAMES[entitlements.tier]}.`;
+  }
+  return {
+    code: 'entitlement_required',
+    error: error + upgrade,
+    feature,
+    tier: entitlements.tier,
+    requiredTier
+  };
+}
+
+/**
+ * The model an agent will run: the requested one, otherwise the provider's default
+ * @param {string} agent
+ * @param {Object<string, string[]>} models
+ */
+function resolveModelId(agent, models) {
+  const requested = models?.[agent];
+  return (Array.isArray(requested) ? requested[0] : requested) || providerRegistry.get(agent)?.defaultModel || null;
+}
+
+/**
+ * Checks the mode, number of agents and model families of a chat or collaboration run
+ * @param {Object} entitlements - From getEntitlements
+ * @param {Object} run
+ * @param {string} [run.mode] - Collaboration mode; omit for a single agent
+ * @param {string[]} [run.agents]
+ * @param {Object<string, string[]>} [run.models] - Requested model ids per agent
+ * @returns {Object|null} Refusal ({code, error, feature, tier, requiredTier}), or null if allowed
+ */
+export function checkRunEntitlements(entitlements, { mode, agents = [], models = {} } = {}) {
+  if (mode && !allowsMode(entitlements, mode)) {
+    return refuse(entitlements, 'collaborationMode', lowestTierAllowing(e => allowsMode(e, mode)),
+      `The ${mode} collaboration mode is locked.`);
+  }
+
+  if (agents.length > entitlements.maxAgentsPerRun) {
+    return refuse(entitlements, 'maxAgentsPerRun', lowestTierAllowing(e => e.maxAgentsPerRun >= agents.length),
+      `Your plan allows ${entitlements.maxAgentsPerRun} agents per run and ${agents.length} were selected.`);
+  }
+
+  for (const agent of agents) {
+    const modelId = resolveModelId(agent, models);
+    const family = getModelFamily(modelId);
+    if (!entitlements.modelFamilies.includes(family)) {
+      return refuse(entitlements, 'modelFamily', lowestTierAllowing(e => e.modelFamilies.includes(family)),
+        `${modelId} (${MODEL_FAMILIES.find(candidate => candidate.id === family).name} models) is locked.`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Today's spend against the tier's daily allowance. Spend that cannot be read (database
+ * unavailable) counts as zero.
+ * @param {string|null} userId
+ * @param {Object} entitlements
+ * @returns {Promise<{spentUSD: number, limitUSD: number, remainingUSD: number}>}
+ */
+export async function getDailySpend(userId, entitlements) {
+  let spentUSD = 0;
+  if (userId && mongoose.connection.readyState === 1) {
+    const usage = await getUserDailyCost(userId);
+    if (usage.success) spentUSD = usage.totalCost;
+  }
+  return {
+    spentUSD,
+    limitUSD: entitlements.dailySpendUSD,
+    remainingUSD: Math.max(0, entitlements.dailySpendUSD - spentUSD)
+  };
+}
+
+/**
+ * @param {Object} entitlements
+ * @param {{spentUSD: number, remainingUSD: number}} spend - From getDailySpend
+ * @returns {Object|null} Refusal, or null while allowance remains
+ */
+export function checkDailySpend(entitlements, spend) {
+  if (spend.remainingUSD > 0) return null;
+  return refuse(entitlements, 'dailySpendUSD', lowestTierAllowing(e => e.dailySpendUSD > spend.spentUSD),
+    `You have used your $${entitlements.dailySpendUSD.toFixed(2)} daily allowance.`);
+}
+
+/**
+ * @param {Object} entitlements
+ * @param {number} maxSize - Requested conversation context size in characters
+ * @returns {Object|null} Refusal, or null if allowed
+ */
+export function checkContextSize(entitlements, maxSize) {
+  if (maxSize <= entitlements.maxContextSize) return null;
+  return refuse(entitlements, 'maxContextSize', lowestTierAllowing(e => e.maxContextSize >= maxSize),
+    `Your plan allows a context of up to ${entitlements.maxContextSize} characters.`);
+}
+
+/**
+ * @param {Object} entitlements
+ * @param {number} size - File size in bytes
+ * @returns {Object|null} Refusal, or null if allowed
+ */
+export function checkUploadSize(entitlements, size) {
+  if (size <= entitlements.maxUploadFileMB * MB) return null;
+  return refuse(entitlements, 'maxUploadFileMB', lowestTierAllowing(e => size <= e.maxUploadFileMB * MB),
+    `Your plan allows files of up to ${entitlements.maxUploadFileMB} MB.`);
+}
+
+/**
+ * Document storage limits in the form documentService takes them
+ * @param {Object} entitlements
+ * @returns {{maxDocuments: number, maxBytes: number}}
+ */
+export function getStorageLimits(entitlements) {
+  return { maxDocuments: entitlements.maxDocuments, maxBytes: entitlements.uploadQuotaMB * MB };
+}
+
+/**
+ * A tier's entitlements for the UI, with each locked mode and model family marked with
+ * the tier that unlocks it. Family patterns are sent so the client can classify its model list.
+ * @param {string} tier
+ * @returns {Object}
+ */
+export function describeEntitlements(tier) {
+  const entitlements = getEntitlements(tier);
+  const lock = (allowed, requiredTier) => (allowed
+    ? { allowed: true }
+    : { allowed: false, requiredTier, reason: requiredTier ? `Requires the ${TIER_NAMES[requiredTier]} plan` : 'Not available on any plan' });
+
+  return {
+    tier: entitlements.tier,
+    tierName: TIER_NAMES[entitlements.tier],
+    maxAgentsPerRun: entitlements.maxAgentsPerRun,
+    dailySpendUSD: entitlements.dailySpendUSD,
+    maxContextSize: entitlements.maxContextSize,
+    uploadQuotaMB: entitlements.uploadQuotaMB,
+    maxDocuments: entitlements.maxDocuments,
+    maxUploadFileMB: entitlements.maxUploadFileMB,
+    collaborationModes: Object.fromEntries(ALL_MODES.map(mode => [
+      mode,
+      lock(allowsMode(entitlements, mode), lowestTierAllowing(e => allowsMode(e, mode)))
+    ])),
+    modelFamilies: MODEL_FAMILIES.map(family => ({
+      id: family.id,
+      name: family.name,
+      pattern: family.pattern ? family.pattern.source : null,
+      ...lock(entitlements.modelFamilies.includes(family.id), lowestTierAllowing(e => e.modelFamilies.includes(family.id)))
+    }))
+  };
+}
+
+export default {
+  TIER_ORDER,
+  TIER_ENTITLEMENTS,
+  MODEL_FAMILIES,
+  getModelFamily,
+  getEntitlements,
+  resolveUserTier,
+  getUserEntitlements,
+  checkRunEntitlements,
+  getDailySpend,
+  checkDailySpend,
+  checkContextSize,
+  checkUploadSize,
+  getStorageLimits,
+  describeEntitlements
+};
@@ -1,19 +1,27 @@
 /**
  * CLI Command Handler
- * Executes system commands and AI-assisted utility commands.
+ * Executes system commands (in the user's sandboxed workspace, see cliSandbox.mjs) and
+ * AI-assisted utility commands.
  * Version: 8.0.0
  */
 
-import { exec } from 'child_process';
 import path from 'path';
-import fs from 'fs/promises';
-// Temporarily remove AI imports until those modules are ready
-// import { clients, availability } from './ai/index.mjs';
-
-// --- Configuration ---
-// Determine a safe default path. Use an environment variable or fallback.
-const DEFAULT_PROJECT_PATH = process.env.DEFAULT_PROJECT_PATH || path.resolve(process.cwd()); // Default to server's CWD
-console.log(`CLI Handler: Default execution path set to ${DEFAULT_PROJECT_PATH}`);
+import clientFactory from './ai/clientFactory.mjs';
+import providerRegistry from './ai/providers/index.mjs';
+import { handleCollaborativeDiscussion, getCollaborationConfig } from './ai/collaboration.mjs';
+import { getUserEntitlements, checkRunEntitlements, getDailySpend, checkDailySpend } from './billing/entitlements.mjs';
+import { resolveUsage } from './ai/tokenizer.mjs';
+import { recordUsage } from '../services/usageLedgerService.mjs';
+import { checkBudgets } from '../services/budgetService.mjs';
+import mcp from './mcp/index.mjs';
+import {
+    runSandboxedCommand,
+    cancelSandboxedCommand,
+    getAllowedCommands,
+    getUserWorkspace,
+    parseCommandLine,
+    CLI_LIMITS
+} from './cliSandbox.mjs';
 
 // --- Main Handler Function ---
 
@@ -25,8 +33,12 @@ console.log(`CLI Handler: Default execution path set to ${DEFAULT_PROJECT_PATH}`
  * @param {function(string): void} onOutput - Callback for standard output/error chunks.
  * @param {function(string, number): void} onComplete - Callback when command finishes (final output chunk, exit code).
  * @param {function(Error): void} onError - Callback for critical execution errors.
+ * @param {object} [options={}]
+ * @param {string} [options.commandId] - Identifies the command for cancelCliCommand.
+ * @param {string} [options.role='guest'] - User role, which selects the allowed commands.
  */
-export async function handleCliCommand(command, userId, onOutput, onComplete, onError) {
+export async function handleCliCommand(command, userId, onOutput, onComplete, onError, options = {}) {
+    const { commandId = `cmd-${Date.now()}`, role = 'guest' } = options;
     const trimmedCommand = command.trim();
     if (!trimmedCommand) {
         onComplete("No command entered.\n", 0);
@@ -36,28 +48,27 @@ export async function handleCliCommand(command, userId, onOutput, onComplete, on
     console.log(`CLI Handler: User ${userId} executing command: "${trimmedCommand}"`);
     onOutput(`Executing: ${trimmedCommand}\n`); // Echo command back
 
-    const commandParts = trimmedCommand.split(/\s+/); // Split by whitespace
-    const mainCommand = commandParts[0].toLowerCase();
+    const mainCommand = trimmedCommand.split(/\s+/)[0].toLowerCase();
 
     try {
         // Check for AI-assisted commands first
-        if (mainCommand === 'claude' || mainCommand === 'ai') { // Allow 'ai' as alias
-            // Simplified AI command handling for demo version
-            if (commandParts[1]?.toLowerCase() === 'help') {
-                onOutput(getAiHelpText('Demo'));
-                onComplete('', 0);
-            } else {
-                onOutput("AI functionality is coming soon. Try 'ai help' for more information.\n");
-                onComplete('', 0);
-            }
+        if (mainCommand === 'claude' || mainCommand === 'ai') { // 'claude' is 'ai' with Claude as the default model
+            // Quoted arguments (file paths with spaces, --mode values) are split like sandbox commands
+            await handleAiUtilCommand(parseCommandLine(trimmedCommand).slice(1), userId, onOutput, onComplete, onError, mainCommand === 'claude' ? 'claude' : undefined);
         }
-        // Check for potentially unsafe commands (add more as needed)
-        else if (isPotentiallyUnsafe(mainCommand, commandParts.slice(1))) {
-             throw new Error(`Command "${mainCommand}" is restricted for security reasons.`);
+        else if (mainCommand === 'help') {
+            onComplete(getSandboxHelpText(role), 0);
         }
-        // Execute as a system command
+        // Execute as a system command in the user's workspace
         else {
-            await executeSystemCommand(trimmedCommand, DEFAULT_PROJECT_PATH, onOutput, onComplete);
+            const { exitCode, reason } = await runSandboxedCommand({
+                userId,
+                role,
+                commandLine: trimmedCommand,
+                commandId,
+                onOutput: (output, stream) => onOutput(stream === 'stderr' ? `STDERR: ${output}` : output)
+            });
+            onComplete(getExitMessage(exitCode, reason), exitCode);
         }
     } catch (error) {
         console.error(`CLI Handler Error (User: ${userId}, Command: "${trimmedCommand}"):`, error);
@@ -66,306 +77,331 @@ export async function handleCliCommand(command, userId, onOutput, onComplete, on
     }
 }
 
-// --- AI Utility Command Handler ---
+/**
+ * Stops a command started by handleCliCommand. Its completion callback reports the cancellation.
+ * @param {string} userId
+ * @param {string} commandId
+ * @returns {boolean} Whether the user had such a command running.
+ */
+export function cancelCliCommand(userId, commandId) {
+    return cancelSandboxedCommand(userId, commandId);
+}
 
-async function handleAiUtilCommand(args, userId, onOutput, onComplete, onError) {
-    const subCommand = args[0]?.toLowerCase();
-    const subArgs = args.slice(1);
-
-    // Check which AI is available for utility tasks (prioritize Claude/Opus if available)
-    let aiProvider = null;
-    let aiClient = null;
-    let aiModel = null;
-
-    if (availability.claude && clients.anthropic) {
-        aiProvider = 'Claude';
-        aiClient = clients.anthropic;
-        aiModel = 'claude-3-opus-20240229'; // Use Opus for complex tasks
-    } else if (availability.chatgpt && clients.openai) {
-        aiProvider = 'ChatGPT';
-        aiClient = clients.openai;
-        aiModel = 'gpt-4o'; // Use a capable OpenAI model
-    } else if (availability.gemini && clients.gemini) {
-        // Gemini requires slightly different handling (no direct message creation like others)
-        // For simplicity, we might skip Gemini for complex file tasks or implement specific logic
-        onOutput("Note: AI file utilities currently prioritize Claude/ChatGPT. Gemini support is limited for these tasks.\n");
-        // Fall through or handle specific Gemini commands if implemented
+function getExitMessage(exitCode, reason) {
+    switch (reason) {
+        case 'timeout':
+            return `Command stopped: time limit of ${CLI_LIMITS.timeoutMs / 1000} seconds reached\n`;
+        case 'cancelled':
+            return 'Command cancelled\n';
+        case 'output_limit':
+            return `\nCommand stopped: output limit of ${Math.round(CLI_LIMITS.maxOutputBytes / 1024)} KB reached\n`;
+        default:
+            return `Command finished with exit code ${exitCode}\n`;
     }
-    // Add other providers if they have suitable models
+}
 
-    if (!aiProvider) {
-        throw new Error("No suitable AI available (Claude Opus or GPT-4o preferred) for utility commands.");
-    }
+function getSandboxHelpText(role) {
+    return `Commands run in your own workspace directory, without a shell (no pipes, redirects or variables).\n\n` +
+           `Available commands: ${getAllowedCommands(role).join(', ')}\n\n` +
+           `Limits: ${CLI_LIMITS.timeoutMs / 1000} s per command, ${CLI_LIMITS.cpuSeconds} s of CPU time, ` +
+           `${CLI_LIMITS.memoryMb} MB of memory, ${Math.round(CLI_LIMITS.maxOutputBytes / 1024)} KB of output.\n` +
+           `Type 'ai help' for the AI utilities.\n`;
+}
 
-    onOutput(`Using ${aiProvider} (${aiModel}) for command: ${subCommand}\n`);
+// --- AI Utility Command Handler ---
 
-    try {
-        switch (subCommand) {
-            case 'help':
-                onComplete(getAiHelpText(aiProvider), 0);
-                break;
-            case 'explain':
-            case 'fix':
-            case 'analyze':
-            case 'test':
-                if (subArgs.length === 0) throw new Error(`Usage: ai ${subCommand} <file_path>`);
-                // IMPORTANT: Resolve path securely within allowed project directory
-                const filePath = resolveSecureCliPath(DEFAULT_PROJECT_PATH, subArgs[0]);
-                await processFileWithAi(aiProvider, aiClient, aiModel, subCommand, filePath, onOutput, onComplete);
-                break;
-            case 'create':
-                if (subArgs.length < 2) throw new Error(`Usage: ai create <file_path> <description>`);
-                const createFilePath = resolveSecureCliPath(DEFAULT_PROJECT_PATH, subArgs[0]);
-                const description = subArgs.slice(1).join(' ');
-                await createFileWithAi(aiProvider, aiClient, aiModel, createFilePath, description, onOutput, onComplete);
-                break;
-            // Add 'chat' command if desired, similar to original server.js
-            case 'chat':
-                 if (subArgs.length === 0) throw new Error(`Usage: ai chat <message>`);
-                 const chatMessage = subArgs.join(' ');
-                 await chatWithAi(aiProvider, aiClient, aiModel, chatMessage, onOutput, onComplete);
-                 break;
-            default:
-                throw new Error(`Unknown AI command: '${subCommand}'. Try 'ai help'.`);
-        }
-    } catch (error) {
-        // Catch errors from AI processing and report them
-        onError(error); // Report to main handler
-        onComplete(`AI Command Error: ${error.message}\n`, 1); // Send completion with error
-    }
-}
+// Agents tried, in order, when no --model is given
+const DEFAULT_AGENT_ORDER = ['claude', 'chatgpt', 'gemini'];
+// Largest file sent to the models
+const MAX_AI_FILE_BYTES = 512 * 1024;
+const AI_FLAGS = ['model', 'mode', 'context'];
 
-function getAiHelpText(aiProviderName) {
-    return `AI CLI Utilities (using ${aiProviderName}):\n\n` +
-           `  ai help                       Show this help message\n` +
-           `  ai explain <file>             Explain code in the specified file\n` +
-           `  ai fix <file>                 Attempt to fix bugs (overwrites original, creates backup)\n` +
-           `  ai create <file> <desc>       Create a new file with content based on description\n` +
-           `  ai analyze <file>             Provide analysis of the code in the file\n` +
-           `  ai test <file>                Generate unit tests for the code in the file\n` +
-           `  ai chat <message>             Chat directly with the AI\n\n` +
-           `Notes:\n` +
-           `- File paths are relative to the project directory (${DEFAULT_PROJECT_PATH}).\n` +
-           `- Ensure the relevant AI API key is configured.\n`;
-}
+// Context token on each user's CLI workspace
+const workspaceContexts = new Map();
 
 /**
- * Securely resolves a path provided via CLI relative to the allowed base path.
- * Prevents accessing files outside the intended project directory.
- * @param {string} basePath - The allowed base directory (e.g., DEFAULT_PROJECT_PATH).
- * @param {string} relativePath - The path provided by the user.
- * @returns {string} The resolved, validated absolute path.
- * @throws {Error} If the path is invalid or outside the base path.
+ * Splits `ai` arguments into flags (--model, --mode, --context; `--flag value` or
+ * `--flag=value`) and positional arguments.
+ * @param {string[]} args
+ * @returns {{flags: Object<string, string>, positional: string[]}}
  */
-function resolveSecureCliPath(basePath, relativePath) {
-    const resolvedPath = path.resolve(basePath, relativePath);
-    if (!resolvedPath.startsWith(basePath)) {
-        throw new Error(`Access denied: Path "${relativePath}" is outside the allowed project directory.`);
-    }
-    // Add checks for potentially dangerous characters if needed
-    if (/[<>:"|?*]/.test(relativePath)) {
-        throw new Error(`Invalid characters in path: "${relativePath}"`);
+function parseAiArgs(args) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([a-z]+)(?:=(.*))?$/);
+        if (match && AI_FLAGS.includes(match[1])) {
+            const value = match[2] ?? args[++i];
+            if (!value) throw new Error(`Missing value for --${match[1]}`);
+            flags[match[1]] = value;
+        } else {
+            positional.push(args[i]);
+        }
     }
-    return resolvedPath;
+    return { flags, positional };
 }
 
-
-async function processFileWithAi(aiProvider, aiClient, aiModel, action, filePath, onOutput, onComplete) {
-    onOutput(`Reading file: ${path.relative(DEFAULT_PROJECT_PATH, filePath)}...\n`);
-    let fileContent;
-    try {
-        fileContent = await fs.readFile(filePath, 'utf8');
-    } catch (readError) {
-        throw new Error(readError.code === 'ENOENT' ? `File not found: ${filePath}` : `Failed to read file: ${readError.message}`);
-    }
-
-    let prompt = '';
-    let taskDescription = '';
-    let requiresCodeOutputOnly = false;
-
-    switch (action) {
-        case 'explain':
-            taskDescription = 'Explaining code';
-            prompt = `Please explain this code file concisely and clearly:\n\nPath: ${filePath}\n\n\`\`\`\n${fileContent}\n\`\`\`\n\nFocus on purpose, key components, logic, and potential issues.`;
-            break;
-        case 'fix':
-            taskDescription = 'Attempting to fix code';
-            prompt = `Please fix any bugs or issues in this code file:\n\nPath: ${filePath}\n\n\`\`\`\n${fileContent}\n\`\`\`\n\nReturn ONLY the fixed version of the code within a single code block (e.g., \`\`\`language\n...\n\`\`\`). Do not include explanations or comments about the changes outside the code block.`;
-            requiresCodeOutputOnly = true;
-            break;
-        case 'analyze':
-            taskDescription = 'Analyzing code';
-            prompt = `Analyze the following code for quality, potential issues, complexity, and adherence to best practices:\n\nPath: ${filePath}\n\n\`\`\`\n${fileContent}\n\`\`\`\n\nProvide a structured analysis.`;
-            break;
-        case 'test':
-            taskDescription = 'Generating tests';
-            prompt = `Generate relevant unit tests for the following code. Choose an appropriate testing framework based on the language (e.g., pytest for Python, Jest for JS/TS). Provide ONLY the test code within a single code block (e.g., \`\`\`language\n...\n\`\`\`). Do not include explanations.`;
-            requiresCodeOutputOnly = true;
-            break;
-        default: throw new Error(`Invalid action: ${action}`);
+/**
+ * Resolves the agents an `ai` command runs on, with the user's own clients.
+ * @param {string} userId
+ * @param {string} [modelFlag] - Comma-separated agents, each optionally `agent=modelId`.
+ * @param {boolean} collaborative - Without --model, collaborations use every available agent.
+ * @returns {Promise<Array<{agent: string, modelId: string|null, client: Object}>>}
+ */
+async function resolveAiAgents(userId, modelFlag, collaborative) {
+    let requested;
+    if (modelFlag) {
+        requested = modelFlag.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const [agent, modelId] = entry.split('=');
+            return { agent: agent.toLowerCase(), modelId: modelId || null };
+        });
+    } else {
+        const availability = await clientFactory.getAvailability(userId);
+        const candidates = [
+            ...DEFAULT_AGENT_ORDER,
+            ...providerRegistry.list().map(adapter => adapter.agentName),
+            ...Object.keys(availability).filter(name => providerRegistry.isNamespaced(name))
+        ].filter((agent, index, all) => all.indexOf(agent) === index && availability[agent]);
+        requested = (collaborative ? candidates : candidates.slice(0, 1)).map(agent => ({ agent, modelId: null }));
     }
 
-    onOutput(`${taskDescription} for ${path.basename(filePath)} using ${aiProvider}...\n`);
-
-    try {
-        let resultText = '';
-        if (aiProvider === 'Claude') {
-            const response = await aiClient.messages.create({ model: aiModel, max_tokens: 4096, messages: [{ role: "user", content: prompt }] });
-            resultText = response.content[0]?.text?.trim() || '';
-        } else if (aiProvider === 'ChatGPT') {
-            const response = await aiClient.chat.completions.create({ model: aiModel, messages: [{ role: "user", content: prompt }], max_tokens: 4096 });
-            resultText = response.choices[0]?.message?.content?.trim() || '';
-        } else {
-            throw new Error(`AI provider ${aiProvider} not fully supported for file processing yet.`);
-        }
-
-        if (requiresCodeOutputOnly) {
-            // Extract content within the first code block found
-            const codeBlockMatch = resultText.match(/```(?:\w*\n)?([\s\S]*?)\n?```/);
-            resultText = codeBlockMatch ? codeBlockMatch[1].trim() : resultText; // Fallback to full text if no block found
-        }
-
-        if (action === 'fix') {
-            const backupPath = `${filePath}.${Date.now()}.backup`;
-            await fs.copyFile(filePath, backupPath);
-            await fs.writeFile(filePath, resultText, 'utf8');
-            onComplete(`Original file backed up to ${path.basename(backupPath)}\nFixed code written to ${path.relative(DEFAULT_PROJECT_PATH, filePath)}\n`, 0);
-        } else {
-            onComplete(`\n--- ${aiProvider}'s ${action} for ${path.basename(filePath)} ---\n${resultText}\n`, 0);
+    const agents = [];
+    for (const { agent, modelId } of requested) {
+        if (!providerRegistry.get(agent)) throw new Error(`Unknown model '${agent}'.`);
+        try {
+            agents.push({ agent, modelId, client: await clientFactory.getClient(userId, agent) });
+        } catch (error) {
+            throw new Error(`No API key available for ${agent}. Add one in Settings.`);
         }
-    } catch (apiError) {
-        throw new Error(`${aiProvider} API error during ${action}: ${apiError.message}`);
     }
+    if (agents.length === 0) {
+        throw new Error('No AI model available. Add an API key in Settings or choose one with --model.');
+    }
+    return agents;
 }
 
-async function createFileWithAi(aiProvider, aiClient, aiModel, filePath, description, onOutput, onComplete) {
-    try {
-        await fs.access(filePath);
-        // File exists
-        throw new Error(`File already exists: ${path.relative(DEFAULT_PROJECT_PATH, filePath)}. Cannot create.`);
-    } catch (err) {
-        if (err.code !== 'ENOENT') throw err; // Re-throw if it's not "file not found"
+/**
+ * The MCP context a command reads and proposes writes through: the one named by
+ * --context, or a context on the user's CLI workspace.
+ * @param {string} userId
+ * @param {string} [token]
+ * @returns {Promise<string>} Context token.
+ */
+async function resolveAiContext(userId, token) {
+    if (token) {
+        const validation = mcp.validateContext(token, userId);
+        if (!validation.valid) throw new Error(`Invalid --context: ${validation.error}`);
+        return token;
     }
 
-    const dir = path.dirname(filePath);
-    try { await fs.mkdir(dir, { recursive: true }); }
-    catch (dirError) { throw new Error(`Failed to create directory ${path.relative(DEFAULT_PROJECT_PATH, dir)}: ${dirError.message}`); }
+    const existing = workspaceContexts.get(userId);
+    if (existing && mcp.validateContext(existing, userId).valid) return existing;
 
-    onOutput(`Generating content for ${path.basename(filePath)} using ${aiProvider} based on: "${description}"...\n`);
-    const prompt = `Create the content for a file named '${path.basename(filePath)}'.
-Description/Requirements: ${description}
-Generate ONLY the raw file content. Do not include any explanations, comments about the code, or code fences like \`\`\`.`;
+    const workspace = await getUserWorkspace(userId);
+    const workspaceToken = await mcp.registerContext(`cli-${userId}`, workspace, userId, {
+        description: 'CLI workspace',
+        git: false
+    });
+    workspaceContexts.set(userId, workspaceToken);
+    return workspaceToken;
+}
 
-    try {
-        let fileContent = '';
-         if (aiProvider === 'Claude') {
-            const response = await aiClient.messages.create({ model: aiModel, max_tokens: 4096, messages: [{ role: "user", content: prompt }] });
-            fileContent = response.content[0]?.text?.trim() || '';
-        } else if (aiProvider === 'ChatGPT') {
-            const response = await aiClient.chat.completions.create({ model: aiModel, messages: [{ role: "user", content: prompt }], max_tokens: 4096 });
-            fileContent = response.choices[0]?.message?.content?.trim() || '';
+/**
+ * Runs a prompt on one model, or as a collaboration when a mode is given.
+ * @returns {Promise<string>} The answer (the collaboration's final answer).
+ */
+async function runAiPrompt({ userId, agents, mode, systemPrompt, userPrompt, onOutput, stream }) {
+    if (!mode) {
+        const [{ agent, modelId, client }] = agents;
+        const adapter = providerRegistry.get(agent);
+        const request = { modelId: modelId || client.defaultModel || adapter.defaultModel, systemPrompt, userPrompt };
+        // Collaborations are checked by runCollab; a single model is checked here
+        const entitlements = await getUserEntitlements(userId);
+        const refusal = checkRunEntitlements(entitlements, { agents: [agent], models: { [agent]: [request.modelId] } })
+            || checkDailySpend(entitlements, await getDailySpend(userId, entitlements))
+            || (await checkBudgets(userId, { providers: [agent] })).refusal;
+        if (refusal) throw new Error(refusal.error);
+
+        let reportedUsage = null;
+        request.onUsage = usage => { reportedUsage = usage; };
+        let text = '';
+        if (stream) {
+            for await (const chunk of adapter.stream(client, request)) {
+                text += chunk;
+                onOutput(chunk);
+            }
+            onOutput('\n');
         } else {
-            throw new Error(`AI provider ${aiProvider} not fully supported for file creation yet.`);
-        }
-
-        // Basic check if AI refused or returned empty
-        if (!fileContent || fileContent.length < 5) {
-             throw new Error(`${aiProvider} did not generate sufficient content based on the description.`);
+            text = await adapter.complete(client, request);
         }
 
-        await fs.writeFile(filePath, fileContent, 'utf8');
-        onComplete(`File created successfully: ${path.relative(DEFAULT_PROJECT_PATH, filePath)}\nContent preview:\n${fileContent.substring(0, 200)}${fileContent.length > 200 ? '...' : ''}\n`, 0);
-    } catch (apiError) {
-        throw new Error(`${aiProvider} API error during file creation: ${apiError.message}`);
+        // Collaborations record each of their calls; a single model's call is recorded here
+        const usage = resolveUsage(reportedUsage, {
+            provider: agent,
+            model: request.modelId,
+            input: [systemPrompt, userPrompt].filter(Boolean).join('\n'),
+            output: text
+        });
+        await recordUsage({
+            userId,
+            source: 'cli',
+            provider: agent,
+            model: request.modelId,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            tokenSource: usage.source,
+            pricing: client.pricing
+        });
+        return text.trim();
     }
-}
 
-async function chatWithAi(aiProvider, aiClient, aiModel, message, onOutput, onComplete) {
-    onOutput(`Asking ${aiProvider}: "${message}"...\n`);
-    try {
-        let resultText = '';
-         if (aiProvider === 'Claude') {
-            const response = await aiClient.messages.create({ model: aiModel, max_tokens: 4096, messages: [{ role: "user", content: message }] });
-            resultText = response.content[0]?.text?.trim() || '';
-        } else if (aiProvider === 'ChatGPT') {
-            const response = await aiClient.chat.completions.create({ model: aiModel, messages: [{ role: "user", content: message }], max_tokens: 4096 });
-            resultText = response.choices[0]?.message?.content?.trim() || '';
-        } else {
-            throw new Error(`AI provider ${aiProvider} not fully supported for direct chat yet.`);
+    const models = {};
+    agents.filter(entry => entry.modelId).forEach(entry => { models[entry.agent] = [entry.modelId]; });
+    const result = await handleCollaborativeDiscussion({
+        prompt: systemPrompt ? `${systemPrompt}\n\n${userPrompt}` : userPrompt,
+        mode,
+        agents: agents.map(entry => entry.agent),
+        models,
+        userId,
+        ignoreFailingModels: true,
+        skipSynthesisIfAllFailed: true,
+        continueWithAvailableModels: true,
+        onModelStatusChange: (agent, status, message) => {
+            if (['processing', 'completed', 'failed'].includes(status)) {
+                onOutput(`[${agent}] ${message || status}\n`);
+            }
         }
-        onComplete(`\n--- ${aiProvider}'s Response ---\n${resultText}\n`, 0);
-    } catch (apiError) {
-         throw new Error(`${aiProvider} API error during chat: ${apiError.message}`);
+    });
+    const final = (result?.final || '').trim();
+    if (!final || final.startsWith(`Error in ${mode} collaboration`)) {
+        throw new Error(final || `The ${mode} collaboration produced no answer.`);
     }
+    if (stream) onOutput(`${final}\n`);
+    return final;
 }
 
-
-// --- System Command Execution ---
+// The content of the first fenced code block, or the whole text if there is none
+function extractCode(text) {
+    const match = text.match(/```[\w.+-]*\n([\s\S]*?)\n?```/);
+    return (match ? match[1] : text).trim() + '\n';
+}
 
 /**
- * Executes a system command safely.
- * @param {string} command - The command string to execute.
- * @param {string} cwd - The current working directory for execution.
- * @param {function(string): void} onOutput - Callback for stdout/stderr chunks.
- * @param {function(string, number): void} onComplete - Callback when command finishes.
- * @returns {Promise<void>}
+ * Handles `ai <subcommand>`: prompts over files of the CLI workspace (or an MCP context),
+ * answered by the user's own models. Rewrites are queued for approval, never written directly.
+ * @param {string[]} args - Arguments after `ai`.
+ * @param {string} userId
+ * @param {function(string): void} onOutput
+ * @param {function(string, number): void} onComplete
+ * @param {function(Error): void} onError
+ * @param {string} [defaultModel] - Agent used without --model (the `claude` alias).
  */
-function executeSystemCommand(command, cwd, onOutput, onComplete) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            shell: true, // Use shell for convenience (e.g., pipes, redirects) - be cautious!
-            cwd: cwd,
-            env: { ...process.env }, // Inherit environment
-            windowsHide: true,
-        };
-
-        const childProcess = exec(command, options);
-        let finalOutput = '';
-
-        childProcess.stdout?.on('data', (data) => {
-            const output = data.toString();
-            finalOutput += output;
-            onOutput(output);
-        });
+async function handleAiUtilCommand(args, userId, onOutput, onComplete, onError, defaultModel) {
+    const subCommand = args[0]?.toLowerCase() || 'help';
 
-        childProcess.stderr?.on('data', (data) => {
-            const output = data.toString();
-            finalOutput += output; // Include stderr in final output for completion callback
-            onOutput(`STDERR: ${output}`); // Distinguish stderr in stream
-        });
+    try {
+        const { flags, positional } = parseAiArgs(args.slice(1));
+        if (subCommand === 'help') {
+            onComplete(getAiHelpText(), 0);
+            return;
+        }
+        if (!['explain', 'fix', 'analyze', 'test', 'create', 'chat'].includes(subCommand)) {
+            throw new Error(`Unknown AI command: '${subCommand}'. Try 'ai help'.`);
+        }
 
-        childProcess.on('close', (code) => {
-            const exitMessage = `Command finished with exit code ${code}\n`;
-            finalOutput += exitMessage;
-            onComplete(exitMessage, code ?? 1); // Pass final message chunk and code
-            resolve();
-        });
+        const mode = flags.mode;
+        if (mode && (mode === 'individual' || !getCollaborationConfig().availableModes.includes(mode))) {
+            throw new Error(`Unknown --mode '${mode}'. Try 'ai help'.`);
+        }
+        const agents = await resolveAiAgents(userId, flags.model || defaultModel, Boolean(mode));
+        const label = mode ? `${mode} (${agents.map(entry => entry.agent).join(', ')})` : agents[0].agent;
+        onOutput(`Using ${label}\n`);
+
+        if (subCommand === 'chat') {
+            if (positional.length === 0) throw new Error('Usage: ai chat <message>');
+            await runAiPrompt({ userId, agents, mode, userPrompt: positional.join(' '), onOutput, stream: true });
+            onComplete('', 0);
+            return;
+        }
 
-        childProcess.on('error', (error) => {
-            console.error(`CLI Execution Error (Command: "${command}"):`, error);
-            const errorMessage = `Error executing command: ${error.message}\n`;
-            finalOutput += errorMessage;
-            onComplete(errorMessage, 1); // Pass error message and non-zero code
-            reject(error); // Reject the promise on critical execution error
-        });
-    });
-}
+        const filePath = positional[0];
+        const token = await resolveAiContext(userId, flags.context);
+        const metadata = { description: `ai ${subCommand} ${filePath}`, agent: label };
+
+        if (subCommand === 'create') {
+            if (positional.length < 2) throw new Error('Usage: ai create <file> <description>');
+            const exists = await mcp.readFile(token, userId, filePath).then(() => true, () => false);
+            if (exists) throw new Error(`File already exists: ${filePath}. Use 'ai fix' to change it.`);
+
+            const description = positional.slice(1).join(' ');
+            onOutput(`Generating ${filePath}...\n`);
+            const content = extractCode(await runAiPrompt({
+                userId, agents, mode, onOutput,
+                userPrompt: `Create the content for a file named '${path.basename(filePath)}'.\nDescription/Requirements: ${description}\nReturn ONLY the file content in a single code block.`
+            }));
+            const operationId = await mcp.requestWriteFile(token, userId, filePath, content, { ...metadata, description: `ai create ${filePath}: ${description}` });
+            onComplete(`Creation of ${filePath} queued for approval (operation ${operationId}).\nPreview:\n${content.substring(0, 400)}${content.length > 400 ? '...\n' : ''}`, 0);
+            return;
+        }
 
-/**
- * Checks if a command is potentially unsafe to execute directly.
- * This is a basic blocklist, not exhaustive security.
- * @param {string} commandName - The main command (e.g., 'rm').
- * @param {string[]} args - The arguments.
- * @returns {boolean} True if potentially unsafe, false otherwise.
- */
-function isPotentiallyUnsafe(commandName, args) {
-    const unsafeCommands = ['rm', 'sudo', 'su', 'shutdown', 'reboot', 'mkfs', 'dd', 'userdel', 'groupdel'];
-    if (unsafeCommands.includes(commandName)) {
-        return true;
-    }
-    // Add checks for dangerous argument patterns if needed (e.g., 'rm -rf /')
-    if (commandName === 'rm' && args.includes('-rf') && (args.includes('/') || args.includes('/*'))) {
-        return true;
+        if (!filePath) throw new Error(`Usage: ai ${subCommand} <file>`);
+        const fileContent = await mcp.readFile(token, userId, filePath, { maxBytes: MAX_AI_FILE_BYTES });
+        const fenced = `Path: ${filePath}\n\n\`\`\`\n${fileContent}\n\`\`\``;
+
+        switch (subCommand) {
+            case 'explain':
+                await runAiPrompt({ userId, agents, mode, onOutput, stream: true,
+                    userPrompt: `Please explain this code file concisely and clearly:\n\n${fenced}\n\nFocus on purpose, key components, logic, and potential issues.` });
+                onComplete('', 0);
+                break;
+            case 'analyze':
+                await runAiPrompt({ userId, agents, mode, onOutput, stream: true,
+                    userPrompt: `Analyze the following code for quality, potential issues, complexity, and adherence to best practices:\n\n${fenced}\n\nProvide a structured analysis.` });
+                onComplete('', 0);
+                break;
+            case 'test':
+                onOutput(`Generating tests for ${filePath}...\n`);
+                onComplete(extractCode(await runAiPrompt({ userId, agents, mode, onOutput,
+                    userPrompt: `Generate relevant unit tests for the following code. Choose an appropriate testing framework based on the language (e.g., pytest for Python, Jest for JS/TS). Provide ONLY the test code within a single code block.\n\n${fenced}` })), 0);
+                break;
+            case 'fix': {
+                onOutput(`Fixing ${filePath}...\n`);
+                const fixed = extractCode(await runAiPrompt({ userId, agents, mode, onOutput,
+                    userPrompt: `Please fix any bugs or issues in this code file:\n\n${fenced}\n\nReturn ONLY the complete fixed file within a single code block. Do not include explanations outside the code block.` }));
+                if (fixed.trim() === fileContent.trim()) {
+                    onComplete(`No changes proposed for ${filePath}.\n`, 0);
+                    break;
+                }
+                const operationId = await mcp.requestWriteFile(token, userId, filePath, fixed, metadata);
+                const operation = mcp.getUserPendingOperations(userId).find(op => op.id === operationId);
+                onComplete(`${operation?.diff ? `${operation.diff}\n` : ''}Fix for ${filePath} queued for approval (operation ${operationId}).\n`, 0);
+                break;
+            }
+        }
+    } catch (error) {
+        // Catch errors from AI processing and report them
+        onError(error); // Report to main handler
+        onComplete(`AI Command Error: ${error.message}\n`, 1); // Send completion with error
     }
-    return false;
+}
+
+function getAiHelpText() {
+    return `AI CLI Utilities (using your own API keys):\n\n` +
+           `  ai help                       Show this help message\n` +
+           `  ai explain <file>             Explain code in the specified file\n` +
+           `  ai fix <file>                 Propose a fixed version of the file for approval\n` +
+           `  ai create <file> <desc>       Propose a new file based on a description\n` +
+           `  ai analyze <file>             Provide analysis of the code in the file\n` +
+           `  ai test <file>                Generate unit tests for the code in the file\n` +
+           `  ai chat <message>             Chat directly with the AI\n\n` +
+           `Options:\n` +
+           `  --model <agent>[,<agent>...]  Models to use, e.g. claude, gemini or custom:<slug>;\n` +
+           `                                agent=<model id> picks a specific model\n` +
+           `  --mode <mode>                 Run as a collaboration, e.g. sequential_critique_chain\n` +
+           `                                (modes: ${getCollaborationConfig().availableModes.filter(mode => mode !== 'individual').join(', ')})\n` +
+           `  --context <token>             Use the files of an MCP context instead of your workspace\n\n` +
+           `Notes:\n` +
+           `- File paths are relative to your CLI workspace (or the --context directory).\n` +
+           `- Quote paths and messages with spaces or characters such as ( ) $ ; |.\n` +
+           `- fix and create only queue a write: approve it in the MCP panel before it reaches the file.\n`;
 }
\ No newline at end of file
@@ -0,0 +1,315 @@
+/**
+ * CLI Sandbox
+ * Runs CLI commands for a user inside their own workspace directory. A command line is
+ * split into arguments here and run without a shell, so pipes, redirects, `;` and
+ * substitutions are not available. Only the commands allowed for the user's role can run,
+ * path arguments must stay inside the workspace, and each process gets CPU time, memory,
+ * wall-clock and output limits. Running commands can be cancelled.
+ *
+ * The workspace is a directory, not a container: that is why shells, interpreters and
+ * commands that can start other programs (git runs hooks, filters and pagers named in
+ * repository config) are never on the allowlist.
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+const WORKSPACE_ROOT = process.env.CLI_WORKSPACE_ROOT || path.join(os.tmpdir(), 'ai-collab-cli');
+const TIMEOUT_MS = parseInt(process.env.CLI_TIMEOUT_MS, 10) || 30 * 1000;
+const CPU_SECONDS = parseInt(process.env.CLI_CPU_SECONDS, 10) || 10;
+const MEMORY_MB = parseInt(process.env.CLI_MEMORY_MB, 10) || 512;
+const MAX_OUTPUT_BYTES = parseInt(process.env.CLI_MAX_OUTPUT_BYTES, 10) || 1024 * 1024;
+// Running commands per user; more have to wait or be cancelled
+const MAX_CONCURRENT_COMMANDS = 2;
+// How long a cancelled or timed-out command gets to exit before it is killed
+const KILL_GRACE_MS = 2000;
+
+const READ_COMMANDS = ['ls', 'cat', 'head', 'tail', 'wc', 'grep', 'echo', 'pwd', 'date', 'stat', 'file', 'du'];
+const WRITE_COMMANDS = ['mkdir', 'touch', 'cp', 'mv', 'rm', 'rmdir', 'find', 'sort', 'uniq', 'diff'];
+
+/**
+ * Commands each role may run. Temporary (unsaved) users get the guest policy.
+ */
+export const CLI_POLICIES = Object.freeze({
+    guest: READ_COMMANDS,
+    user: [...READ_COMMANDS, ...WRITE_COMMANDS],
+    premium: [...READ_COMMANDS, ...WRITE_COMMANDS],
+    admin: [...READ_COMMANDS, ...WRITE_COMMANDS]
+});
+
+// Arguments that would let an allowed command run other programs, link outside the
+// workspace or change the host
+const DENIED_ARGUMENTS = {
+    find: ['-exec', '-execdir', '-ok', '-okdir', '-fprint', '-fprint0', '-fprintf', '-fls'],
+    cp: ['-s', '--symbolic-link'],
+    sort: ['--compress-program'],
+    date: ['-s', '--set']
+};
+
+/** @type {Map<string, Map<string, {cancel: function(): void}>>} */
+const runningCommands = new Map();
+
+/**
+ * Splits a command line into arguments. Single and double quotes group words and a
+ * backslash escapes the next character; nothing is expanded.
+ * @param {string} commandLine
+ * @returns {string[]}
+ * @throws {Error} On shell operators, unbalanced quotes or an empty line.
+ */
+export function parseCommandLine(commandLine) {
+    const args = [];
+    let current = '';
+    let inWord = false;
+    let quote = null;
+
+    for (let i = 0; i < commandLine.length; i++) {
+        const char = commandLine[i];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            } else if (char === '\\' && quote === '"' && i + 1 < commandLine.length) {
+                current += commandLine[++i];
+            } else {
+                current += char;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            inWord = true;
+        } else if (char === '\\' && i + 1 < commandLine.length) {
+            current += commandLine[++i];
+            inWord = true;
+        } else if (/\s/.test(char)) {
+            if (inWord) args.push(current);
+            current = '';
+            inWord = false;
+        } else if (/[|&;<>`$()]/.test(char)) {
+            throw new Error(`Shell operator "${char}" is not supported; quote it to pass it literally.`);
+        } else {
+            current += char;
+            inWord = true;
+        }
+    }
+
+    if (quote) throw new Error('Unbalanced quotes in command.');
+    if (inWord) args.push(current);
+    if (args.length === 0) throw new Error('No command entered.');
+    return args;
+}
+
+/**
+ * @param {string} role - User role ('guest' for temporary users).
+ * @returns {string[]} Commands the role may run.
+ */
+export function getAllowedCommands(role) {
+    return CLI_POLICIES[role] || CLI_POLICIES.guest;
+}
+
+/**
+ * The denied option an argument stands for, if any. Covers grouped short options (-rs)
+ * and abbreviated long options (--symbolic), which GNU tools accept.
+ * @param {string} arg
+ * @param {string[]} denied
+ * @returns {string|null}
+ */
+function findDeniedOption(arg, denied) {
+    const option = arg.split('=')[0];
+    if (denied.includes(option)) return option;
+    if (/^--[^-]/.test(option)) {
+        return denied.find(candidate => candidate.startsWith('--') && candidate.startsWith(option)) || null;
+    }
+    if (/^-[a-zA-Z]{2,}$/.test(arg)) {
+        const letter = [...arg.slice(1)].find(candidate => denied.includes(`-${candidate}`));
+        return letter ? `-${letter}` : null;
+    }
+    return null;
+}
+
+/**
+ * Resolves symlinks in the part of an absolute path that exists; the rest (a directory
+ * mkdir will create, a cp target) is appended as written.
+ * @param {string} target - Absolute, normalized path.
+ * @returns {Promise<string>}
+ */
+async function resolveExistingPath(target) {
+    const missing = [];
+    let existing = target;
+    for (;;) {
+        try {
+            return path.join(await fs.realpath(existing), ...missing);
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+            const parent = path.dirname(existing);
+            if (parent === existing) return target;
+            missing.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+}
+
+/**
+ * Checks a parsed command against the role's policy and the workspace.
+ * @param {string[]} argv
+ * @param {string} role
+ * @param {string} workspace - Absolute workspace path.
+ * @returns {Promise<void>}
+ * @throws {Error} If the command or one of its arguments is not allowed.
+ */
+export async function checkCommand(argv, role, workspace) {
+    const [command, ...args] = argv;
+    if (!getAllowedCommands(role).includes(command)) {
+        throw new Error(`Command "${command}" is not allowed. Type "help" for the commands you can run.`);
+    }
+
+    const denied = DENIED_ARGUMENTS[command] || [];
+    const root = await fs.realpath(workspace);
+    for (const arg of args) {
+        const option = findDeniedOption(arg, denied);
+        if (option) {
+            throw new Error(`Argument "${option}" is not allowed for ${command}.`);
+        }
+
+        // Every argument and option value (--file=x, -fx) could name a path, so each must
+        // stay in the workspace once symlinks are followed
+        let value = arg;
+        if (arg.startsWith('-')) value = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : arg.replace(/^-+[a-zA-Z]*/, '');
+        if (!value) continue;
+        let resolved;
+        try {
+            resolved = await resolveExistingPath(path.resolve(root, value));
+        } catch {
+            resolved = null; // Unreadable, or a symlink loop
+        }
+        if (!resolved || (resolved !== root && !resolved.startsWith(root + path.sep))) {
+            throw new Error(`Path "${value}" is outside your workspace.`);
+        }
+    }
+}
+
+/**
+ * The user's workspace directory, created on first use.
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+export async function getUserWorkspace(userId) {
+    const workspace = path.join(path.resolve(WORKSPACE_ROOT), String(userId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+    await fs.mkdir(workspace, { recursive: true });
+    return workspace;
+}
+
+function killTree(child, signal) {
+    try {
+        // Detached children lead their own process group, which takes their children along
+        if (process.platform === 'win32') child.kill(signal);
+        else process.kill(-child.pid, signal);
+    } catch {
+        // Already exited
+    }
+}
+
+/**
+ * Runs a command line in the user's workspace.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.role - User role ('guest' for temporary users).
+ * @param {string} options.commandLine
+ * @param {string} options.commandId - Identifies the command for cancellation.
+ * @param {function(string, 'stdout'|'stderr'): void} options.onOutput - Output chunks as they arrive.
+ * @returns {Promise<{exitCode: number, reason: 'exit'|'timeout'|'cancelled'|'output_limit'}>}
+ * @throws {Error} If the command is not allowed or could not be started.
+ */
+export async function runSandboxedCommand({ userId, role, commandLine, commandId, onOutput }) {
+    const argv = parseCommandLine(commandLine);
+    const workspace = await getUserWorkspace(userId);
+    await checkCommand(argv, role, workspace);
+
+    const userCommands = runningCommands.get(userId) || new Map();
+    if (userCommands.size >= MAX_CONCURRENT_COMMANDS) {
+        throw new Error(`You already have ${userCommands.size} commands running. Wait for one to finish or cancel it.`);
+    }
+    if (userCommands.has(commandId)) throw new Error(`Command ${commandId} is already running.`);
+
+    // ulimit applies the CPU and memory limits; the command and its arguments are passed as
+    // positional parameters, never interpolated into the script
+    const [file, args] = process.platform === 'win32'
+        ? [argv[0], argv.slice(1)]
+        : ['/bin/sh', ['-c', `ulimit -t ${CPU_SECONDS}; ulimit -v ${MEMORY_MB * 1024}; exec "$0" "$@"`, ...argv]];
+
+    const child = spawn(file, args, {
+        cwd: workspace,
+        env: { PATH: process.env.PATH, HOME: workspace, TMPDIR: workspace, LANG: 'C.UTF-8' },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32',
+        windowsHide: true
+    });
+
+    let reason = 'exit';
+    let outputBytes = 0;
+    let killTimer = null;
+    const stop = (why) => {
+        if (reason !== 'exit') return;
+        reason = why;
+        killTree(child, 'SIGTERM');
+        killTimer = setTimeout(() => killTree(child, 'SIGKILL'), KILL_GRACE_MS);
+    };
+    const timeout = setTimeout(() => stop('timeout'), TIMEOUT_MS);
+
+    userCommands.set(commandId, { cancel: () => stop('cancelled') });
+    runningCommands.set(userId, userCommands);
+    console.log(`CLI Sandbox: User ${userId} (${role}) running ${argv[0]} [${commandId}]`);
+
+    const forward = (stream) => (chunk) => {
+        if (outputBytes >= MAX_OUTPUT_BYTES) return;
+        const remaining = MAX_OUTPUT_BYTES - outputBytes;
+        outputBytes += chunk.length;
+        onOutput((chunk.length > remaining ? chunk.subarray(0, remaining) : chunk).toString('utf8'), stream);
+        if (outputBytes >= MAX_OUTPUT_BYTES) stop('output_limit');
+    };
+    child.stdout.on('data', forward('stdout'));
+    child.stderr.on('data', forward('stderr'));
+
+    try {
+        const exitCode = await new Promise((resolve, reject) => {
+            child.once('error', reject);
+            child.once('close', (code, signal) => resolve(code ?? (signal ? 128 + (os.constants.signals[signal] || 0) : 1)));
+        });
+        return { exitCode, reason };
+    } finally {
+        clearTimeout(timeout);
+        clearTimeout(killTimer);
+        userCommands.delete(commandId);
+        if (userCommands.size === 0) runningCommands.delete(userId);
+    }
+}
+
+/**
+ * Stops a running command.
+ * @param {string} userId
+ * @param {string} commandId
+ * @returns {boolean} Whether the user had such a command running.
+ */
+export function cancelSandboxedCommand(userId, commandId) {
+    const command = runningCommands.get(userId)?.get(commandId);
+    if (!command) return false;
+    command.cancel();
+    return true;
+}
+
+export const CLI_LIMITS = Object.freeze({
+    timeoutMs: TIMEOUT_MS,
+    cpuSeconds: CPU_SECONDS,
+    memoryMb: MEMORY_MB,
+    maxOutputBytes: MAX_OUTPUT_BYTES
+});
+
+export default {
+    CLI_POLICIES,
+    CLI_LIMITS,
+    parseCommandLine,
+    getAllowedCommands,
+    checkCommand,
+    getUserWorkspace,
+    runSandboxedCommand,
+    cancelSandboxedCommand
+};
@@ -0,0 +1,166 @@
+/**
+ * Archive Expansion
+ * Reads zip and tar (optionally gzipped) archives in memory into a list of entries.
+ * Nothing is written to disk. Entry, size and count limits guard against archive bombs:
+ * over-large entries are listed without content, and reading stops once the archive's
+ * expanded size reaches MAX_ARCHIVE_BYTES.
+ */
+
+import JSZip from 'jszip';
+import { Parser as TarParser } from 'tar';
+
+export const MAX_ARCHIVE_ENTRIES = 500;
+export const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+export const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+
+// Dependency, VCS and OS metadata folders carry no useful content for a prompt
+const IGNORED_SEGMENTS = new Set(['node_modules', '.git', '__MACOSX', '.svn', '.hg', '.DS_Store']);
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - Path inside the archive, '/'-separated
+ * @property {number} size - Uncompressed size in bytes
+ * @property {Buffer|null} data - Null when the entry was not read
+ * @property {string} [skipped] - Why the entry has no data
+ */
+
+/**
+ * Archive paths are only used as labels, but keep them relative and tidy
+ * @returns {string|null} Null for entries that should not be listed
+ */
+function normalizeEntryPath(entryPath) {
+  const segments = String(entryPath).replace(/\\/g, '/').split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  if (segments.length === 0 || segments.some(segment => IGNORED_SEGMENTS.has(segment))) return null;
+  return segments.join('/');
+}
+
+/**
+ * @param {string} filename
+ * @returns {'zip'|'tar'|null}
+ */
+export function getArchiveFormat(filename) {
+  const lowered = String(filename).toLowerCase();
+  if (lowered.endsWith('.zip')) return 'zip';
+  if (lowered.endsWith('.tar') || lowered.endsWith('.tar.gz') || lowered.endsWith('.tgz')) return 'tar';
+  return null;
+}
+
+/**
+ * Collects a stream into a buffer. Past `limit` bytes the stream is paused and left
+ * unread, so a compressed bomb is never fully inflated; `size` is then a lower bound.
+ * @returns {Promise<{data: Buffer|null, size: number}>}
+ */
+function readLimited(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.removeAllListeners('data');
+        stream.pause();
+        resolve({ data: null, size });
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve({ data: Buffer.concat(chunks), size }));
+    stream.on('error', reject);
+  });
+}
+
+async function expandZip(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const entries = [];
+  const warnings = [];
+  let expandedBytes = 0;
+
+  for (const file of Object.values(zip.files)) {
+    if (file.dir) continue;
+    const entryPath = normalizeEntryPath(file.name);
+    if (!entryPath) continue;
+    if (entries.length >= MAX_ARCHIVE_ENTRIES) {
+      warnings.push(`Only the first ${MAX_ARCHIVE_ENTRIES} files were read`);
+      break;
+    }
+    if (expandedBytes >= MAX_ARCHIVE_BYTES) {
+      warnings.push(`Reading stopped after ${MAX_ARCHIVE_BYTES / (1024 * 1024)} MB of expanded content`);
+      break;
+    }
+
+    const { data, size } = await readLimited(file.nodeStream('nodebuffer'), Math.min(MAX_ENTRY_BYTES, MAX_ARCHIVE_BYTES - expandedBytes));
+    expandedBytes += size;
+    entries.push(data
+      ? { path: entryPath, size, data }
+      : { path: entryPath, size, data: null, skipped: `over ${MAX_ENTRY_BYTES / (1024 * 1024)} MB, not read` });
+  }
+
+  return { entries, warnings };
+}
+
+function expandTar(buffer) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const warnings = [];
+    const pending = [];
+    let expandedBytes = 0;
+    let stopped = false;
+
+    const parser = new TarParser({
+      onReadEntry: entry => {
+        const entryPath = entry.type === 'File' || entry.type === 'OldFile' ? normalizeEntryPath(entry.path) : null;
+        if (stopped || !entryPath) {
+          entry.resume();
+          return;
+        }
+        if (entries.length >= MAX_ARCHIVE_ENTRIES || expandedBytes >= MAX_ARCHIVE_BYTES) {
+          warnings.push(entries.length >= MAX_ARCHIVE_ENTRIES
+            ? `Only the first ${MAX_ARCHIVE_ENTRIES} files were read`
+            : `Reading stopped after ${MAX_ARCHIVE_BYTES / (1024 * 1024)} MB of expanded content`);
+          stopped = true;
+          entry.resume();
+          return;
+        }
+
+        const record = { path: entryPath, size: entry.size, data: null };
+        entries.push(record);
+        if (entry.size > MAX_ENTRY_BYTES) {
+          record.skipped = `over ${MAX_ENTRY_BYTES / (1024 * 1024)} MB, not read`;
+          entry.resume();
+          return;
+        }
+        expandedBytes += entry.size;
+        pending.push(readLimited(entry, MAX_ENTRY_BYTES).then(({ data }) => {
+          record.data = data;
+        }));
+      }
+    });
+
+    parser.on('error', reject);
+    parser.on('end', () => {
+      Promise.all(pending).then(() => resolve({ entries, warnings }), reject);
+    });
+    parser.end(buffer);
+  });
+}
+
+/**
+ * Reads an archive's files
+ * @param {Buffer} buffer
+ * @param {'zip'|'tar'} format
+ * @returns {Promise<{entries: ArchiveEntry[], warnings: string[]}>}
+ */
+export async function expandArchive(buffer, format) {
+  if (format === 'zip') return expandZip(buffer);
+  if (format === 'tar') return expandTar(buffer);
+  throw new Error(`Unsupported archive format: ${format}`);
+}
+
+export default {
+  getArchiveFormat,
+  expandArchive,
+  MAX_ARCHIVE_ENTRIES,
+  MAX_ARCHIVE_BYTES,
+  MAX_ENTRY_BYTES
+};
@@ -0,0 +1,252 @@
+/**
+ * Document Extraction
+ * Classifies uploaded files and extracts their text: PDF (pdf-parse), DOCX (mammoth),
+ * HTML, Markdown, CSV, plain text and source code. Zip and tar archives are expanded
+ * into a file tree whose files are extracted the same way (archives inside archives
+ * are listed but not opened).
+ * Version: 1.0.0
+ */
+
+import path from 'path';
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+import { getArchiveFormat, expandArchive } from './archives.mjs';
+
+// Total extracted text kept per document, archives included
+export const MAX_EXTRACTED_CHARS = 2000000;
+
+const CODE_LANGUAGES = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+  '.ts': 'typescript', '.tsx': 'tsx', '.py': 'python', '.rb': 'ruby', '.go': 'go',
+  '.rs': 'rust', '.java': 'java', '.kt': 'kotlin', '.swift': 'swift', '.c': 'c',
+  '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.cs': 'csharp', '.php': 'php',
+  '.sh': 'bash', '.ps1': 'powershell', '.sql': 'sql', '.css': 'css', '.scss': 'scss',
+  '.vue': 'vue', '.svelte': 'svelte', '.xml': 'xml', '.yaml': 'yaml', '.yml': 'yaml',
+  '.toml': 'toml', '.ini': 'ini', '.json': 'json', '.dockerfile': 'dockerfile'
+};
+
+// Formats we cannot read as text; uploads of these are refused
+const BINARY_EXTENSIONS = new Set([
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.ico', '.doc', '.xls', '.xlsx',
+  '.ppt', '.pptx', '.7z', '.rar', '.exe', '.dll', '.so', '.dylib', '.bin', '.class',
+  '.jar', '.mp3', '.mp4', '.wav', '.mov', '.avi', '.woff', '.woff2', '.ttf', '.otf',
+  '.iso', '.dmg', '.sqlite', '.db'
+]);
+
+/**
+ * @typedef {'pdf'|'docx'|'html'|'markdown'|'csv'|'code'|'text'|'archive'|'binary'} DocumentKind
+ */
+
+/**
+ * @typedef {Object} ExtractedFile
+ * @property {string} path - Path inside the archive
+ * @property {number} size
+ * @property {DocumentKind} kind
+ * @property {string} [language] - Fence language for code
+ * @property {string} text
+ * @property {string} [skipped] - Why there is no text
+ */
+
+/**
+ * @typedef {Object} ExtractionResult
+ * @property {DocumentKind} kind
+ * @property {string} [language]
+ * @property {string} text - Document text; for archives, the file tree
+ * @property {number} [pageCount] - PDFs only
+ * @property {ExtractedFile[]} [files] - Archives only
+ * @property {boolean} truncated - Text was cut at MAX_EXTRACTED_CHARS
+ * @property {string[]} warnings
+ */
+
+/**
+ * Classifies a file by name
+ * @param {string} filename
+ * @returns {{kind: DocumentKind, language?: string}}
+ */
+export function describeFileType(filename) {
+  const base = path.basename(String(filename)).toLowerCase();
+  const extension = path.extname(base);
+
+  if (getArchiveFormat(base)) return { kind: 'archive' };
+  if (base === 'dockerfile' || base === 'makefile') return { kind: 'code', language: base };
+  if (extension === '.pdf') return { kind: 'pdf' };
+  if (extension === '.docx') return { kind: 'docx' };
+  if (extension === '.html' || extension === '.htm') return { kind: 'html', language: 'html' };
+  if (extension === '.md' || extension === '.markdown') return { kind: 'markdown', language: 'markdown' };
+  if (extension === '.csv' || extension === '.tsv') return { kind: 'csv', language: extension.slice(1) };
+  if (CODE_LANGUAGES[extension]) return { kind: 'code', language: CODE_LANGUAGES[extension] };
+  if (BINARY_EXTENSIONS.has(extension) || extension === '.gz') return { kind: 'binary' };
+  // Everything else is read as text, after a check for binary content
+  return { kind: 'text' };
+}
+
+/**
+ * @param {string} filename
+ * @returns {boolean} False for formats that cannot be read as text
+ */
+export function isSupportedFile(filename) {
+  return describeFileType(filename).kind !== 'binary';
+}
+
+function looksBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Readable text from HTML: scripts and styles dropped, block elements on their own lines
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<h([1-6])\b[^>]*>/gi, (match, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<\/(p|div|section|article|header|footer|h[1-6]|tr|table|ul|ol|pre|blockquote)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function extractPdf(buffer) {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText();
+    return { text: result.text.trim(), pageCount: result.total };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Extracts one non-archive file
+ * @returns {Promise<{kind: DocumentKind, language?: string, text: string, pageCount?: number, skipped?: string}>}
+ */
+async function extractFile(buffer, filename) {
+  const type = describeFileType(filename);
+
+  switch (type.kind) {
+    case 'pdf': {
+      const { text, pageCount } = await extractPdf(buffer);
+      return { ...type, text, pageCount, skipped: text ? undefined : 'no text layer (scanned PDF?)' };
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer });
+      return { ...type, text: result.value.trim() };
+    }
+    case 'html':
+      return { ...type, text: htmlToText(decodeText(buffer)) };
+    case 'binary':
+    case 'archive':
+      return { ...type, text: '', skipped: type.kind === 'archive' ? 'nested archives are not expanded' : 'binary file' };
+    default:
+      if (looksBinary(buffer)) return { kind: 'binary', text: '', skipped: 'binary file' };
+      return { ...type, text: decodeText(buffer) };
+  }
+}
+
+/**
+ * Indented file tree, one line per file with its size
+ * @param {ExtractedFile[]} files
+ * @returns {string}
+ */
+function formatTree(files) {
+  const lines = [];
+  const printed = new Set();
+  files.forEach(file => {
+    const segments = file.path.split('/');
+    segments.slice(0, -1).forEach((segment, depth) => {
+      const directory = segments.slice(0, depth + 1).join('/');
+      if (!printed.has(directory)) {
+        printed.add(directory);
+        lines.push(`${'  '.repeat(depth)}${segment}/`);
+      }
+    });
+    const note = file.skipped ? `, ${file.skipped}` : '';
+    lines.push(`${'  '.repeat(segments.length - 1)}${segments[segments.length - 1]} (${file.size} bytes${note})`);
+  });
+  return lines.join('\n');
+}
+
+async function extractArchive(buffer, filename) {
+  const { entries, warnings } = await expandArchive(buffer, getArchiveFormat(filename));
+  const files = [];
+  let remaining = MAX_EXTRACTED_CHARS;
+  let truncated = false;
+
+  for (const entry of entries) {
+    const file = { path: entry.path, size: entry.size, ...describeFileType(entry.path), text: '' };
+    if (!entry.data) {
+      file.skipped = entry.skipped;
+    } else {
+      try {
+        const extracted = await extractFile(entry.data, entry.path);
+        Object.assign(file, extracted);
+      } catch (error) {
+        file.skipped = `could not be read: ${error.message}`;
+      }
+    }
+    if (file.text.length > remaining) {
+      file.text = file.text.slice(0, remaining);
+      truncated = true;
+    }
+    remaining -= file.text.length;
+    if (!file.skipped) delete file.skipped;
+    files.push(file);
+  }
+
+  if (truncated) warnings.push(`Extracted text was cut at ${MAX_EXTRACTED_CHARS} characters`);
+  return { kind: 'archive', text: formatTree(files), files, truncated, warnings };
+}
+
+/**
+ * Extracts the text of an uploaded file
+ * @param {Buffer} buffer
+ * @param {string} filename - Original name; the type is taken from its extension
+ * @returns {Promise<ExtractionResult>}
+ * @throws {Error} If the file is corrupt or cannot be parsed
+ */
+export async function extractDocument(buffer, filename) {
+  if (describeFileType(filename).kind === 'archive') {
+    return extractArchive(buffer, filename);
+  }
+
+  const extracted = await extractFile(buffer, filename);
+  const truncated = extracted.text.length > MAX_EXTRACTED_CHARS;
+  const warnings = extracted.skipped ? [extracted.skipped] : [];
+  if (truncated) warnings.push(`Extracted text was cut at ${MAX_EXTRACTED_CHARS} characters`);
+
+  return {
+    kind: extracted.kind,
+    language: extracted.language,
+    text: truncated ? extracted.text.slice(0, MAX_EXTRACTED_CHARS) : extracted.text,
+    pageCount: extracted.pageCount,
+    truncated,
+    warnings
+  };
+}
+
+export default {
+  describeFileType,
+  isSupportedFile,
+  extractDocument,
+  htmlToText,
+  MAX_EXTRACTED_CHARS
+};
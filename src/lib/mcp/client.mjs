@@ -0,0 +1,192 @@
+/**
+ * MCP Client
+ * Connects the hub to an external Model Context Protocol server over a transport from
+ * transports.mjs: performs the initialize handshake, then lists and calls the server's
+ * tools and reads its resources.
+ */
+
+import {
+    JsonRpcPeer,
+    JsonRpcError,
+    ErrorCodes,
+    LATEST_PROTOCOL_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    parseMessage
+} from './jsonrpc.mjs';
+
+export const CLIENT_INFO = { name: 'ai-collab-hub', version: '8.0.0' };
+const INITIALIZE_TIMEOUT = 20 * 1000;
+// Upper bound on pages followed when listing, against servers that never stop paging
+const MAX_LIST_PAGES = 20;
+
+export class McpClient {
+    /**
+     * @param {object} transport - StdioClientTransport or SseClientTransport.
+     * @param {object} [options]
+     * @param {string} [options.label] - Name used in logs.
+     * @param {number} [options.requestTimeout]
+     */
+    constructor(transport, { label = 'server', requestTimeout } = {}) {
+        this.transport = transport;
+        this.label = label;
+        this.connected = false;
+        this.serverInfo = null;
+        this.capabilities = {};
+        this.protocolVersion = null;
+        this.instructions = null;
+        this.closeHandlers = [];
+        this.toolsCache = null;
+        this.peer = new JsonRpcPeer({
+            send: message => this.transport.send(message),
+            requestTimeout,
+            // Servers may ping; nothing else is offered to them (no sampling or roots)
+            onRequest: async (method) => {
+                if (method === 'ping') return {};
+                throw new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+            },
+            onNotification: (method) => {
+                if (method === 'notifications/tools/list_changed') this.toolsCache = null;
+            }
+        });
+    }
+
+    /**
+     * Starts the transport and performs the initialize handshake.
+     * @returns {Promise<McpClient>}
+     * @throws {Error} If the server cannot be reached or speaks no supported protocol version.
+     */
+    async connect() {
+        await this.transport.start({
+            onMessage: (text) => this.receive(text),
+            onClose: (reason) => this.handleClose(reason)
+        });
+
+        try {
+            const result = await this.peer.request('initialize', {
+                protocolVersion: LATEST_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: CLIENT_INFO
+            }, { timeout: INITIALIZE_TIMEOUT });
+
+            if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result?.protocolVersion)) {
+                throw new Error(`Unsupported protocol version ${result?.protocolVersion}`);
+            }
+            this.protocolVersion = result.protocolVersion;
+            this.serverInfo = result.serverInfo || null;
+            this.capabilities = result.capabilities || {};
+            this.instructions = result.instructions || null;
+            this.peer.notify('notifications/initialized');
+            this.connected = true;
+            console.log(`MCP: Connected to ${this.label} (${this.serverInfo?.name || 'unnamed'} ${this.serverInfo?.version || ''}, protocol ${this.protocolVersion})`);
+            return this;
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+    }
+
+    async receive(text) {
+        const { message, error } = parseMessage(text);
+        if (error) {
+            console.warn(`MCP: Unparseable message from ${this.label}`);
+            return;
+        }
+        const responses = await this.peer.handleMessage(message);
+        if (responses) {
+            try {
+                await this.transport.send(responses);
+            } catch (sendError) {
+                console.warn(`MCP: Could not answer ${this.label}: ${sendError.message}`);
+            }
+        }
+    }
+
+    handleClose(reason) {
+        if (this.peer.closed) return;
+        this.connected = false;
+        this.peer.close(reason);
+        console.log(`MCP: Disconnected from ${this.label}: ${reason}`);
+        this.closeHandlers.forEach(handler => handler(reason));
+    }
+
+    /**
+     * @param {function(string): void} handler - Called once when the connection ends.
+     */
+    onClose(handler) {
+        this.closeHandlers.push(handler);
+    }
+
+    async listAll(method, key) {
+        const items = [];
+        let cursor;
+        for (let page = 0; page < MAX_LIST_PAGES; page++) {
+            const result = await this.peer.request(method, cursor ? { cursor } : {});
+            items.push(...(result?.[key] || []));
+            cursor = result?.nextCursor;
+            if (!cursor) break;
+        }
+        return items;
+    }
+
+    /**
+     * @returns {Promise<Array<{name: string, description?: string, inputSchema: object}>>}
+     */
+    async listTools() {
+        if (!this.capabilities.tools) return [];
+        if (!this.toolsCache) this.toolsCache = await this.listAll('tools/list', 'tools');
+        return this.toolsCache;
+    }
+
+    /**
+     * @param {string} name
+     * @param {object} [args]
+     * @returns {Promise<{content: Array<object>, isError?: boolean}>}
+     */
+    callTool(name, args = {}) {
+        return this.peer.request('tools/call', { name, arguments: args });
+    }
+
+    /**
+     * @returns {Promise<Array<{uri: string, name: string, description?: string, mimeType?: string}>>}
+     */
+    async listResources() {
+        if (!this.capabilities.resources) return [];
+        return this.listAll('resources/list', 'resources');
+    }
+
+    /**
+     * @param {string} uri
+     * @returns {Promise<{contents: Array<{uri: string, mimeType?: string, text?: string, blob?: string}>}>}
+     */
+    readResource(uri) {
+        return this.peer.request('resources/read', { uri });
+    }
+
+    close() {
+        this.transport.close();
+        this.handleClose('Closed by client');
+    }
+}
+
+/**
+ * Flattens tool or resource content into text for a model.
+ * @param {Array<object>} content - CallToolResult content or ReadResourceResult contents.
+ * @returns {string}
+ */
+export function contentToText(content = []) {
+    return content.map(item => {
+        if (typeof item.text === 'string') return item.text;
+        if (item.type === 'resource' && item.resource) {
+            return item.resource.text ?? `[Binary resource ${item.resource.uri}]`;
+        }
+        if (item.type === 'image' || item.type === 'audio') return `[${item.type} (${item.mimeType || 'unknown type'}) omitted]`;
+        if (item.blob !== undefined) return `[Binary content ${item.uri || ''} omitted]`;
+        return '';
+    }).filter(Boolean).join('\n\n');
+}
+
+export default {
+    CLIENT_INFO,
+    McpClient,
+    contentToText
+};
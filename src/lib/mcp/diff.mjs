@@ -0,0 +1,257 @@
+/**
+ * MCP Diffs
+ * Line diffs between a file on disk and the content an AI proposes for it, shown to the
+ * reviewer as unified-diff hunks. Hunks are numbered in file order and can be approved
+ * one by one: applyHunks rebuilds the file from the unchanged original plus only the
+ * chosen hunks. Diffs are deterministic, so the same two texts always give the same
+ * hunk numbers.
+ */
+
+import crypto from 'crypto';
+
+// Unchanged lines shown around each change; changes closer than twice this share a hunk
+export const DIFF_CONTEXT_LINES = 3;
+// Beyond this many inserted plus deleted lines the changed region is one replacement
+const MAX_EDIT_DISTANCE = 2000;
+// Larger files are not diffed; their writes can only be approved whole
+const MAX_DIFF_BYTES = 2 * 1024 * 1024;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * @typedef {object} DiffHunk
+ * @property {number} id - Position of the hunk in the file, from 0.
+ * @property {string} header - '@@ -oldStart,oldLines +newStart,newLines @@'
+ * @property {number} oldStart
+ * @property {number} oldLines
+ * @property {number} newStart
+ * @property {number} newLines
+ * @property {string[]} lines - Diff lines prefixed with ' ', '-' or '+'.
+ */
+
+/**
+ * Splits text into lines that keep their terminators, so joining them gives the text back.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+    return text ? text.match(/[^\n]*\n|[^\n]+$/g) : [];
+}
+
+/**
+ * Shortest edit script between two line arrays (Myers' O(ND) algorithm).
+ * @param {string[]} a - Old lines.
+ * @param {string[]} b - New lines.
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>|null} Null when the texts differ by more
+ *   than MAX_EDIT_DISTANCE lines.
+ */
+function shortestEdit(a, b) {
+    const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Only diagonals -d-1..d+1 are read when backtracking through step d
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) return backtrack(a, b, trace, x, y);
+        }
+    }
+    return null;
+}
+
+function backtrack(a, b, trace, x, y) {
+    const edits = [];
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const saved = trace[d];
+        const at = k => saved[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) edits.push({ type: '+', line: b[--y] });
+            else edits.push({ type: '-', line: a[--x] });
+        }
+    }
+    return edits.reverse();
+}
+
+/**
+ * Line edits turning oldText into newText.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // Common prefix and suffix are cheap to strip and keep the edit search small
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const oldMiddle = a.slice(prefix, a.length - suffix);
+    const newMiddle = b.slice(prefix, b.length - suffix);
+    const middle = shortestEdit(oldMiddle, newMiddle) || [
+        ...oldMiddle.map(line => ({ type: '-', line })),
+        ...newMiddle.map(line => ({ type: '+', line }))
+    ];
+
+    return [
+        ...a.slice(0, prefix).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...a.slice(a.length - suffix).map(line => ({ type: ' ', line }))
+    ];
+}
+
+/**
+ * Groups edits into hunks with DIFF_CONTEXT_LINES of context.
+ * @returns {Array<{id: number, from: number, to: number, oldBefore: number, newBefore: number}>}
+ *   Edit ranges [from, to) and the old/new line counts preceding each hunk.
+ */
+function groupHunks(edits) {
+    const changed = [];
+    edits.forEach((edit, i) => {
+        if (edit.type !== ' ') changed.push(i);
+    });
+
+    const ranges = [];
+    changed.forEach(i => {
+        const last = ranges[ranges.length - 1];
+        if (last && i - last.lastChange <= 2 * DIFF_CONTEXT_LINES) {
+            last.lastChange = i;
+        } else {
+            ranges.push({ firstChange: i, lastChange: i });
+        }
+    });
+
+    let oldSeen = 0;
+    let newSeen = 0;
+    let cursor = 0;
+    return ranges.map(({ firstChange, lastChange }, id) => {
+        const from = Math.max(0, firstChange - DIFF_CONTEXT_LINES);
+        const to = Math.min(edits.length, lastChange + DIFF_CONTEXT_LINES + 1);
+        for (; cursor < from; cursor++) {
+            if (edits[cursor].type !== '+') oldSeen++;
+            if (edits[cursor].type !== '-') newSeen++;
+        }
+        return { id, from, to, oldBefore: oldSeen, newBefore: newSeen };
+    });
+}
+
+/**
+ * Whether two texts can be diffed line by line.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {boolean}
+ */
+export function isDiffable(oldText, newText) {
+    if (Buffer.byteLength(oldText) + Buffer.byteLength(newText) > MAX_DIFF_BYTES) return false;
+    return !oldText.includes('\0') && !newText.includes('\0');
+}
+
+/**
+ * Unified diff and its hunks.
+ * @param {string} filePath - Path shown in the diff headers.
+ * @param {string|null} oldText - Current content, null if the file does not exist.
+ * @param {string|null} newText - Proposed content, null if the file is to be deleted.
+ * @returns {{diff: string, hunks: DiffHunk[]}|null} Null for binary or very large files.
+ */
+export function createPatch(filePath, oldText, newText) {
+    const before = oldText ?? '';
+    const after = newText ?? '';
+    if (!isDiffable(before, after)) return null;
+
+    const edits = diffLines(before, after);
+    const hunks = groupHunks(edits).map(({ id, from, to, oldBefore, newBefore }) => {
+        const slice = edits.slice(from, to);
+        const oldLines = slice.filter(edit => edit.type !== '+').length;
+        const newLines = slice.filter(edit => edit.type !== '-').length;
+        const oldStart = oldLines === 0 ? oldBefore : oldBefore + 1;
+        const newStart = newLines === 0 ? newBefore : newBefore + 1;
+        const lines = slice.flatMap(edit => edit.line.endsWith('\n')
+            ? [edit.type + edit.line.slice(0, -1)]
+            : [edit.type + edit.line, NO_NEWLINE_MARKER]);
+        return {
+            id,
+            header: `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`,
+            oldStart,
+            oldLines,
+            newStart,
+            newLines,
+            lines
+        };
+    });
+
+    if (hunks.length === 0) return { diff: '', hunks };
+    const header = [
+        oldText === null ? '--- /dev/null' : `--- a/${filePath}`,
+        newText === null ? '+++ /dev/null' : `+++ b/${filePath}`
+    ];
+    const body = hunks.flatMap(hunk => [hunk.header, ...hunk.lines]);
+    return { diff: [...header, ...body].join('\n') + '\n', hunks };
+}
+
+/**
+ * Applies some of the hunks between two texts.
+ * @param {string} oldText - Current content ('' for a new file).
+ * @param {string} newText - Proposed content.
+ * @param {number[]} hunkIds - Hunks to take from newText; the rest keep oldText.
+ * @returns {string} The resulting content.
+ * @throws {Error} If a hunk id does not exist.
+ */
+export function applyHunks(oldText, newText, hunkIds) {
+    const edits = diffLines(oldText, newText);
+    const hunks = groupHunks(edits);
+    const selected = new Set(hunkIds);
+    selected.forEach(id => {
+        if (!Number.isInteger(id) || id < 0 || id >= hunks.length) {
+            throw new Error(`Unknown hunk ${id}; the change has ${hunks.length} hunk(s).`);
+        }
+    });
+
+    // Hunks cover every change, so outside them both texts agree
+    let next = 0;
+    return edits.map((edit, i) => {
+        while (next < hunks.length && hunks[next].to <= i) next++;
+        const hunk = hunks[next] && hunks[next].from <= i ? hunks[next] : null;
+        const skipped = hunk && selected.has(hunk.id) ? '-' : '+';
+        return edit.type === skipped ? '' : edit.line;
+    }).join('');
+}
+
+/**
+ * Fingerprint of a file's content, used to notice changes made after a request.
+ * @param {string|Buffer|null} content - Null for a missing file.
+ * @returns {string|null}
+ */
+export function contentChecksum(content) {
+    if (content === null) return null;
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export default {
+    DIFF_CONTEXT_LINES,
+    isDiffable,
+    createPatch,
+    applyHunks,
+    contentChecksum
+};
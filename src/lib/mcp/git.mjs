@@ -0,0 +1,403 @@
+/**
+ * MCP Git Integration
+ * When a registered context directory is inside a git repository, approved operations
+ * are recorded as commits on a scratch branch (ai-collab/<id>) that starts at the HEAD
+ * of registration. Commits are built with git plumbing and a temporary index, so the
+ * checked-out branch, its index and HEAD are never touched; only the approved files in
+ * the working directory change, as before. Needs the local `git` executable only.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const SCRATCH_BRANCH_PREFIX = 'ai-collab/';
+const DEFAULT_FILE_MODE = '100644';
+// Commits are attributed to the tool when the repository has no identity configured
+const FALLBACK_IDENTITY = { name: 'AI Collab', email: 'ai-collab@localhost' };
+// Diff sent to the model when drafting a commit message
+const MAX_DRAFT_DIFF_CHARS = 12000;
+
+/**
+ * @typedef {object} GitRepository
+ * @property {string} root - Absolute path of the working tree root.
+ * @property {string} prefix - Context directory relative to root (POSIX, '' for the root).
+ * @property {string|null} branch - Branch checked out at registration, null if detached.
+ * @property {string} baseCommit - HEAD at registration; the scratch branch starts here.
+ * @property {string} scratchBranch - Branch that records approved batches.
+ */
+
+/**
+ * @typedef {object} GitChange
+ * @property {string} path - Path relative to the context directory.
+ * @property {string} [content] - New content; omit together with `delete`.
+ * @property {boolean} [delete] - Remove the file, or everything under a directory.
+ */
+
+/**
+ * Runs git and resolves with its stdout.
+ * @param {string} cwd - Working directory.
+ * @param {string[]} args - Arguments after `git`.
+ * @param {object} [options={}]
+ * @param {string|Buffer} [options.input] - Written to stdin.
+ * @param {object} [options.env] - Extra environment variables.
+ * @param {boolean} [options.raw=false] - Resolve with a Buffer instead of a trimmed string.
+ * @returns {Promise<string|Buffer>}
+ */
+function runGit(cwd, args, { input, env, raw = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('git', args, {
+            cwd,
+            env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0', ...env },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', error => reject(new Error(`Could not run git: ${error.message}`)));
+        child.on('close', code => {
+            if (code !== 0) {
+                const message = Buffer.concat(stderr).toString('utf8').trim() || `exit code ${code}`;
+                return reject(new Error(`git ${args[0]} failed: ${message}`));
+            }
+            const output = Buffer.concat(stdout);
+            resolve(raw ? output : output.toString('utf8').trim());
+        });
+        child.stdin.on('error', () => { /* git may exit before reading stdin */ });
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Runs `fn` with a throwaway index file, removed afterwards.
+ */
+async function withTemporaryIndex(fn) {
+    const indexFile = path.join(os.tmpdir(), `mcp-git-index-${randomUUID()}`);
+    try {
+        return await fn({ GIT_INDEX_FILE: indexFile });
+    } finally {
+        await fs.rm(indexFile, { force: true });
+    }
+}
+
+function toRepoPath(repo, contextPath) {
+    return path.posix.join(repo.prefix, contextPath.replace(/\\/g, '/'));
+}
+
+/**
+ * Mode of a path in a tree, or null if the tree does not contain it as a file.
+ */
+async function fileMode(repo, rev, repoPath) {
+    const entry = await runGit(repo.root, ['ls-tree', rev, '--', repoPath]);
+    const match = entry.match(/^(\d+) blob /);
+    return match ? match[1] : null;
+}
+
+/**
+ * Writes `changes` into the index selected by `env`, keeping the modes files have at `rev`.
+ */
+async function stageChanges(repo, changes, env, rev) {
+    for (const change of changes) {
+        const repoPath = toRepoPath(repo, change.path);
+        if (change.delete) {
+            await runGit(repo.root, ['rm', '--cached', '-r', '-q', '-f', '--ignore-unmatch', '--', repoPath], { env });
+            continue;
+        }
+        const blob = await runGit(repo.root, ['hash-object', '-w', '--stdin', `--path=${repoPath}`], { input: change.content });
+        const mode = await fileMode(repo, rev, repoPath) || DEFAULT_FILE_MODE;
+        await runGit(repo.root, ['update-index', '--add', '--cacheinfo', `${mode},${blob},${repoPath}`], { env });
+    }
+}
+
+/**
+ * Identity for commit-tree when user.name/user.email are not configured.
+ */
+async function commitIdentityEnv(repo) {
+    const email = await runGit(repo.root, ['config', 'user.email']).catch(() => '');
+    if (email) return {};
+    return {
+        GIT_AUTHOR_NAME: FALLBACK_IDENTITY.name,
+        GIT_AUTHOR_EMAIL: FALLBACK_IDENTITY.email,
+        GIT_COMMITTER_NAME: FALLBACK_IDENTITY.name,
+        GIT_COMMITTER_EMAIL: FALLBACK_IDENTITY.email
+    };
+}
+
+/**
+ * Finds the repository containing a context directory.
+ * @param {string} directory - Absolute context directory.
+ * @returns {Promise<{root: string, prefix: string, branch: string|null, head: string}|null>}
+ *   Null if the directory is not in a repository, git is missing, or there is no commit yet.
+ */
+export async function detectRepository(directory) {
+    try {
+        const inside = await runGit(directory, ['rev-parse', '--is-inside-work-tree']);
+        if (inside !== 'true') return null;
+
+        const root = await runGit(directory, ['rev-parse', '--show-toplevel']);
+        const head = await runGit(directory, ['rev-parse', '--verify', '-q', 'HEAD^{commit}']);
+        const branch = await runGit(directory, ['symbolic-ref', '-q', '--short', 'HEAD']).catch(() => '');
+        const realDirectory = await fs.realpath(directory);
+        const prefix = path.relative(await fs.realpath(root), realDirectory).split(path.sep).join('/');
+        return { root, prefix, branch: branch || null, head };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates the scratch branch for a context at the repository's current HEAD.
+ * @param {string} directory - Absolute context directory.
+ * @param {string} id - Short unique id for the branch name.
+ * @returns {Promise<GitRepository|null>} Null if the directory is not under git.
+ */
+export async function initializeRepository(directory, id) {
+    const repository = await detectRepository(directory);
+    if (!repository) return null;
+
+    const scratchBranch = `${SCRATCH_BRANCH_PREFIX}${id}`;
+    // The empty old value makes update-ref fail instead of moving an existing branch
+    await runGit(repository.root, ['update-ref', `refs/heads/${scratchBranch}`, repository.head, '']);
+    return {
+        root: repository.root,
+        prefix: repository.prefix,
+        branch: repository.branch,
+        baseCommit: repository.head,
+        scratchBranch
+    };
+}
+
+/**
+ * Unified diff of proposed changes against the repository's current HEAD.
+ * @param {GitRepository} repo
+ * @param {GitChange[]} changes
+ * @returns {Promise<string>} Diff with repository-relative paths; '' if nothing changes.
+ */
+export async function diffAgainstHead(repo, changes) {
+    if (changes.length === 0) return '';
+    const paths = changes.map(change => toRepoPath(repo, change.path));
+
+    // An index holding only the proposed files: paths it lacks show up as deletions
+    return withTemporaryIndex(async (env) => {
+        await stageChanges(repo, changes.filter(change => !change.delete), env, 'HEAD');
+        return runGit(repo.root, ['diff', '--cached', '--no-color', '--no-ext-diff', 'HEAD', '--', ...paths], { env });
+    });
+}
+
+/**
+ * Records changes as one commit on the scratch branch.
+ * @param {GitRepository} repo
+ * @param {GitChange[]} changes
+ * @param {string} message
+ * @returns {Promise<{commit: string, parent: string}>}
+ * @throws {Error} If the changes leave the tree as it was, or the branch moved meanwhile.
+ */
+export async function commitChanges(repo, changes, message) {
+    const ref = `refs/heads/${repo.scratchBranch}`;
+    const parent = await runGit(repo.root, ['rev-parse', '--verify', `${ref}^{commit}`]);
+
+    return withTemporaryIndex(async (env) => {
+        await runGit(repo.root, ['read-tree', parent], { env });
+        await stageChanges(repo, changes, env, parent);
+        const tree = await runGit(repo.root, ['write-tree'], { env });
+        if (tree === await runGit(repo.root, ['rev-parse', `${parent}^{tree}`])) {
+            throw new Error('The approved operations do not change any tracked file.');
+        }
+
+        const commit = await runGit(repo.root, ['commit-tree', tree, '-p', parent, '-F', '-'], {
+            input: message,
+            env: await commitIdentityEnv(repo)
+        });
+        await runGit(repo.root, ['update-ref', ref, commit, parent]);
+        return { commit, parent };
+    });
+}
+
+/**
+ * Moves the scratch branch back after a batch could not be applied to the working directory.
+ * @param {GitRepository} repo
+ * @param {{commit: string, parent: string}} result - From commitChanges.
+ */
+export async function undoCommit(repo, { commit, parent }) {
+    await runGit(repo.root, ['update-ref', `refs/heads/${repo.scratchBranch}`, parent, commit]);
+}
+
+/**
+ * Commits on the scratch branch since registration, newest first.
+ * @param {GitRepository} repo
+ * @returns {Promise<Array<{commit: string, subject: string, date: string, files: string[]}>>}
+ */
+export async function listCommits(repo) {
+    const log = await runGit(repo.root, [
+        'log', '--format=%x1e%H%x1f%s%x1f%aI', '--name-only',
+        `${repo.baseCommit}..refs/heads/${repo.scratchBranch}`
+    ]);
+    return log.split('\x1e').filter(Boolean).map(record => {
+        const [header, ...fileLines] = record.split('\n');
+        const [commit, subject, date] = header.split('\x1f');
+        return { commit, subject, date, files: fileLines.filter(Boolean) };
+    });
+}
+
+/**
+ * Whether a commit was made on the scratch branch after registration.
+ */
+async function isScratchCommit(repo, commit) {
+    const commits = await runGit(repo.root, ['rev-list', `${repo.baseCommit}..refs/heads/${repo.scratchBranch}`]);
+    return commits.split('\n').includes(commit);
+}
+
+/**
+ * Blob id of a path in a revision, or '' if the path is not a file there.
+ */
+function blobAt(repo, rev, repoPath) {
+    return runGit(repo.root, ['rev-parse', '-q', '--verify', `${rev}:${repoPath}`]).catch(() => '');
+}
+
+/**
+ * Blob id the working-tree file would have, or '' if it does not exist.
+ */
+async function workingTreeBlob(repo, repoPath) {
+    try {
+        const content = await fs.readFile(path.join(repo.root, ...repoPath.split('/')));
+        return await runGit(repo.root, ['hash-object', '--stdin', `--path=${repoPath}`], { input: content });
+    } catch (error) {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+    }
+}
+
+/**
+ * Undoes an approved batch: commits the inverse on the scratch branch and restores the
+ * batch's files in the working directory. A file changed again since the batch, on the
+ * branch or in the directory, is left alone and reported as a conflict.
+ * @param {GitRepository} repo
+ * @param {string} commit - Full or abbreviated id of a scratch-branch commit.
+ * @returns {Promise<{commit: string, reverted: string, restored: string[], conflicts: string[]}>}
+ * @throws {Error} If the commit is not on the scratch branch or every file conflicts.
+ */
+export async function revertCommit(repo, commit) {
+    const target = await runGit(repo.root, ['rev-parse', '--verify', '-q', `${commit}^{commit}`]).catch(() => '');
+    if (!target || !await isScratchCommit(repo, target)) {
+        throw new Error(`Commit ${commit} is not on ${repo.scratchBranch}.`);
+    }
+
+    const ref = `refs/heads/${repo.scratchBranch}`;
+    const tip = await runGit(repo.root, ['rev-parse', '--verify', `${ref}^{commit}`]);
+    const changed = (await runGit(repo.root, ['diff-tree', '--no-commit-id', '--name-only', '-r', '-z', `${target}^`, target]))
+        .split('\0').filter(Boolean);
+
+    const changes = [];
+    const conflicts = [];
+    for (const repoPath of changed) {
+        const approved = await blobAt(repo, target, repoPath);
+        if (await blobAt(repo, tip, repoPath) !== approved || await workingTreeBlob(repo, repoPath) !== approved) {
+            conflicts.push(repoPath);
+            continue;
+        }
+        const blob = await blobAt(repo, `${target}^`, repoPath);
+        changes.push({
+            repoPath,
+            blob,
+            mode: blob ? await fileMode(repo, `${target}^`, repoPath) : null,
+            previous: blob ? await runGit(repo.root, ['cat-file', 'blob', blob], { raw: true }) : null
+        });
+    }
+    if (changes.length === 0) {
+        throw new Error(`Every file in ${target.substring(0, 8)} has changed since; nothing was reverted.`);
+    }
+
+    const subject = await runGit(repo.root, ['log', '-1', '--format=%s', target]);
+    const revert = await withTemporaryIndex(async (env) => {
+        await runGit(repo.root, ['read-tree', tip], { env });
+        for (const { repoPath, mode, blob } of changes) {
+            if (blob) {
+                await runGit(repo.root, ['update-index', '--add', '--cacheinfo', `${mode},${blob},${repoPath}`], { env });
+            } else {
+                await runGit(repo.root, ['update-index', '--force-remove', '--', repoPath], { env });
+            }
+        }
+        const tree = await runGit(repo.root, ['write-tree'], { env });
+        const conflictNote = conflicts.length > 0 ? `\nLeft unchanged (edited since): ${conflicts.join(', ')}\n` : '';
+        const created = await runGit(repo.root, ['commit-tree', tree, '-p', tip, '-F', '-'], {
+            input: `Revert "${subject}"\n\nThis reverts commit ${target}.\n${conflictNote}`,
+            env: await commitIdentityEnv(repo)
+        });
+        await runGit(repo.root, ['update-ref', ref, created, tip]);
+        return created;
+    });
+
+    for (const { repoPath, previous } of changes) {
+        const absolutePath = path.join(repo.root, ...repoPath.split('/'));
+        if (previous === null) {
+            await fs.rm(absolutePath, { force: true });
+        } else {
+            await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+            await fs.writeFile(absolutePath, previous);
+        }
+    }
+
+    return { commit: revert, reverted: target, restored: changes.map(change => change.repoPath), conflicts };
+}
+
+/**
+ * Commit message for a batch without a drafted one.
+ * @param {Array<{type: string, filePath?: string, dirPath?: string, metadata?: object}>} operations
+ * @returns {string}
+ */
+export function fallbackCommitMessage(operations) {
+    const describe = (operation) => {
+        const target = operation.filePath || operation.dirPath;
+        const verb = { write: 'Update', delete: 'Delete', create_directory: 'Create' }[operation.type] || 'Change';
+        return operation.metadata?.description || `${verb} ${target}`;
+    };
+    if (operations.length === 1) return describe(operations[0]);
+    return `Apply ${operations.length} AI-proposed changes\n\n${operations.map(operation => `- ${describe(operation)}`).join('\n')}`;
+}
+
+/**
+ * Asks a model for a commit message describing a batch.
+ * @param {string} diff - Unified diff of the batch.
+ * @param {Array<object>} operations - The batch's operations.
+ * @param {function({systemPrompt: string, userPrompt: string}): Promise<string>} complete - Model call.
+ * @returns {Promise<string>} The drafted message, or the fallback message if the model fails.
+ */
+export async function draftCommitMessage(diff, operations, complete) {
+    const descriptions = operations
+        .map(operation => operation.metadata?.description)
+        .filter(Boolean)
+        .map(description => `- ${description}`)
+        .join('\n');
+    const clippedDiff = diff.length > MAX_DRAFT_DIFF_CHARS
+        ? `${diff.slice(0, MAX_DRAFT_DIFF_CHARS)}\n[diff truncated]`
+        : diff;
+
+    try {
+        const response = await complete({
+            systemPrompt: 'You write git commit messages. Reply with the message only: an imperative subject line of at most 72 characters, then, if the change needs it, a blank line and a short body wrapped at 72 characters.',
+            userPrompt: `${descriptions ? `Requested changes:\n${descriptions}\n\n` : ''}Diff:\n${clippedDiff || '(no textual changes)'}`
+        });
+        const message = String(response || '')
+            .replace(/^```[^\n]*\n?|```\s*$/g, '')
+            .trim();
+        if (message) return message;
+    } catch (error) {
+        console.warn(`MCP: Commit message draft failed, using a generated one: ${error.message}`);
+    }
+    return fallbackCommitMessage(operations);
+}
+
+export default {
+    detectRepository,
+    initializeRepository,
+    diffAgainstHead,
+    commitChanges,
+    undoCommit,
+    listCommits,
+    revertCommit,
+    fallbackCommitMessage,
+    draftCommitMessage
+};
@@ -1,18 +1,33 @@
 /**
- * Model Context Protocol (MCP) Library - In-Memory Implementation
+ * Model Context Protocol (MCP) Library
  * Handles context registration, validation, and file operations for AI interaction.
- * Version: 8.0.0 (Refactored for ES Modules)
+ * Contexts and operations are served from memory and written through to MongoDB
+ * (mcpStoreService), which also keeps the operation audit log.
+ * Version: 8.1.0
  */
 
 // Create a default export object to resolve the import issue in wsHandler.mjs
 import fs from 'fs/promises'; // Use promise-based fs
 import path from 'path';
 import { randomUUID } from 'crypto';
+import {
+    initializeRepository,
+    diffAgainstHead,
+    commitChanges,
+    undoCommit,
+    listCommits,
+    revertCommit,
+    fallbackCommitMessage,
+    draftCommitMessage
+} from './git.mjs';
+import { createPatch, applyHunks, contentChecksum } from './diff.mjs';
+import * as mcpStore from '../../services/mcpStoreService.mjs';
 
 // --- Constants ---
 const DEFAULT_CONTEXT_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 const DEFAULT_PERMISSIONS = ['read', 'write', 'delete', 'create_directory'];
 const MAX_PREVIEW_LENGTH = 250; // Max characters for content preview
+const RESOLVED_OPERATION_RETENTION = 60 * 60 * 1000; // Approved/rejected operations stay queryable for 1 hour
 
 // --- In-Memory Storage ---
 /**
@@ -24,6 +39,8 @@ const MAX_PREVIEW_LENGTH = 250; // Max characters for content preview
  * @property {number} expiresAt - Timestamp when the context expires.
  * @property {string} [projectId] - Optional project identifier.
  * @property {string} [description] - Optional description for the context.
+ * @property {import('./git.mjs').GitRepository|null} git - Set when the directory is in a git
+ *   repository: approved operations are then committed to a scratch branch and can be reverted.
  */
 
 /** @type {Map<string, McpContext>} */
@@ -46,11 +63,26 @@ const activeContexts = new Map(); // Stores token -> McpContext
  * @property {'pending' | 'approved' | 'rejected'} status - Current status.
  * @property {number} createdAt - Timestamp of creation.
  * @property {string} [previewContent] - Short preview for write operations.
+ * @property {string|null} [diff] - Unified diff against the file on disk (write/delete of a
+ *   file); null for binary or very large files.
+ * @property {Array<import('./diff.mjs').DiffHunk>|null} [hunks] - The diff's hunks; a write can
+ *   be approved with only some of them.
+ * @property {string|null} [baseChecksum] - Checksum of the file when the request was made
+ *   (null if it did not exist), to detect edits made on disk before approval.
+ * @property {boolean} [conflict] - Set when approval found the file changed on disk.
+ * @property {number[]} [appliedHunks] - Hunks applied by a partial approval.
+ * @property {string} [commit] - Scratch-branch commit that recorded the approved operation.
+ * @property {number} expiresAt - When the operation is dropped: with its context while pending,
+ *   RESOLVED_OPERATION_RETENTION after it is approved or rejected.
+ * @property {number} [resolvedAt] - Timestamp of approval or rejection.
  */
 
 /** @type {Map<string, McpOperation>} */
 const pendingOperations = new Map(); // Stores operationId -> McpOperation
 
+/** @type {Map<string, Promise>} */
+const contextQueues = new Map(); // Serializes git work per context token
+
 // --- Helper Functions ---
 
 /**
@@ -136,6 +168,237 @@ async function isValidFile(filePath) {
     }
 }
 
+/**
+ * Runs git work for a context after any already queued for it, so concurrent approvals
+ * cannot race on the scratch branch.
+ * @param {string} token - Context token.
+ * @param {Function} task - Async function to run.
+ * @returns {Promise<*>} The task's result.
+ */
+function queueContextTask(token, task) {
+    const previous = contextQueues.get(token) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    contextQueues.set(token, run);
+    run.finally(() => {
+        if (contextQueues.get(token) === run) contextQueues.delete(token);
+    }).catch(() => {});
+    return run;
+}
+
+/**
+ * Marks an operation approved or rejected and schedules it for removal.
+ * @param {McpOperation} operation
+ * @param {'approved' | 'rejected'} status
+ */
+function resolveOperation(operation, status) {
+    operation.status = status;
+    operation.resolvedAt = Date.now();
+    operation.expiresAt = operation.resolvedAt + RESOLVED_OPERATION_RETENTION;
+}
+
+/**
+ * Adds an operation event to the audit log.
+ * @param {string} event - 'requested', 'approved', 'rejected', 'conflict' or 'failed'.
+ * @param {McpOperation} operation
+ * @param {string} actor - Who caused the event.
+ * @param {object} [details] - commit, appliedHunks, message or sessionId.
+ * @returns {Promise<void>}
+ */
+function auditOperation(event, operation, actor, details = {}) {
+    const context = activeContexts.get(operation.contextToken);
+    return mcpStore.recordAuditEntry({
+        event,
+        operationId: operation.id,
+        contextToken: operation.contextToken,
+        userId: operation.userId,
+        actor,
+        agent: operation.metadata?.agent || null,
+        sessionId: details.sessionId || operation.metadata?.sessionId || context?.sessionId || null,
+        directory: context?.directory || null,
+        operationType: operation.type,
+        path: operation.filePath || operation.dirPath || null,
+        description: operation.metadata?.description || null,
+        commit: details.commit || null,
+        appliedHunks: details.appliedHunks,
+        message: details.message || null,
+    });
+}
+
+/**
+ * Stores a newly requested operation and logs who asked for it.
+ * @param {McpContext} context
+ * @param {McpOperation} operation
+ */
+async function recordRequest(context, operation) {
+    operation.expiresAt = context.expiresAt;
+    pendingOperations.set(operation.id, operation);
+    await mcpStore.saveOperation(operation);
+    await auditOperation('requested', operation, operation.metadata?.requestedBy || operation.userId);
+}
+
+/**
+ * Git change for an operation, or null if the operation does not touch tracked content.
+ * @param {McpOperation} operation
+ * @returns {import('./git.mjs').GitChange|null}
+ */
+function toGitChange(operation) {
+    if (operation.type === 'write') return { path: operation.filePath, content: operation.content };
+    if (operation.type === 'delete') return { path: operation.filePath, delete: true };
+    return null; // git does not track empty directories
+}
+
+/**
+ * Combined diff of changes against HEAD, or null outside git contexts. A failed diff is
+ * logged and treated as no diff.
+ * @param {McpContext} context
+ * @param {import('./git.mjs').GitChange[]} changes
+ * @returns {Promise<string|null>}
+ */
+async function diffForContext(context, changes) {
+    if (!context.git) return null;
+    try {
+        return await diffAgainstHead(context.git, changes);
+    } catch (error) {
+        console.warn(`MCP: Could not diff ${changes.map(change => change.path).join(', ')}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Current content of a file in the context, null if it does not exist.
+ * @param {string} baseDir - The context's base directory.
+ * @param {string} filePath - Relative path to the file.
+ * @returns {Promise<{content: string|null, isDirectory: boolean}>}
+ */
+async function readCurrentFile(baseDir, filePath) {
+    const absolutePath = await resolveSecurePath(baseDir, filePath);
+    try {
+        const stats = await fs.stat(absolutePath);
+        if (stats.isDirectory()) return { content: null, isDirectory: true };
+        return { content: await fs.readFile(absolutePath, 'utf8'), isDirectory: false };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { content: null, isDirectory: false };
+        throw error;
+    }
+}
+
+/**
+ * Records what a write or delete would change: the diff against the file as it is now
+ * and a checksum to detect later edits. Directory deletes have neither.
+ * @param {McpContext} context
+ * @param {McpOperation} operation
+ */
+async function describeChange(context, operation) {
+    const current = await readCurrentFile(context.directory, operation.filePath);
+    if (current.isDirectory) {
+        Object.assign(operation, { diff: null, hunks: null });
+        return;
+    }
+    const patch = createPatch(operation.filePath, current.content, operation.type === 'write' ? operation.content : null);
+    Object.assign(operation, {
+        diff: patch?.diff ?? null,
+        hunks: patch?.hunks ?? null,
+        baseChecksum: contentChecksum(current.content),
+    });
+}
+
+/**
+ * What approving an operation should execute, after checking the file has not changed
+ * on disk since the request. With `hunkIds`, a write is narrowed to those hunks.
+ * @param {McpContext} context
+ * @param {McpOperation} operation
+ * @param {number[]} [hunkIds] - Hunks to apply (write operations only).
+ * @returns {Promise<McpOperation>} The operation, or a copy with the partial content.
+ * @throws {Error} With code 'MCP_CONFLICT' if the file changed since the request.
+ */
+async function resolveApproval(context, operation, hunkIds) {
+    if (operation.baseChecksum === undefined) return operation; // Directories and create_directory
+
+    const current = await readCurrentFile(context.directory, operation.filePath);
+    if (current.isDirectory || contentChecksum(current.content) !== operation.baseChecksum) {
+        const error = new Error(`File '${operation.filePath}' has changed on disk since the ${operation.type} was requested.`);
+        error.code = 'MCP_CONFLICT';
+        throw error;
+    }
+    if (!hunkIds) return operation;
+    return { ...operation, content: applyHunks(current.content ?? '', operation.content, hunkIds) };
+}
+
+/**
+ * Applies an operation to the context directory.
+ * @param {string} baseDir - The context's base directory.
+ * @param {McpOperation} operation
+ * @returns {Promise<string>} Result message.
+ */
+async function executeOperation(baseDir, operation) {
+    const targetPath = operation.filePath || operation.dirPath; // Path relative to context
+
+    switch (operation.type) {
+        case 'write':
+            if (!operation.filePath || operation.content === undefined) throw new Error('Invalid write operation details.');
+            const writePath = await resolveSecurePath(baseDir, operation.filePath);
+            await fs.mkdir(path.dirname(writePath), { recursive: true });
+            await fs.writeFile(writePath, operation.content, 'utf8');
+            return `File '${targetPath}' written successfully.`;
+        case 'delete':
+            if (!operation.filePath) throw new Error('Invalid delete operation details.');
+            const deletePath = await resolveSecurePath(baseDir, operation.filePath);
+            try {
+                const stats = await fs.lstat(deletePath); // Check if it exists and what type it is
+                if (stats.isDirectory()) {
+                    await fs.rm(deletePath, { recursive: true, force: true });
+                    return `Directory '${targetPath}' deleted successfully.`;
+                }
+                await fs.unlink(deletePath);
+                return `File '${targetPath}' deleted successfully.`;
+            } catch (statErr) {
+                if (statErr.code === 'ENOENT') throw new Error(`Path not found for deletion: ${targetPath}`);
+                throw statErr; // Re-throw other stat errors
+            }
+        case 'create_directory':
+            if (!operation.dirPath) throw new Error('Invalid create_directory operation details.');
+            const createDirPath = await resolveSecurePath(baseDir, operation.dirPath);
+            try {
+                await fs.access(createDirPath);
+                // If access doesn't throw, it exists
+                throw new Error(`Directory already exists: ${targetPath}`);
+            } catch (accessErr) {
+                if (accessErr.code !== 'ENOENT') throw accessErr; // Re-throw if it's not "doesn't exist"
+                // Doesn't exist, proceed to create
+                await fs.mkdir(createDirPath, { recursive: true });
+                return `Directory '${targetPath}' created successfully.`;
+            }
+        default:
+            throw new Error(`Unsupported operation type: ${operation.type}`);
+    }
+}
+
+/**
+ * Commits operations to the context's scratch branch, then applies them to the directory.
+ * If applying fails, the commit is taken back off the branch.
+ * @param {McpContext} context - A git context.
+ * @param {McpOperation[]} operations
+ * @param {string} message - Commit message.
+ * @returns {Promise<{commit: string|null, messages: string[]}>}
+ */
+async function commitAndApply(context, operations, message) {
+    const changes = operations.map(toGitChange).filter(Boolean);
+    const committed = changes.length > 0 ? await commitChanges(context.git, changes, message) : null;
+
+    const messages = [];
+    try {
+        for (const operation of operations) {
+            messages.push(await executeOperation(context.directory, operation));
+        }
+    } catch (error) {
+        if (committed) await undoCommit(context.git, committed).catch(undoError => {
+            console.error(`MCP: Could not take back commit ${committed.commit}: ${undoError.message}`);
+        });
+        throw error;
+    }
+    return { commit: committed?.commit || null, messages };
+}
+
 // --- Context Management ---
 
 /**
@@ -148,6 +411,8 @@ async function isValidFile(filePath) {
  * @param {string} [options.description] - Optional description.
  * @param {string[]} [options.permissions] - Permissions (defaults to all).
  * @param {number} [options.duration] - Validity duration (ms, defaults to 24h).
+ * @param {boolean} [options.git=true] - Record approved operations on a scratch branch when
+ *   the directory is in a git repository.
  * @returns {Promise<string>} The generated context token.
  * @throws {Error} If the directory is invalid.
  */
@@ -160,6 +425,17 @@ export async function registerContext(sessionId, directory, userId, options = {}
 
     const token = generateToken();
     const duration = options.duration || DEFAULT_CONTEXT_DURATION;
+
+    // Git repositories get a scratch branch for approved operations; `git: false` opts out
+    let git = null;
+    if (options.git !== false) {
+        try {
+            git = await initializeRepository(absoluteDirectory, token.substring(0, 8));
+        } catch (error) {
+            console.warn(`MCP: Git history disabled for ${absoluteDirectory}: ${error.message}`);
+        }
+    }
+
     const contextDetails = {
         sessionId,
         directory: absoluteDirectory,
@@ -168,9 +444,11 @@ export async function registerContext(sessionId, directory, userId, options = {}
         expiresAt: Date.now() + duration,
         projectId: options.projectId,
         description: options.description,
+        git,
     };
     activeContexts.set(token, contextDetails);
-    console.log(`MCP: Context registered - User: ${userId}, Token: ${token.substring(0, 8)}..., Dir: ${absoluteDirectory}`);
+    await mcpStore.saveContext(token, contextDetails);
+    console.log(`MCP: Context registered - User: ${userId}, Token: ${token.substring(0, 8)}..., Dir: ${absoluteDirectory}${git ? `, Branch: ${git.scratchBranch}` : ''}`);
     return token;
 }
 
@@ -192,6 +470,7 @@ export function validateContext(token, userId, requiredPermission) {
     }
     if (Date.now() > context.expiresAt) {
         activeContexts.delete(token); // Clean up expired token
+        mcpStore.deleteContext(token);
         console.log(`MCP: Expired context token removed: ${token.substring(0, 8)}...`);
         return { valid: false, error: 'Context token has expired.' };
     }
@@ -202,6 +481,16 @@ export function validateContext(token, userId, requiredPermission) {
     return { valid: true, context };
 }
 
+/**
+ * The user who registered a context. External MCP clients present only the token, so
+ * their sessions act as this user.
+ * @param {string} token - The context token.
+ * @returns {string|null} The owner's user ID, or null for an unknown token.
+ */
+export function getContextOwner(token) {
+    return activeContexts.get(token)?.userId || null;
+}
+
 // --- File System Operations ---
 
 /**
@@ -250,10 +539,13 @@ export async function listFiles(token, userId, subPath = '') {
  * @param {string} token - Context token.
  * @param {string} userId - User ID.
  * @param {string} filePath - Relative path to the file.
- * @returns {Promise<string>} File content as UTF-8 string.
- * @throws {Error} If context invalid, path inaccessible, or not a file.
+ * @param {object} [options={}]
+ * @param {number} [options.maxBytes] - Refuse files larger than this.
+ * @param {string|null} [options.encoding='utf8'] - null returns the raw bytes.
+ * @returns {Promise<string|Buffer>} File content, as a UTF-8 string by default.
+ * @throws {Error} If context invalid, path inaccessible, not a file, or too large.
  */
-export async function readFile(token, userId, filePath) {
+export async function readFile(token, userId, filePath, options = {}) {
     const validation = validateContext(token, userId, 'read');
     if (!validation.valid) throw new Error(validation.error);
 
@@ -263,8 +555,13 @@ export async function readFile(token, userId, filePath) {
     if (!await isValidFile(absoluteFilePath)) {
         throw new Error(`Path is not a valid file: ${absoluteFilePath}`);
     }
-    // TODO: Add check for max file size to prevent reading huge files?
-    return fs.readFile(absoluteFilePath, 'utf8');
+    if (options.maxBytes) {
+        const { size } = await fs.stat(absoluteFilePath);
+        if (size > options.maxBytes) {
+            throw new Error(`File is too large (${size} bytes, limit ${options.maxBytes}).`);
+        }
+    }
+    return fs.readFile(absoluteFilePath, options.encoding === undefined ? 'utf8' : options.encoding);
 }
 
 /**
@@ -298,7 +595,8 @@ export async function requestWriteFile(token, userId, filePath, content, metadat
         createdAt: Date.now(),
         previewContent: content.substring(0, MAX_PREVIEW_LENGTH) + (content.length > MAX_PREVIEW_LENGTH ? '...' : ''),
     };
-    pendingOperations.set(operationId, operationDetails);
+    await describeChange(validation.context, operationDetails);
+    await recordRequest(validation.context, operationDetails);
     console.log(`MCP: Write request created - User: ${userId}, OpID: ${operationId.substring(0, 8)}..., Path: ${filePath}`);
     return operationId;
 }
@@ -331,7 +629,8 @@ export async function requestDeleteFile(token, userId, itemPath, metadata = {})
         status: 'pending',
         createdAt: Date.now(),
     };
-    pendingOperations.set(operationId, operationDetails);
+    await describeChange(validation.context, operationDetails);
+    await recordRequest(validation.context, operationDetails);
     console.log(`MCP: Delete request created - User: ${userId}, OpID: ${operationId.substring(0, 8)}..., Path: ${itemPath}`);
     return operationId;
 }
@@ -363,7 +662,7 @@ export async function requestCreateDirectory(token, userId, dirPath, metadata =
         status: 'pending',
         createdAt: Date.now(),
     };
-    pendingOperations.set(operationId, operationDetails);
+    await recordRequest(validation.context, operationDetails);
     console.log(`MCP: Create directory request - User: ${userId}, OpID: ${operationId.substring(0, 8)}..., Path: ${dirPath}`);
     return operationId;
 }
@@ -387,109 +686,321 @@ export function getUserPendingOperations(userId) {
 }
 
 /**
- * Approves a pending operation and executes it.
+ * Approves a pending operation and executes it. In git contexts the change is also
+ * committed to the context's scratch branch. A write can be approved in part by listing
+ * the hunks to apply; the other hunks are discarded with the operation.
  * @param {string} operationId - The ID of the operation.
  * @param {string} userId - The user ID approving (must match owner).
- * @returns {Promise<{success: boolean, message: string, operationId: string}>} Result.
+ * @param {object} [options={}]
+ * @param {number[]} [options.hunks] - Ids of the hunks to apply (write operations only).
+ * @param {string} [options.sessionId] - Session the approval came from, for the audit log.
+ * @returns {Promise<{success: boolean, message: string, operationId: string, commit?: string, appliedHunks?: number[]}>} Result.
  * @throws {Error} If operation invalid, user mismatch, context invalid, or execution fails.
+ *   If the file changed on disk since the request, the error has code 'MCP_CONFLICT' and the
+ *   operation stays pending so it can be rejected or reviewed again.
  */
-export async function approveOperation(operationId, userId) {
+export async function approveOperation(operationId, userId, options = {}) {
     const operation = pendingOperations.get(operationId);
     if (!operation) throw new Error('Operation not found.');
     if (operation.userId !== userId) throw new Error('User mismatch. Cannot approve this operation.');
     if (operation.status !== 'pending') throw new Error(`Operation is not pending (status: ${operation.status}).`);
 
+    let hunkIds;
+    if (Array.isArray(options.hunks)) {
+        if (operation.type !== 'write' || !operation.hunks) throw new Error('This operation cannot be approved in part.');
+        if (options.hunks.length === 0) throw new Error('Select at least one hunk, or reject the operation.');
+        const selected = [...new Set(options.hunks.map(Number))].sort((a, b) => a - b);
+        const unknown = selected.filter(id => !operation.hunks.some(hunk => hunk.id === id));
+        if (unknown.length > 0) throw new Error(`Unknown hunk(s): ${unknown.join(', ')}.`);
+        // Every hunk selected is the same as approving the whole write
+        if (selected.length < operation.hunks.length) hunkIds = selected;
+    }
+
     const validation = validateContext(operation.contextToken, userId);
     if (!validation.valid) {
-        operation.status = 'rejected'; // Mark as rejected if context is invalid
+        resolveOperation(operation, 'rejected'); // Mark as rejected if context is invalid
+        await mcpStore.saveOperation(operation);
+        await auditOperation('failed', operation, userId, { sessionId: options.sessionId, message: validation.error });
         throw new Error(`Context for operation is no longer valid: ${validation.error}`);
     }
 
-    const baseDir = validation.context.directory;
-    let resultMessage = '';
+    const context = validation.context;
     const targetPath = operation.filePath || operation.dirPath; // Path relative to context
 
     try {
-        switch (operation.type) {
-            case 'write':
-                if (!operation.filePath || operation.content === undefined) throw new Error('Invalid write operation details.');
-                const writePath = await resolveSecurePath(baseDir, operation.filePath);
-                await fs.mkdir(path.dirname(writePath), { recursive: true });
-                await fs.writeFile(writePath, operation.content, 'utf8');
-                resultMessage = `File '${targetPath}' written successfully.`;
-                break;
-            case 'delete':
-                if (!operation.filePath) throw new Error('Invalid delete operation details.');
-                const deletePath = await resolveSecurePath(baseDir, operation.filePath);
-                try {
-                    const stats = await fs.lstat(deletePath); // Check if it exists and what type it is
-                    if (stats.isDirectory()) {
-                        await fs.rm(deletePath, { recursive: true, force: true });
-                        resultMessage = `Directory '${targetPath}' deleted successfully.`;
-                    } else {
-                        await fs.unlink(deletePath);
-                        resultMessage = `File '${targetPath}' deleted successfully.`;
-                    }
-                } catch (statErr) {
-                    if (statErr.code === 'ENOENT') throw new Error(`Path not found for deletion: ${targetPath}`);
-                    throw statErr; // Re-throw other stat errors
-                }
-                break;
-            case 'create_directory':
-                if (!operation.dirPath) throw new Error('Invalid create_directory operation details.');
-                const createDirPath = await resolveSecurePath(baseDir, operation.dirPath);
-                try {
-                    await fs.access(createDirPath);
-                    // If access doesn't throw, it exists
-                    throw new Error(`Directory already exists: ${targetPath}`);
-                } catch (accessErr) {
-                    if (accessErr.code !== 'ENOENT') throw accessErr; // Re-throw if it's not "doesn't exist"
-                    // Doesn't exist, proceed to create
-                    await fs.mkdir(createDirPath, { recursive: true });
-                    resultMessage = `Directory '${targetPath}' created successfully.`;
-                }
-                break;
-            default:
-                throw new Error(`Unsupported operation type: ${operation.type}`);
+        let resultMessage;
+        if (context.git) {
+            const { commit, messages } = await queueContextTask(operation.contextToken, async () => {
+                if (operation.status !== 'pending') throw new Error(`Operation is not pending (status: ${operation.status}).`);
+                const approved = await resolveApproval(context, operation, hunkIds);
+                return commitAndApply(context, [approved], fallbackCommitMessage([operation]));
+            });
+            resultMessage = messages[0];
+            if (commit) operation.commit = commit;
+        } else {
+            const approved = await resolveApproval(context, operation, hunkIds);
+            resultMessage = await executeOperation(context.directory, approved);
         }
 
-        operation.status = 'approved';
-        console.log(`MCP: Operation approved/executed - User: ${userId}, OpID: ${operationId.substring(0, 8)}..., Type: ${operation.type}, Path: ${targetPath}`);
-        // Optionally remove from pendingOperations after a delay or keep for audit
-        // setTimeout(() => pendingOperations.delete(operationId), 60000);
-        return { success: true, message: resultMessage, operationId };
+        resolveOperation(operation, 'approved');
+        if (hunkIds) {
+            operation.appliedHunks = hunkIds;
+            resultMessage = `${resultMessage.replace(/\.$/, '')} (${hunkIds.length} of ${operation.hunks.length} hunks applied).`;
+        }
+        console.log(`MCP: Operation approved/executed - User: ${userId}, OpID: ${operationId.substring(0, 8)}..., Type: ${operation.type}, Path: ${targetPath}${hunkIds ? `, Hunks: ${hunkIds.join(',')}` : ''}${operation.commit ? `, Commit: ${operation.commit.substring(0, 8)}` : ''}`);
+        await mcpStore.saveOperation(operation);
+        await auditOperation('approved', operation, userId, {
+            sessionId: options.sessionId,
+            commit: operation.commit,
+            appliedHunks: hunkIds,
+            message: resultMessage,
+        });
+        return {
+            success: true,
+            message: resultMessage,
+            operationId,
+            ...(operation.commit ? { commit: operation.commit } : {}),
+            ...(hunkIds ? { appliedHunks: hunkIds } : {})
+        };
 
     } catch (error) {
+        if (error.code === 'MCP_CONFLICT') {
+            operation.conflict = true;
+            console.warn(`MCP: Approval blocked by conflict - User: ${userId}, OpID: ${operationId.substring(0, 8)}..., Path: ${targetPath}`);
+            await mcpStore.saveOperation(operation);
+            await auditOperation('conflict', operation, userId, { sessionId: options.sessionId, message: error.message });
+            throw error;
+        }
         console.error(`MCP: Error executing approved operation ${operationId} (User: ${userId}, Type: ${operation.type}, Path: ${targetPath}):`, error);
-        operation.status = 'rejected'; // Mark as rejected if execution failed
+        resolveOperation(operation, 'rejected'); // Mark as rejected if execution failed
+        await mcpStore.saveOperation(operation);
+        await auditOperation('failed', operation, userId, { sessionId: options.sessionId, message: error.message });
         // Provide a more specific error message if possible
         throw new Error(`Execution failed for ${operation.type} on '${targetPath}': ${error.message}`);
     }
 }
 
+/**
+ * Pending operations of one context and their combined diff against HEAD.
+ * @param {string} token - Context token.
+ * @param {string} userId - User ID.
+ * @param {string[]} [operationIds] - Limit to these operations (default: all pending).
+ * @returns {Promise<{operations: Array<McpOperation>, diff: string|null}>}
+ * @throws {Error} If the context is invalid or an operation is unknown or not pending.
+ */
+export async function getPendingBatch(token, userId, operationIds) {
+    const validation = validateContext(token, userId, 'read');
+    if (!validation.valid) throw new Error(validation.error);
+
+    let operations;
+    if (Array.isArray(operationIds) && operationIds.length > 0) {
+        operations = operationIds.map(id => {
+            const operation = pendingOperations.get(id);
+            if (!operation || operation.userId !== userId || operation.contextToken !== token) {
+                throw new Error(`Operation not found: ${id}`);
+            }
+            if (operation.status !== 'pending') throw new Error(`Operation ${id} is not pending (status: ${operation.status}).`);
+            return operation;
+        });
+    } else {
+        operations = [...pendingOperations.values()]
+            .filter(op => op.contextToken === token && op.userId === userId && op.status === 'pending');
+    }
+    // Apply in the order they were requested
+    operations.sort((a, b) => a.createdAt - b.createdAt);
+
+    const diff = await diffForContext(validation.context, operations.map(toGitChange).filter(Boolean));
+    return { operations: operations.map(op => ({ ...op })), diff };
+}
+
+/**
+ * Approves several pending operations of a git context as one commit on its scratch branch.
+ * @param {string} token - Context token.
+ * @param {string} userId - User ID approving (must own the operations).
+ * @param {object} [options={}]
+ * @param {string[]} [options.operationIds] - Operations to approve (default: all pending in the context).
+ * @param {string} [options.message] - Commit message (e.g. drafted by a model); generated if omitted.
+ * @param {string} [options.sessionId] - Session the approval came from, for the audit log.
+ * @returns {Promise<{success: boolean, message: string, commit: string|null, branch: string, operationIds: string[]}>}
+ * @throws {Error} If the context is not a git context, nothing is pending, a file changed on
+ *   disk since it was requested (code 'MCP_CONFLICT'), or execution fails.
+ */
+export async function approveBatch(token, userId, options = {}) {
+    const validation = validateContext(token, userId, 'write');
+    if (!validation.valid) throw new Error(validation.error);
+    const context = validation.context;
+    if (!context.git) throw new Error('Batch approval needs a context inside a git repository.');
+
+    return queueContextTask(token, async () => {
+        const { operations: snapshot } = await getPendingBatch(token, userId, options.operationIds);
+        if (snapshot.length === 0) throw new Error('No pending operations to approve.');
+        const operations = snapshot.map(op => pendingOperations.get(op.id));
+        const commitMessage = (options.message || '').trim() || fallbackCommitMessage(operations);
+
+        for (const operation of operations) {
+            await resolveApproval(context, operation).catch(async error => {
+                if (error.code === 'MCP_CONFLICT') {
+                    operation.conflict = true;
+                    await mcpStore.saveOperation(operation);
+                    await auditOperation('conflict', operation, userId, { sessionId: options.sessionId, message: error.message });
+                }
+                throw error;
+            });
+        }
+
+        try {
+            const { commit } = await commitAndApply(context, operations, commitMessage);
+            for (const operation of operations) {
+                resolveOperation(operation, 'approved');
+                if (commit) operation.commit = commit;
+                await mcpStore.saveOperation(operation);
+                await auditOperation('approved', operation, userId, { sessionId: options.sessionId, commit, message: commitMessage });
+            }
+            console.log(`MCP: Batch approved - User: ${userId}, Operations: ${operations.length}, Branch: ${context.git.scratchBranch}${commit ? `, Commit: ${commit.substring(0, 8)}` : ''}`);
+            return {
+                success: true,
+                message: `${operations.length} operation(s) approved${commit ? ` and committed to ${context.git.scratchBranch}` : ''}.`,
+                commit,
+                branch: context.git.scratchBranch,
+                operationIds: operations.map(operation => operation.id)
+            };
+        } catch (error) {
+            console.error(`MCP: Error executing batch for context ${token.substring(0, 8)}... (User: ${userId}):`, error);
+            // The batch's commit was taken back, so its operations are still pending
+            for (const operation of operations) {
+                await auditOperation('failed', operation, userId, { sessionId: options.sessionId, message: error.message });
+            }
+            throw new Error(`Execution failed for batch: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Drafts a commit message for a batch with a model, to be shown to the user and passed
+ * back to approveBatch.
+ * @param {string} token - Context token.
+ * @param {string} userId - User ID.
+ * @param {object} options
+ * @param {string[]} [options.operationIds] - Operations in the batch (default: all pending).
+ * @param {function({systemPrompt: string, userPrompt: string}): Promise<string>} options.complete - Model call.
+ * @returns {Promise<{message: string, diff: string|null, operationIds: string[]}>}
+ */
+export async function draftBatchCommitMessage(token, userId, { operationIds, complete }) {
+    const { operations, diff } = await getPendingBatch(token, userId, operationIds);
+    if (operations.length === 0) throw new Error('No pending operations to describe.');
+
+    const message = await draftCommitMessage(diff || '', operations, complete);
+    return { message, diff, operationIds: operations.map(op => op.id) };
+}
+
+/**
+ * Commits recorded on a git context's scratch branch, newest first.
+ * @param {string} token - Context token.
+ * @param {string} userId - User ID.
+ * @returns {Promise<{branch: string, baseCommit: string, commits: Array<{commit: string, subject: string, date: string, files: string[]}>}>}
+ */
+export async function getContextCommits(token, userId) {
+    const validation = validateContext(token, userId, 'read');
+    if (!validation.valid) throw new Error(validation.error);
+    const { git } = validation.context;
+    if (!git) throw new Error('This context is not inside a git repository.');
+
+    return { branch: git.scratchBranch, baseCommit: git.baseCommit, commits: await listCommits(git) };
+}
+
+/**
+ * Reverts an approved batch: records the inverse commit on the scratch branch and restores
+ * the files it changed. Files edited since are left alone and listed in `conflicts`.
+ * @param {string} token - Context token.
+ * @param {string} userId - User ID.
+ * @param {string} commit - Scratch-branch commit to revert.
+ * @param {object} [options={}]
+ * @param {string} [options.sessionId] - Session the revert came from, for the audit log.
+ * @returns {Promise<{success: boolean, message: string, commit: string, reverted: string, restored: string[], conflicts: string[]}>}
+ */
+export async function revertContextCommit(token, userId, commit, options = {}) {
+    const validation = validateContext(token, userId, 'write');
+    if (!validation.valid) throw new Error(validation.error);
+    const { git } = validation.context;
+    if (!git) throw new Error('This context is not inside a git repository.');
+    if (!commit || typeof commit !== 'string' || !/^[0-9a-f]{4,40}$/i.test(commit)) {
+        throw new Error('A commit id is required.');
+    }
+
+    const result = await queueContextTask(token, () => revertCommit(git, commit));
+    console.log(`MCP: Commit reverted - User: ${userId}, Commit: ${result.reverted.substring(0, 8)}, Restored: ${result.restored.length}, Conflicts: ${result.conflicts.length}`);
+    const message = result.conflicts.length > 0
+        ? `Reverted ${result.reverted.substring(0, 8)}; ${result.conflicts.length} file(s) changed since and were left as they are.`
+        : `Reverted ${result.reverted.substring(0, 8)}.`;
+    await mcpStore.recordAuditEntry({
+        event: 'reverted',
+        contextToken: token,
+        userId,
+        actor: userId,
+        sessionId: options.sessionId || validation.context.sessionId || null,
+        directory: validation.context.directory,
+        path: result.restored.join(', ') || null,
+        commit: result.commit,
+        message,
+    });
+    return { success: true, message, ...result };
+}
+
 /**
  * Rejects a pending operation.
  * @param {string} operationId - The ID of the operation.
  * @param {string} userId - The user ID rejecting (must match owner).
  * @param {string} [reason=''] - Optional reason for rejection.
+ * @param {object} [options={}]
+ * @param {string} [options.sessionId] - Session the rejection came from, for the audit log.
  * @returns {{success: boolean, message: string, operationId: string}} Result.
  * @throws {Error} If operation invalid or user mismatch.
  */
-export function rejectOperation(operationId, userId, reason = '') {
+export function rejectOperation(operationId, userId, reason = '', options = {}) {
     const operation = pendingOperations.get(operationId);
     if (!operation) throw new Error('Operation not found.');
     if (operation.userId !== userId) throw new Error('User mismatch. Cannot reject this operation.');
     if (operation.status !== 'pending') throw new Error(`Operation is not pending (status: ${operation.status}).`);
 
-    operation.status = 'rejected';
+    resolveOperation(operation, 'rejected');
     operation.metadata.rejectionReason = reason;
     console.log(`MCP: Operation rejected - User: ${userId}, OpID: ${operationId.substring(0, 8)}..., Reason: ${reason || 'None given'}`);
-    // Optionally remove from pendingOperations after a delay or keep for audit
-    // setTimeout(() => pendingOperations.delete(operationId), 60000);
+    // Stored in the background; rejection does not wait on the database
+    mcpStore.saveOperation(operation);
+    auditOperation('rejected', operation, userId, { sessionId: options.sessionId, message: reason || null });
     return { success: true, message: `Operation ${operationId} rejected.`, operationId };
 }
 
-// Cleanup interval for expired contexts (optional)
+/**
+ * Reloads contexts and pending operations stored before a restart. Entries already in
+ * memory are kept, so this is safe to call on every database (re)connection.
+ * @returns {Promise<{contexts: number, operations: number}>} How many were restored.
+ */
+export async function restorePersistedState() {
+    const restored = { contexts: 0, operations: 0 };
+    try {
+        const { contexts, operations } = await mcpStore.loadActiveState();
+        for (const [token, context] of contexts) {
+            if (activeContexts.has(token)) continue;
+            activeContexts.set(token, context);
+            restored.contexts++;
+        }
+        for (const operation of operations) {
+            if (pendingOperations.has(operation.id) || !activeContexts.has(operation.contextToken)) continue;
+            pendingOperations.set(operation.id, operation);
+            restored.operations++;
+        }
+    } catch (error) {
+        console.error('MCP: Could not restore stored contexts:', error.message);
+        return restored;
+    }
+    if (restored.contexts || restored.operations) {
+        console.log(`MCP: Restored ${restored.contexts} context(s) and ${restored.operations} pending operation(s)`);
+    }
+    return restored;
+}
+
+// Cleanup interval for expired contexts and resolved operations; MongoDB expires its copies itself
 setInterval(() => {
     const now = Date.now();
     for (const [token, context] of activeContexts.entries()) {
@@ -498,13 +1009,16 @@ setInterval(() => {
             console.log(`MCP: Cleaned up expired context token: ${token.substring(0, 8)}...`);
         }
     }
-    // Could also clean up very old completed/rejected operations here
-}, 60 * 60 * 1000); // Check every hour
+    for (const [operationId, operation] of pendingOperations.entries()) {
+        if (now > operation.expiresAt) pendingOperations.delete(operationId);
+    }
+}, 10 * 60 * 1000).unref(); // Check every 10 minutes
 
 // Create a default export with all the functions
 export default {
     registerContext,
     validateContext,
+    getContextOwner,
     listFiles,
     readFile,
     requestWriteFile,
@@ -512,5 +1026,11 @@ export default {
     requestCreateDirectory,
     getUserPendingOperations,
     approveOperation,
-    rejectOperation
+    rejectOperation,
+    getPendingBatch,
+    approveBatch,
+    draftBatchCommitMessage,
+    getContextCommits,
+    revertContextCommit,
+    restorePersistedState
 };
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * JSON-RPC 2.0
+ * The message layer of the Model Context Protocol. A JsonRpcPeer sends requests and
+ * notifications through a transport-provided send function, matches responses to their
+ * requests, and dispatches incoming requests to a handler. The same peer serves both
+ * sides: the hub as a client of external MCP servers, and as a server for MCP clients.
+ */
+
+export const JSONRPC_VERSION = '2.0';
+
+// Latest revision first; a peer asking for another one gets the latest
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+export const ErrorCodes = Object.freeze({
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    // Implementation-defined: the request timed out or the connection closed first
+    REQUEST_TIMEOUT: -32001,
+    CONNECTION_CLOSED: -32000
+});
+
+const DEFAULT_REQUEST_TIMEOUT = 60 * 1000;
+
+/**
+ * Error carried in a JSON-RPC error response.
+ */
+export class JsonRpcError extends Error {
+    /**
+     * @param {number} code - One of ErrorCodes, or a server-defined code.
+     * @param {string} message
+     * @param {*} [data]
+     */
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'JsonRpcError';
+        this.code = code;
+        if (data !== undefined) this.data = data;
+    }
+
+    toJSON() {
+        return this.data === undefined
+            ? { code: this.code, message: this.message }
+            : { code: this.code, message: this.message, data: this.data };
+    }
+}
+
+/**
+ * Parses a raw message, returning a JSON-RPC error response for unparseable input.
+ * @param {string} text
+ * @returns {{message?: object|object[], error?: object}}
+ */
+export function parseMessage(text) {
+    try {
+        return { message: JSON.parse(text) };
+    } catch {
+        return { error: errorResponse(null, new JsonRpcError(ErrorCodes.PARSE_ERROR, 'Parse error')) };
+    }
+}
+
+function errorResponse(id, error) {
+    const rpcError = error instanceof JsonRpcError
+        ? error
+        : new JsonRpcError(ErrorCodes.INTERNAL_ERROR, error?.message || 'Internal error');
+    return { jsonrpc: JSONRPC_VERSION, id, error: rpcError.toJSON() };
+}
+
+/**
+ * One end of a JSON-RPC connection.
+ */
+export class JsonRpcPeer {
+    /**
+     * @param {object} options
+     * @param {function(object): (void|Promise<void>)} options.send - Writes a message to the transport.
+     * @param {function(string, object): Promise<*>} [options.onRequest] - Handles incoming requests;
+     *   its result is the response, a thrown JsonRpcError the error response.
+     * @param {function(string, object): void} [options.onNotification]
+     * @param {number} [options.requestTimeout]
+     */
+    constructor({ send, onRequest, onNotification, requestTimeout = DEFAULT_REQUEST_TIMEOUT }) {
+        this.send = send;
+        this.onRequest = onRequest || (async (method) => {
+            throw new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+        });
+        this.onNotification = onNotification || (() => {});
+        this.requestTimeout = requestTimeout;
+        this.nextId = 1;
+        /** @type {Map<number, {resolve: Function, reject: Function, timer: NodeJS.Timeout}>} */
+        this.pending = new Map();
+        this.closed = false;
+    }
+
+    /**
+     * Sends a request and waits for its response.
+     * @param {string} method
+     * @param {object} [params]
+     * @param {{timeout?: number}} [options]
+     * @returns {Promise<*>} The result.
+     * @throws {JsonRpcError} The peer's error, a timeout, or a closed connection.
+     */
+    request(method, params, { timeout = this.requestTimeout } = {}) {
+        if (this.closed) {
+            return Promise.reject(new JsonRpcError(ErrorCodes.CONNECTION_CLOSED, 'Connection closed'));
+        }
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new JsonRpcError(ErrorCodes.REQUEST_TIMEOUT, `Request '${method}' timed out after ${timeout} ms`));
+                this.notify('notifications/cancelled', { requestId: id, reason: 'Request timed out' });
+            }, timeout);
+            timer.unref?.();
+            this.pending.set(id, { resolve, reject, timer });
+
+            const message = { jsonrpc: JSONRPC_VERSION, id, method };
+            if (params !== undefined) message.params = params;
+            Promise.resolve()
+                .then(() => this.send(message))
+                .catch(error => this.settle(id, null, new JsonRpcError(ErrorCodes.CONNECTION_CLOSED, error.message)));
+        });
+    }
+
+    /**
+     * Sends a notification (no response expected). Send failures are logged, not thrown.
+     * @param {string} method
+     * @param {object} [params]
+     */
+    notify(method, params) {
+        if (this.closed) return;
+        const message = { jsonrpc: JSONRPC_VERSION, method };
+        if (params !== undefined) message.params = params;
+        Promise.resolve()
+            .then(() => this.send(message))
+            .catch(error => console.warn(`MCP: Could not send ${method}: ${error.message}`));
+    }
+
+    settle(id, result, error) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+        this.pending.delete(id);
+        clearTimeout(entry.timer);
+        if (error) entry.reject(error);
+        else entry.resolve(result);
+    }
+
+    /**
+     * Processes one incoming message or batch.
+     * @param {object|object[]} message
+     * @returns {Promise<object|object[]|null>} Responses to incoming requests, or null if the
+     *   message held none. Callers whose transport replies out of band send them themselves.
+     */
+    async handleMessage(message) {
+        if (Array.isArray(message)) {
+            if (message.length === 0) {
+                return errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Empty batch'));
+            }
+            const responses = (await Promise.all(message.map(item => this.handleSingle(item)))).filter(Boolean);
+            return responses.length > 0 ? responses : null;
+        }
+        return this.handleSingle(message);
+    }
+
+    async handleSingle(message) {
+        if (!message || typeof message !== 'object' || message.jsonrpc !== JSONRPC_VERSION) {
+            return errorResponse(message?.id ?? null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request'));
+        }
+
+        // Response to one of our requests
+        if (!('method' in message)) {
+            if ('error' in message) {
+                const { code, message: text, data } = message.error || {};
+                this.settle(message.id, null, new JsonRpcError(code ?? ErrorCodes.INTERNAL_ERROR, text || 'Unknown error', data));
+            } else {
+                this.settle(message.id, message.result);
+            }
+            return null;
+        }
+
+        if (typeof message.method !== 'string') {
+            return errorResponse(message.id ?? null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request'));
+        }
+
+        // Notification
+        if (message.id === undefined) {
+            try {
+                this.onNotification(message.method, message.params || {});
+            } catch (error) {
+                console.warn(`MCP: Notification handler for ${message.method} failed: ${error.message}`);
+            }
+            return null;
+        }
+
+        try {
+            const result = await this.onRequest(message.method, message.params || {});
+            return { jsonrpc: JSONRPC_VERSION, id: message.id, result: result ?? {} };
+        } catch (error) {
+            if (!(error instanceof JsonRpcError)) {
+                console.error(`MCP: ${message.method} failed:`, error.message);
+            }
+            return errorResponse(message.id, error);
+        }
+    }
+
+    /**
+     * Rejects every outstanding request; later calls fail immediately.
+     * @param {string} [reason]
+     */
+    close(reason = 'Connection closed') {
+        if (this.closed) return;
+        this.closed = true;
+        for (const id of Array.from(this.pending.keys())) {
+            this.settle(id, null, new JsonRpcError(ErrorCodes.CONNECTION_CLOSED, reason));
+        }
+    }
+}
+
+export default {
+    JSONRPC_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    LATEST_PROTOCOL_VERSION,
+    ErrorCodes,
+    JsonRpcError,
+    JsonRpcPeer,
+    parseMessage
+};
@@ -0,0 +1,264 @@
+/**
+ * MCP Server
+ * Serves one file context to external MCP clients. The context's operations are offered
+ * as tools (the same ones collaboration agents get from tools.mjs) and its files as
+ * resources with `context:///<path>` URIs. Writes and deletes are queued for approval in
+ * the hub like any other request. The HTTP transports live in src/api/mcp.mjs; this
+ * module keeps their sessions.
+ */
+
+import { randomUUID } from 'crypto';
+import mcp from './index.mjs';
+import { toolsForPermissions, executeTool } from './tools.mjs';
+import {
+    JsonRpcPeer,
+    JsonRpcError,
+    ErrorCodes,
+    LATEST_PROTOCOL_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS
+} from './jsonrpc.mjs';
+
+export const SERVER_INFO = { name: 'ai-collab-hub', version: '8.0.0' };
+const RESOURCE_SCHEME = 'context:';
+const RESOURCE_PAGE_SIZE = 100;
+// Files listed as resources; deeper or later files are still readable by URI
+const MAX_RESOURCE_FILES = 1000;
+const MAX_RESOURCE_BYTES = 1024 * 1024;
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+const SERVER_INSTRUCTIONS = 'Tools and resources for a directory the user registered in AI Collaboration Hub. request_write_file and request_delete_file only queue a change: the user approves or rejects it in the hub.';
+
+/**
+ * @typedef {object} ServerSession
+ * @property {string} id - Mcp-Session-Id, or the SSE session id.
+ * @property {string} token - Context token; later requests must present it again.
+ * @property {string} userId - The context's owner.
+ * @property {JsonRpcPeer} peer
+ * @property {{name: string, version?: string}|null} clientInfo - From initialize.
+ * @property {number} lastUsed
+ * @property {function(object): void} [send] - Pushes messages to an SSE stream.
+ */
+
+/** @type {Map<string, ServerSession>} */
+const sessions = new Map();
+
+function toResourceUri(filePath) {
+    return `${RESOURCE_SCHEME}///${filePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function fromResourceUri(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(`${RESOURCE_SCHEME}///`)) {
+        throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown resource: ${uri}`);
+    }
+    return uri.slice(RESOURCE_SCHEME.length + 3).split('/').map(decodeURIComponent).join('/');
+}
+
+/**
+ * Files of the context, breadth first, for resources/list.
+ * @param {ServerSession} session
+ * @returns {Promise<Array<{path: string, size: number}>>}
+ */
+async function listContextFiles(session) {
+    const files = [];
+    const queue = [''];
+    while (queue.length > 0 && files.length < MAX_RESOURCE_FILES) {
+        const dir = queue.shift();
+        let entries;
+        try {
+            entries = await mcp.listFiles(session.token, session.userId, dir);
+        } catch (error) {
+            if (dir === '') throw error;
+            continue; // Unreadable subdirectory
+        }
+        entries.sort((a, b) => a.path.localeCompare(b.path));
+        for (const entry of entries) {
+            if (entry.type === 'directory') {
+                if (!entry.name.startsWith('.')) queue.push(entry.path);
+            } else if (files.length < MAX_RESOURCE_FILES) {
+                files.push({ path: entry.path, size: entry.size });
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * The context behind a session, failing once it has expired or been removed.
+ * @param {ServerSession} session
+ * @returns {import('./index.mjs').McpContext}
+ */
+function requireContext(session) {
+    const validation = mcp.validateContext(session.token, session.userId);
+    if (!validation.valid) throw new JsonRpcError(ErrorCodes.INVALID_REQUEST, validation.error);
+    return validation.context;
+}
+
+/**
+ * Answers a client request.
+ * @param {ServerSession} session
+ * @param {string} method
+ * @param {object} params
+ */
+async function handleRequest(session, method, params) {
+    switch (method) {
+        case 'initialize': {
+            session.clientInfo = params.clientInfo || null;
+            const context = requireContext(session);
+            console.log(`MCP: Server session ${session.id.substring(0, 8)}... initialized by ${session.clientInfo?.name || 'unknown client'} for ${context.directory}`);
+            return {
+                protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+                    ? params.protocolVersion
+                    : LATEST_PROTOCOL_VERSION,
+                capabilities: { tools: {}, resources: {} },
+                serverInfo: SERVER_INFO,
+                instructions: SERVER_INSTRUCTIONS
+            };
+        }
+        case 'ping':
+            return {};
+        case 'tools/list': {
+            const context = requireContext(session);
+            return {
+                tools: toolsForPermissions(context.permissions).map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    inputSchema: tool.parameters
+                }))
+            };
+        }
+        case 'tools/call': {
+            const context = requireContext(session);
+            const tools = toolsForPermissions(context.permissions);
+            if (!tools.some(tool => tool.name === params.name)) {
+                throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+            }
+            const agent = `mcp:${session.clientInfo?.name || 'client'}`;
+            const result = await executeTool(
+                { token: session.token, userId: session.userId, sessionId: session.id, tools },
+                agent,
+                params.name,
+                params.arguments || {}
+            );
+            return { content: [{ type: 'text', text: result.content }], isError: !result.ok };
+        }
+        case 'resources/list': {
+            requireContext(session);
+            const offset = params.cursor ? parseInt(params.cursor, 10) : 0;
+            if (!Number.isInteger(offset) || offset < 0) {
+                throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Invalid cursor');
+            }
+            const files = await listContextFiles(session);
+            const page = files.slice(offset, offset + RESOURCE_PAGE_SIZE);
+            const result = {
+                resources: page.map(file => ({
+                    uri: toResourceUri(file.path),
+                    name: file.path,
+                    size: file.size
+                }))
+            };
+            if (offset + RESOURCE_PAGE_SIZE < files.length) result.nextCursor = String(offset + RESOURCE_PAGE_SIZE);
+            return result;
+        }
+        case 'resources/templates/list':
+            return {
+                resourceTemplates: [{
+                    uriTemplate: `${RESOURCE_SCHEME}///{+path}`,
+                    name: 'Context file',
+                    description: 'A file in the registered directory, by path relative to its root.'
+                }]
+            };
+        case 'resources/read': {
+            requireContext(session);
+            const filePath = fromResourceUri(params.uri);
+            let text;
+            try {
+                text = await mcp.readFile(session.token, session.userId, filePath, { maxBytes: MAX_RESOURCE_BYTES });
+            } catch (error) {
+                throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, error.message);
+            }
+            return { contents: [{ uri: params.uri, mimeType: 'text/plain', text }] };
+        }
+        default:
+            throw new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+}
+
+/**
+ * Opens a server session on a context, acting as the user who registered it.
+ * @param {object} options
+ * @param {string} options.token - Context token.
+ * @param {function(object): void} [options.send] - Delivers messages for transports that
+ *   answer out of band (SSE).
+ * @returns {ServerSession}
+ * @throws {Error} If the context is invalid.
+ */
+export function createServerSession({ token, send }) {
+    const userId = mcp.getContextOwner(token);
+    const validation = mcp.validateContext(token, userId);
+    if (!validation.valid) throw new Error(validation.error);
+
+    const session = {
+        id: randomUUID(),
+        token,
+        userId,
+        clientInfo: null,
+        lastUsed: Date.now(),
+        send
+    };
+    session.peer = new JsonRpcPeer({
+        send: message => session.send?.(message),
+        onRequest: (method, params) => handleRequest(session, method, params)
+    });
+    sessions.set(session.id, session);
+    return session;
+}
+
+/**
+ * @param {string} sessionId
+ * @param {string} token - Sessions only answer to the context token that opened them.
+ * @returns {ServerSession|null}
+ */
+export function getServerSession(sessionId, token) {
+    const session = sessions.get(sessionId);
+    if (!session || !token || session.token !== token) return null;
+    session.lastUsed = Date.now();
+    return session;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {boolean} Whether a session was closed.
+ */
+export function closeServerSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+    session.peer.close('Session closed');
+    sessions.delete(sessionId);
+    return true;
+}
+
+/**
+ * Processes messages from a client.
+ * @param {ServerSession} session
+ * @param {object|object[]} message
+ * @returns {Promise<object|object[]|null>} Responses, or null if there were no requests.
+ */
+export function handleServerMessage(session, message) {
+    session.lastUsed = Date.now();
+    return session.peer.handleMessage(message);
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, session] of sessions.entries()) {
+        if (now - session.lastUsed > SESSION_IDLE_TIMEOUT) closeServerSession(sessionId);
+    }
+}, 5 * 60 * 1000).unref();
+
+export default {
+    SERVER_INFO,
+    createServerSession,
+    getServerSession,
+    closeServerSession,
+    handleServerMessage
+};
@@ -0,0 +1,214 @@
+/**
+ * External MCP Servers
+ * Connects to the MCP servers a user registered (see mcpServers on the User model) and
+ * turns their tools and resources into agent tools for the user's collaborations.
+ * Connections are kept per user and server, and closed after a while without use.
+ *
+ * stdio servers run a command on the hub's host, so they are only allowed when the
+ * operator sets MCP_STDIO_SERVERS=true. SSE servers must be on public addresses.
+ */
+
+import apiKeyService from '../../services/apiKeyService.mjs';
+import { McpClient, contentToText } from './client.mjs';
+import { StdioClientTransport, SseClientTransport } from './transports.mjs';
+import { checkWebhookUrl } from '../billing/budgetNotifiers.mjs';
+
+const CONNECTION_IDLE_TIMEOUT = 10 * 60 * 1000;
+// Tool output and resource text are cut before they are returned to the model
+const MAX_TOOL_OUTPUT_CHARS = 100000;
+// Function names accepted by every provider: [a-zA-Z0-9_-], at most 64 characters
+const MAX_TOOL_NAME_LENGTH = 64;
+
+/**
+ * @typedef {object} McpServerConfig
+ * @property {string} slug
+ * @property {string} name
+ * @property {'stdio'|'sse'} transport
+ * @property {string} [command] - stdio
+ * @property {string[]} [args] - stdio
+ * @property {string} [url] - sse
+ * @property {string|null} [token] - Bearer token for sse
+ */
+
+/** @type {Map<string, {client: Promise<McpClient>, lastUsed: number}>} */
+const connections = new Map();
+
+/**
+ * @returns {boolean} Whether stdio servers may be started on this host.
+ */
+export function isStdioAllowed() {
+    return process.env.MCP_STDIO_SERVERS === 'true';
+}
+
+function createTransport(config) {
+    const label = `mcp:${config.slug}`;
+    if (config.transport === 'stdio') {
+        if (!isStdioAllowed()) throw new Error('stdio MCP servers are disabled on this hub (MCP_STDIO_SERVERS)');
+        return new StdioClientTransport({ command: config.command, args: config.args || [], label });
+    }
+    if (config.transport === 'sse') {
+        const headers = config.token ? { Authorization: `Bearer ${config.token}` } : {};
+        return new SseClientTransport({ url: config.url, headers, label });
+    }
+    throw new Error(`Unknown MCP transport '${config.transport}'`);
+}
+
+/**
+ * Opens a new connection to a server, outside the connection cache.
+ * @param {McpServerConfig} config
+ * @returns {Promise<McpClient>}
+ */
+export async function connectServer(config) {
+    if (config.transport === 'sse') {
+        // Servers saved before their address was checked, or whose host now resolves elsewhere
+        const urlError = await checkWebhookUrl(config.url, 'URL');
+        if (urlError) throw new Error(urlError);
+    }
+    return new McpClient(createTransport(config), { label: `MCP server ${config.slug}` }).connect();
+}
+
+/**
+ * The user's connection to a server, opened on first use.
+ * @param {string} userId
+ * @param {McpServerConfig} config
+ * @returns {Promise<McpClient>}
+ */
+function getConnection(userId, config) {
+    const key = `${userId}:${config.slug}`;
+    const existing = connections.get(key);
+    if (existing) {
+        existing.lastUsed = Date.now();
+        return existing.client;
+    }
+
+    const entry = { lastUsed: Date.now() };
+    entry.client = connectServer(config).then(client => {
+        client.onClose(() => {
+            if (connections.get(key) === entry) connections.delete(key);
+        });
+        return client;
+    }, error => {
+        connections.delete(key);
+        throw error;
+    });
+    connections.set(key, entry);
+    return entry.client;
+}
+
+/**
+ * Closes the user's connections, e.g. after their server list changed.
+ * @param {string} userId
+ * @param {string} [slug] - Only this server.
+ */
+export function closeUserServers(userId, slug) {
+    for (const [key, entry] of connections.entries()) {
+        if (key === `${userId}:${slug}` || (!slug && key.startsWith(`${userId}:`))) {
+            connections.delete(key);
+            entry.client.then(client => client.close(), () => {});
+        }
+    }
+}
+
+function toolName(slug, name) {
+    return `mcp__${slug}__${name}`.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, MAX_TOOL_NAME_LENGTH);
+}
+
+function truncate(text) {
+    return text.length > MAX_TOOL_OUTPUT_CHARS
+        ? `${text.substring(0, MAX_TOOL_OUTPUT_CHARS)}\n[Truncated: the output has ${text.length} characters.]`
+        : text;
+}
+
+/**
+ * Agent tools for one server: its own tools, plus list/read tools for its resources.
+ * @param {string} userId
+ * @param {McpServerConfig} config
+ * @returns {Promise<import('./tools.mjs').AgentTool[]>}
+ */
+async function serverTools(userId, config) {
+    const client = await getConnection(userId, config);
+    const tools = (await client.listTools()).map(tool => ({
+        name: toolName(config.slug, tool.name),
+        description: `[${config.name}] ${tool.description || tool.name}`,
+        parameters: tool.inputSchema || { type: 'object', properties: {} },
+        run: async (args) => {
+            const connection = await getConnection(userId, config);
+            const result = await connection.callTool(tool.name, args);
+            return {
+                ok: !result?.isError,
+                content: truncate(contentToText(result?.content) || '(no output)'),
+                summary: `${config.name}: ${tool.name}${result?.isError ? ' failed' : ''}`
+            };
+        }
+    }));
+
+    if (client.capabilities.resources) {
+        tools.push({
+            name: toolName(config.slug, 'list_resources'),
+            description: `[${config.name}] List the resources (documents, files, records) this server offers, with their URIs.`,
+            parameters: { type: 'object', properties: {} },
+            run: async () => {
+                const connection = await getConnection(userId, config);
+                const resources = await connection.listResources();
+                return {
+                    ok: true,
+                    content: resources.length > 0
+                        ? truncate(resources.map(resource => `${resource.uri} - ${resource.name}${resource.description ? `: ${resource.description}` : ''}`).join('\n'))
+                        : '(no resources)',
+                    summary: `${config.name}: ${resources.length} resources`
+                };
+            }
+        }, {
+            name: toolName(config.slug, 'read_resource'),
+            description: `[${config.name}] Read a resource of this server by URI.`,
+            parameters: {
+                type: 'object',
+                properties: { uri: { type: 'string', description: 'Resource URI from list_resources.' } },
+                required: ['uri']
+            },
+            run: async (args) => {
+                if (typeof args.uri !== 'string' || !args.uri) throw new Error('Argument "uri" is required.');
+                const connection = await getConnection(userId, config);
+                const result = await connection.readResource(args.uri);
+                return {
+                    ok: true,
+                    content: truncate(contentToText(result?.contents) || '(empty resource)'),
+                    summary: `${config.name}: read ${args.uri}`
+                };
+            }
+        });
+    }
+    return tools;
+}
+
+/**
+ * Agent tools from all of a user's enabled MCP servers. Servers that cannot be reached
+ * are left out.
+ * @param {string} userId
+ * @returns {Promise<import('./tools.mjs').AgentTool[]>}
+ */
+export async function getUserServerTools(userId) {
+    const configs = await apiKeyService.getMcpServers(userId);
+    const results = await Promise.all(configs.map(config => serverTools(userId, config).catch(error => {
+        console.warn(`MCP: Server ${config.slug} of user ${userId} unavailable: ${error.message}`);
+        return [];
+    })));
+    return results.flat();
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of connections.entries()) {
+        if (now - entry.lastUsed > CONNECTION_IDLE_TIMEOUT) {
+            connections.delete(key);
+            entry.client.then(client => client.close(), () => {});
+        }
+    }
+}, 60 * 1000).unref();
+
+export default {
+    isStdioAllowed,
+    connectServer,
+    closeUserServers,
+    getUserServerTools
+};
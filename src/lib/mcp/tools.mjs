@@ -0,0 +1,254 @@
+/**
+ * MCP Agent Tools
+ * Exposes an MCP context to the models of a collaboration as function tools, so an agent
+ * can browse the registered directory and propose changes itself. Reads are served
+ * directly; writes and deletes only queue an operation, which still waits for the
+ * user's approval like any other request.
+ */
+
+import mcp from './index.mjs';
+import { getUserServerTools } from './servers.mjs';
+
+// Larger file contents are cut before they are returned to the model
+const MAX_TOOL_READ_CHARS = 100000;
+// Directory listings are cut after this many entries
+const MAX_TOOL_LIST_ENTRIES = 500;
+
+/**
+ * @typedef {object} AgentTool
+ * @property {string} name - Function name shown to the model.
+ * @property {string} description
+ * @property {object} parameters - JSON Schema of the arguments.
+ * @property {string} [permission] - Context permission the tool needs.
+ * @property {function(object): Promise<{ok: boolean, content: string, summary: string}>} [run] -
+ *   Runs the tool itself; set on tools of external MCP servers (servers.mjs).
+ */
+
+/** @type {AgentTool[]} */
+export const MCP_AGENT_TOOLS = [
+    {
+        name: 'list_files',
+        description: 'List the files and directories in the user\'s project directory, or in one of its subdirectories.',
+        permission: 'read',
+        parameters: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Directory relative to the project root. Omit or use "" for the root.' }
+            }
+        }
+    },
+    {
+        name: 'read_file',
+        description: 'Read a text file from the user\'s project directory.',
+        permission: 'read',
+        parameters: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File path relative to the project root.' }
+            },
+            required: ['path']
+        }
+    },
+    {
+        name: 'request_write_file',
+        description: 'Propose the full new content of a file (new or existing). The change is queued for the user to review and is not written until they approve it.',
+        permission: 'write',
+        parameters: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File path relative to the project root.' },
+                content: { type: 'string', description: 'Complete content of the file after the change.' },
+                description: { type: 'string', description: 'One sentence telling the reviewer why the change is needed.' }
+            },
+            required: ['path', 'content']
+        }
+    },
+    {
+        name: 'request_delete_file',
+        description: 'Propose deleting a file or directory. The deletion is queued for the user to review and only happens if they approve it.',
+        permission: 'delete',
+        parameters: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Path relative to the project root.' },
+                description: { type: 'string', description: 'One sentence telling the reviewer why the item should go.' }
+            },
+            required: ['path']
+        }
+    }
+];
+
+export const TOOL_INSTRUCTIONS = `You have tools for the user's project directory. Use list_files and read_file to look at the code before relying on it. request_write_file and request_delete_file only queue a change for the user to approve: nothing on disk changes during this conversation, so describe what you proposed in your answer.`;
+
+const SERVER_TOOL_INSTRUCTIONS = `Tools named mcp__<server>__<tool> come from external services the user connected; use them when the task needs their data.`;
+
+/**
+ * @typedef {object} ToolSession
+ * @property {string|null} token - MCP context token, if a context is open.
+ * @property {string} userId - Owner of the context.
+ * @property {string} [sessionId] - Collaboration session, recorded on queued operations.
+ * @property {AgentTool[]} tools - Tools the context's permissions allow, then those of the
+ *   user's MCP servers.
+ * @property {string} instructions - Added to the agents' system prompt.
+ */
+
+/**
+ * Tools a context's permissions allow.
+ * @param {string[]} permissions
+ * @returns {AgentTool[]}
+ */
+export function toolsForPermissions(permissions) {
+    return MCP_AGENT_TOOLS.filter(tool => permissions.includes(tool.permission));
+}
+
+// Tools opened to the agents of each running collaboration, keyed by its event channel
+const sessionTools = new Map();
+
+/**
+ * Lets the agents of a collaboration use an MCP context and the user's MCP servers
+ * through tool calls
+ * @param {string} redisChannel - The collaboration's event channel ('collab:<sessionId>')
+ * @param {object} [options]
+ * @param {string} [options.token] - Context token
+ * @param {string} options.userId
+ * @param {string} [options.sessionId]
+ * @returns {Promise<Function>} Call to release the tools when the collaboration ends
+ */
+export async function registerSessionTools(redisChannel, { token, userId, sessionId } = {}) {
+    let contextTools = [];
+    if (token) {
+        const validation = mcp.validateContext(token, userId);
+        if (validation.valid) {
+            contextTools = toolsForPermissions(validation.context.permissions);
+        } else {
+            console.warn(`MCP: Context not opened to agents of ${redisChannel}: ${validation.error}`);
+        }
+    }
+
+    let serverTools = [];
+    try {
+        serverTools = await getUserServerTools(userId);
+    } catch (error) {
+        console.warn(`MCP: Could not load MCP servers of user ${userId}: ${error.message}`);
+    }
+
+    if (contextTools.length === 0 && serverTools.length === 0) return () => {};
+
+    const instructions = [
+        contextTools.length > 0 ? TOOL_INSTRUCTIONS : null,
+        serverTools.length > 0 ? SERVER_TOOL_INSTRUCTIONS : null
+    ].filter(Boolean).join('\n\n');
+    sessionTools.set(redisChannel, {
+        token: contextTools.length > 0 ? token : null,
+        userId,
+        sessionId: sessionId || null,
+        tools: [...contextTools, ...serverTools],
+        instructions
+    });
+    console.log(`MCP: ${contextTools.length} context and ${serverTools.length} server tool(s) opened to agents of ${redisChannel}`);
+    return () => sessionTools.delete(redisChannel);
+}
+
+/**
+ * @param {string} redisChannel
+ * @returns {ToolSession|null}
+ */
+export function getSessionTools(redisChannel) {
+    return sessionTools.get(redisChannel) || null;
+}
+
+function requirePath(args) {
+    if (typeof args.path !== 'string' || !args.path.trim()) {
+        throw new Error('Argument "path" is required.');
+    }
+    return args.path.trim();
+}
+
+/**
+ * Runs one tool call against the session's context.
+ * @param {ToolSession} session
+ * @param {string} agent - Agent that made the call, recorded on queued operations.
+ * @param {string} name - Tool name.
+ * @param {object|null} args - Parsed arguments; null if the model sent invalid JSON.
+ * @returns {Promise<{ok: boolean, content: string, summary: string, operationId?: string}>}
+ *   content goes back to the model, summary to the UI. Failures are returned, not thrown,
+ *   so the model can correct itself.
+ */
+export async function executeTool(session, agent, name, args) {
+    const tool = session.tools.find(candidate => candidate.name === name);
+    try {
+        if (!tool) throw new Error(`Unknown or unavailable tool '${name}'.`);
+        if (!args || typeof args !== 'object') throw new Error('Arguments must be a JSON object.');
+        if (tool.run) return await tool.run(args);
+
+        const metadata = {
+            description: typeof args.description === 'string' ? args.description : `Requested by ${agent}`,
+            agent,
+            sessionId: session.sessionId,
+            requestedBy: `agent:${agent}`
+        };
+
+        switch (name) {
+            case 'list_files': {
+                const subPath = typeof args.path === 'string' ? args.path.trim().replace(/^\.?\/+/, '') : '';
+                const entries = await mcp.listFiles(session.token, session.userId, subPath);
+                const shown = entries.slice(0, MAX_TOOL_LIST_ENTRIES).map(entry => (entry.type === 'directory'
+                    ? `${entry.path}/`
+                    : `${entry.path} (${entry.size} bytes)`));
+                if (entries.length > shown.length) shown.push(`... ${entries.length - shown.length} more entries`);
+                return {
+                    ok: true,
+                    content: shown.length > 0 ? shown.join('\n') : '(empty directory)',
+                    summary: `${entries.length} entries in /${subPath}`
+                };
+            }
+            case 'read_file': {
+                const filePath = requirePath(args);
+                const content = await mcp.readFile(session.token, session.userId, filePath);
+                const truncated = content.length > MAX_TOOL_READ_CHARS;
+                return {
+                    ok: true,
+                    content: truncated
+                        ? `${content.substring(0, MAX_TOOL_READ_CHARS)}\n[Truncated: the file has ${content.length} characters.]`
+                        : content,
+                    summary: `Read ${filePath} (${content.length} chars${truncated ? ', truncated' : ''})`
+                };
+            }
+            case 'request_write_file': {
+                const filePath = requirePath(args);
+                if (typeof args.content !== 'string') throw new Error('Argument "content" must be a string.');
+                const operationId = await mcp.requestWriteFile(session.token, session.userId, filePath, args.content, metadata);
+                return {
+                    ok: true,
+                    operationId,
+                    content: `Write to ${filePath} queued for the user's approval (operation ${operationId}).`,
+                    summary: `Proposed a write to ${filePath}`
+                };
+            }
+            case 'request_delete_file': {
+                const itemPath = requirePath(args);
+                const operationId = await mcp.requestDeleteFile(session.token, session.userId, itemPath, metadata);
+                return {
+                    ok: true,
+                    operationId,
+                    content: `Deletion of ${itemPath} queued for the user's approval (operation ${operationId}).`,
+                    summary: `Proposed deleting ${itemPath}`
+                };
+            }
+            default:
+                throw new Error(`Unknown tool '${name}'.`);
+        }
+    } catch (error) {
+        console.warn(`MCP: Tool ${name} failed for ${agent}: ${error.message}`);
+        return { ok: false, content: `Error: ${error.message}`, summary: error.message };
+    }
+}
+
+export default {
+    MCP_AGENT_TOOLS,
+    TOOL_INSTRUCTIONS,
+    toolsForPermissions,
+    registerSessionTools,
+    getSessionTools,
+    executeTool
+};
@@ -0,0 +1,206 @@
+/**
+ * MCP Client Transports
+ * Carry JSON-RPC messages between the hub and an external MCP server:
+ * - stdio: the server is a child process; messages are newline-delimited JSON on its
+ *   stdin and stdout, and its stderr is logged.
+ * - SSE (HTTP+SSE transport, protocol 2024-11-05): a GET opens an event stream whose
+ *   first `endpoint` event names the URL that messages are POSTed to; the server's
+ *   messages arrive as `message` events.
+ *
+ * A transport is started with {onMessage, onClose}, sends with send(message) and is
+ * shut down with close().
+ */
+
+import { spawn } from 'child_process';
+
+// How long a stdio server gets to exit after its stdin closes before it is killed
+const STDIO_EXIT_GRACE = 2000;
+const SSE_CONNECT_TIMEOUT = 10000;
+// Longest stderr line logged from a stdio server
+const MAX_STDERR_LOG = 500;
+
+/**
+ * Runs an MCP server as a child process. The child gets only PATH and HOME from the hub's
+ * environment, so API keys and database credentials do not leak into it.
+ */
+export class StdioClientTransport {
+    /**
+     * @param {object} options
+     * @param {string} options.command - Executable.
+     * @param {string[]} [options.args]
+     * @param {string} [options.cwd]
+     * @param {string} [options.label] - Name used in logs.
+     */
+    constructor({ command, args = [], cwd, label = command }) {
+        this.command = command;
+        this.args = args;
+        this.cwd = cwd;
+        this.label = label;
+        this.child = null;
+        this.buffer = '';
+    }
+
+    async start({ onMessage, onClose }) {
+        this.child = spawn(this.command, this.args, {
+            cwd: this.cwd,
+            env: { PATH: process.env.PATH, HOME: process.env.HOME },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        await new Promise((resolve, reject) => {
+            this.child.once('spawn', resolve);
+            this.child.once('error', reject);
+        });
+
+        this.child.stdout.setEncoding('utf8');
+        this.child.stdout.on('data', (chunk) => {
+            this.buffer += chunk;
+            let newline;
+            while ((newline = this.buffer.indexOf('\n')) !== -1) {
+                const line = this.buffer.slice(0, newline).trim();
+                this.buffer = this.buffer.slice(newline + 1);
+                if (line) onMessage(line);
+            }
+        });
+        this.child.stderr.setEncoding('utf8');
+        this.child.stderr.on('data', (chunk) => {
+            chunk.split('\n').filter(line => line.trim()).forEach(line => {
+                console.warn(`MCP: [${this.label}] ${line.substring(0, MAX_STDERR_LOG)}`);
+            });
+        });
+        this.child.on('error', (error) => console.error(`MCP: Server ${this.label} error: ${error.message}`));
+        this.child.on('exit', (code, signal) => {
+            this.child = null;
+            onClose(`Server process exited (${signal || `code ${code}`})`);
+        });
+    }
+
+    send(message) {
+        if (!this.child || !this.child.stdin.writable) throw new Error('Server process is not running');
+        this.child.stdin.write(`${JSON.stringify(message)}\n`);
+    }
+
+    close() {
+        const child = this.child;
+        if (!child) return;
+        child.stdin.end();
+        const timer = setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) child.kill('SIGTERM');
+        }, STDIO_EXIT_GRACE);
+        timer.unref();
+    }
+}
+
+/**
+ * Splits an event stream into events.
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* readEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            let event = 'message';
+            const data = [];
+            for (const line of block.split('\n')) {
+                if (line.startsWith(':')) continue; // Comment / keep-alive
+                const colon = line.indexOf(':');
+                const field = colon === -1 ? line : line.slice(0, colon);
+                const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                if (field === 'event') event = value;
+                else if (field === 'data') data.push(value);
+            }
+            if (data.length > 0) yield { event, data: data.join('\n') };
+        }
+    }
+}
+
+/**
+ * Connects to an MCP server over HTTP with server-sent events.
+ */
+export class SseClientTransport {
+    /**
+     * @param {object} options
+     * @param {string} options.url - The server's SSE endpoint.
+     * @param {object} [options.headers] - Sent with every request (e.g. Authorization).
+     * @param {string} [options.label] - Name used in logs.
+     */
+    constructor({ url, headers = {}, label = url }) {
+        this.url = new URL(url);
+        this.headers = headers;
+        this.label = label;
+        this.endpoint = null;
+        this.controller = null;
+    }
+
+    async start({ onMessage, onClose }) {
+        this.controller = new AbortController();
+        const response = await fetch(this.url, {
+            headers: { ...this.headers, Accept: 'text/event-stream' },
+            signal: this.controller.signal
+        });
+        if (!response.ok || !response.body) {
+            this.controller.abort();
+            throw new Error(`SSE connection failed with status ${response.status}`);
+        }
+
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.controller.abort();
+                reject(new Error('Server did not announce its message endpoint'));
+            }, SSE_CONNECT_TIMEOUT);
+
+            (async () => {
+                try {
+                    for await (const { event, data } of readEventStream(response.body)) {
+                        if (event === 'endpoint') {
+                            const endpoint = new URL(data, this.url);
+                            // Messages may only go back to the server that sent the stream
+                            if (endpoint.origin !== this.url.origin) {
+                                throw new Error(`Message endpoint ${endpoint.origin} is not on ${this.url.origin}`);
+                            }
+                            this.endpoint = endpoint;
+                            clearTimeout(timer);
+                            resolve();
+                        } else if (event === 'message') {
+                            onMessage(data);
+                        }
+                    }
+                    onClose('Event stream ended');
+                } catch (error) {
+                    clearTimeout(timer);
+                    reject(error);
+                    onClose(error.name === 'AbortError' ? 'Connection closed' : error.message);
+                }
+            })();
+        });
+    }
+
+    async send(message) {
+        if (!this.endpoint) throw new Error('Not connected');
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { ...this.headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify(message),
+            signal: this.controller.signal
+        });
+        // The reply comes over the event stream; the POST is only acknowledged
+        await response.body?.cancel();
+        if (!response.ok) throw new Error(`Server rejected the message with status ${response.status}`);
+    }
+
+    close() {
+        this.controller?.abort();
+        this.endpoint = null;
+    }
+}
+
+export default {
+    StdioClientTransport,
+    SseClientTransport
+};
@@ -0,0 +1,101 @@
+/**
+ * In-Memory Event Backend
+ * Single-process event transport used when Redis is not configured and in tests.
+ * Mirrors the Redis backend: per-channel event ids, bounded history with expiry.
+ * Version: 1.0.0
+ */
+
+export class MemoryEventBackend {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historyLimit=500] - Events kept per channel for replay
+   * @param {number} [options.historyTtlSeconds=3600] - Idle time after which a channel's history is dropped
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.historyLimit = options.historyLimit || 500;
+    this.historyTtlMs = (options.historyTtlSeconds || 3600) * 1000;
+    this.channels = new Map(); // channel -> { lastEventId, events, updatedAt }
+    this.subscribed = new Set();
+    this.onMessage = null;
+  }
+
+  /**
+   * @param {function(string, Object): void} onMessage - Called for every event on a subscribed channel
+   */
+  async connect(onMessage) {
+    this.onMessage = onMessage;
+  }
+
+  /**
+   * Stores the event in the channel history and delivers it to subscribers
+   * @returns {Promise<Object>} The stored event, including its eventId
+   */
+  async publish(channel, event) {
+    this.pruneExpired();
+
+    let state = this.channels.get(channel);
+    if (!state) {
+      state = { lastEventId: 0, events: [], updatedAt: 0 };
+      this.channels.set(channel, state);
+    }
+
+    state.lastEventId += 1;
+    state.updatedAt = Date.now();
+    const stored = { ...event, eventId: state.lastEventId };
+    state.events.push(stored);
+    if (state.events.length > this.historyLimit) {
+      state.events.splice(0, state.events.length - this.historyLimit);
+    }
+
+    if (this.subscribed.has(channel) && this.onMessage) {
+      // Deliver asynchronously, like a network transport would
+      setTimeout(() => this.onMessage(channel, stored), 0);
+    }
+    return stored;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Stored events with eventId greater than afterEventId, oldest first
+   */
+  async getHistory(channel, afterEventId = 0) {
+    const state = this.channels.get(channel);
+    if (!state) return [];
+    return state.events.filter(event => event.eventId > afterEventId);
+  }
+
+  async subscribe(channel) {
+    this.subscribed.add(channel);
+  }
+
+  async unsubscribe(channel) {
+    this.subscribed.delete(channel);
+  }
+
+  async getActiveChannels() {
+    return Array.from(this.subscribed);
+  }
+
+  /**
+   * Drops all history and subscriptions
+   */
+  async clear() {
+    this.channels.clear();
+    this.subscribed.clear();
+  }
+
+  async close() {
+    this.subscribed.clear();
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.historyTtlMs;
+    for (const [channel, state] of this.channels.entries()) {
+      if (state.updatedAt < cutoff && !this.subscribed.has(channel)) {
+        this.channels.delete(channel);
+      }
+    }
+  }
+}
+
+export default MemoryEventBackend;
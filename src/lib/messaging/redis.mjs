@@ -1,108 +1,232 @@
 /**
  * Redis Messaging Service
- * Provides real-time event publishing and subscription capabilities
- * Version: 9.0.0
+ * Provides real-time event publishing and subscription capabilities.
+ * Events go through a swappable backend: Redis (shared across server instances)
+ * or in-memory (single process, used when Redis is not configured). Every event
+ * gets a per-channel eventId and is kept in a bounded history, so subscribers
+ * that join late or reconnect can replay what they missed.
+ * Version: 10.0.0
  */
 
-// Import Redis client (commented out for this stub)
-// import { createClient } from 'redis';
+import dotenv from 'dotenv';
+import { MemoryEventBackend } from './memoryBackend.mjs';
+import { RedisEventBackend } from './redisBackend.mjs';
 
-// Redis client instance
-// In a real implementation, this would be initialized with proper config
-var redisClient = null;
+dotenv.config();
 
-// Mock implementation for development/testing
-var eventListeners = {};
-var eventHistory = {};
+// Active transport; in-memory until initializeRedis() selects otherwise
+var backend = null;
+
+// Local subscribers: channel -> Set of { callback, buffer, replayed, active }
+var eventListeners = new Map();
+
+// Pending or completed backend subscriptions: channel -> Promise
+var channelSubscriptions = new Map();
 
 /**
- * Initialize Redis client with provided configuration
- * @param {Object} config - Redis configuration
+ * Delivers an event to one subscriber, isolating callback errors
  */
-export function initializeRedis(config) {
-  console.log('Redis messaging initialized (stub implementation)');
-  // In real implementation, would connect to actual Redis server
-  // redisClient = createClient(config);
-  // await redisClient.connect();
+function deliver(listener, event) {
+  try {
+    listener.callback(event);
+  } catch (error) {
+    console.error(`❌ Event listener error (${event?.type}):`, error);
+  }
 }
 
 /**
- * Publish an event to a Redis channel
- * @param {string} channel - Channel name
- * @param {Object} event - Event data to publish
+ * Fans an event received from the backend out to local subscribers
  */
-export function publishEvent(channel, event) {
-  // Store event in history for this channel
-  if (!eventHistory[channel]) {
-    eventHistory[channel] = [];
+function dispatch(channel, event) {
+  var listeners = eventListeners.get(channel);
+  if (!listeners) return;
+  listeners.forEach(function(listener) {
+    if (listener.replayed && listener.replayed.has(event.eventId)) {
+      // Already delivered from history
+      return;
+    }
+    if (listener.buffer) {
+      // Still replaying history; hold live events until it finishes
+      listener.buffer.push(event);
+    } else {
+      deliver(listener, event);
+    }
+  });
+}
+
+function ensureChannelSubscription(channel) {
+  if (!channelSubscriptions.has(channel)) {
+    var subscription = getEventBackend().subscribe(channel).catch(function(error) {
+      console.error(`❌ Failed to subscribe to ${channel}:`, error.message);
+      channelSubscriptions.delete(channel);
+    });
+    channelSubscriptions.set(channel, subscription);
   }
-  eventHistory[channel].push(event);
-  
-  // Keep only last 100 events per channel to avoid memory issues
-  if (eventHistory[channel].length > 100) {
-    eventHistory[channel] = eventHistory[channel].slice(-100);
+  return channelSubscriptions.get(channel);
+}
+
+/**
+ * @returns {Object} The active event backend
+ */
+export function getEventBackend() {
+  if (!backend) {
+    backend = new MemoryEventBackend();
+    backend.connect(dispatch);
   }
-  
-  // Notify any active subscribers
-  if (eventListeners[channel]) {
-    eventListeners[channel].forEach(function(listener) {
-      setTimeout(function() {
-        listener(event);
-      }, 0);
+  return backend;
+}
+
+/**
+ * Replaces the event backend (e.g. a memory backend in tests or a Redis backend
+ * pointed at a local redis-server). Existing local subscriptions move to the new backend.
+ * @param {Object} newBackend - MemoryEventBackend, RedisEventBackend or compatible object
+ * @returns {Promise<Object>} The connected backend
+ */
+export async function setEventBackend(newBackend) {
+  await newBackend.connect(dispatch);
+
+  var previous = backend;
+  backend = newBackend;
+  channelSubscriptions.clear();
+  eventListeners.forEach(function(listeners, channel) {
+    if (listeners.size > 0) ensureChannelSubscription(channel);
+  });
+
+  if (previous && previous !== newBackend) {
+    await previous.close().catch(function(error) {
+      console.error('❌ Error closing previous event backend:', error.message);
     });
   }
-  
+  return newBackend;
+}
+
+/**
+ * Initialize the event backend from configuration
+ * @param {Object} [config] - Redis configuration
+ * @param {string} [config.backend] - 'redis' or 'memory' (default: EVENT_BUS_BACKEND, else redis when a URL is set)
+ * @param {string} [config.url] - Redis URL (default: REDIS_URL)
+ * @param {number} [config.historyLimit] - Events kept per channel (default: EVENT_HISTORY_LIMIT or 500)
+ * @param {number} [config.historyTtlSeconds] - History expiry (default: EVENT_HISTORY_TTL_SECONDS or 3600)
+ * @returns {Promise<string>} Name of the backend in use
+ */
+export async function initializeRedis(config = {}) {
+  var url = config.url || process.env.REDIS_URL;
+  var backendName = config.backend || process.env.EVENT_BUS_BACKEND || (url ? 'redis' : 'memory');
+  var options = {
+    url: url,
+    historyLimit: config.historyLimit || parseInt(process.env.EVENT_HISTORY_LIMIT, 10) || 500,
+    historyTtlSeconds: config.historyTtlSeconds || parseInt(process.env.EVENT_HISTORY_TTL_SECONDS, 10) || 3600
+  };
+
+  if (backendName === 'redis') {
+    try {
+      await setEventBackend(new RedisEventBackend(options));
+      console.log(`✅ Redis messaging initialized (${url.replace(/\/\/[^@]*@/, '//***@')})`);
+      return 'redis';
+    } catch (error) {
+      console.error(`❌ Redis messaging unavailable (${error.message}); falling back to in-memory events. Collaboration events will not reach other server instances.`);
+    }
+  }
+
+  await setEventBackend(new MemoryEventBackend(options));
+  console.log('✅ Redis messaging initialized (in-memory backend)');
+  return 'memory';
+}
+
+/**
+ * Publish an event to a Redis channel
+ * @param {string} channel - Channel name
+ * @param {Object} event - Event data to publish
+ * @returns {Promise<Object|null>} The stored event with its eventId, or null if publishing failed
+ */
+export function publishEvent(channel, event) {
   console.log(`Event published to ${channel}:`, event.type);
-  
-  // In real implementation, would use actual Redis
-  // return redisClient.publish(channel, JSON.stringify(event));
-  return Promise.resolve(1); // Mock successful publish (1 client received)
+
+  // Callers fire and forget, so never let a transport error become an unhandled rejection
+  return getEventBackend().publish(channel, event).catch(function(error) {
+    console.error(`❌ Failed to publish ${event.type} to ${channel}:`, error.message);
+    return null;
+  });
 }
 
 /**
  * Subscribe to a Redis channel
  * @param {string} channel - Channel name
  * @param {function} callback - Callback function for received messages
+ * @param {Object} [options]
+ * @param {boolean} [options.replay=true] - Deliver buffered history before live events
+ * @param {number} [options.afterEventId=0] - Only replay events newer than this id (e.g. the last one a reconnecting client saw)
+ * @returns {function} Unsubscribe function
  */
-export function subscribeToChannel(channel, callback) {
-  // Register event listener
-  if (!eventListeners[channel]) {
-    eventListeners[channel] = [];
+export function subscribeToChannel(channel, callback, options = {}) {
+  var replay = options.replay !== false;
+  var afterEventId = options.afterEventId || 0;
+  var listener = { callback: callback, buffer: replay ? [] : null, replayed: null, active: true };
+
+  if (!eventListeners.has(channel)) {
+    eventListeners.set(channel, new Set());
   }
-  eventListeners[channel].push(callback);
-  
+  eventListeners.get(channel).add(listener);
+
   console.log(`Subscribed to channel: ${channel}`);
-  
-  // Return recent events immediately to simulate catching up
-  if (eventHistory[channel]) {
-    eventHistory[channel].forEach(function(event) {
-      setTimeout(function() {
-        callback(event);
-      }, 0);
-    });
+
+  var subscribed = ensureChannelSubscription(channel);
+
+  if (replay) {
+    // Subscribe first, then read history, so nothing published in between is lost;
+    // live events that also appear in the history are delivered once
+    subscribed
+      .then(function() {
+        return getEventBackend().getHistory(channel, afterEventId);
+      })
+      .catch(function(error) {
+        console.error(`❌ Failed to load history for ${channel}:`, error.message);
+        return [];
+      })
+      .then(function(history) {
+        if (!listener.active) return;
+        // Remember what was replayed: the transport may still deliver some of it live
+        listener.replayed = new Set();
+        history.forEach(function(event) {
+          listener.replayed.add(event.eventId);
+          deliver(listener, event);
+        });
+        var buffered = listener.buffer;
+        listener.buffer = null;
+        buffered.forEach(function(event) {
+          if (event.eventId > afterEventId && !listener.replayed.has(event.eventId)) {
+            deliver(listener, event);
+          }
+        });
+      });
   }
-  
+
   // Return unsubscribe function
   return function unsubscribe() {
-    if (eventListeners[channel]) {
-      var index = eventListeners[channel].indexOf(callback);
-      if (index !== -1) {
-        eventListeners[channel].splice(index, 1);
+    listener.active = false;
+    var listeners = eventListeners.get(channel);
+    if (listeners) {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        eventListeners.delete(channel);
+        channelSubscriptions.delete(channel);
+        getEventBackend().unsubscribe(channel).catch(function(error) {
+          console.error(`❌ Failed to unsubscribe from ${channel}:`, error.message);
+        });
       }
     }
     console.log(`Unsubscribed from channel: ${channel}`);
   };
-  
-  // In real implementation, would use actual Redis
-  // const subscriber = redisClient.duplicate();
-  // await subscriber.connect();
-  // await subscriber.subscribe(channel, (message) => {
-  //   callback(JSON.parse(message));
-  // });
-  // return async () => {
-  //   await subscriber.unsubscribe(channel);
-  //   await subscriber.disconnect();
-  // };
+}
+
+/**
+ * Get buffered events for a channel
+ * @param {string} channel - Channel name
+ * @param {number} [afterEventId=0] - Only return events newer than this id
+ * @returns {Promise<Object[]>} Events, oldest first
+ */
+export function getChannelHistory(channel, afterEventId = 0) {
+  return getEventBackend().getHistory(channel, afterEventId);
 }
 
 /**
@@ -110,22 +234,44 @@ export function subscribeToChannel(channel, callback) {
  * @returns {Promise<string[]>} - List of channel names
  */
 export function getActiveChannels() {
-  return Promise.resolve(Object.keys(eventListeners));
+  return getEventBackend().getActiveChannels();
 }
 
 /**
  * Clear all event listeners for testing purposes
  */
 export function clearAllListeners() {
-  eventListeners = {};
-  eventHistory = {};
+  eventListeners.forEach(function(listeners) {
+    listeners.forEach(function(listener) {
+      listener.active = false;
+    });
+  });
+  eventListeners = new Map();
+  channelSubscriptions = new Map();
+  return getEventBackend().clear();
 }
 
+/**
+ * Close the backend connections (call on shutdown)
+ */
+export async function closeRedis() {
+  if (!backend) return;
+  var current = backend;
+  backend = null;
+  await current.close();
+}
+
+export { MemoryEventBackend, RedisEventBackend };
+
 // Export a default object for easier importing
 export default {
   initializeRedis,
   publishEvent,
   subscribeToChannel,
+  getChannelHistory,
   getActiveChannels,
-  clearAllListeners
-};
\ No newline at end of file
+  clearAllListeners,
+  setEventBackend,
+  getEventBackend,
+  closeRedis
+};
@@ -0,0 +1,169 @@
+/**
+ * Redis Event Backend
+ * Cross-instance event transport built on ioredis. Events are published with
+ * Redis pub/sub and also appended to a capped, expiring list per channel so a
+ * subscriber that connects late (or reconnects) can replay what it missed.
+ * Version: 1.0.0
+ */
+
+import Redis from 'ioredis';
+
+// KEYS[1] sequence, KEYS[2] history; ARGV event JSON (an object), channel, history limit, TTL.
+// One script so ids are appended and published in the order they are assigned. The id is
+// added last so it wins over any eventId the event already carries.
+const APPEND_SCRIPT = `
+local eventId = redis.call('INCR', KEYS[1])
+local fields = string.sub(ARGV[1], 2, -2)
+local separator = ','
+if fields == '' then separator = '' end
+local payload = '{' .. fields .. separator .. '"eventId":' .. eventId .. '}'
+redis.call('RPUSH', KEYS[2], payload)
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[3]), -1)
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+redis.call('PUBLISH', ARGV[2], payload)
+return eventId
+`;
+
+export class RedisEventBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis connection string (redis://host:port/db)
+   * @param {string} [options.keyPrefix='aicollab:events:'] - Prefix for history and sequence keys
+   * @param {number} [options.historyLimit=500] - Events kept per channel for replay
+   * @param {number} [options.historyTtlSeconds=3600] - Expiry of a channel's history after its last event
+   * @param {Object} [options.redisOptions] - Extra ioredis options
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('RedisEventBackend requires a Redis URL');
+    }
+    this.name = 'redis';
+    this.url = options.url;
+    this.keyPrefix = options.keyPrefix || 'aicollab:events:';
+    this.historyLimit = options.historyLimit || 500;
+    this.historyTtlSeconds = options.historyTtlSeconds || 3600;
+    this.redisOptions = options.redisOptions || {};
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  historyKey(channel) {
+    return `${this.keyPrefix}${channel}:history`;
+  }
+
+  sequenceKey(channel) {
+    return `${this.keyPrefix}${channel}:seq`;
+  }
+
+  /**
+   * Opens the publisher and subscriber connections
+   * @param {function(string, Object): void} onMessage - Called for every event on a subscribed channel
+   * @throws {Error} If Redis cannot be reached
+   */
+  async connect(onMessage) {
+    const connectionOptions = {
+      lazyConnect: true,
+      connectTimeout: 5000,
+      maxRetriesPerRequest: 3,
+      ...this.redisOptions
+    };
+
+    // Subscriber connections cannot issue regular commands, so use two
+    this.publisher = new Redis(this.url, connectionOptions);
+    this.subscriber = new Redis(this.url, connectionOptions);
+
+    this.publisher.on('error', error => console.error('❌ Redis publisher error:', error.message));
+    this.subscriber.on('error', error => console.error('❌ Redis subscriber error:', error.message));
+    this.publisher.defineCommand('appendEvent', { numberOfKeys: 2, lua: APPEND_SCRIPT });
+
+    try {
+      await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+
+    this.subscriber.on('message', (channel, message) => {
+      let event;
+      try {
+        event = JSON.parse(message);
+      } catch (error) {
+        console.error(`❌ Redis: dropping malformed event on ${channel}:`, error.message);
+        return;
+      }
+      onMessage(channel, event);
+    });
+  }
+
+  /**
+   * Assigns the next event id, appends the event to the channel history and publishes it
+   * @returns {Promise<Object>} The stored event, including its eventId
+   */
+  async publish(channel, event) {
+    const eventId = await this.publisher.appendEvent(
+      this.sequenceKey(channel),
+      this.historyKey(channel),
+      JSON.stringify(event),
+      channel,
+      this.historyLimit,
+      this.historyTtlSeconds
+    );
+    return { ...event, eventId };
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Stored events with eventId greater than afterEventId, oldest first
+   */
+  async getHistory(channel, afterEventId = 0) {
+    const entries = await this.publisher.lrange(this.historyKey(channel), 0, -1);
+    const events = [];
+    for (const entry of entries) {
+      try {
+        const event = JSON.parse(entry);
+        if (event.eventId > afterEventId) events.push(event);
+      } catch (error) {
+        // Skip entries that are not valid JSON
+      }
+    }
+    return events.sort((a, b) => a.eventId - b.eventId);
+  }
+
+  async subscribe(channel) {
+    await this.subscriber.subscribe(channel);
+  }
+
+  async unsubscribe(channel) {
+    await this.subscriber.unsubscribe(channel);
+  }
+
+  /**
+   * @returns {Promise<string[]>} Channels with at least one subscriber on any instance
+   */
+  async getActiveChannels() {
+    return this.publisher.pubsub('CHANNELS');
+  }
+
+  /**
+   * Drops this instance's subscriptions. History is left to expire in Redis.
+   */
+  async clear() {
+    await this.subscriber.unsubscribe();
+  }
+
+  async close() {
+    const connections = [this.subscriber, this.publisher].filter(Boolean);
+    this.subscriber = null;
+    this.publisher = null;
+    await Promise.all(connections.map(async connection => {
+      if (connection.status !== 'ready') {
+        // quit() would wait for a connection that may never come
+        connection.disconnect();
+        return;
+      }
+      await connection.quit().catch(() => connection.disconnect());
+    }));
+  }
+}
+
+export default RedisEventBackend;
@@ -0,0 +1,79 @@
+/**
+ * Client Address
+ * Which proxies may report the client's address in X-Forwarded-For, and the address that
+ * results. Express (its 'trust proxy' setting) and WebSocket upgrades use the same
+ * setting, so rate limits see the same address for a client's REST and WebSocket traffic.
+ *
+ * TRUST_PROXY is the number of proxy hops in front of the server (1 on Render), or a
+ * comma-separated list of proxy addresses, subnets and proxy-addr names (loopback,
+ * linklocal, uniquelocal). The default trusts loopback proxies only, so a client that
+ * connects directly cannot choose its address by sending the header.
+ */
+
+import proxyaddr from 'proxy-addr';
+
+const DEFAULT_TRUST_PROXY = ['loopback'];
+
+let trustProxy = null;
+let isTrustedProxy = null;
+
+/**
+ * Reads a TRUST_PROXY value
+ * @param {string} [value]
+ * @returns {number|false|string[]} Hop count, false (trust no proxy) or addresses/subnets
+ */
+export function parseTrustProxy(value) {
+  const setting = String(value ?? '').trim();
+  if (!setting) return DEFAULT_TRUST_PROXY;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  if (setting === 'false') return false;
+  if (setting === 'true') {
+    console.warn('⚠️ TRUST_PROXY=true would let any client choose its address; set the number of proxy hops instead. Trusting loopback proxies only.');
+    return DEFAULT_TRUST_PROXY;
+  }
+
+  const addresses = setting.split(',').map(entry => entry.trim()).filter(Boolean);
+  try {
+    proxyaddr.compile(addresses);
+    return addresses;
+  } catch (error) {
+    console.warn(`⚠️ Ignoring TRUST_PROXY (${error.message}); trusting loopback proxies only.`);
+    return DEFAULT_TRUST_PROXY;
+  }
+}
+
+// The same trust function Express compiles from its 'trust proxy' setting
+function compileTrust(setting) {
+  if (typeof setting === 'number') return (address, hop) => hop < setting;
+  if (setting === false) return () => false;
+  return proxyaddr.compile(setting);
+}
+
+/**
+ * The trusted proxies, from TRUST_PROXY; read on first use, after .env is loaded
+ * @returns {number|false|string[]} A value for Express's 'trust proxy' setting
+ */
+export function getTrustProxy() {
+  if (trustProxy === null) {
+    trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+    isTrustedProxy = compileTrust(trustProxy);
+  }
+  return trustProxy;
+}
+
+/**
+ * The client's address: the socket peer, or the X-Forwarded-For entry added by the
+ * nearest trusted proxy. Matches req.ip on Express requests.
+ * @param {import('http').IncomingMessage} req - Request or WebSocket upgrade request
+ * @returns {string}
+ */
+export function getClientAddress(req) {
+  getTrustProxy();
+  return proxyaddr(req, isTrustedProxy) || 'unknown';
+}
+
+export default {
+  parseTrustProxy,
+  getTrustProxy,
+  getClientAddress
+};
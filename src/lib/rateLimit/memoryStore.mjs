@@ -0,0 +1,65 @@
+/**
+ * In-Memory Token Bucket Store
+ * Single-process bucket storage used when Redis is not configured. Limits are only
+ * shared by the connections of this server instance.
+ * Version: 1.0.0
+ */
+
+export class MemoryBucketStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxBuckets=100000] - Buckets kept before the oldest idle ones are dropped
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxBuckets = options.maxBuckets || 100000;
+    this.buckets = new Map(); // key -> { tokens, updatedAt, expiresAt }
+  }
+
+  async connect() {}
+
+  /**
+   * Refills the bucket for the time since its last use, then takes tokens if there are enough
+   * @param {string} key
+   * @param {Object} bucket
+   * @param {number} bucket.capacity - Largest burst
+   * @param {number} bucket.refillPerMinute - Tokens added per minute
+   * @param {number} [cost=1]
+   * @returns {Promise<{allowed: boolean, tokens: number}>} Tokens left in the bucket
+   */
+  async take(key, bucket, cost = 1) {
+    const now = Date.now();
+    this.pruneExpired(now);
+
+    const state = this.buckets.get(key) || { tokens: bucket.capacity, updatedAt: now };
+    const refilled = Math.min(bucket.capacity, state.tokens + ((now - state.updatedAt) * bucket.refillPerMinute) / 60000);
+    const allowed = refilled >= cost;
+    const tokens = allowed ? refilled - cost : refilled;
+
+    // A bucket that has refilled completely is the same as no bucket
+    const fullInMs = ((bucket.capacity - tokens) * 60000) / bucket.refillPerMinute;
+    this.buckets.delete(key); // Re-insert so iteration order tracks last use
+    this.buckets.set(key, { tokens, updatedAt: now, expiresAt: now + fullInMs });
+    return { allowed, tokens };
+  }
+
+  async clear() {
+    this.buckets.clear();
+  }
+
+  async close() {
+    this.buckets.clear();
+  }
+
+  pruneExpired(now = Date.now()) {
+    for (const [key, state] of this.buckets.entries()) {
+      if (state.expiresAt <= now || this.buckets.size > this.maxBuckets) {
+        this.buckets.delete(key);
+      } else {
+        break; // Oldest first: the rest were used later
+      }
+    }
+  }
+}
+
+export default MemoryBucketStore;
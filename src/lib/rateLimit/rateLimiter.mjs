@@ -0,0 +1,323 @@
+/**
+ * Rate Limiter
+ * Token bucket limits for REST requests and WebSocket messages. Every request takes a
+ * token from two buckets: one for the caller (the user, or the IP address of guests),
+ * sized by their subscription tier, and one for the IP address, which caps what any
+ * number of accounts and sockets behind one address can do. REST routes and WebSocket
+ * message types have separate buckets, so a burst of API calls does not block chat.
+ *
+ * Buckets live in Redis when RATE_LIMIT_BACKEND (or REDIS_URL) selects it, so limits hold
+ * across server instances, else in memory. Admins change the policies through
+ * /api/admin/settings (`rateLimits`); they are stored with the application settings.
+ * Version: 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { MemoryBucketStore } from './memoryStore.mjs';
+import { RedisBucketStore } from './redisStore.mjs';
+
+/**
+ * @typedef {Object} Bucket
+ * @property {number} capacity - Largest burst
+ * @property {number} refillPerMinute - Sustained rate
+ */
+
+const bucket = (capacity, refillPerMinute = capacity) => ({ capacity, refillPerMinute });
+
+/**
+ * Default policies. Each scope maps an action (REST: first path segment under /api;
+ * WebSocket: message type, with 'collab' for chat sent to a collaboration) to a bucket;
+ * actions without their own bucket share 'default'.
+ */
+export const DEFAULT_RATE_LIMIT_POLICIES = Object.freeze({
+  enabled: true,
+  ip: {
+    rest: { default: bucket(600) },
+    ws: { default: bucket(600), connect: bucket(20) }
+  },
+  tiers: {
+    guest: {
+      rest: { default: bucket(60), auth: bucket(10) },
+      ws: { default: bucket(60), chat: bucket(10), collab: bucket(3), command: bucket(20) }
+    },
+    free: {
+      rest: { default: bucket(120), auth: bucket(20) },
+      ws: { default: bucket(120), chat: bucket(20), collab: bucket(5), command: bucket(30) }
+    },
+    basic: {
+      rest: { default: bucket(240) },
+      ws: { default: bucket(240), chat: bucket(40), collab: bucket(10), command: bucket(60) }
+    },
+    pro: {
+      rest: { default: bucket(600) },
+      ws: { default: bucket(600), chat: bucket(100), collab: bucket(30), command: bucket(120) }
+    },
+    enterprise: {
+      rest: { default: bucket(1200) },
+      ws: { default: bucket(1200), chat: bucket(200), collab: bucket(60), command: bucket(240) }
+    }
+  }
+});
+
+const SCOPES = ['rest', 'ws'];
+
+// Defaults merged with the admin overrides
+let policies = mergePolicies(DEFAULT_RATE_LIMIT_POLICIES, {});
+let store = new MemoryBucketStore();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateBucket(value, label) {
+  if (!isPlainObject(value)) throw new Error(`${label} must be an object with capacity and refillPerMinute`);
+  if (!Number.isInteger(value.capacity) || value.capacity < 1) {
+    throw new Error(`${label}.capacity must be a positive integer`);
+  }
+  if (typeof value.refillPerMinute !== 'number' || !(value.refillPerMinute > 0)) {
+    throw new Error(`${label}.refillPerMinute must be a positive number`);
+  }
+}
+
+function validateScopes(value, label) {
+  if (!isPlainObject(value)) throw new Error(`${label} must be an object`);
+  for (const [scope, actions] of Object.entries(value)) {
+    if (!SCOPES.includes(scope)) throw new Error(`${label}.${scope} is not a scope (rest, ws)`);
+    if (!isPlainObject(actions)) throw new Error(`${label}.${scope} must map actions to buckets`);
+    for (const [action, actionBucket] of Object.entries(actions)) {
+      validateBucket(actionBucket, `${label}.${scope}.${action}`);
+    }
+  }
+}
+
+/**
+ * Checks admin-supplied policies. Everything is optional: what is left out keeps its default.
+ * @param {Object} overrides
+ * @throws {Error} Describing the first invalid field
+ */
+export function validateRateLimitPolicies(overrides) {
+  if (!isPlainObject(overrides)) throw new Error('rateLimits must be an object');
+  for (const key of Object.keys(overrides)) {
+    if (!['enabled', 'ip', 'tiers'].includes(key)) throw new Error(`rateLimits.${key} is not a setting`);
+  }
+  if ('enabled' in overrides && typeof overrides.enabled !== 'boolean') {
+    throw new Error('rateLimits.enabled must be true or false');
+  }
+  if ('ip' in overrides) validateScopes(overrides.ip, 'rateLimits.ip');
+  if ('tiers' in overrides) {
+    if (!isPlainObject(overrides.tiers)) throw new Error('rateLimits.tiers must map tiers to scopes');
+    for (const [tier, scopes] of Object.entries(overrides.tiers)) {
+      validateScopes(scopes, `rateLimits.tiers.${tier}`);
+    }
+  }
+}
+
+function mergeScopes(base = {}, overrides = {}) {
+  const merged = {};
+  for (const scope of SCOPES) {
+    merged[scope] = { ...(base[scope] || {}), ...(overrides[scope] || {}) };
+  }
+  return merged;
+}
+
+/**
+ * Defaults with overrides applied per action. Tiers the defaults do not know start from 'free'.
+ */
+function mergePolicies(defaults, overrides) {
+  const tiers = {};
+  const tierNames = new Set([...Object.keys(defaults.tiers), ...Object.keys(overrides.tiers || {})]);
+  for (const tier of tierNames) {
+    tiers[tier] = mergeScopes(defaults.tiers[tier] || defaults.tiers.free, overrides.tiers?.[tier]);
+  }
+  return {
+    enabled: overrides.enabled ?? defaults.enabled,
+    ip: mergeScopes(defaults.ip, overrides.ip),
+    tiers
+  };
+}
+
+/**
+ * @returns {Object} The effective policies
+ */
+export function getRateLimitPolicies() {
+  return policies;
+}
+
+/**
+ * Replaces the admin overrides
+ * @param {Object} overrides - See DEFAULT_RATE_LIMIT_POLICIES for the shape
+ * @returns {Object} The effective policies
+ * @throws {Error} If the overrides are invalid
+ */
+export function setRateLimitPolicies(overrides) {
+  validateRateLimitPolicies(overrides);
+  policies = mergePolicies(DEFAULT_RATE_LIMIT_POLICIES, overrides);
+  return policies;
+}
+
+/**
+ * Applies the overrides stored with the application settings, if any
+ * @returns {Promise<boolean>} Whether stored overrides were applied
+ */
+export async function loadRateLimitPolicies() {
+  try {
+    if (mongoose.connection.readyState !== 1) return false;
+    const settings = await mongoose.connection.db.collection('settings').findOne({ type: 'application' });
+    if (!settings?.rateLimits) return false;
+    setRateLimitPolicies(settings.rateLimits);
+    console.log('🚦 Rate limit policies loaded from settings');
+    return true;
+  } catch (error) {
+    console.error('❌ Stored rate limit policies not applied:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Replaces the bucket store (e.g. a fresh memory store in tests)
+ * @param {Object} newStore - MemoryBucketStore, RedisBucketStore or compatible object
+ * @returns {Promise<Object>} The connected store
+ */
+export async function setRateLimitStore(newStore) {
+  await newStore.connect();
+  const previous = store;
+  store = newStore;
+  if (previous && previous !== newStore) {
+    await previous.close().catch(error => {
+      console.error('❌ Error closing previous rate limit store:', error.message);
+    });
+  }
+  return newStore;
+}
+
+/**
+ * Initialize the bucket store from configuration
+ * @param {Object} [config]
+ * @param {string} [config.backend] - 'redis' or 'memory' (default: RATE_LIMIT_BACKEND, else redis when a URL is set)
+ * @param {string} [config.url] - Redis URL (default: REDIS_URL)
+ * @returns {Promise<string>} Name of the store in use
+ */
+export async function initializeRateLimiter(config = {}) {
+  const url = config.url || process.env.REDIS_URL;
+  const backendName = config.backend || process.env.RATE_LIMIT_BACKEND || (url ? 'redis' : 'memory');
+
+  if (backendName === 'redis') {
+    try {
+      await setRateLimitStore(new RedisBucketStore({ url }));
+      console.log('🚦 Rate limiter initialized (Redis store)');
+      return 'redis';
+    } catch (error) {
+      console.error(`❌ Redis rate limit store unavailable (${error.message}); falling back to in-memory buckets. Limits will apply per server instance.`);
+    }
+  }
+
+  await setRateLimitStore(new MemoryBucketStore());
+  console.log('🚦 Rate limiter initialized (in-memory store)');
+  return 'memory';
+}
+
+/**
+ * @param {string|undefined} tier - Subscription tier; callers without an account are 'guest'
+ * @returns {string} A tier with policies ('free' for unknown tiers)
+ */
+function resolveTier(tier) {
+  return tier && policies.tiers[tier] ? tier : 'free';
+}
+
+async function takeFrom(key, actionBucket) {
+  const { allowed, tokens } = await store.take(key, actionBucket);
+  if (allowed) return null;
+  return Math.max(1, Math.ceil(((1 - tokens) * 60) / actionBucket.refillPerMinute));
+}
+
+/**
+ * Takes a token for one request or message
+ * @param {Object} request
+ * @param {'rest'|'ws'} request.scope
+ * @param {string} request.action - REST route group or WebSocket message type
+ * @param {string|null} [request.userId] - Account making the request; null for guests
+ * @param {string} [request.ip]
+ * @param {string} [request.tier] - Subscription tier of the account
+ * @returns {Promise<{allowed: true}|{allowed: false, retryAfter: number, limit: 'ip'|'user', scope: string, action: string, tier: string}>}
+ *   retryAfter is in seconds
+ */
+export async function consumeRateLimit({ scope, action, userId = null, ip = 'unknown', tier }) {
+  if (!policies.enabled) return { allowed: true };
+
+  const tierName = userId ? resolveTier(tier) : 'guest';
+  const ipActions = policies.ip[scope] || {};
+  const tierActions = policies.tiers[tierName][scope] || {};
+  const ipAction = ipActions[action] ? action : 'default';
+  const tierAction = tierActions[action] ? action : 'default';
+
+  try {
+    if (ipActions[ipAction]) {
+      const retryAfter = await takeFrom(`ip:${scope}:${ipAction}:${ip}`, ipActions[ipAction]);
+      if (retryAfter) return { allowed: false, retryAfter, limit: 'ip', scope, action, tier: tierName };
+    }
+    if (tierActions[tierAction]) {
+      // Guests have no account to key on, so their tier bucket is per IP too
+      const identity = userId ? `user:${userId}` : `guest:${ip}`;
+      const retryAfter = await takeFrom(`${scope}:${tierAction}:${identity}`, tierActions[tierAction]);
+      if (retryAfter) return { allowed: false, retryAfter, limit: 'user', scope, action, tier: tierName };
+    }
+  } catch (error) {
+    // An unreachable store must not take the whole API down with it
+    console.warn(`⚠️ Rate limit check skipped (${error.message})`);
+  }
+  return { allowed: true };
+}
+
+/**
+ * Error body for a refused request; REST responses add success: false
+ * @param {Object} result - A refusal from consumeRateLimit
+ * @returns {{code: 'rate_limited', error: string, retryAfter: number, scope: string, action: string}}
+ */
+export function formatRateLimitError(result) {
+  const subject = result.limit === 'ip' ? 'from your network' : (result.tier === 'guest' ? 'from guests' : `on the ${result.tier} plan`);
+  return {
+    code: 'rate_limited',
+    error: `Too many requests ${subject}. Try again in ${result.retryAfter} second${result.retryAfter === 1 ? '' : 's'}.`,
+    retryAfter: result.retryAfter,
+    scope: result.scope,
+    action: result.action
+  };
+}
+
+/**
+ * Express middleware limiting every request of the router it is mounted on
+ * @param {Object} options
+ * @param {function(Object): {userId: string, subscriptionTier?: string}|null} options.identify -
+ *   The account behind a request, without side effects on it
+ * @returns {function(Object, Object, function): Promise<void>}
+ */
+export function createRestRateLimiter({ identify }) {
+  return async function rateLimitRest(req, res, next) {
+    const user = identify(req);
+    const action = req.path.split('/')[1] || 'default';
+    const result = await consumeRateLimit({
+      scope: 'rest',
+      action,
+      userId: user?.userId || null,
+      ip: req.ip,
+      tier: user?.subscriptionTier
+    });
+    if (result.allowed) return next();
+
+    res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json({ success: false, ...formatRateLimitError(result) });
+  };
+}
+
+export default {
+  DEFAULT_RATE_LIMIT_POLICIES,
+  initializeRateLimiter,
+  setRateLimitStore,
+  getRateLimitPolicies,
+  setRateLimitPolicies,
+  validateRateLimitPolicies,
+  loadRateLimitPolicies,
+  consumeRateLimit,
+  formatRateLimitError,
+  createRestRateLimiter
+};
@@ -0,0 +1,96 @@
+/**
+ * Redis Token Bucket Store
+ * Bucket storage shared by every server instance, built on ioredis. Each bucket is a
+ * hash updated by one Lua script, so concurrent requests cannot take the same token,
+ * and the Redis clock is used so instances with skewed clocks agree.
+ * Version: 1.0.0
+ */
+
+import Redis from 'ioredis';
+
+// KEYS[1] bucket; ARGV capacity, refill per minute, cost
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2]) / 60000
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+export class RedisBucketStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis connection string (redis://host:port/db)
+   * @param {string} [options.keyPrefix='aicollab:ratelimit:'] - Prefix for bucket keys
+   * @param {Object} [options.redisOptions] - Extra ioredis options
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('RedisBucketStore requires a Redis URL');
+    }
+    this.name = 'redis';
+    this.url = options.url;
+    this.keyPrefix = options.keyPrefix || 'aicollab:ratelimit:';
+    this.redisOptions = options.redisOptions || {};
+    this.client = null;
+  }
+
+  /**
+   * @throws {Error} If Redis cannot be reached
+   */
+  async connect() {
+    this.client = new Redis(this.url, {
+      lazyConnect: true,
+      connectTimeout: 5000,
+      maxRetriesPerRequest: 1,
+      ...this.redisOptions
+    });
+    this.client.on('error', error => console.error('❌ Redis rate limit store error:', error.message));
+    this.client.defineCommand('takeToken', { numberOfKeys: 1, lua: TAKE_SCRIPT });
+
+    try {
+      await this.client.connect();
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+  }
+
+  /**
+   * @see MemoryBucketStore#take
+   */
+  async take(key, bucket, cost = 1) {
+    const [allowed, tokens] = await this.client.takeToken(this.keyPrefix + key, bucket.capacity, bucket.refillPerMinute, cost);
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+  }
+
+  /**
+   * Buckets are left to expire in Redis
+   */
+  async clear() {}
+
+  async close() {
+    const client = this.client;
+    this.client = null;
+    if (!client) return;
+    if (client.status !== 'ready') {
+      client.disconnect();
+      return;
+    }
+    await client.quit().catch(() => client.disconnect());
+  }
+}
+
+export default RedisBucketStore;
@@ -0,0 +1,101 @@
+/**
+ * BM25
+ * Lexical ranking for the retrieval index. Terms are lower-cased words and numbers;
+ * identifiers are also split into their parts so `parseConfigFile` matches "config file".
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'our', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'you', 'your', 'can', 'do', 'does', 'about', 'please', 'tell'
+]);
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of String(text || '').match(/[\p{L}\p{N}_]+/gu) || []) {
+    const lower = word.toLowerCase();
+    const parts = word
+      .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+      .split(/[\s_]+/)
+      .map(part => part.toLowerCase())
+      .filter(Boolean);
+
+    if (!STOPWORDS.has(lower) && !lower.includes('_')) terms.push(lower);
+    if (parts.length > 1 || lower.includes('_')) {
+      parts.filter(part => !STOPWORDS.has(part)).forEach(part => terms.push(part));
+    }
+  }
+  return terms;
+}
+
+/**
+ * Incrementally built BM25 index over numbered documents (chunks)
+ */
+export class Bm25Index {
+  constructor() {
+    this.termFrequencies = [];
+    this.lengths = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.lengths.length;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number} Position of the document in the index
+   */
+  add(text) {
+    const frequencies = new Map();
+    const terms = tokenize(text);
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    frequencies.forEach((count, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+
+    this.termFrequencies.push(frequencies);
+    this.lengths.push(terms.length);
+    this.totalLength += terms.length;
+    return this.lengths.length - 1;
+  }
+
+  /**
+   * Scores every document containing a query term
+   * @param {string} query
+   * @returns {Map<number, number>} Document position -> score
+   */
+  score(query) {
+    const scores = new Map();
+    const count = this.size;
+    if (count === 0) return scores;
+
+    const averageLength = this.totalLength / count || 1;
+    for (const term of new Set(tokenize(query))) {
+      const documentFrequency = this.documentFrequency.get(term);
+      if (!documentFrequency) continue;
+
+      const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      this.termFrequencies.forEach((frequencies, position) => {
+        const frequency = frequencies.get(term);
+        if (!frequency) return;
+        const normalization = K1 * (1 - B + B * this.lengths[position] / averageLength);
+        const termScore = idf * (frequency * (K1 + 1)) / (frequency + normalization);
+        scores.set(position, (scores.get(position) || 0) + termScore);
+      });
+    }
+    return scores;
+  }
+}
+
+export default { tokenize, Bm25Index };
@@ -0,0 +1,113 @@
+/**
+ * Chunker
+ * Splits extracted text into overlapping chunks of roughly CHUNK_TOKENS tokens along
+ * line boundaries, recording where each chunk came from (lines, or pages for PDFs) so
+ * retrieved passages can be cited.
+ */
+
+import { countTokens } from '../ai/tokenizer.mjs';
+
+export const CHUNK_TOKENS = 350;
+export const CHUNK_OVERLAP_TOKENS = 50;
+
+// pdf-parse ends every page with a '-- <page> of <total> --' line
+const PDF_PAGE_MARKER = /^-- (\d+) of \d+ --$/;
+
+/**
+ * @typedef {Object} TextChunk
+ * @property {string} text
+ * @property {number} startLine - 1-based
+ * @property {number} endLine
+ * @property {number} [page] - First page of the chunk, for PDFs
+ * @property {number} tokens
+ */
+
+/**
+ * Breaks an over-long line (PDF paragraphs, minified code) into sentence-sized pieces
+ */
+function splitLongLine(line, maxTokens) {
+  if (countTokens(line) <= maxTokens) return [line];
+  const pieces = [];
+  let current = '';
+  for (const sentence of line.split(/(?<=[.!?;])\s+|(?<=,)\s+(?=\S{20,})/)) {
+    const candidate = current ? `${current} ${sentence}` : sentence;
+    if (current && countTokens(candidate) > maxTokens) {
+      pieces.push(current);
+      current = sentence;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) pieces.push(current);
+
+  // Sentences that are themselves too long are cut by length
+  return pieces.flatMap(piece => {
+    if (countTokens(piece) <= maxTokens) return [piece];
+    const size = Math.max(200, Math.floor(piece.length * maxTokens / countTokens(piece)));
+    const cuts = [];
+    for (let start = 0; start < piece.length; start += size) cuts.push(piece.slice(start, start + size));
+    return cuts;
+  });
+}
+
+/**
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.kind] - Document kind; 'pdf' enables page tracking
+ * @param {number} [options.chunkTokens]
+ * @param {number} [options.overlapTokens]
+ * @returns {TextChunk[]}
+ */
+export function chunkText(text, { kind, chunkTokens = CHUNK_TOKENS, overlapTokens = CHUNK_OVERLAP_TOKENS } = {}) {
+  if (!text || !text.trim()) return [];
+
+  const lines = [];
+  let page = 1;
+  text.split(/\r?\n/).forEach((line, index) => {
+    const marker = kind === 'pdf' ? line.trim().match(PDF_PAGE_MARKER) : null;
+    if (marker) {
+      page = Number(marker[1]) + 1;
+      return;
+    }
+    splitLongLine(line, chunkTokens).forEach(piece => {
+      lines.push({ text: piece, number: index + 1, page, tokens: countTokens(piece) + 1 });
+    });
+  });
+
+  const chunks = [];
+  let start = 0;
+  while (start < lines.length) {
+    let end = start;
+    let tokens = 0;
+    while (end < lines.length && (end === start || tokens + lines[end].tokens <= chunkTokens)) {
+      tokens += lines[end].tokens;
+      end++;
+    }
+
+    const chunkLines = lines.slice(start, end);
+    const chunkText = chunkLines.map(line => line.text).join('\n');
+    if (chunkText.trim()) {
+      chunks.push({
+        text: chunkText,
+        startLine: chunkLines[0].number,
+        endLine: chunkLines[chunkLines.length - 1].number,
+        page: kind === 'pdf' ? chunkLines[0].page : undefined,
+        tokens
+      });
+    }
+    if (end >= lines.length) break;
+
+    // Step back over the last few lines so neighbouring chunks share some context
+    let overlap = 0;
+    let next = end;
+    while (next > start + 1 && overlap + lines[next - 1].tokens <= overlapTokens) {
+      overlap += lines[next - 1].tokens;
+      next--;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+export default { chunkText, CHUNK_TOKENS, CHUNK_OVERLAP_TOKENS };
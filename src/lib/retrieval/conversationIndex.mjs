@@ -0,0 +1,197 @@
+/**
+ * Conversation Index
+ * The chunked search index over the files attached to one conversation. Chunks are
+ * ranked with BM25 and, when an embedding provider is configured, by vector similarity
+ * as well; the two rankings are merged with reciprocal rank fusion.
+ */
+
+import crypto from 'crypto';
+import { chunkText } from './chunker.mjs';
+import { Bm25Index } from './bm25.mjs';
+import { embedAll, cosineSimilarity } from './embeddings.mjs';
+
+export const MAX_RESULTS = 8;
+// Oldest sources are dropped once a conversation holds more chunks than this
+export const MAX_CHUNKS = 5000;
+const RRF_K = 60;
+
+/**
+ * A file to index. Archives pass one section per contained file.
+ * @typedef {Object} IndexSource
+ * @property {string} id - Stable id, e.g. 'document:<id>' or 'mcp:<token>:<path>'
+ * @property {string} name - Display name
+ * @property {Array<{name: string, text: string, kind?: string}>} sections
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} sourceId
+ * @property {string} name - Section name (file, or archive/path)
+ * @property {string} location - 'p. 3' or 'lines 10-42'
+ * @property {string} text
+ * @property {number} tokens
+ * @property {number} score
+ */
+
+function describeLocation(chunk) {
+  if (chunk.page) return `p. ${chunk.page}`;
+  return chunk.startLine === chunk.endLine ? `line ${chunk.startLine}` : `lines ${chunk.startLine}-${chunk.endLine}`;
+}
+
+function checksumOf(sections) {
+  const hash = crypto.createHash('sha256');
+  sections.forEach(section => hash.update(section.name).update('\0').update(section.text || '').update('\0'));
+  return hash.digest('hex');
+}
+
+export class ConversationIndex {
+  /**
+   * @param {Object} [options]
+   * @param {import('./embeddings.mjs').EmbeddingProvider|null} [options.embeddingProvider]
+   */
+  constructor({ embeddingProvider = null } = {}) {
+    this.embeddingProvider = embeddingProvider;
+    this.sources = new Map();
+    this.chunks = [];
+    this.bm25 = new Bm25Index();
+  }
+
+  hasSource(sourceId) {
+    return this.sources.has(sourceId);
+  }
+
+  /**
+   * Indexes a file. Re-adding an unchanged file is a no-op; a changed one is replaced.
+   * @param {IndexSource} source
+   * @returns {Promise<{chunks: number, added: boolean}>}
+   */
+  async addSource({ id, name, sections }) {
+    const checksum = checksumOf(sections);
+    const existing = this.sources.get(id);
+    if (existing?.checksum === checksum) {
+      return { chunks: existing.chunks, added: false };
+    }
+    if (existing) this.removeSource(id);
+
+    const chunks = sections.flatMap(section => chunkText(section.text, { kind: section.kind }).map(chunk => ({
+      sourceId: id,
+      name: section.name,
+      location: describeLocation(chunk),
+      text: chunk.text,
+      tokens: chunk.tokens,
+      vector: null
+    })));
+
+    if (this.embeddingProvider && chunks.length > 0) {
+      try {
+        const vectors = await embedAll(this.embeddingProvider, chunks.map(chunk => chunk.text));
+        chunks.forEach((chunk, i) => { chunk.vector = vectors[i] || null; });
+      } catch (error) {
+        // The file stays searchable by keyword
+        console.warn(`⚠️ Could not embed ${name}: ${error.message}`);
+      }
+    }
+
+    chunks.forEach(chunk => {
+      this.bm25.add(chunk.text);
+      this.chunks.push(chunk);
+    });
+    this.sources.set(id, { id, name, checksum, chunks: chunks.length });
+    console.log(`🔎 Indexed ${name}: ${chunks.length} chunks`);
+
+    while (this.chunks.length > MAX_CHUNKS && this.sources.size > 1) {
+      this.removeSource(this.sources.keys().next().value);
+    }
+    return { chunks: chunks.length, added: true };
+  }
+
+  /**
+   * @param {string} sourceId
+   */
+  removeSource(sourceId) {
+    if (!this.sources.delete(sourceId)) return;
+
+    // BM25 statistics are corpus-wide, so the index is rebuilt from the remaining chunks
+    this.chunks = this.chunks.filter(chunk => chunk.sourceId !== sourceId);
+    this.bm25 = new Bm25Index();
+    this.chunks.forEach(chunk => this.bm25.add(chunk.text));
+  }
+
+  /**
+   * Chunk positions ordered by vector similarity to the query, or [] without embeddings
+   */
+  async rankByEmbedding(query, candidates) {
+    if (!this.embeddingProvider) return [];
+    const embedded = candidates.filter(position => this.chunks[position].vector);
+    if (embedded.length === 0) return [];
+
+    let queryVector;
+    try {
+      [queryVector] = await this.embeddingProvider.embed([query]);
+    } catch (error) {
+      console.warn(`⚠️ Query embedding failed, using keyword search only: ${error.message}`);
+      return [];
+    }
+    return embedded
+      .map(position => ({ position, similarity: cosineSimilarity(queryVector, this.chunks[position].vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .map(item => item.position);
+  }
+
+  /**
+   * Finds the chunks most relevant to a query
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=MAX_RESULTS]
+   * @param {string[]} [options.exclude] - Source ids to leave out (e.g. files already in the prompt whole)
+   * @param {string[]} [options.fallbackSources] - When nothing matches, return the opening
+   *   chunks of these sources instead (a question like "summarize this" shares no terms with the file)
+   * @returns {Promise<SearchResult[]>}
+   */
+  async search(query, { limit = MAX_RESULTS, exclude = [], fallbackSources = [] } = {}) {
+    const excluded = new Set(exclude);
+    const candidates = [];
+    this.chunks.forEach((chunk, position) => {
+      if (!excluded.has(chunk.sourceId)) candidates.push(position);
+    });
+    if (candidates.length === 0) return [];
+
+    const lexicalScores = this.bm25.score(query);
+    const lexical = candidates
+      .filter(position => lexicalScores.has(position))
+      .sort((a, b) => lexicalScores.get(b) - lexicalScores.get(a));
+    const semantic = await this.rankByEmbedding(query, candidates);
+
+    let ranked;
+    if (semantic.length === 0) {
+      ranked = lexical.map(position => ({ position, score: lexicalScores.get(position) }));
+    } else {
+      const fused = new Map();
+      [lexical, semantic].forEach(ranking => ranking.forEach((position, rank) => {
+        fused.set(position, (fused.get(position) || 0) + 1 / (RRF_K + rank + 1));
+      }));
+      ranked = [...fused.entries()]
+        .map(([position, score]) => ({ position, score }))
+        .sort((a, b) => b.score - a.score);
+    }
+
+    if (ranked.length === 0 && fallbackSources.length > 0) {
+      // Take the sources' chunks in turn so every file is represented
+      const bySource = new Map(fallbackSources.filter(id => !excluded.has(id)).map(id => [id, []]));
+      candidates.forEach(position => bySource.get(this.chunks[position].sourceId)?.push(position));
+      const queues = [...bySource.values()];
+      for (let i = 0; ranked.length < limit && queues.some(queue => i < queue.length); i++) {
+        queues.forEach(queue => {
+          if (i < queue.length) ranked.push({ position: queue[i], score: 0 });
+        });
+      }
+    }
+
+    return ranked.slice(0, limit).map(({ position, score }) => {
+      const { sourceId, name, location, text, tokens } = this.chunks[position];
+      return { sourceId, name, location, text, tokens, score: Number(score.toFixed(4)) };
+    });
+  }
+}
+
+export default ConversationIndex;
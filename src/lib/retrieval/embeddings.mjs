@@ -0,0 +1,135 @@
+/**
+ * Embedding Providers
+ * Optional dense vectors for retrieval. The default provider is 'none': search is BM25
+ * only and nothing leaves the server. Built in is 'http', an OpenAI-compatible
+ * /embeddings endpoint (Ollama, LM Studio, a self-hosted model, or a hosted API);
+ * other providers can be added with registerEmbeddingProvider.
+ *
+ * Environment:
+ * - RAG_EMBEDDING_PROVIDER: provider name ('none' by default)
+ * - RAG_EMBEDDING_URL: base URL for 'http', e.g. http://localhost:11434/v1
+ * - RAG_EMBEDDING_MODEL: model name for 'http', e.g. nomic-embed-text
+ * - RAG_EMBEDDING_API_KEY: bearer token for 'http', if the endpoint needs one
+ */
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name
+ * @property {(texts: string[]) => Promise<number[][]>} embed - One vector per text, same order
+ * @property {number} [batchSize] - Texts per embed() call (default 32)
+ */
+
+const providers = new Map();
+const DEFAULT_BATCH_SIZE = 32;
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * @param {string} name
+ * @param {Omit<EmbeddingProvider, 'name'>} provider
+ */
+export function registerEmbeddingProvider(name, provider) {
+  if (!name || typeof provider?.embed !== 'function') {
+    throw new Error('An embedding provider needs a name and an embed(texts) function');
+  }
+  providers.set(name, { name, ...provider });
+}
+
+/**
+ * OpenAI-compatible POST <baseUrl>/embeddings
+ */
+export function createHttpEmbeddingProvider({ baseUrl, model, apiKey } = {}) {
+  if (!baseUrl || !model) {
+    throw new Error('The http embedding provider needs RAG_EMBEDDING_URL and RAG_EMBEDDING_MODEL');
+  }
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+
+  return {
+    batchSize: DEFAULT_BATCH_SIZE,
+    async embed(texts) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, input: texts }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Embedding request failed with HTTP ${response.status}`);
+      }
+      const body = await response.json();
+      const data = Array.isArray(body?.data) ? [...body.data] : [];
+      data.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+      if (data.length !== texts.length) {
+        throw new Error(`Embedding endpoint returned ${data.length} vectors for ${texts.length} texts`);
+      }
+      return data.map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * The configured provider, or null when retrieval is lexical only
+ * @returns {EmbeddingProvider|null}
+ */
+export function getEmbeddingProvider() {
+  const name = (process.env.RAG_EMBEDDING_PROVIDER || 'none').toLowerCase();
+  if (name === 'none') return null;
+
+  if (!providers.has(name) && name === 'http') {
+    try {
+      registerEmbeddingProvider('http', createHttpEmbeddingProvider({
+        baseUrl: process.env.RAG_EMBEDDING_URL,
+        model: process.env.RAG_EMBEDDING_MODEL,
+        apiKey: process.env.RAG_EMBEDDING_API_KEY
+      }));
+    } catch (error) {
+      console.warn(`⚠️ Embeddings disabled: ${error.message}`);
+      providers.set('http', null);
+    }
+  }
+
+  const provider = providers.get(name);
+  if (provider === undefined) {
+    console.warn(`⚠️ Unknown embedding provider "${name}", using BM25 only`);
+    providers.set(name, null);
+  }
+  return provider || null;
+}
+
+/**
+ * Embeds texts in batches
+ * @param {EmbeddingProvider} provider
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+export async function embedAll(provider, texts) {
+  const batchSize = provider.batchSize || DEFAULT_BATCH_SIZE;
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += batchSize) {
+    vectors.push(...await provider.embed(texts.slice(start, start + batchSize)));
+  }
+  return vectors;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export default {
+  registerEmbeddingProvider,
+  createHttpEmbeddingProvider,
+  getEmbeddingProvider,
+  embedAll,
+  cosineSimilarity
+};
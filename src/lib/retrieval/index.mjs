@@ -0,0 +1,85 @@
+/**
+ * Conversation Retrieval
+ * Keeps a local search index per conversation over the documents, uploads and MCP
+ * context files attached to it, so later messages can draw on them without resending
+ * whole files. Indexes live in memory, keyed by user and conversation, and are dropped
+ * when the conversation has been idle for INDEX_IDLE_MS or when more than
+ * MAX_CONVERSATIONS are held.
+ */
+
+import { ConversationIndex } from './conversationIndex.mjs';
+import { getEmbeddingProvider } from './embeddings.mjs';
+
+export const MAX_CONVERSATIONS = 100;
+export const INDEX_IDLE_MS = 6 * 60 * 60 * 1000;
+
+// key -> { index, lastUsed }; Map order doubles as least-recently-used order
+const conversations = new Map();
+
+function conversationKey(userId, conversationId) {
+  return `${userId}:${conversationId}`;
+}
+
+function evictStale(now = Date.now()) {
+  for (const [key, entry] of conversations) {
+    if (now - entry.lastUsed > INDEX_IDLE_MS) conversations.delete(key);
+  }
+  while (conversations.size > MAX_CONVERSATIONS) {
+    conversations.delete(conversations.keys().next().value);
+  }
+}
+
+/**
+ * The conversation's index, if it has one
+ * @param {string} userId
+ * @param {string} conversationId - The WebSocket session the conversation belongs to
+ * @returns {ConversationIndex|null}
+ */
+export function findConversationIndex(userId, conversationId) {
+  if (!userId || !conversationId) return null;
+  const key = conversationKey(userId, conversationId);
+  const entry = conversations.get(key);
+  if (!entry) return null;
+
+  conversations.delete(key);
+  entry.lastUsed = Date.now();
+  conversations.set(key, entry);
+  return entry.index;
+}
+
+/**
+ * The conversation's index, created on first use
+ * @param {string} userId
+ * @param {string} conversationId
+ * @returns {ConversationIndex|null} Null without a user or conversation
+ */
+export function getConversationIndex(userId, conversationId) {
+  if (!userId || !conversationId) return null;
+  const existing = findConversationIndex(userId, conversationId);
+  if (existing) return existing;
+
+  const index = new ConversationIndex({ embeddingProvider: getEmbeddingProvider() });
+  conversations.set(conversationKey(userId, conversationId), { index, lastUsed: Date.now() });
+  evictStale();
+  return index;
+}
+
+/**
+ * Forgets a conversation's files, e.g. when its context is reset
+ * @param {string} userId
+ * @param {string} conversationId
+ */
+export function dropConversationIndex(userId, conversationId) {
+  conversations.delete(conversationKey(userId, conversationId));
+}
+
+export { ConversationIndex };
+export { registerEmbeddingProvider, createHttpEmbeddingProvider } from './embeddings.mjs';
+
+export default {
+  getConversationIndex,
+  findConversationIndex,
+  dropConversationIndex,
+  MAX_CONVERSATIONS,
+  INDEX_IDLE_MS
+};
@@ -0,0 +1,81 @@
+/**
+ * Upload Storage
+ * Files received through /api/upload are stored in a directory per owner under the
+ * uploads root, so a chat message can only attach files its own user uploaded.
+ * Clients refer to an upload by its stored filename; directory parts are ignored.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+
+// Owner directory for uploads made without a user id
+const ANONYMOUS_OWNER = 'anonymous';
+
+let uploadRoot = '';
+
+/**
+ * @param {string} directory - Absolute path of the uploads root
+ */
+export function setUploadRoot(directory) {
+  uploadRoot = directory;
+}
+
+/**
+ * @returns {string} The uploads root, or '' before initialization
+ */
+export function getUploadRoot() {
+  return uploadRoot;
+}
+
+/**
+ * Directory name for an owner. User ids are database ids or 'user-...' session ids;
+ * anything else is reduced to a safe name.
+ * @param {string} [ownerId]
+ * @returns {string}
+ */
+function ownerKey(ownerId) {
+  const key = String(ownerId || '').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+  return key && !/^_+$/.test(key) ? key : ANONYMOUS_OWNER;
+}
+
+/**
+ * @param {string} [ownerId]
+ * @returns {string} Absolute path of the owner's upload directory
+ */
+export function getOwnerDirectory(ownerId) {
+  if (!uploadRoot) throw new Error('Upload directory not initialized.');
+  return path.join(uploadRoot, ownerKey(ownerId));
+}
+
+/**
+ * Finds a file the owner uploaded.
+ * @param {string} ownerId
+ * @param {string} reference - Stored filename as returned by /api/upload (a full path
+ *   from older clients is accepted; only its last segment is used)
+ * @returns {Promise<{filePath: string, filename: string, size: number}>}
+ * @throws {Error} If the reference is invalid or the owner has no such upload
+ */
+export async function resolveUpload(ownerId, reference) {
+  const filename = path.basename(String(reference || '').replace(/\\/g, '/'));
+  if (!filename || filename === '.' || filename === '..') {
+    throw new Error('Invalid upload reference.');
+  }
+
+  const filePath = path.join(getOwnerDirectory(ownerId), filename);
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (error) {
+    throw new Error(`Upload not found: ${filename}`);
+  }
+  if (!stats.isFile()) throw new Error(`Upload not found: ${filename}`);
+
+  return { filePath, filename, size: stats.size };
+}
+
+export default {
+  setUploadRoot,
+  getUploadRoot,
+  getOwnerDirectory,
+  resolveUpload
+};
@@ -0,0 +1,83 @@
+/**
+ * Budget Model for MongoDB
+ * A spending limit over a daily, weekly or monthly period, for all of a user's usage or
+ * for one project or provider key. Soft thresholds (percentages of the limit) send
+ * alerts; reaching the hard threshold blocks new requests until the period ends.
+ */
+
+import mongoose from 'mongoose';
+
+export const BUDGET_SCOPES = ['user', 'project', 'provider'];
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+export const DEFAULT_SOFT_THRESHOLDS = [50, 80, 100];
+
+const BudgetSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  // 'user' covers all usage; 'project' and 'provider' only usage with scopeId as its projectId or provider
+  scope: {
+    type: String,
+    enum: BUDGET_SCOPES,
+    default: 'user'
+  },
+  scopeId: {
+    type: String,
+    default: null
+  },
+  period: {
+    type: String,
+    enum: BUDGET_PERIODS,
+    required: true
+  },
+  limitUSD: {
+    type: Number,
+    required: true
+  },
+  // Percentages of the limit that send an alert, once per period each
+  softThresholds: {
+    type: [Number],
+    default: () => [...DEFAULT_SOFT_THRESHOLDS]
+  },
+  // Percentage of the limit at which new requests are refused; null to only alert
+  hardThreshold: {
+    type: Number,
+    default: null
+  },
+  // Alert channels besides the WebSocket
+  notify: {
+    email: {
+      type: Boolean,
+      default: false
+    },
+    webhookUrl: {
+      type: String,
+      default: null
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Thresholds already alerted in the period that started at periodStart
+  alerts: {
+    periodStart: {
+      type: Date,
+      default: null
+    },
+    notified: {
+      type: [Number],
+      default: []
+    }
+  }
+}, { timestamps: true });
+
+export const Budget = mongoose.model('Budget', BudgetSchema);
+
+export default Budget;
@@ -0,0 +1,179 @@
+/**
+ * CollaborationRun Model for MongoDB
+ * Full transcript of one collaboration: every phase and agent call (drafts,
+ * critiques, votes, synthesis, ...) with prompt, output, tokens, latency and cost,
+ * so the path to a final answer can be audited.
+ */
+
+import mongoose from 'mongoose';
+
+const StepSchema = new mongoose.Schema({
+  phase: {
+    type: String,
+    required: true
+  },
+  agent: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  systemPrompt: {
+    type: String,
+    default: ''
+  },
+  userPrompt: {
+    type: String,
+    default: ''
+  },
+  output: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  // 'provider' when the API reported the counts, otherwise how they were counted
+  tokenSource: {
+    type: String,
+    enum: ['provider', 'exact', 'estimate', null],
+    default: null
+  },
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+const CollaborationRunSchema = new mongoose.Schema({
+  // Collaboration session id (also the event channel suffix: 'collab:<id>')
+  collaborationSessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Conversation (context) session the run belongs to
+  conversationSessionId: {
+    type: String,
+    default: null
+  },
+  // Project (workspace) the run was started for; its calls count against the project's budgets
+  projectId: {
+    type: String,
+    default: null
+  },
+  mode: {
+    type: String,
+    required: true
+  },
+  agents: {
+    type: [String],
+    default: []
+  },
+  // Requested model per agent
+  models: {
+    type: Map,
+    of: String,
+    default: () => new Map()
+  },
+  prompt: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  final: {
+    type: String,
+    default: null
+  },
+  rationale: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Judge's scorecard for adversarial debates
+  scorecard: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  steps: {
+    type: [StepSchema],
+    default: []
+  },
+  totalInputTokens: {
+    type: Number,
+    default: 0
+  },
+  totalOutputTokens: {
+    type: Number,
+    default: 0
+  },
+  // Sum of step costs (estimated from token counts)
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  // Cost reported by the collaboration engine's tracker
+  spentUSD: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+}, { timestamps: true });
+
+// Listing runs of a conversation, newest first
+CollaborationRunSchema.index({ userId: 1, conversationSessionId: 1, startedAt: -1 });
+
+export const CollaborationRun = mongoose.model('CollaborationRun', CollaborationRunSchema);
+
+export default CollaborationRun;
@@ -4,6 +4,7 @@
  */
 
 import mongoose from 'mongoose';
+import { countTokens } from '../lib/ai/tokenizer.mjs';
 
 const MessageSchema = new mongoose.Schema({
   type: {
@@ -62,6 +63,7 @@ const ConversationSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Sizes are in tokens; responses are counted with their provider's tokenizer
   contextSize: {
     type: Number,
     default: 0
@@ -75,31 +77,37 @@ const ConversationSchema = new mongoose.Schema({
 // Compound index for efficient lookups
 ConversationSchema.index({ userId: 1, sessionId: 1 }, { unique: true });
 
-// Calculate context size before saving
-ConversationSchema.pre('save', function(next) {
-  // Calculate the context size
+/**
+ * Token size of one message and the AI responses attached to it
+ * @param {Object} message
+ * @returns {number}
+ */
+export function measureMessageTokens(message) {
   let size = 0;
   
-  // Calculate size based on messages
-  if (this.messages && this.messages.length > 0) {
-    for (const message of this.messages) {
-      // Add user message size
-      if (message.content) {
-        size += message.content.length;
-      }
-      
-      // Add AI response sizes
-      if (message.responses) {
-        for (const [_, responseText] of message.responses.entries()) {
-          size += responseText.length;
-        }
-      }
+  // Add user message size
+  if (message.content) {
+    size += countTokens(message.content);
+  }
+  
+  // Add AI response sizes
+  if (message.responses) {
+    for (const [provider, responseText] of message.responses.entries()) {
+      size += countTokens(responseText, provider);
     }
   }
   
+  return size;
+}
+
+// Calculate context size before saving
+ConversationSchema.pre('save', function(next) {
+  // Calculate size based on messages
+  let size = (this.messages || []).reduce((sum, message) => sum + measureMessageTokens(message), 0);
+  
   // Add summary size
   if (this.summary) {
-    size += this.summary.length;
+    size += countTokens(this.summary);
   }
   
   this.contextSize = size;
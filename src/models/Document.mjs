@@ -0,0 +1,113 @@
+/**
+ * Document Model for MongoDB
+ * An uploaded file with its extracted text. The file itself stays in the owner's
+ * upload directory; archives keep one entry per contained file.
+ */
+
+import mongoose from 'mongoose';
+
+const KINDS = ['pdf', 'docx', 'html', 'markdown', 'csv', 'code', 'text', 'archive', 'binary'];
+
+const ArchiveFileSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    default: 'text'
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  // Why the file has no text (too large, binary, ...)
+  skipped: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const DocumentSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  // Stored filename in the owner's upload directory
+  filename: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file, hex
+  checksum: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    required: true
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['ready', 'failed'],
+    default: 'ready'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Document text; for archives, the file tree
+  extractedText: {
+    type: String,
+    default: ''
+  },
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  pageCount: {
+    type: Number,
+    default: null
+  },
+  files: {
+    type: [ArchiveFileSchema],
+    default: []
+  },
+  warnings: {
+    type: [String],
+    default: []
+  }
+}, { timestamps: true });
+
+DocumentSchema.index({ userId: 1, createdAt: -1 });
+DocumentSchema.index({ userId: 1, checksum: 1 });
+
+export const Document = mongoose.model('Document', DocumentSchema);
+
+export default Document;
@@ -0,0 +1,90 @@
+/**
+ * McpAuditEntry Model for MongoDB
+ * One event in the life of an MCP file operation: requested, approved, rejected, blocked
+ * by a conflict, failed, or reverted. Records who did it, from which session, and which
+ * agent asked for the change. Entries expire after the retention period
+ * (MCP_AUDIT_RETENTION_DAYS, 180 days by default).
+ */
+
+import mongoose from 'mongoose';
+
+export const AUDIT_EVENTS = ['requested', 'approved', 'rejected', 'conflict', 'failed', 'reverted'];
+
+const McpAuditEntrySchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: AUDIT_EVENTS,
+    required: true
+  },
+  operationId: {
+    type: String,
+    default: null
+  },
+  contextToken: {
+    type: String,
+    required: true
+  },
+  // Owner of the context
+  userId: {
+    type: String,
+    required: true
+  },
+  // Who caused the event: the requester for 'requested', the reviewer afterwards
+  actor: {
+    type: String,
+    required: true
+  },
+  agent: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  directory: {
+    type: String,
+    default: null
+  },
+  operationType: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  commit: {
+    type: String,
+    default: null
+  },
+  appliedHunks: {
+    type: [Number],
+    default: undefined
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+McpAuditEntrySchema.index({ userId: 1, createdAt: -1 });
+McpAuditEntrySchema.index({ operationId: 1, createdAt: 1 });
+McpAuditEntrySchema.index({ contextToken: 1, createdAt: -1 });
+McpAuditEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const McpAuditEntry = mongoose.model('McpAuditEntry', McpAuditEntrySchema);
+
+export default McpAuditEntry;
@@ -0,0 +1,55 @@
+/**
+ * McpContext Model for MongoDB
+ * A directory registered for MCP file operations, stored so contexts survive a server
+ * restart. Documents are removed by MongoDB once expiresAt has passed.
+ */
+
+import mongoose from 'mongoose';
+
+const McpContextSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  directory: {
+    type: String,
+    required: true
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  projectId: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  // GitRepository from src/lib/mcp/git.mjs, null outside git repositories
+  git: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+McpContextSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const McpContext = mongoose.model('McpContext', McpContextSchema);
+
+export default McpContext;
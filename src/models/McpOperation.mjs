@@ -0,0 +1,98 @@
+/**
+ * McpOperation Model for MongoDB
+ * A file operation requested in an MCP context, pending or resolved. Pending operations
+ * live as long as their context; approved and rejected ones are kept for a short while
+ * so clients can still look them up, then MongoDB removes them at expiresAt. The lasting
+ * record of what happened is the audit log (McpAuditEntry).
+ */
+
+import mongoose from 'mongoose';
+
+const McpOperationSchema = new mongoose.Schema({
+  operationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  contextToken: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['write', 'delete', 'create_directory'],
+    required: true
+  },
+  filePath: {
+    type: String,
+    default: null
+  },
+  dirPath: {
+    type: String,
+    default: null
+  },
+  content: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  previewContent: {
+    type: String,
+    default: null
+  },
+  diff: {
+    type: String,
+    default: null
+  },
+  hunks: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // undefined for operations that are not checked for conflicts, null for new files
+  baseChecksum: {
+    type: String
+  },
+  conflict: {
+    type: Boolean,
+    default: false
+  },
+  appliedHunks: {
+    type: [Number],
+    default: undefined
+  },
+  commit: {
+    type: String,
+    default: null
+  },
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+McpOperationSchema.index({ userId: 1, status: 1, requestedAt: -1 });
+McpOperationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const McpOperation = mongoose.model('McpOperation', McpOperationSchema);
+
+export default McpOperation;
@@ -0,0 +1,114 @@
+/**
+ * UsageEntry Model for MongoDB
+ * The usage ledger: one entry per AI API call, whether it came from single-model chat,
+ * a collaboration or the CLI. Entries are append-only; the price they were charged at
+ * is stored with them, so later pricing changes never rewrite past spend.
+ */
+
+import mongoose from 'mongoose';
+
+export const USAGE_SOURCES = ['chat', 'collaboration', 'cli'];
+
+const UsageEntrySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  // Conversation (context) session the call belongs to
+  sessionId: {
+    type: String,
+    default: null
+  },
+  // Collaboration session id for calls made by a collaboration
+  runId: {
+    type: String,
+    default: null
+  },
+  // Project (workspace) the call was made for, from the request or its MCP context
+  projectId: {
+    type: String,
+    default: null
+  },
+  // Collaboration phase (draft, critique, vote, synthesis, ...); null for single-model calls
+  phase: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: USAGE_SOURCES,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  // 'provider' when the API reported the counts, otherwise how they were counted
+  tokenSource: {
+    type: String,
+    enum: ['provider', 'exact', 'estimate', null],
+    default: null
+  },
+  inputCost: {
+    type: Number,
+    default: 0
+  },
+  outputCost: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  // Per-million prices the call was charged at; null when the model has no known price
+  pricing: {
+    inputPricePerMillion: Number,
+    outputPricePerMillion: Number
+  },
+  // PRICING_VERSION of the price table, 'custom' for user-priced endpoints, null if unpriced
+  pricingVersion: {
+    type: String,
+    default: null
+  },
+  // Failed calls are still charged for the tokens they used
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UsageEntrySchema.index({ userId: 1, createdAt: -1 });
+UsageEntrySchema.index({ sessionId: 1, createdAt: 1 });
+UsageEntrySchema.index({ runId: 1 });
+
+// Append-only: saving an existing entry or updating entries in place is refused
+UsageEntrySchema.pre('save', function(next) {
+  next(this.isNew ? undefined : new Error('Usage entries are append-only'));
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  UsageEntrySchema.pre(operation, function(next) {
+    next(new Error('Usage entries are append-only'));
+  });
+});
+
+export const UsageEntry = mongoose.model('UsageEntry', UsageEntrySchema);
+
+export default UsageEntry;
@@ -6,12 +6,17 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
+import providerRegistry from '../lib/ai/providers/index.mjs';
 
 // Schema for encrypted API keys
 const ApiKeySchema = new mongoose.Schema({
   provider: {
     type: String,
-    enum: ['openai', 'anthropic', 'google', 'deepseek', 'grok', 'llama'],
+    // Any provider id known to the provider registry (built-in or registered from config)
+    validate: {
+      validator: provider => providerRegistry.ids().includes(provider),
+      message: props => `${props.value} is not a registered AI provider`
+    },
     required: true
   },
   encryptedKey: {
@@ -36,6 +41,102 @@ const ApiKeySchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Schema for user-registered OpenAI-compatible endpoints (vLLM, Ollama, ...).
+// Addressed in chat and collaboration as the agent 'custom:<slug>'.
+const CustomEndpointSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]{0,39}$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  baseURL: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  encryptedKey: {
+    type: String, // Optional - many self-hosted servers accept anonymous calls
+    default: null
+  },
+  keyId: {
+    type: String,
+    default: null
+  },
+  models: {
+    type: [String],
+    default: []
+  },
+  defaultModel: {
+    type: String,
+    required: true
+  },
+  pricing: {
+    input: { type: Number, default: 0 }, // USD per 1M tokens
+    output: { type: Number, default: 0 }
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schema for user-registered external MCP servers, whose tools and resources are
+// offered to the agents of the user's collaborations
+const McpServerSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]{0,39}$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  transport: {
+    type: String,
+    enum: ['stdio', 'sse'],
+    required: true
+  },
+  command: {
+    type: String, // stdio only
+    default: null
+  },
+  args: {
+    type: [String],
+    default: []
+  },
+  url: {
+    type: String, // sse only
+    default: null
+  },
+  encryptedToken: {
+    type: String, // Optional bearer token for sse servers
+    default: null
+  },
+  keyId: {
+    type: String,
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -81,6 +182,16 @@ const UserSchema = new mongoose.Schema({
     type: [ApiKeySchema],
     default: []
   },
+  // Custom OpenAI-compatible endpoints (API keys encrypted like apiKeys)
+  customEndpoints: {
+    type: [CustomEndpointSchema],
+    default: []
+  },
+  // External MCP servers (bearer tokens encrypted like apiKeys)
+  mcpServers: {
+    type: [McpServerSchema],
+    default: []
+  },
   // Usage tracking
   usage: {
     totalRequests: {
@@ -94,6 +205,11 @@ const UserSchema = new mongoose.Schema({
     lastRequestAt: {
       type: Date,
       default: null
+    },
+    // When the monthly cost alert (settings.costAlertThreshold) was last sent
+    costAlertNotifiedAt: {
+      type: Date,
+      default: null
     }
   },
   // Settings
@@ -108,7 +224,7 @@ const UserSchema = new mongoose.Schema({
       default: 'parallel'
     },
     costAlertThreshold: {
-      type: Number, // USD
+      type: Number, // USD of spend per month; 0 turns the alert off
       default: 10
     }
   },
@@ -261,6 +377,118 @@ UserSchema.methods.getApiKey = function(provider) {
   return decryptedKey;
 };
 
+/**
+ * Add or replace a custom endpoint, matched by slug
+ * @param {Object} endpoint - { slug, name, baseURL, apiKey?, models?, defaultModel?, pricing? }
+ */
+UserSchema.methods.addCustomEndpoint = function(endpoint) {
+  let encryptedKey = null;
+  if (endpoint.apiKey) {
+    const encryptedData = this.encryptApiKey(endpoint.apiKey);
+    encryptedKey = `${encryptedData.encrypted}:${encryptedData.iv}:${encryptedData.authTag}`;
+  }
+
+  const models = endpoint.models || [];
+  this.customEndpoints = this.customEndpoints.filter(e => e.slug !== endpoint.slug);
+  this.customEndpoints.push({
+    slug: endpoint.slug,
+    name: endpoint.name,
+    baseURL: endpoint.baseURL,
+    encryptedKey,
+    keyId: endpoint.apiKey ? endpoint.apiKey.slice(-4) : null,
+    models,
+    defaultModel: endpoint.defaultModel || models[0],
+    pricing: endpoint.pricing || { input: 0, output: 0 }
+  });
+
+  return this.save();
+};
+
+// Remove a custom endpoint by slug
+UserSchema.methods.removeCustomEndpoint = function(slug) {
+  this.customEndpoints = this.customEndpoints.filter(e => e.slug !== slug);
+  return this.save();
+};
+
+/**
+ * Get a custom endpoint with its API key decrypted
+ * @returns {Object|null} { slug, name, baseURL, apiKey, models, defaultModel, pricing }
+ */
+UserSchema.methods.getCustomEndpoint = function(slug) {
+  const entry = (this.customEndpoints || []).find(e => e.slug === slug);
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    slug: entry.slug,
+    name: entry.name,
+    baseURL: entry.baseURL,
+    apiKey: entry.encryptedKey ? this.decryptApiKey(entry.encryptedKey) : null,
+    models: entry.models,
+    defaultModel: entry.defaultModel,
+    pricing: {
+      input: entry.pricing?.input || 0,
+      output: entry.pricing?.output || 0
+    }
+  };
+};
+
+/**
+ * Add or replace an MCP server, matched by slug
+ * @param {Object} server - { slug, name, transport, command?, args?, url?, token?, enabled? }
+ */
+UserSchema.methods.addMcpServer = function(server) {
+  let encryptedToken = null;
+  if (server.token) {
+    const encryptedData = this.encryptApiKey(server.token);
+    encryptedToken = `${encryptedData.encrypted}:${encryptedData.iv}:${encryptedData.authTag}`;
+  }
+
+  this.mcpServers = this.mcpServers.filter(s => s.slug !== server.slug);
+  this.mcpServers.push({
+    slug: server.slug,
+    name: server.name,
+    transport: server.transport,
+    command: server.transport === 'stdio' ? server.command : null,
+    args: server.transport === 'stdio' ? server.args || [] : [],
+    url: server.transport === 'sse' ? server.url : null,
+    encryptedToken,
+    keyId: server.token ? server.token.slice(-4) : null,
+    enabled: server.enabled !== false
+  });
+
+  return this.save();
+};
+
+// Remove an MCP server by slug
+UserSchema.methods.removeMcpServer = function(slug) {
+  this.mcpServers = this.mcpServers.filter(s => s.slug !== slug);
+  return this.save();
+};
+
+/**
+ * Get an MCP server with its bearer token decrypted
+ * @returns {Object|null} { slug, name, transport, command, args, url, token, enabled }
+ */
+UserSchema.methods.getMcpServer = function(slug) {
+  const entry = (this.mcpServers || []).find(s => s.slug === slug);
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    slug: entry.slug,
+    name: entry.name,
+    transport: entry.transport,
+    command: entry.command,
+    args: entry.args,
+    url: entry.url,
+    token: entry.encryptedToken ? this.decryptApiKey(entry.encryptedToken) : null,
+    enabled: entry.enabled
+  };
+};
+
 // Password hashing middleware
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password') || !this.password) {
@@ -303,6 +531,33 @@ UserSchema.methods.toClientObject = function() {
     }));
   }
   
+  if (obj.customEndpoints) {
+    obj.customEndpoints = obj.customEndpoints.map(e => ({
+      slug: e.slug,
+      name: e.name,
+      baseURL: e.baseURL,
+      keyId: e.keyId,
+      models: e.models,
+      defaultModel: e.defaultModel,
+      pricing: e.pricing,
+      addedAt: e.addedAt
+    }));
+  }
+
+  if (obj.mcpServers) {
+    obj.mcpServers = obj.mcpServers.map(s => ({
+      slug: s.slug,
+      name: s.name,
+      transport: s.transport,
+      command: s.command,
+      args: s.args,
+      url: s.url,
+      keyId: s.keyId,
+      enabled: s.enabled,
+      addedAt: s.addedAt
+    }));
+  }
+  
   return obj;
 };
 
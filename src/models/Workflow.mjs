@@ -0,0 +1,47 @@
+/**
+ * Workflow Model for MongoDB
+ * User-authored collaboration workflows (declarative collaboration modes).
+ * The original JSON/YAML text is kept alongside the parsed definition so users
+ * get back exactly what they wrote.
+ */
+
+import mongoose from 'mongoose';
+
+const WorkflowSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  // Definition id; run as collaboration mode 'workflow:<workflowId>'
+  workflowId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  format: {
+    type: String,
+    enum: ['json', 'yaml'],
+    default: 'json'
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  definition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { timestamps: true });
+
+WorkflowSchema.index({ userId: 1, workflowId: 1 }, { unique: true });
+
+export const Workflow = mongoose.model('Workflow', WorkflowSchema);
+
+export default Workflow;
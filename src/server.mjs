@@ -28,6 +28,10 @@ import { initializePassport } from './config/passport.mjs';
 import initializeWebSocketHandler from './wsHandler.mjs';
 import apiRouter from './api/index.mjs';
 import { initializeUploads } from './api/upload.mjs'; // Import initialization function
+import { initializeRedis, closeRedis } from './lib/messaging/redis.mjs';
+import { restorePersistedState } from './lib/mcp/index.mjs';
+import { initializeRateLimiter, loadRateLimitPolicies } from './lib/rateLimit/rateLimiter.mjs';
+import { getTrustProxy } from './lib/rateLimit/clientAddress.mjs';
 
 // --- Configuration & Setup ---
 dotenv.config();
@@ -107,6 +111,10 @@ mongoose.connect(MONGO_URI, {
 // Add connection event listeners for better monitoring
 mongoose.connection.on('connected', () => {
   console.log('📊 Mongoose connected to MongoDB');
+  // Bring back MCP contexts and queued operations from before a restart
+  restorePersistedState();
+  // Apply the rate limit policies admins saved in the settings
+  loadRateLimitPolicies();
   // Re-initialize WebSocket server if it was closed due to MongoDB disconnection
   if (!wss && server && server.listening) {
     wss = new WebSocketServer({ noServer: true }); // Use noServer to handle upgrade manually
@@ -164,12 +172,24 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// --- Event Bus ---
+// Uses Redis when REDIS_URL is set so collaboration events reach every server instance
+initializeRedis().catch(err => {
+  console.error('❌ Event bus initialization failed:', err.message);
+});
+
+// --- Rate Limiting ---
+// Buckets go to Redis too when it is configured, so limits hold across instances
+initializeRateLimiter().catch(err => {
+  console.error('❌ Rate limiter initialization failed:', err.message);
+});
+
 // --- Express App Setup ---
 const app = express();
 const server = http.createServer(app);
 
-// Trust proxy headers (required for services like Render)
-app.set('trust proxy', true);
+// Trust X-Forwarded-For only from the proxies TRUST_PROXY names (1 hop on Render)
+app.set('trust proxy', getTrustProxy());
 
 // --- CORS Configuration ---
 // Get allowed origins from environment variable
@@ -407,7 +427,9 @@ const shutdown = (signal) => {
         wss.clients.forEach(client => client.terminate());
         console.log('WebSocket connections terminated');
         // Add any other cleanup logic here (e.g., database connections)
-        process.exit(0);
+        closeRedis()
+            .catch(err => console.error('❌ Error closing event bus:', err.message))
+            .finally(() => process.exit(0));
     });
 };
 
@@ -4,6 +4,8 @@
  */
 
 import { User } from '../models/User.mjs';
+import providerRegistry from '../lib/ai/providers/index.mjs';
+import { getSpend } from './usageLedgerService.mjs';
 
 class ApiKeyService {
   /**
@@ -26,14 +28,7 @@ class ApiKeyService {
       // If database is not connected, only system keys are available
       if (connectionState !== 1) {
         console.log(`⚠️ MongoDB not connected (state: ${connectionState}). Falling back to system keys only.`);
-        const systemKey = this.getSystemApiKey(provider);
-        if (systemKey) {
-          return {
-            key: systemKey,
-            source: 'system'
-          };
-        }
-        return null;
+        return this.getSystemKeyInfo(provider);
       }
       
       // First, try to get user's API key
@@ -122,17 +117,8 @@ class ApiKeyService {
         console.log(`⚠️ No userId provided to getApiKey`);
       }
 
-      // Fall back to system API key
-      const systemKey = this.getSystemApiKey(provider);
-      if (systemKey) {
-        return {
-          key: systemKey,
-          source: 'system'
-        };
-      }
-
-      // No API key available
-      return null;
+      // Fall back to system API key (null when no key is available)
+      return this.getSystemKeyInfo(provider);
     } catch (error) {
       console.error(`Error getting API key for ${provider}:`, error);
       return null;
@@ -140,19 +126,89 @@ class ApiKeyService {
   }
 
   /**
-   * Get system API key from environment
+   * Get system API key from environment (env var names are declared by each provider adapter)
    */
   getSystemApiKey(provider) {
-    const keyMap = {
-      'openai': process.env.OPENAI_API_KEY,
-      'anthropic': process.env.ANTHROPIC_API_KEY,
-      'google': process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY,
-      'deepseek': process.env.DEEPSEEK_API_KEY,
-      'grok': process.env.GROK_API_KEY || process.env.XAI_API_KEY,
-      'llama': process.env.LLAMA_API_KEY || process.env.GROQ_API_KEY
-    };
-
-    return keyMap[provider] || null;
+    return providerRegistry.getSystemApiKey(provider);
+  }
+
+  /**
+   * Build the system key result for a provider. Self-hosted providers that do not
+   * require a key are reported as available with an empty key.
+   */
+  getSystemKeyInfo(provider) {
+    const systemKey = this.getSystemApiKey(provider);
+    if (systemKey) {
+      return {
+        key: systemKey,
+        source: 'system'
+      };
+    }
+
+    const adapter = providerRegistry.get(provider);
+    if (adapter && !adapter.requiresApiKey) {
+      return {
+        key: '',
+        source: 'system'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a persisted user by ID, or null for temporary/invalid IDs or when MongoDB is down
+   */
+  async findPersistedUser(userId) {
+    const mongoose = (await import('mongoose')).default;
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+    if (!userId || userId.startsWith('user-') || !/^[0-9a-fA-F]{24}$/.test(userId)) {
+      return null;
+    }
+
+    try {
+      return await User.findById(userId).maxTimeMS(5000);
+    } catch (error) {
+      console.log(`⚠️ Database error looking up user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get a user's custom OpenAI-compatible endpoint (with decrypted key) by slug
+   */
+  async getCustomEndpoint(userId, slug) {
+    const user = await this.findPersistedUser(userId);
+    if (!user) {
+      return null;
+    }
+    return user.getCustomEndpoint(slug);
+  }
+
+  /**
+   * List a user's custom endpoints (without keys)
+   */
+  async getCustomEndpoints(userId) {
+    const user = await this.findPersistedUser(userId);
+    if (!user) {
+      return [];
+    }
+    return user.toClientObject().customEndpoints || [];
+  }
+
+  /**
+   * List a user's enabled MCP servers (with decrypted tokens)
+   */
+  async getMcpServers(userId) {
+    const user = await this.findPersistedUser(userId);
+    if (!user) {
+      return [];
+    }
+    return (user.mcpServers || [])
+      .filter(server => server.enabled)
+      .map(server => user.getMcpServer(server.slug));
   }
 
   /**
@@ -167,10 +223,9 @@ class ApiKeyService {
    * Get available providers for a user
    */
   async getAvailableProviders(userId) {
-    const providers = ['openai', 'anthropic', 'google', 'deepseek', 'grok', 'llama'];
     const available = [];
 
-    for (const provider of providers) {
+    for (const provider of providerRegistry.ids()) {
       const isAvailable = await this.isProviderAvailable(userId, provider);
       if (isAvailable) {
         available.push(provider);
@@ -202,17 +257,22 @@ class ApiKeyService {
   }
 
   /**
-   * Check if user has exceeded cost alert threshold
+   * Check if user's spend this month has reached their cost alert threshold (0 turns it off)
    */
   async checkCostAlert(userId) {
     if (!userId) return false;
 
     try {
-      const user = await User.findById(userId);
+      const user = await User.findById(userId, { 'settings.costAlertThreshold': 1 }).lean();
       if (!user) return false;
 
-      const threshold = user.settings?.costAlertThreshold || 10;
-      return user.usage.totalCost >= threshold;
+      const threshold = user.settings?.costAlertThreshold ?? 10;
+      if (threshold <= 0) return false;
+
+      const monthStart = new Date();
+      monthStart.setDate(1);
+      monthStart.setHours(0, 0, 0, 0);
+      return await getSpend(userId, { since: monthStart }) >= threshold;
     } catch (error) {
       console.error('Error checking cost alert:', error);
       return false;
@@ -0,0 +1,585 @@
+/**
+ * Budget Service
+ * Daily, weekly and monthly spending limits, for all of a user's usage or for one project
+ * or provider key, measured on the usage ledger. Every recorded call is checked against
+ * the user's budgets: crossing a soft threshold sends an alert (once per period), and
+ * once a hard threshold is reached checkBudgets refuses new requests until the period ends.
+ * The user's cost alert threshold (settings.costAlertThreshold) alerts on monthly spend.
+ */
+
+import mongoose from 'mongoose';
+import { Budget, BUDGET_SCOPES, BUDGET_PERIODS, DEFAULT_SOFT_THRESHOLDS } from '../models/Budget.mjs';
+import { User } from '../models/User.mjs';
+import apiKeyService from './apiKeyService.mjs';
+import providerRegistry from '../lib/ai/providers/index.mjs';
+import { getSpend, onUsageRecorded } from './usageLedgerService.mjs';
+import {
+  checkWebhookUrl,
+  registerNotifier,
+  deliverAlert,
+  createWebSocketNotifier,
+  createWebhookNotifier,
+  createEmailNotifier
+} from '../lib/billing/budgetNotifiers.mjs';
+
+export const MAX_BUDGETS_PER_USER = 50;
+const MAX_LIMIT_USD = 1000000;
+const MAX_THRESHOLDS = 10;
+
+let alertsInitialized = false;
+
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Users stored in MongoDB; temporary (guest) users have no settings or usage counters
+function isPersistentUser(userId) {
+  return /^[0-9a-fA-F]{24}$/.test(String(userId || ''));
+}
+
+function round(amount) {
+  return Math.round(amount * 10000) / 10000;
+}
+
+/**
+ * The period containing a moment, in server time. Weeks start on Monday.
+ * @param {'daily'|'weekly'|'monthly'} period
+ * @param {Date} [now]
+ * @returns {{start: Date, end: Date}} end is the start of the next period
+ */
+export function getPeriodRange(period, now = new Date()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  if (period === 'monthly') {
+    start.setDate(1);
+    end.setTime(start.getTime());
+    end.setMonth(end.getMonth() + 1);
+  } else if (period === 'weekly') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    end.setTime(start.getTime());
+    end.setDate(end.getDate() + 7);
+  } else {
+    end.setDate(end.getDate() + 1);
+  }
+  return { start, end };
+}
+
+function describe(budget) {
+  if (budget.name) return budget.name;
+  const period = budget.period.charAt(0).toUpperCase() + budget.period.slice(1);
+  if (budget.scope === 'project') return `${period} budget for project ${budget.scopeId}`;
+  if (budget.scope === 'provider') return `${period} budget for ${budget.scopeId}`;
+  return `${period} budget`;
+}
+
+function toBudgetInfo(budget) {
+  return {
+    id: String(budget._id),
+    name: describe(budget),
+    scope: budget.scope,
+    scopeId: budget.scopeId,
+    period: budget.period,
+    limitUSD: budget.limitUSD,
+    softThresholds: budget.softThresholds,
+    hardThreshold: budget.hardThreshold,
+    notify: {
+      email: Boolean(budget.notify?.email),
+      webhookUrl: budget.notify?.webhookUrl || null
+    },
+    enabled: budget.enabled
+  };
+}
+
+/**
+ * The agent name the ledger records for a provider id, agent name or alias
+ * ('anthropic' and 'Claude' are both 'claude'); null for unknown providers
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function toProviderKey(name) {
+  const agentName = providerRegistry.getAgentName(name);
+  if (!agentName) return null;
+  // Namespaced adapters only serve named agents ('custom:<endpoint>')
+  if (providerRegistry.isNamespaced(agentName) && !/:.+/.test(agentName)) return null;
+  return agentName;
+}
+
+/**
+ * @param {Object} budget
+ * @param {{projectId?: string|null, providers?: string[]}} request
+ */
+function appliesTo(budget, { projectId = null, providers = [] }) {
+  if (budget.scope === 'project') return Boolean(projectId) && budget.scopeId === projectId;
+  if (budget.scope === 'provider') {
+    const key = toProviderKey(budget.scopeId) || budget.scopeId;
+    return providers.some(provider => (toProviderKey(provider) || provider) === key);
+  }
+  return true;
+}
+
+/**
+ * Spend against a budget in its current period
+ * @returns {Promise<Object>} { spentUSD, percentUsed, periodStart, periodEnd, blockAtUSD, remainingUSD, blocked }
+ */
+async function measure(budget, now = new Date()) {
+  const { start, end } = getPeriodRange(budget.period, now);
+  const spentUSD = await getSpend(budget.userId, {
+    since: start,
+    projectId: budget.scope === 'project' ? budget.scopeId : null,
+    provider: budget.scope === 'provider' ? toProviderKey(budget.scopeId) || budget.scopeId : null
+  });
+  const blockAtUSD = budget.hardThreshold === null || budget.hardThreshold === undefined
+    ? null
+    : round(budget.limitUSD * budget.hardThreshold / 100);
+  return {
+    spentUSD,
+    percentUsed: Math.round((spentUSD / budget.limitUSD) * 1000) / 10,
+    periodStart: start,
+    periodEnd: end,
+    blockAtUSD,
+    remainingUSD: round(Math.max(0, (blockAtUSD ?? budget.limitUSD) - spentUSD)),
+    blocked: blockAtUSD !== null && spentUSD >= blockAtUSD
+  };
+}
+
+function validateThreshold(value, field) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > 1000) {
+    return `${field} must be a percentage between 0 and 1000`;
+  }
+  return null;
+}
+
+/**
+ * Checks a budget definition and fills in defaults
+ * @param {Object} input
+ * @returns {{value: Object}|{error: string}}
+ */
+export function validateBudget(input) {
+  const scope = input.scope || 'user';
+  if (!BUDGET_SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${BUDGET_SCOPES.join(', ')}` };
+  }
+  let scopeId = scope === 'user' ? null : String(input.scopeId || '').trim();
+  if (scope !== 'user' && (!scopeId || scopeId.length > 100)) {
+    return { error: `A ${scope} budget needs a scopeId (the ${scope === 'project' ? 'project id' : 'provider'}) of up to 100 characters` };
+  }
+  if (scope === 'provider') {
+    const providerKey = toProviderKey(scopeId);
+    if (!providerKey) {
+      return { error: `Unknown provider '${scopeId}'. Use one of: ${providerRegistry.agentNames().join(', ')}, or custom:<endpoint>` };
+    }
+    scopeId = providerKey;
+  }
+  if (!BUDGET_PERIODS.includes(input.period)) {
+    return { error: `period must be one of: ${BUDGET_PERIODS.join(', ')}` };
+  }
+  if (typeof input.limitUSD !== 'number' || !Number.isFinite(input.limitUSD) || input.limitUSD <= 0 || input.limitUSD > MAX_LIMIT_USD) {
+    return { error: `limitUSD must be a positive amount up to ${MAX_LIMIT_USD}` };
+  }
+
+  const softThresholds = input.softThresholds === undefined ? DEFAULT_SOFT_THRESHOLDS : input.softThresholds;
+  if (!Array.isArray(softThresholds) || softThresholds.length > MAX_THRESHOLDS) {
+    return { error: `softThresholds must be a list of up to ${MAX_THRESHOLDS} percentages` };
+  }
+  for (const threshold of softThresholds) {
+    const error = validateThreshold(threshold, 'softThresholds');
+    if (error) return { error };
+  }
+  const hardThreshold = input.hardThreshold === undefined ? null : input.hardThreshold;
+  if (hardThreshold !== null) {
+    const error = validateThreshold(hardThreshold, 'hardThreshold');
+    if (error) return { error };
+  }
+
+  const webhookUrl = input.notify?.webhookUrl || null;
+  if (webhookUrl) {
+    try {
+      const url = new URL(webhookUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Unsupported protocol');
+    } catch {
+      return { error: 'notify.webhookUrl must be a valid http(s) URL' };
+    }
+  }
+  if (input.name !== undefined && (typeof input.name !== 'string' || input.name.length > 100)) {
+    return { error: 'name must be text of up to 100 characters' };
+  }
+
+  return {
+    value: {
+      name: (input.name || '').trim(),
+      scope,
+      scopeId,
+      period: input.period,
+      limitUSD: input.limitUSD,
+      softThresholds: [...new Set(softThresholds)].sort((a, b) => a - b),
+      hardThreshold,
+      notify: { email: Boolean(input.notify?.email), webhookUrl },
+      enabled: input.enabled === undefined ? true : Boolean(input.enabled)
+    }
+  };
+}
+
+/**
+ * Lists a user's budgets with their spend in the current period
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+export async function listBudgets(userId) {
+  const budgets = await Budget.find({ userId: String(userId) }).sort({ createdAt: 1 }).lean();
+  const now = new Date();
+  return Promise.all(budgets.map(async budget => ({
+    ...toBudgetInfo(budget),
+    status: await measure(budget, now)
+  })));
+}
+
+/**
+ * validateBudget, plus a check that the webhook URL only resolves to public addresses
+ * @param {Object} input
+ * @returns {Promise<{value: Object}|{error: string}>}
+ */
+async function validateBudgetDefinition(input) {
+  const result = validateBudget(input);
+  if (result.error || !result.value.notify.webhookUrl) return result;
+  const error = await checkWebhookUrl(result.value.notify.webhookUrl);
+  return error ? { error } : result;
+}
+
+/**
+ * @param {string} userId
+ * @param {Object} input - Budget definition (see validateBudget)
+ * @returns {Promise<{success: boolean, budget?: Object, error?: string}>}
+ */
+export async function createBudget(userId, input) {
+  const { value, error } = await validateBudgetDefinition(input);
+  if (error) return { success: false, error };
+
+  const count = await Budget.countDocuments({ userId: String(userId) });
+  if (count >= MAX_BUDGETS_PER_USER) {
+    return { success: false, error: `You can have up to ${MAX_BUDGETS_PER_USER} budgets` };
+  }
+  const budget = await Budget.create({ ...value, userId: String(userId) });
+  return { success: true, budget: { ...toBudgetInfo(budget), status: await measure(budget) } };
+}
+
+/**
+ * Changes a budget; fields left out keep their values
+ * @param {string} userId
+ * @param {string} budgetId
+ * @param {Object} input
+ * @returns {Promise<{success: boolean, budget?: Object, error?: string}|null>} null if there is no such budget
+ */
+export async function updateBudget(userId, budgetId, input) {
+  if (!mongoose.Types.ObjectId.isValid(budgetId)) return null;
+  const existing = await Budget.findOne({ _id: budgetId, userId: String(userId) });
+  if (!existing) return null;
+
+  const current = toBudgetInfo(existing);
+  const { value, error } = await validateBudgetDefinition({
+    ...current,
+    name: existing.name,
+    ...input,
+    notify: { ...current.notify, ...(input.notify || {}) }
+  });
+  if (error) return { success: false, error };
+
+  // A new limit or scope starts the alerts of the period over
+  existing.set({ ...value, alerts: { periodStart: null, notified: [] } });
+  await existing.save();
+  return { success: true, budget: { ...toBudgetInfo(existing), status: await measure(existing) } };
+}
+
+/**
+ * @param {string} userId
+ * @param {string} budgetId
+ * @returns {Promise<boolean>} True if a budget was deleted
+ */
+export async function deleteBudget(userId, budgetId) {
+  if (!mongoose.Types.ObjectId.isValid(budgetId)) return false;
+  const result = await Budget.deleteOne({ _id: budgetId, userId: String(userId) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Checks the budgets with a hard threshold that cover a request
+ * @param {string} userId
+ * @param {Object} request
+ * @param {string|null} [request.projectId]
+ * @param {string[]} [request.providers] - Agents the request will call
+ * @returns {Promise<{refusal: Object|null, remainingUSD: number}>} The refusal if one is used up,
+ *   and how much can still be spent before any of them blocks (Infinity without any)
+ */
+export async function checkBudgets(userId, { projectId = null, providers = [] } = {}) {
+  if (!userId || !isDatabaseReady()) return { refusal: null, remainingUSD: Infinity };
+  try {
+    const budgets = (await Budget.find({
+      userId: String(userId),
+      enabled: true,
+      hardThreshold: { $ne: null }
+    }).lean()).filter(budget => appliesTo(budget, { projectId, providers }));
+
+    const now = new Date();
+    let remainingUSD = Infinity;
+    for (const budget of budgets) {
+      const status = await measure(budget, now);
+      if (status.blocked) {
+        return {
+          refusal: {
+            code: 'budget_exceeded',
+            error: `${describe(budget)} is used up: $${status.spentUSD.toFixed(2)} of $${budget.limitUSD.toFixed(2)}. `
+              + `New requests are blocked until ${status.periodEnd.toISOString()}.`,
+            budget: toBudgetInfo(budget),
+            spentUSD: status.spentUSD,
+            periodEnd: status.periodEnd
+          },
+          remainingUSD: 0
+        };
+      }
+      remainingUSD = Math.min(remainingUSD, status.remainingUSD);
+    }
+    return { refusal: null, remainingUSD };
+  } catch (error) {
+    console.error(`❌ Failed to check budgets for user ${userId}:`, error.message);
+    return { refusal: null, remainingUSD: Infinity };
+  }
+}
+
+// The user-wide daily budget that the usage settings' "daily limit" edits
+function findDailyLimitBudget(userId) {
+  return Budget.findOne({ userId: String(userId), scope: 'user', period: 'daily' }).sort({ createdAt: 1 });
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<number|null>} The daily limit in USD, or null without one
+ */
+export async function getDailyLimit(userId) {
+  if (!userId || !isDatabaseReady()) return null;
+  const budget = await findDailyLimitBudget(userId).lean();
+  return budget?.enabled ? budget.limitUSD : null;
+}
+
+/**
+ * Sets the user-wide daily limit: a daily budget that alerts at 50/80/100% and blocks at 100%
+ * @param {string} userId
+ * @param {number} limit - USD; 0 removes the limit
+ * @returns {Promise<Object>} { success, userId, limit, currentUsage, remaining, exceeded }
+ */
+export async function setDailyLimit(userId, limit) {
+  try {
+    if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+      throw new Error('Invalid budget limit');
+    }
+    if (!isDatabaseReady()) {
+      throw new Error('Budgets are unavailable');
+    }
+
+    const existing = await findDailyLimitBudget(userId);
+    if (limit === 0) {
+      if (existing) await existing.deleteOne();
+      return { success: true, userId: String(userId), limit: 0, currentUsage: 0, remaining: 0, exceeded: false };
+    }
+
+    let budget = existing;
+    if (budget) {
+      budget.set({ limitUSD: limit, hardThreshold: 100, enabled: true, alerts: { periodStart: null, notified: [] } });
+      await budget.save();
+    } else {
+      const { value } = validateBudget({ name: 'Daily limit', period: 'daily', limitUSD: limit, hardThreshold: 100 });
+      budget = await Budget.create({ ...value, userId: String(userId) });
+    }
+    const status = await measure(budget);
+    return {
+      success: true,
+      userId: String(userId),
+      limit,
+      currentUsage: status.spentUSD,
+      remaining: status.remainingUSD,
+      exceeded: status.blocked
+    };
+  } catch (error) {
+    console.error('Error setting daily budget limit:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * The user's cost alert: this month's spend against settings.costAlertThreshold
+ * @param {string} userId
+ * @returns {Promise<Object|null>} { thresholdUSD, spentUSD, periodStart, periodEnd, reached }, null for guests
+ */
+export async function getCostAlert(userId) {
+  if (!isPersistentUser(userId) || !isDatabaseReady()) return null;
+  const user = await User.findById(userId, { 'settings.costAlertThreshold': 1 }).lean();
+  if (!user) return null;
+  const thresholdUSD = user.settings?.costAlertThreshold ?? 10;
+  const { start, end } = getPeriodRange('monthly');
+  const spentUSD = await getSpend(userId, { since: start });
+  return { thresholdUSD, spentUSD, periodStart: start, periodEnd: end, reached: thresholdUSD > 0 && spentUSD >= thresholdUSD };
+}
+
+/**
+ * @param {string} userId
+ * @param {number} threshold - USD of monthly spend; 0 turns the alert off
+ * @returns {Promise<{success: boolean, costAlert?: Object, error?: string}>}
+ */
+export async function setCostAlertThreshold(userId, threshold) {
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > MAX_LIMIT_USD) {
+    return { success: false, error: `threshold must be an amount between 0 and ${MAX_LIMIT_USD}` };
+  }
+  if (!isPersistentUser(userId)) {
+    return { success: false, error: 'Sign in to set a cost alert' };
+  }
+  // A new threshold may be reached again this month
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'settings.costAlertThreshold': threshold, 'usage.costAlertNotifiedAt': null } }
+  );
+  return { success: true, costAlert: await getCostAlert(userId) };
+}
+
+/**
+ * Alerts for the thresholds a budget has newly crossed. Each threshold is claimed in the
+ * database first, so concurrent calls alert it once.
+ */
+async function evaluateBudget(budget, now) {
+  const status = await measure(budget, now);
+  const thresholds = [...new Set([
+    ...budget.softThresholds,
+    ...(budget.hardThreshold !== null && budget.hardThreshold !== undefined ? [budget.hardThreshold] : [])
+  ])].filter(threshold => status.percentUsed >= threshold).sort((a, b) => a - b);
+  if (thresholds.length === 0) return;
+
+  // Alerts of an earlier period no longer count
+  await Budget.updateOne(
+    { _id: budget._id, 'alerts.periodStart': { $ne: status.periodStart } },
+    { $set: { alerts: { periodStart: status.periodStart, notified: [] } } }
+  );
+
+  const claimed = [];
+  for (const threshold of thresholds) {
+    const result = await Budget.updateOne(
+      { _id: budget._id, 'alerts.periodStart': status.periodStart, 'alerts.notified': { $ne: threshold } },
+      { $addToSet: { 'alerts.notified': threshold } }
+    );
+    if (result.modifiedCount > 0) claimed.push(threshold);
+  }
+  if (claimed.length === 0) return;
+
+  // One alert, for the highest threshold reached
+  const threshold = claimed[claimed.length - 1];
+  const level = budget.hardThreshold !== null && budget.hardThreshold !== undefined && threshold >= budget.hardThreshold
+    ? 'hard'
+    : 'soft';
+  const spent = `$${status.spentUSD.toFixed(2)} of $${budget.limitUSD.toFixed(2)}`;
+  await deliverAlert({
+    userId: budget.userId,
+    budget: toBudgetInfo(budget),
+    threshold,
+    level,
+    spentUSD: status.spentUSD,
+    percentUsed: status.percentUsed,
+    periodStart: status.periodStart,
+    periodEnd: status.periodEnd,
+    message: level === 'hard'
+      ? `${describe(budget)} is used up (${spent}). New requests are blocked until ${status.periodEnd.toISOString()}.`
+      : `${describe(budget)} has reached ${threshold}% (${spent}).`
+  });
+}
+
+async function evaluateCostAlert(userId) {
+  if (!await apiKeyService.checkCostAlert(userId)) return;
+  const costAlert = await getCostAlert(userId);
+  const claimed = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'usage.costAlertNotifiedAt': null },
+        { 'usage.costAlertNotifiedAt': { $lt: costAlert.periodStart } }
+      ]
+    },
+    { $set: { 'usage.costAlertNotifiedAt': new Date() } }
+  );
+  if (claimed.modifiedCount === 0) return;
+
+  await deliverAlert({
+    userId,
+    budget: {
+      id: null,
+      name: 'Cost alert',
+      scope: 'user',
+      scopeId: null,
+      period: 'monthly',
+      limitUSD: costAlert.thresholdUSD,
+      hardThreshold: null,
+      notify: { email: false, webhookUrl: null }
+    },
+    threshold: 100,
+    level: 'soft',
+    spentUSD: costAlert.spentUSD,
+    percentUsed: Math.round((costAlert.spentUSD / costAlert.thresholdUSD) * 1000) / 10,
+    periodStart: costAlert.periodStart,
+    periodEnd: costAlert.periodEnd,
+    message: `You have spent $${costAlert.spentUSD.toFixed(2)} this month, over your cost alert of $${costAlert.thresholdUSD.toFixed(2)}.`
+  });
+}
+
+/**
+ * Ledger listener: updates the user's usage counters and alerts crossed thresholds
+ * @param {Object} entry - The recorded UsageEntry
+ */
+async function handleUsage(entry) {
+  const persistent = isPersistentUser(entry.userId);
+  if (persistent) {
+    await apiKeyService.updateUsageStats(entry.userId, entry.cost);
+  }
+
+  const budgets = (await Budget.find({ userId: entry.userId, enabled: true }).lean())
+    .filter(budget => appliesTo(budget, { projectId: entry.projectId, providers: [entry.provider] }));
+  const now = new Date();
+  for (const budget of budgets) {
+    await evaluateBudget(budget, now);
+  }
+
+  if (persistent) {
+    await evaluateCostAlert(entry.userId);
+  }
+}
+
+async function lookupEmail(userId) {
+  if (!isPersistentUser(userId)) return null;
+  const user = await User.findById(userId, { email: 1 }).lean();
+  return user?.email || null;
+}
+
+/**
+ * Starts watching the ledger and registers the built-in notifiers: WebSocket, webhook
+ * (per budget) and email (per budget, when EMAIL_SERVER is set and nodemailer installed)
+ * @param {Object} options
+ * @param {function(string, Object): void} options.broadcast - Sends a message to every connection of a user
+ */
+export function initializeBudgetAlerts({ broadcast }) {
+  registerNotifier('websocket', createWebSocketNotifier(broadcast));
+  if (alertsInitialized) return;
+  alertsInitialized = true;
+  registerNotifier('webhook', createWebhookNotifier());
+  registerNotifier('email', createEmailNotifier({ lookupEmail }));
+  onUsageRecorded(handleUsage);
+}
+
+export default {
+  getPeriodRange,
+  toProviderKey,
+  validateBudget,
+  listBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  checkBudgets,
+  getDailyLimit,
+  setDailyLimit,
+  getCostAlert,
+  setCostAlertThreshold,
+  initializeBudgetAlerts
+};
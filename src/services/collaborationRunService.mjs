@@ -0,0 +1,263 @@
+/**
+ * Collaboration Run Service
+ * Persists collaboration transcripts: one CollaborationRun per collaboration,
+ * with a step appended for every agent call the collaboration makes.
+ * Recording is best-effort; a database problem never fails the collaboration itself.
+ */
+
+import mongoose from 'mongoose';
+import { CollaborationRun } from '../models/CollaborationRun.mjs';
+import { recordUsage } from './usageLedgerService.mjs';
+
+// Upper bound for any single stored text (prompt/output); keeps runs well under the 16MB document limit
+const MAX_TEXT_LENGTH = 200000;
+
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function truncate(text) {
+  if (text === null || text === undefined) return '';
+  const value = typeof text === 'string' ? text : JSON.stringify(text);
+  if (value.length <= MAX_TEXT_LENGTH) return value;
+  return `${value.slice(0, MAX_TEXT_LENGTH)}\n…[truncated ${value.length - MAX_TEXT_LENGTH} characters]`;
+}
+
+/**
+ * Strips the event channel prefix ('collab:<id>') to get the collaboration session id
+ * @param {string} channelOrSessionId
+ * @returns {string}
+ */
+export function toCollaborationSessionId(channelOrSessionId) {
+  return String(channelOrSessionId || '').replace(/^collab:/, '');
+}
+
+/**
+ * Creates the run record when a collaboration starts
+ * @param {Object} params
+ * @param {string} params.collaborationSessionId
+ * @param {string} params.userId
+ * @param {string|null} [params.conversationSessionId] - Conversation the collaboration belongs to
+ * @param {string|null} [params.projectId] - Project the collaboration was started for
+ * @param {string} params.mode
+ * @param {string[]} params.agents
+ * @param {Object} [params.models] - Requested model per agent
+ * @param {string} params.prompt
+ * @returns {Promise<Object|null>} The run, or null if it could not be stored
+ */
+export async function startRun({ collaborationSessionId, userId, conversationSessionId = null, projectId = null, mode, agents, models = {}, prompt }) {
+  if (!isDatabaseReady()) return null;
+  try {
+    const sanitizedModels = {};
+    Object.entries(models || {}).forEach(([agent, requested]) => {
+      // Chat messages send each agent's model as [modelId]
+      const model = Array.isArray(requested) ? requested[0] : requested;
+      if (typeof model === 'string' && model) sanitizedModels[agent] = model;
+    });
+
+    return await CollaborationRun.create({
+      collaborationSessionId: toCollaborationSessionId(collaborationSessionId),
+      userId: String(userId),
+      conversationSessionId,
+      projectId,
+      mode,
+      agents,
+      models: sanitizedModels,
+      prompt: truncate(prompt)
+    });
+  } catch (error) {
+    console.error(`❌ Failed to create collaboration run ${collaborationSessionId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Appends one agent call to a run's transcript and to the usage ledger
+ * @param {string} collaborationSessionId - Session id or its 'collab:' event channel
+ * @param {Object} step
+ * @param {string} step.phase - Collaboration phase (draft, critique, vote, synthesis, ...)
+ * @param {string} step.agent
+ * @param {string} [step.model]
+ * @param {string} [step.systemPrompt]
+ * @param {string} [step.userPrompt]
+ * @param {string} [step.output]
+ * @param {string} [step.error] - Set for failed calls
+ * @param {number} [step.inputTokens]
+ * @param {number} [step.outputTokens]
+ * @param {'provider'|'exact'|'estimate'} [step.tokenSource] - Where the token counts came from (see tokenizer.mjs)
+ * @param {Date|number} [step.startedAt]
+ * @param {{input: number, output: number}} [step.pricing] - Per-million price override (custom endpoints)
+ * @returns {Promise<void>}
+ */
+export async function recordStep(collaborationSessionId, step) {
+  if (!collaborationSessionId || !isDatabaseReady()) return;
+  try {
+    const completedAt = new Date();
+    const startedAt = step.startedAt ? new Date(step.startedAt) : completedAt;
+    const runId = toCollaborationSessionId(collaborationSessionId);
+    const run = await CollaborationRun.findOne({ collaborationSessionId: runId }, { userId: 1, conversationSessionId: 1, projectId: 1 }).lean();
+    if (!run) return;
+
+    // Priced once, by the ledger; the step keeps the same cost
+    const entry = await recordUsage({
+      userId: run.userId,
+      sessionId: run.conversationSessionId,
+      runId,
+      projectId: run.projectId || null,
+      phase: step.phase || 'unknown',
+      source: 'collaboration',
+      provider: step.agent,
+      model: step.model,
+      inputTokens: step.inputTokens,
+      outputTokens: step.outputTokens,
+      tokenSource: step.tokenSource,
+      pricing: step.pricing,
+      failed: Boolean(step.error)
+    });
+    const { inputTokens, outputTokens, cost } = entry;
+
+    await CollaborationRun.updateOne(
+      { collaborationSessionId: runId },
+      {
+        $push: {
+          steps: {
+            phase: step.phase || 'unknown',
+            agent: step.agent,
+            model: step.model || null,
+            systemPrompt: truncate(step.systemPrompt),
+            userPrompt: truncate(step.userPrompt),
+            output: truncate(step.output),
+            status: step.error ? 'failed' : 'completed',
+            error: step.error || null,
+            inputTokens,
+            outputTokens,
+            tokenSource: step.tokenSource || null,
+            latencyMs: completedAt.getTime() - startedAt.getTime(),
+            cost,
+            startedAt,
+            completedAt
+          }
+        },
+        $inc: {
+          totalInputTokens: inputTokens,
+          totalOutputTokens: outputTokens,
+          totalCost: cost
+        }
+      }
+    );
+  } catch (error) {
+    console.error(`❌ Failed to record ${step.phase} step for ${step.agent} in run ${collaborationSessionId}:`, error.message);
+  }
+}
+
+/**
+ * Stores the judge's scorecard of an adversarial debate on its run
+ * @param {string} collaborationSessionId - Session id or its 'collab:' event channel
+ * @param {Object} scorecard
+ * @returns {Promise<void>}
+ */
+export async function recordScorecard(collaborationSessionId, scorecard) {
+  if (!collaborationSessionId || !scorecard || !isDatabaseReady()) return;
+  try {
+    await CollaborationRun.updateOne(
+      { collaborationSessionId: toCollaborationSessionId(collaborationSessionId) },
+      { $set: { scorecard } }
+    );
+  } catch (error) {
+    console.error(`❌ Failed to store scorecard for run ${collaborationSessionId}:`, error.message);
+  }
+}
+
+/**
+ * Marks a run as finished
+ * @param {string} collaborationSessionId
+ * @param {Object} outcome
+ * @param {Object} [outcome.result] - Collaboration result ({ final, rationale, spentUSD })
+ * @param {Error|string} [outcome.error] - Set when the collaboration failed
+ * @returns {Promise<void>}
+ */
+export async function finishRun(collaborationSessionId, { result = null, error = null } = {}) {
+  if (!isDatabaseReady()) return;
+  try {
+    const id = toCollaborationSessionId(collaborationSessionId);
+    const run = await CollaborationRun.findOne({ collaborationSessionId: id }, { startedAt: 1 });
+    if (!run) return;
+
+    const completedAt = new Date();
+    await CollaborationRun.updateOne(
+      { collaborationSessionId: id },
+      {
+        $set: {
+          status: error ? 'failed' : 'completed',
+          final: result?.final ? truncate(result.final) : null,
+          rationale: result?.rationale ? truncate(result.rationale) : null,
+          spentUSD: result?.spentUSD || 0,
+          error: error ? (error.message || String(error)) : null,
+          completedAt,
+          durationMs: completedAt.getTime() - run.startedAt.getTime()
+        }
+      }
+    );
+  } catch (err) {
+    console.error(`❌ Failed to finish collaboration run ${collaborationSessionId}:`, err.message);
+  }
+}
+
+/**
+ * Lists a user's runs for one conversation, newest first, without step bodies
+ * @param {string} userId
+ * @param {string} conversationSessionId
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {number} [options.skip=0]
+ * @returns {Promise<{runs: Object[], total: number}>}
+ */
+export async function listRunsForConversation(userId, conversationSessionId, { limit = 20, skip = 0 } = {}) {
+  const filter = { userId: String(userId), conversationSessionId };
+  const [runs, total] = await Promise.all([
+    CollaborationRun.aggregate([
+      { $match: filter },
+      { $sort: { startedAt: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          collaborationSessionId: 1,
+          conversationSessionId: 1,
+          mode: 1,
+          agents: 1,
+          models: 1,
+          prompt: 1,
+          status: 1,
+          final: 1,
+          error: 1,
+          scorecard: 1,
+          totalInputTokens: 1,
+          totalOutputTokens: 1,
+          totalCost: 1,
+          spentUSD: 1,
+          startedAt: 1,
+          completedAt: 1,
+          durationMs: 1,
+          stepCount: { $size: '$steps' }
+        }
+      }
+    ]),
+    CollaborationRun.countDocuments(filter)
+  ]);
+  return { runs, total };
+}
+
+/**
+ * Fetches one run with its full transcript
+ * @param {string} userId - Only the owner's runs are returned
+ * @param {string} collaborationSessionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getRun(userId, collaborationSessionId) {
+  return CollaborationRun.findOne({
+    userId: String(userId),
+    collaborationSessionId: toCollaborationSessionId(collaborationSessionId)
+  }).lean();
+}
@@ -3,7 +3,7 @@
  * Handles MongoDB operations for conversation contexts
  */
 
-import Conversation from '../models/Conversation.mjs';
+import Conversation, { measureMessageTokens } from '../models/Conversation.mjs';
 
 /**
  * Get or create a conversation context
@@ -291,13 +291,13 @@ export async function setConversationContextMode(userId, sessionId, mode) {
  * Set maximum context size for a conversation
  * @param {string} userId - The user's ID
  * @param {string} sessionId - The session ID
- * @param {number} maxSize - The maximum context size
+ * @param {number} maxSize - The maximum context size in tokens
  * @returns {Promise<Object>} - Updated conversation info
  */
 export async function setConversationMaxSize(userId, sessionId, maxSize) {
   try {
     if (!maxSize || maxSize < 1000) {
-      throw new Error('Invalid max context size. Must be at least 1000 characters.');
+      throw new Error('Invalid max context size. Must be at least 1000 tokens.');
     }
     
     const conversation = await getOrCreateConversation(userId, sessionId);
@@ -374,23 +374,11 @@ export async function trimConversationIfNeeded(userId, sessionId) {
     let removed = 0;
     while (conversation.contextSize > conversation.maxContextSize * 0.7 && conversation.messages.length > 1) {
       // Always keep at least the most recent exchange
-      conversation.messages.shift();
+      const dropped = conversation.messages.shift();
       removed++;
       
       // Recalculate context size
-      let size = 0;
-      for (const message of conversation.messages) {
-        if (message.content) {
-          size += message.content.length;
-        }
-        
-        if (message.responses) {
-          for (const [_, responseText] of message.responses.entries()) {
-            size += responseText.length;
-          }
-        }
-      }
-      conversation.contextSize = size;
+      conversation.contextSize -= measureMessageTokens(dropped);
     }
     
     // If we're in summary mode and trimmed messages, update the summary
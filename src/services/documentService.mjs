@@ -0,0 +1,194 @@
+/**
+ * Document Service
+ * Turns uploads into documents: checksums the file, extracts its text, stores a
+ * Document record and enforces per-user quotas. Chat messages attach documents by id.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { Document } from '../models/Document.mjs';
+import { extractDocument } from '../lib/documents/index.mjs';
+import { getOwnerDirectory } from '../lib/uploads.mjs';
+
+export const MAX_DOCUMENTS_PER_USER = 200;
+export const MAX_STORAGE_BYTES_PER_USER = 250 * 1024 * 1024;
+const DEFAULT_STORAGE_LIMITS = { maxDocuments: MAX_DOCUMENTS_PER_USER, maxBytes: MAX_STORAGE_BYTES_PER_USER };
+
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Listing fields; extracted text is only returned on request
+ */
+function summarize(document) {
+  return {
+    id: String(document._id),
+    originalName: document.originalName,
+    kind: document.kind,
+    language: document.language,
+    mimetype: document.mimetype,
+    size: document.size,
+    checksum: document.checksum,
+    status: document.status,
+    error: document.error,
+    truncated: document.truncated,
+    pageCount: document.pageCount,
+    fileCount: document.files?.length || 0,
+    textLength: document.extractedText?.length || 0,
+    warnings: document.warnings || [],
+    createdAt: document.createdAt
+  };
+}
+
+async function removeStoredFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    console.error(`❌ Could not remove upload ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Documents and bytes stored by a user
+ * @param {string} userId
+ * @param {{maxDocuments: number, maxBytes: number}} [limits] - The user's tier limits (see billing/entitlements.mjs)
+ * @returns {Promise<{documents: number, bytes: number, maxDocuments: number, maxBytes: number}>}
+ */
+export async function getStorageUsage(userId, limits = DEFAULT_STORAGE_LIMITS) {
+  const [totals] = await Document.aggregate([
+    { $match: { userId: String(userId) } },
+    { $group: { _id: null, documents: { $sum: 1 }, bytes: { $sum: '$size' } } }
+  ]);
+  return {
+    documents: totals?.documents || 0,
+    bytes: totals?.bytes || 0,
+    maxDocuments: limits.maxDocuments,
+    maxBytes: limits.maxBytes
+  };
+}
+
+/**
+ * Creates a document from a file multer has stored. The file is removed again if it
+ * is refused; an identical file the user already uploaded is returned instead of a copy.
+ * @param {string} userId
+ * @param {{path: string, filename: string, originalname: string, mimetype: string, size: number}} file
+ * @param {{maxDocuments: number, maxBytes: number}} [limits] - The user's tier limits (see billing/entitlements.mjs)
+ * @returns {Promise<{success: boolean, document?: Object, duplicate?: boolean, error?: string}>}
+ */
+export async function ingestUpload(userId, file, limits = DEFAULT_STORAGE_LIMITS) {
+  if (!isDatabaseReady()) {
+    return { success: false, error: 'Document storage is unavailable' };
+  }
+
+  const buffer = await fs.readFile(file.path);
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const existing = await Document.findOne({ userId: String(userId), checksum }).lean();
+  if (existing) {
+    await removeStoredFile(file.path);
+    return { success: true, document: summarize(existing), duplicate: true };
+  }
+
+  const usage = await getStorageUsage(userId, limits);
+  if (usage.documents >= usage.maxDocuments) {
+    await removeStoredFile(file.path);
+    return { success: false, error: `You can store up to ${usage.maxDocuments} documents; delete some to upload more` };
+  }
+  if (usage.bytes + file.size > usage.maxBytes) {
+    await removeStoredFile(file.path);
+    return { success: false, error: `Upload would exceed your ${usage.maxBytes / (1024 * 1024)} MB document storage` };
+  }
+
+  const record = {
+    userId: String(userId),
+    originalName: file.originalname,
+    filename: file.filename,
+    mimetype: file.mimetype,
+    size: file.size,
+    checksum
+  };
+
+  try {
+    const extracted = await extractDocument(buffer, file.originalname);
+    Object.assign(record, {
+      kind: extracted.kind,
+      language: extracted.language || null,
+      extractedText: extracted.text,
+      truncated: extracted.truncated,
+      pageCount: extracted.pageCount ?? null,
+      files: extracted.files || [],
+      warnings: extracted.warnings
+    });
+  } catch (error) {
+    // Corrupt or encrypted files are kept so the user sees why they cannot be used
+    console.error(`❌ Text extraction failed for ${file.originalname}:`, error.message);
+    Object.assign(record, { kind: 'binary', status: 'failed', error: `Text extraction failed: ${error.message}` });
+  }
+
+  const document = await Document.create(record);
+  console.log(`📄 Stored document ${document._id} (${record.kind}, ${file.size} bytes) for user ${userId}`);
+  return { success: true, document: summarize(document) };
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<Object[]>} Summaries, newest first
+ */
+export async function listDocuments(userId) {
+  const documents = await Document.find({ userId: String(userId) })
+    .select('-files.text')
+    .sort({ createdAt: -1 })
+    .lean();
+  return documents.map(summarize);
+}
+
+/**
+ * Fetches one of the user's documents
+ * @param {string} userId
+ * @param {string} documentId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeText=false] - Include extractedText and archive file texts
+ * @returns {Promise<Object|null>}
+ */
+export async function getDocument(userId, documentId, { includeText = false } = {}) {
+  if (!isDatabaseReady() || !mongoose.Types.ObjectId.isValid(documentId)) return null;
+
+  const document = await Document.findOne({ _id: documentId, userId: String(userId) }).lean();
+  if (!document) return null;
+  if (!includeText) return summarize(document);
+
+  return {
+    ...summarize(document),
+    extractedText: document.extractedText,
+    files: document.files
+  };
+}
+
+/**
+ * Deletes a document and its stored file
+ * @param {string} userId
+ * @param {string} documentId
+ * @returns {Promise<boolean>} True if a document was deleted
+ */
+export async function deleteDocument(userId, documentId) {
+  if (!mongoose.Types.ObjectId.isValid(documentId)) return false;
+
+  const document = await Document.findOneAndDelete({ _id: documentId, userId: String(userId) }).lean();
+  if (!document) return false;
+
+  await removeStoredFile(path.join(getOwnerDirectory(userId), document.filename));
+  return true;
+}
+
+export default {
+  ingestUpload,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  getStorageUsage,
+  MAX_DOCUMENTS_PER_USER,
+  MAX_STORAGE_BYTES_PER_USER
+};
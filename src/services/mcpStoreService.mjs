@@ -0,0 +1,228 @@
+/**
+ * MCP Store Service
+ * Persists MCP contexts and file operations so a restart does not drop registered
+ * directories or queued writes, and keeps the audit log of every operation. The MCP
+ * library keeps working from memory; writes here are best-effort and a database problem
+ * never blocks a file operation.
+ */
+
+import mongoose from 'mongoose';
+import { McpContext } from '../models/McpContext.mjs';
+import { McpOperation } from '../models/McpOperation.mjs';
+import { McpAuditEntry, AUDIT_EVENTS } from '../models/McpAuditEntry.mjs';
+
+const DEFAULT_AUDIT_RETENTION_DAYS = 180;
+const MAX_AUDIT_PAGE = 200;
+
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function auditExpiry(from = Date.now()) {
+  const days = parseInt(process.env.MCP_AUDIT_RETENTION_DAYS, 10) || DEFAULT_AUDIT_RETENTION_DAYS;
+  return new Date(from + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stores a context, replacing any earlier copy
+ * @param {string} token
+ * @param {import('../lib/mcp/index.mjs').McpContext} context
+ * @returns {Promise<void>}
+ */
+export async function saveContext(token, context) {
+  if (!isDatabaseReady()) return;
+  try {
+    await McpContext.updateOne(
+      { token },
+      {
+        $set: {
+          userId: String(context.userId),
+          sessionId: context.sessionId || null,
+          directory: context.directory,
+          permissions: context.permissions,
+          projectId: context.projectId || null,
+          description: context.description || null,
+          git: context.git || null,
+          expiresAt: new Date(context.expiresAt)
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`❌ Failed to store MCP context ${token.substring(0, 8)}...:`, error.message);
+  }
+}
+
+/**
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+export async function deleteContext(token) {
+  if (!isDatabaseReady()) return;
+  try {
+    await McpContext.deleteOne({ token });
+  } catch (error) {
+    console.error(`❌ Failed to remove MCP context ${token.substring(0, 8)}...:`, error.message);
+  }
+}
+
+/**
+ * Stores an operation's current state
+ * @param {import('../lib/mcp/index.mjs').McpOperation} operation
+ * @returns {Promise<void>}
+ */
+export async function saveOperation(operation) {
+  if (!isDatabaseReady()) return;
+  try {
+    const fields = {
+      userId: String(operation.userId),
+      contextToken: operation.contextToken,
+      type: operation.type,
+      filePath: operation.filePath || null,
+      dirPath: operation.dirPath || null,
+      content: operation.content ?? null,
+      metadata: operation.metadata || {},
+      status: operation.status,
+      previewContent: operation.previewContent || null,
+      diff: operation.diff ?? null,
+      hunks: operation.hunks ?? null,
+      conflict: Boolean(operation.conflict),
+      commit: operation.commit || null,
+      requestedAt: new Date(operation.createdAt),
+      resolvedAt: operation.resolvedAt ? new Date(operation.resolvedAt) : null,
+      expiresAt: new Date(operation.expiresAt)
+    };
+    if (operation.baseChecksum !== undefined) fields.baseChecksum = operation.baseChecksum;
+    if (operation.appliedHunks) fields.appliedHunks = operation.appliedHunks;
+
+    await McpOperation.updateOne({ operationId: operation.id }, { $set: fields }, { upsert: true });
+  } catch (error) {
+    console.error(`❌ Failed to store MCP operation ${operation.id.substring(0, 8)}...:`, error.message);
+  }
+}
+
+/**
+ * Contexts and pending operations that have not expired, for reloading after a restart
+ * @returns {Promise<{contexts: Array<[string, Object]>, operations: Object[]}>}
+ */
+export async function loadActiveState() {
+  if (!isDatabaseReady()) return { contexts: [], operations: [] };
+
+  const now = new Date();
+  const [contextDocs, operationDocs] = await Promise.all([
+    McpContext.find({ expiresAt: { $gt: now } }).lean(),
+    McpOperation.find({ status: 'pending', expiresAt: { $gt: now } }).lean()
+  ]);
+
+  const contexts = contextDocs.map(doc => [doc.token, {
+    sessionId: doc.sessionId,
+    directory: doc.directory,
+    userId: doc.userId,
+    permissions: doc.permissions,
+    expiresAt: doc.expiresAt.getTime(),
+    projectId: doc.projectId || undefined,
+    description: doc.description || undefined,
+    git: doc.git || null
+  }]);
+
+  const operations = operationDocs.map(doc => {
+    const operation = {
+      id: doc.operationId,
+      userId: doc.userId,
+      contextToken: doc.contextToken,
+      type: doc.type,
+      metadata: doc.metadata || {},
+      status: doc.status,
+      createdAt: doc.requestedAt.getTime(),
+      expiresAt: doc.expiresAt.getTime(),
+      diff: doc.diff,
+      hunks: doc.hunks,
+      conflict: doc.conflict || undefined
+    };
+    if (doc.filePath) operation.filePath = doc.filePath;
+    if (doc.dirPath) operation.dirPath = doc.dirPath;
+    if (doc.content !== null) operation.content = doc.content;
+    if (doc.previewContent) operation.previewContent = doc.previewContent;
+    if (doc.baseChecksum !== undefined) operation.baseChecksum = doc.baseChecksum;
+    return operation;
+  });
+
+  return { contexts, operations };
+}
+
+/**
+ * Appends an entry to the audit log
+ * @param {Object} entry
+ * @param {string} entry.event - One of AUDIT_EVENTS
+ * @param {string} entry.contextToken
+ * @param {string} entry.userId - Context owner
+ * @param {string} entry.actor - Who caused the event
+ * @param {string} [entry.operationId]
+ * @param {string} [entry.agent] - AI agent that asked for the change
+ * @param {string} [entry.sessionId]
+ * @param {string} [entry.directory]
+ * @param {string} [entry.operationType]
+ * @param {string} [entry.path]
+ * @param {string} [entry.description]
+ * @param {string} [entry.commit]
+ * @param {number[]} [entry.appliedHunks]
+ * @param {string} [entry.message] - Rejection reason, error or result
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEntry(entry) {
+  if (!isDatabaseReady()) return;
+  try {
+    await McpAuditEntry.create({
+      ...entry,
+      userId: String(entry.userId),
+      actor: String(entry.actor),
+      expiresAt: auditExpiry()
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record MCP audit entry (${entry.event}):`, error.message);
+  }
+}
+
+/**
+ * Audit entries, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.userId] - Context owner; omit for every user (admin)
+ * @param {string} [filter.contextToken]
+ * @param {string} [filter.operationId]
+ * @param {string} [filter.event]
+ * @param {string} [filter.agent]
+ * @param {Date|string} [filter.before] - Only entries older than this (paging)
+ * @param {number} [filter.limit=50]
+ * @returns {Promise<{entries: Object[], hasMore: boolean}>}
+ */
+export async function getAuditLog({ userId, contextToken, operationId, event, agent, before, limit = 50 } = {}) {
+  if (!isDatabaseReady()) return { entries: [], hasMore: false };
+
+  const query = {};
+  if (userId) query.userId = String(userId);
+  if (contextToken) query.contextToken = contextToken;
+  if (operationId) query.operationId = operationId;
+  if (event && AUDIT_EVENTS.includes(event)) query.event = event;
+  if (agent) query.agent = agent;
+  if (before && !Number.isNaN(new Date(before).getTime())) query.createdAt = { $lt: new Date(before) };
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_AUDIT_PAGE);
+  const docs = await McpAuditEntry.find(query, { __v: 0, expiresAt: 0 })
+    .sort({ createdAt: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  return {
+    entries: docs.slice(0, pageSize).map(({ _id, ...entry }) => ({ id: String(_id), ...entry })),
+    hasMore: docs.length > pageSize
+  };
+}
+
+export default {
+  saveContext,
+  deleteContext,
+  saveOperation,
+  loadActiveState,
+  recordAuditEntry,
+  getAuditLog
+};
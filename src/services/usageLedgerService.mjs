@@ -0,0 +1,478 @@
+/**
+ * Usage Ledger Service
+ * The one record of AI spend: every API call (single-model chat, collaboration step or
+ * CLI prompt) appends a UsageEntry priced from ai/costControl.mjs. Session and daily
+ * totals, budgets (budgetService.mjs), exports and the usage dashboard are all read from the ledger.
+ * Recording is best-effort; a database problem never fails the call being recorded.
+ */
+
+import mongoose from 'mongoose';
+import { UsageEntry } from '../models/UsageEntry.mjs';
+import { estimateCost } from '../lib/ai/costControl.mjs';
+
+export const SUMMARY_GROUPS = ['day', 'provider', 'model', 'source', 'phase', 'session', 'run', 'project'];
+
+const GROUP_KEYS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  provider: '$provider',
+  model: { $concat: ['$provider', '/', '$model'] },
+  source: '$source',
+  phase: '$phase',
+  session: '$sessionId',
+  run: '$runId',
+  project: '$projectId'
+};
+
+const CSV_COLUMNS = [
+  'createdAt', 'source', 'projectId', 'sessionId', 'runId', 'phase', 'provider', 'model', 'status',
+  'inputTokens', 'outputTokens', 'tokenSource', 'inputCost', 'outputCost', 'cost',
+  'inputPricePerMillion', 'outputPricePerMillion', 'pricingVersion'
+];
+
+// Called with every stored entry (budgets watch spend through this)
+const usageListeners = [];
+
+let wsHandler = null;
+
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function round(amount) {
+  return Math.round(amount * 10000) / 10000;
+}
+
+function dayRange(date) {
+  const start = new Date(date || new Date());
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+}
+
+/**
+ * Prices one call; models without a known price are recorded at zero cost
+ * @param {string} provider
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @param {{input: number, output: number}|null} [pricingOverride] - Custom endpoint pricing
+ * @returns {{inputCost: number, outputCost: number, cost: number, pricing: Object|null, pricingVersion: string|null}}
+ */
+export function priceUsage(provider, model, inputTokens, outputTokens, pricingOverride = null) {
+  const estimate = estimateCost(provider, model, inputTokens, outputTokens, pricingOverride);
+  if (!estimate.success) {
+    return { inputCost: 0, outputCost: 0, cost: 0, pricing: null, pricingVersion: null };
+  }
+  return {
+    inputCost: estimate.inputCost,
+    outputCost: estimate.outputCost,
+    cost: estimate.totalCost,
+    pricing: estimate.pricing,
+    pricingVersion: estimate.pricingVersion
+  };
+}
+
+/**
+ * Appends one API call to the ledger
+ * @param {Object} call
+ * @param {string} call.userId
+ * @param {'chat'|'collaboration'|'cli'} call.source
+ * @param {string} call.provider
+ * @param {string} call.model
+ * @param {string|null} [call.sessionId] - Conversation session
+ * @param {string|null} [call.runId] - Collaboration session id
+ * @param {string|null} [call.projectId] - Project (workspace) the call was made for
+ * @param {string|null} [call.phase] - Collaboration phase
+ * @param {number} [call.inputTokens]
+ * @param {number} [call.outputTokens]
+ * @param {'provider'|'exact'|'estimate'} [call.tokenSource]
+ * @param {{input: number, output: number}} [call.pricing] - Per-million price override (custom endpoints)
+ * @param {boolean} [call.failed] - The call failed after using tokens
+ * @returns {Promise<Object>} The entry with its cost; `recorded` is false if it could not be stored
+ */
+export async function recordUsage(call) {
+  const inputTokens = Math.max(0, Math.round(call.inputTokens || 0));
+  const outputTokens = Math.max(0, Math.round(call.outputTokens || 0));
+  const entry = {
+    userId: call.userId ? String(call.userId) : null,
+    sessionId: call.sessionId || null,
+    runId: call.runId || null,
+    projectId: call.projectId || null,
+    phase: call.phase || null,
+    source: call.source,
+    provider: call.provider,
+    model: call.model,
+    inputTokens,
+    outputTokens,
+    tokenSource: call.tokenSource || null,
+    ...priceUsage(call.provider, call.model, inputTokens, outputTokens, call.pricing || null),
+    status: call.failed ? 'failed' : 'completed',
+    createdAt: new Date()
+  };
+
+  if (!entry.userId || !entry.model || !isDatabaseReady()) return { ...entry, recorded: false };
+  try {
+    await UsageEntry.create(entry);
+  } catch (error) {
+    console.error(`❌ Failed to record usage of ${call.provider}/${call.model} for user ${entry.userId}:`, error.message);
+    return { ...entry, recorded: false };
+  }
+  usageListeners.forEach(listener => {
+    Promise.resolve(listener(entry)).catch(error => {
+      console.error('❌ Usage listener failed:', error.message);
+    });
+  });
+
+  // Single-model chat reports its own cost to the requesting connection (see trackUsage)
+  if (entry.source !== 'chat') {
+    const daily = await getUserDailyCost(entry.userId);
+    broadcastCostUpdate(entry.userId, {
+      requestCost: entry.cost,
+      dailyCost: daily.success ? daily.totalCost : undefined,
+      source: entry.source,
+      runId: entry.runId
+    });
+  }
+  return { ...entry, recorded: true };
+}
+
+/**
+ * Totals and a provider/model breakdown of the entries matching a filter
+ * @returns {Promise<Object>}
+ */
+async function summarize(match) {
+  const rows = await UsageEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { provider: '$provider', model: '$model' },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        cost: { $sum: '$cost' },
+        requests: { $sum: 1 },
+        sessions: { $addToSet: { $ifNull: ['$sessionId', '$runId'] } },
+        userId: { $first: '$userId' },
+        startTime: { $min: '$createdAt' }
+      }
+    }
+  ]);
+
+  let totalCost = 0;
+  let requestCount = 0;
+  let startTime = null;
+  const sessions = new Set();
+  const breakdown = {};
+  rows.forEach(row => {
+    const { provider, model } = row._id;
+    totalCost += row.cost;
+    requestCount += row.requests;
+    row.sessions.filter(Boolean).forEach(session => sessions.add(session));
+    if (!startTime || row.startTime < startTime) startTime = row.startTime;
+
+    if (!breakdown[provider]) {
+      breakdown[provider] = { totalCost: 0, models: {} };
+    }
+    breakdown[provider].totalCost = round(breakdown[provider].totalCost + row.cost);
+    breakdown[provider].models[model] = {
+      inputTokens: row.inputTokens,
+      outputTokens: row.outputTokens,
+      cost: round(row.cost),
+      requests: row.requests
+    };
+  });
+
+  return {
+    userId: rows[0]?.userId || null,
+    startTime,
+    totalCost: round(totalCost),
+    requestCount,
+    sessionCount: sessions.size,
+    breakdown
+  };
+}
+
+/**
+ * A user's spend since a point in time, optionally limited to one project or provider
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Date} options.since
+ * @param {string} [options.projectId]
+ * @param {string} [options.provider]
+ * @returns {Promise<number>} USD
+ */
+export async function getSpend(userId, { since, projectId = null, provider = null }) {
+  const match = { userId: String(userId), createdAt: { $gte: since } };
+  if (projectId) match.projectId = projectId;
+  if (provider) match.provider = provider;
+  const [row] = await UsageEntry.aggregate([
+    { $match: match },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]);
+  return round(row?.cost || 0);
+}
+
+/**
+ * Cost of a conversation session, or of one collaboration run by its id
+ * @param {string} sessionId
+ * @param {string} [userId] - Restricts the total to this user's entries
+ * @returns {Promise<Object>} { success, sessionId, userId, startTime, totalCost, requestCount, breakdown }
+ */
+export async function getSessionCost(sessionId, userId) {
+  if (!isDatabaseReady()) {
+    return { success: false, error: 'Usage ledger is unavailable' };
+  }
+  try {
+    const match = { $or: [{ sessionId }, { runId: sessionId }] };
+    if (userId) match.userId = String(userId);
+    const summary = await summarize(match);
+    return {
+      success: true,
+      sessionId,
+      userId: summary.userId || userId || null,
+      startTime: summary.startTime,
+      totalCost: summary.totalCost,
+      requestCount: summary.requestCount,
+      breakdown: summary.breakdown
+    };
+  } catch (error) {
+    console.error('Error getting session cost:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get user's daily cost across chat, collaborations and the CLI
+ * @param {string} userId - User identifier
+ * @param {Date} [date] - Date to check (defaults to today)
+ * @returns {Promise<Object>} { success, userId, date, totalCost, sessionCount, requestCount, breakdown }
+ */
+export async function getUserDailyCost(userId, date) {
+  if (!isDatabaseReady()) {
+    return { success: false, error: 'Usage ledger is unavailable' };
+  }
+  try {
+    const targetDate = date || new Date();
+    const { start, end } = dayRange(targetDate);
+    const summary = await summarize({ userId: String(userId), createdAt: { $gte: start, $lte: end } });
+    return {
+      success: true,
+      userId: String(userId),
+      date: targetDate,
+      totalCost: summary.totalCost,
+      sessionCount: summary.sessionCount,
+      requestCount: summary.requestCount,
+      breakdown: summary.breakdown
+    };
+  } catch (error) {
+    console.error('Error getting user daily cost:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Spend over a period grouped for the usage dashboard
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} [options.groupBy='day'] - One of SUMMARY_GROUPS
+ * @returns {Promise<Object>} { from, to, groupBy, totalCost, inputTokens, outputTokens, requestCount, groups }
+ */
+export async function getUsageSummary(userId, { from, to, groupBy = 'day' }) {
+  if (!GROUP_KEYS[groupBy]) {
+    throw new Error(`groupBy must be one of: ${SUMMARY_GROUPS.join(', ')}`);
+  }
+  const rows = await UsageEntry.aggregate([
+    { $match: { userId: String(userId), createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: GROUP_KEYS[groupBy],
+        cost: { $sum: '$cost' },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        requests: { $sum: 1 },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
+      }
+    },
+    { $sort: groupBy === 'day' ? { _id: 1 } : { cost: -1 } }
+  ]);
+
+  const totals = { totalCost: 0, inputTokens: 0, outputTokens: 0, requestCount: 0 };
+  const groups = rows.map(row => {
+    totals.totalCost += row.cost;
+    totals.inputTokens += row.inputTokens;
+    totals.outputTokens += row.outputTokens;
+    totals.requestCount += row.requests;
+    return {
+      key: row._id,
+      cost: round(row.cost),
+      inputTokens: row.inputTokens,
+      outputTokens: row.outputTokens,
+      requests: row.requests,
+      failed: row.failed
+    };
+  });
+
+  return { from, to, groupBy, ...totals, totalCost: round(totals.totalCost), groups };
+}
+
+/**
+ * Lists a user's ledger entries over a period, newest first
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} [options.source] - Only entries from this source
+ * @param {number} [options.limit=50]
+ * @param {number} [options.skip=0]
+ * @returns {Promise<{entries: Object[], total: number}>}
+ */
+export async function listUsageEntries(userId, { from, to, source = null, limit = 50, skip = 0 }) {
+  const filter = { userId: String(userId), createdAt: { $gte: from, $lte: to } };
+  if (source) filter.source = source;
+  const [entries, total] = await Promise.all([
+    UsageEntry.find(filter, { __v: 0 }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    UsageEntry.countDocuments(filter)
+  ]);
+  return { entries, total };
+}
+
+/**
+ * Export all cost data for a user (for billing/reporting)
+ * @param {string} userId - User identifier
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {Promise<Object>} Daily totals and the raw ledger entries, oldest first
+ */
+export async function exportUserCosts(userId, startDate, endDate) {
+  try {
+    const records = await UsageEntry.find(
+      { userId: String(userId), createdAt: { $gte: startDate, $lte: endDate } },
+      { __v: 0 }
+    ).sort({ createdAt: 1 }).lean();
+
+    const dailyCosts = {};
+    let totalCost = 0;
+    records.forEach(record => {
+      const dateKey = record.createdAt.toISOString().split('T')[0];
+      if (!dailyCosts[dateKey]) {
+        dailyCosts[dateKey] = { date: dateKey, cost: 0, requests: 0, providers: {} };
+      }
+      const day = dailyCosts[dateKey];
+      day.cost = round(day.cost + record.cost);
+      day.requests += 1;
+      day.providers[record.provider] = round((day.providers[record.provider] || 0) + record.cost);
+      totalCost += record.cost;
+    });
+
+    return {
+      success: true,
+      userId: String(userId),
+      period: {
+        start: startDate,
+        end: endDate
+      },
+      totalCost: round(totalCost),
+      totalRequests: records.length,
+      dailyCosts: Object.values(dailyCosts),
+      rawRecords: records
+    };
+  } catch (error) {
+    console.error('Error exporting user costs:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Formats ledger entries as CSV, one row per entry
+ * @param {Object[]} entries
+ * @returns {string}
+ */
+export function toCsv(entries) {
+  const escape = value => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Text a spreadsheet would run as a formula is kept as text
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    if (column === 'inputPricePerMillion' || column === 'outputPricePerMillion') {
+      return escape(entry.pricing?.[column]);
+    }
+    return escape(entry[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Records a single-model chat call and reports the totals it brings the user to
+ * @param {string} sessionId - Conversation session
+ * @param {string} provider - Provider name
+ * @param {string} model - Model identifier
+ * @param {Object} usage - Usage details {inputTokens, outputTokens, tokenSource?, userId, projectId?, pricing?}
+ * @returns {Promise<Object>} { success, cost, totalSessionCost, dailyCost }
+ */
+export async function trackUsage(sessionId, provider, model, usage) {
+  const { inputTokens = 0, outputTokens = 0, tokenSource = null, userId, projectId = null, pricing = null } = usage;
+  const entry = await recordUsage({
+    userId, sessionId, projectId, source: 'chat', provider, model, inputTokens, outputTokens, tokenSource, pricing
+  });
+  if (!entry.recorded) {
+    return { success: false, error: 'Usage could not be recorded' };
+  }
+
+  const [session, daily] = await Promise.all([
+    getSessionCost(sessionId, userId),
+    getUserDailyCost(userId)
+  ]);
+  return {
+    success: true,
+    cost: entry.cost,
+    totalSessionCost: session.success ? session.totalCost : entry.cost,
+    dailyCost: daily.success ? daily.totalCost : undefined
+  };
+}
+
+/**
+ * Calls a listener with every entry stored from now on
+ * @param {function(Object): (void|Promise<void>)} listener
+ */
+export function onUsageRecorded(listener) {
+  usageListeners.push(listener);
+}
+
+/**
+ * Set WebSocket handler for real-time cost updates
+ * @param {Object} handler - WebSocket handler with broadcast(userId, message)
+ */
+export function setWebSocketHandler(handler) {
+  wsHandler = handler;
+}
+
+/**
+ * Sends a cost_update to every connection of a user
+ * @param {string} userId
+ * @param {Object} costUpdate
+ */
+function broadcastCostUpdate(userId, costUpdate) {
+  if (wsHandler && wsHandler.broadcast) {
+    wsHandler.broadcast(userId, { type: 'cost_update', ...costUpdate });
+  }
+}
+
+export default {
+  priceUsage,
+  recordUsage,
+  getSessionCost,
+  getUserDailyCost,
+  getUsageSummary,
+  listUsageEntries,
+  exportUserCosts,
+  toCsv,
+  getSpend,
+  trackUsage,
+  onUsageRecorded,
+  setWebSocketHandler
+};
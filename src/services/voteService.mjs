@@ -260,4 +260,49 @@ export async function getFeedbackTextAnalysis() {
     console.error('Error in getFeedbackTextAnalysis:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+/**
+ * Get average ratings per model and question type, for matching models to subject areas
+ * @param {String[]} modelIds - Models (agent names) to include
+ * @param {String[]} [questionTypes] - Question types to break down; all types when omitted
+ * @returns {Promise<{byType: Object, overall: Object}>} byType[modelId][questionType] and
+ *   overall[modelId] are { averageRating, count }; empty when the database is unavailable
+ */
+export async function getModelDomainRatings(modelIds, questionTypes = null) {
+  const ratings = { byType: {}, overall: {} };
+  if (!modelIds || modelIds.length === 0 || mongoose.connection.readyState !== 1) {
+    return ratings;
+  }
+
+  try {
+    const stats = await Vote.aggregate([
+      { $match: { modelId: { $in: modelIds } } },
+      { $group: {
+        _id: { modelId: '$modelId', questionType: '$questionType' },
+        total: { $sum: '$rating' },
+        count: { $sum: 1 }
+      }}
+    ]);
+
+    stats.forEach(({ _id, total, count }) => {
+      const overall = ratings.overall[_id.modelId] || { total: 0, count: 0 };
+      overall.total += total;
+      overall.count += count;
+      ratings.overall[_id.modelId] = overall;
+
+      if (questionTypes && !questionTypes.includes(_id.questionType)) return;
+      ratings.byType[_id.modelId] = ratings.byType[_id.modelId] || {};
+      ratings.byType[_id.modelId][_id.questionType] = { averageRating: total / count, count };
+    });
+
+    Object.keys(ratings.overall).forEach(modelId => {
+      const { total, count } = ratings.overall[modelId];
+      ratings.overall[modelId] = { averageRating: total / count, count };
+    });
+
+    return ratings;
+  } catch (error) {
+    console.error('Error in getModelDomainRatings:', error);
+    return { byType: {}, overall: {} };
+  }
+}
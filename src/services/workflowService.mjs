@@ -0,0 +1,156 @@
+/**
+ * Workflow Service
+ * Stores user-authored collaboration workflows and resolves 'workflow:<id>'
+ * collaboration modes to a definition (built-in first, then the user's own).
+ */
+
+import mongoose from 'mongoose';
+import { Workflow } from '../models/Workflow.mjs';
+import {
+  getBuiltinWorkflow,
+  listBuiltinWorkflows,
+  loadWorkflowDefinition,
+  parseWorkflowMode
+} from '../lib/ai/workflows/index.mjs';
+
+const MAX_WORKFLOWS_PER_USER = 50;
+
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Summary shown in listings
+ */
+function summarize(definition, extra = {}) {
+  return {
+    id: definition.id,
+    mode: `workflow:${definition.id}`,
+    name: definition.name,
+    description: definition.description || '',
+    minAgents: definition.minAgents || 1,
+    phases: definition.phases.map(phase => ({ id: phase.id, name: phase.name || phase.id, type: phase.type })),
+    ...extra
+  };
+}
+
+/**
+ * Lists the built-in workflows plus the user's own
+ * @param {string|null} userId
+ * @returns {Promise<Object[]>}
+ */
+export async function listWorkflows(userId) {
+  const workflows = listBuiltinWorkflows().map(definition => summarize(definition, { builtin: true }));
+  if (!userId || !isDatabaseReady()) return workflows;
+
+  const saved = await Workflow.find({ userId: String(userId) }).sort({ updatedAt: -1 }).lean();
+  saved.forEach(workflow => {
+    workflows.push(summarize(workflow.definition, {
+      builtin: false,
+      format: workflow.format,
+      updatedAt: workflow.updatedAt
+    }));
+  });
+  return workflows;
+}
+
+/**
+ * Fetches a workflow with its definition
+ * @param {string|null} userId
+ * @param {string} workflowId
+ * @returns {Promise<Object|null>} { definition, builtin, format?, source? }
+ */
+export async function getWorkflow(userId, workflowId) {
+  const builtin = getBuiltinWorkflow(workflowId);
+  if (builtin) {
+    return { definition: builtin, builtin: true };
+  }
+  if (!userId || !isDatabaseReady()) return null;
+
+  const saved = await Workflow.findOne({ userId: String(userId), workflowId }).lean();
+  if (!saved) return null;
+  return {
+    definition: saved.definition,
+    builtin: false,
+    format: saved.format,
+    source: saved.source,
+    createdAt: saved.createdAt,
+    updatedAt: saved.updatedAt
+  };
+}
+
+/**
+ * Resolves a 'workflow:<id>' collaboration mode for a user
+ * @param {string|null} userId
+ * @param {string} mode
+ * @returns {Promise<import('../lib/ai/workflows/definition.mjs').WorkflowDefinition>}
+ * @throws {Error} If the workflow does not exist
+ */
+export async function resolveWorkflowMode(userId, mode) {
+  const workflowId = parseWorkflowMode(mode);
+  const workflow = workflowId ? await getWorkflow(userId, workflowId) : null;
+  if (!workflow) {
+    throw new Error(`Unknown collaboration workflow: ${workflowId || mode}`);
+  }
+  return workflow.definition;
+}
+
+/**
+ * Creates or replaces one of the user's workflows
+ * @param {string} userId
+ * @param {string|Object} source - JSON or YAML text, or a parsed definition
+ * @param {'json'|'yaml'} [format] - Detected from the text when omitted
+ * @returns {Promise<{success: boolean, workflow?: Object, error?: string, errors?: string[]}>}
+ */
+export async function saveWorkflow(userId, source, format) {
+  let parsed;
+  try {
+    parsed = loadWorkflowDefinition(source, format);
+  } catch (error) {
+    return { success: false, error: error.message, errors: error.errors || [error.message] };
+  }
+
+  const { definition } = parsed;
+  if (getBuiltinWorkflow(definition.id)) {
+    return { success: false, error: `'${definition.id}' is the id of a built-in workflow; choose another id` };
+  }
+
+  const existing = await Workflow.exists({ userId: String(userId), workflowId: definition.id });
+  if (!existing && await Workflow.countDocuments({ userId: String(userId) }) >= MAX_WORKFLOWS_PER_USER) {
+    return { success: false, error: `You can save up to ${MAX_WORKFLOWS_PER_USER} workflows` };
+  }
+
+  const storedFormat = parsed.format === 'yaml' ? 'yaml' : 'json';
+  const storedSource = typeof source === 'string' ? source : JSON.stringify(definition, null, 2);
+
+  const workflow = await Workflow.findOneAndUpdate(
+    { userId: String(userId), workflowId: definition.id },
+    {
+      $set: {
+        name: definition.name,
+        description: definition.description || '',
+        format: storedFormat,
+        source: storedSource,
+        definition
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  console.log(`🧩 Saved workflow ${definition.id} for user ${userId}`);
+  return {
+    success: true,
+    workflow: summarize(workflow.definition, { builtin: false, format: workflow.format, updatedAt: workflow.updatedAt })
+  };
+}
+
+/**
+ * Deletes one of the user's workflows
+ * @param {string} userId
+ * @param {string} workflowId
+ * @returns {Promise<boolean>} True if a workflow was deleted
+ */
+export async function deleteWorkflow(userId, workflowId) {
+  const result = await Workflow.deleteOne({ userId: String(userId), workflowId });
+  return result.deletedCount > 0;
+}
@@ -6,17 +6,25 @@
 
 import { WebSocket } from 'ws';
 import mongoose from 'mongoose';
-import { clients, availability, getClient } from './lib/ai/index.mjs';
+import { clients, availability, getClient, providerRegistry } from './lib/ai/index.mjs';
 import clientFactory, { clearUserClientCache } from './lib/ai/clientFactory.mjs';
 import { handleCollaborativeDiscussion, setCollaborationStyle, setCollaborationMode, getCollaborationConfig } from './lib/ai/collaboration.mjs';
-import { streamClaudeResponse } from './lib/ai/claude.mjs';
-import { streamGeminiResponse } from './lib/ai/gemini.mjs';
-import { streamOpenAICompatResponse } from './lib/ai/openaiClient.mjs';
-import { handleCliCommand } from './lib/cliHandler.mjs'; // Import CLI handler
+import { handleCliCommand, cancelCliCommand } from './lib/cliHandler.mjs'; // Import CLI handler
 import * as mcp from './lib/mcp/index.mjs'; // Import MCP library as namespace
-import { subscribeToChannel } from './lib/messaging/redis.mjs'; // Import Redis subscription
+import collaborationJobs from './lib/ai/collaborationJobs.mjs'; // Server-side collaboration jobs (resumable)
+import { publishEvent } from './lib/messaging/redis.mjs'; // Relays client decisions onto collaboration channels
+import { isWorkflowMode } from './lib/ai/workflows/index.mjs'; // Declarative collaboration workflows
+import { resolveWorkflowMode } from './services/workflowService.mjs'; // Built-in and user-saved workflows
+import { estimateCollaborationCost, CONFIRMATION_THRESHOLD_USD } from './lib/ai/costEstimator.mjs'; // Pre-flight collaboration cost estimates
 import { addResponseToContext } from './lib/contextManager.mjs'; // Import context management
-import { trackUsage, getSessionCost, getUserDailyCost, setWebSocketHandler } from './lib/ai/costControl.mjs'; // Import cost tracking
+import { trackUsage, getSessionCost, getUserDailyCost, setWebSocketHandler } from './services/usageLedgerService.mjs'; // Import cost tracking
+import { checkBudgets, getDailyLimit, setDailyLimit, initializeBudgetAlerts } from './services/budgetService.mjs';
+import { resolveUsage } from './lib/ai/tokenizer.mjs'; // Per-provider token counts
+import { prepareAttachments, formatRetrievedSources } from './lib/attachments.mjs'; // Chat file attachments (uploads and MCP contexts)
+import { getConversationIndex, findConversationIndex, dropConversationIndex } from './lib/retrieval/index.mjs'; // Per-conversation search over attached files
+import { consumeRateLimit, formatRateLimitError } from './lib/rateLimit/rateLimiter.mjs'; // Per-user, per-IP and per-tier message limits
+import { getClientAddress } from './lib/rateLimit/clientAddress.mjs';
+import { getEntitlements, describeEntitlements, checkRunEntitlements, getDailySpend, checkDailySpend, checkContextSize } from './lib/billing/entitlements.mjs'; // What each subscription tier may use
 
 // --- Global State (Managed Here or Imported) ---
 // In-memory store for latest responses for build/summary features
@@ -24,6 +32,8 @@ const latestResponses = { claude: "", gemini: "", chatgpt: "", grok: "", deepsee
 // Map to track user sessions associated with WebSocket connections
 const wsUserSessions = new Map(); // ws -> { userId, sessionId }
 const mcpUserSessions = new Map(); // userId -> MCP sessionId (from MCP registration) - Needed? Maybe just use ws session
+// Message types never rate limited: heartbeats, and requests to stop work
+const UNLIMITED_WS_MESSAGES = ['ping', 'cancel_command', 'cancel_collaboration'];
 
 // Import context manager functionality
 import {
@@ -41,17 +51,18 @@ import {
 export default function initializeWebSocketHandler(wss) {
     console.log('WebSocket Handler: Initializing...');
     
-    // Set up WebSocket handler for cost control real-time updates
-    setWebSocketHandler({
-        broadcast: (userId, message) => {
-            // Find all WebSocket connections for this user
-            wss.clients.forEach((ws) => {
-                if (ws.userId === userId && ws.readyState === WebSocket.OPEN) {
-                    sendWsMessage(ws, message);
-                }
-            });
-        }
-    });
+    // Sends a message to all WebSocket connections of a user
+    const broadcast = (userId, message) => {
+        wss.clients.forEach((ws) => {
+            if (ws.userId === userId && ws.readyState === WebSocket.OPEN) {
+                sendWsMessage(ws, message);
+            }
+        });
+    };
+
+    // Set up WebSocket handler for cost control real-time updates and budget alerts
+    setWebSocketHandler({ broadcast });
+    initializeBudgetAlerts({ broadcast });
 
     wss.on('connection', (ws, req) => {
         // Extract potential user info if passed via headers/query during connection
@@ -60,10 +71,21 @@ export default function initializeWebSocketHandler(wss) {
         ws.connectionId = connectionId; // Assign unique ID to the connection
         ws.isAlive = true;
         ws.userId = null; // User ID will be set upon authentication message
+        // Same client address express uses with 'trust proxy'
+        ws.clientIp = getClientAddress(req);
         console.log(`🔌 WebSocket client connected: ${connectionId}`);
 
         ws.on('pong', () => { ws.isAlive = true; });
 
+        // New sockets from one address are limited like messages, so opening more of them
+        // does not multiply what a client may send
+        consumeRateLimit({ scope: 'ws', action: 'connect', ip: ws.clientIp }).then((result) => {
+            if (result.allowed) return;
+            const rateLimitError = formatRateLimitError(result);
+            sendWsMessage(ws, { type: 'error', message: rateLimitError.error, ...rateLimitError });
+            ws.close(1008, 'rate_limited');
+        });
+
         ws.on('message', async (message) => {
             let data;
             try {
@@ -71,6 +93,8 @@ export default function initializeWebSocketHandler(wss) {
                 // Basic logging, avoid logging message content unless debugging
                 console.log(`⬇️ WS Received [${ws.connectionId}${ws.userId ? '/' + ws.userId.substring(0, 6) : ''}]: Type=${data.type}`);
 
+                if (await isRateLimited(ws, data)) return;
+
                 // --- Message Routing ---
                 switch (data.type) {
                     case 'authenticate':
@@ -82,15 +106,24 @@ export default function initializeWebSocketHandler(wss) {
                     case 'command':
                         await handleCliMessage(ws, data);
                         break;
+                    case 'cancel_command':
+                        handleCancelCommand(ws, data);
+                        break;
                     case 'set_collab_style':
                         handleSetCollabStyle(ws, data);
                         break;
                     case 'set_collab_mode':
                         handleSetCollabMode(ws, data);
                         break;
+                    case 'resume_collaboration':
+                        await handleResumeCollaboration(ws, data);
+                        break;
                     case 'cancel_collaboration':
                         handleCancelCollaboration(ws, data);
                         break;
+                    case 'expert_roles_decision':
+                        await handleExpertRolesDecision(ws, data);
+                        break;
                     case 'context_status':
                         await handleContextStatus(ws, data);
                         break;
@@ -126,6 +159,9 @@ export default function initializeWebSocketHandler(wss) {
                     case 'set_budget_limit':
                         await handleSetBudgetLimit(ws, data);
                         break;
+                    case 'estimate_collaboration':
+                        await handleEstimateCollaboration(ws, data);
+                        break;
                     // --- MCP Message Routing ---
                     case 'mcp_register_context':
                     case 'mcp_list_files':
@@ -136,6 +172,10 @@ export default function initializeWebSocketHandler(wss) {
                     case 'mcp_get_pending_operations':
                     case 'mcp_approve_operation':
                     case 'mcp_reject_operation':
+                    case 'mcp_draft_commit_message':
+                    case 'mcp_approve_batch':
+                    case 'mcp_list_commits':
+                    case 'mcp_revert_commit':
                         await handleMcpMessage(ws, data);
                         break;
                     default:
@@ -152,6 +192,10 @@ export default function initializeWebSocketHandler(wss) {
             const reasonString = reason ? reason.toString() : 'No reason provided';
             console.log(`🔌 WebSocket client disconnected: ${ws.connectionId} (User: ${ws.userId || 'unknown'}). Code: ${code}, Reason: ${reasonString}`);
             wsUserSessions.delete(ws);
+            // Stop forwarding collaboration events; the jobs keep running and can be resumed
+            detachAllCollaborations(ws);
+            // The conversation ends with its connection, so its file index can go too
+            if (ws.userId) dropConversationIndex(ws.userId, ws.sessionId);
             // Clean up associated MCP contexts? Maybe not automatically.
         });
 
@@ -210,6 +254,89 @@ function sendWsError(ws, message, target = null, isMcpError = false) {
     sendWsMessage(ws, payload);
 }
 
+/**
+ * Takes a rate limit token for a client message and reports a refusal to the client.
+ * Chat sent to a collaboration counts as 'collab', since it fans out to every model.
+ * @returns {Promise<boolean>} Whether the message must be dropped
+ */
+async function isRateLimited(ws, data) {
+    if (UNLIMITED_WS_MESSAGES.includes(data.type)) return false;
+
+    const action = data.type === 'chat' && data.target === 'collab' ? 'collab' : data.type;
+    const isPersistedUser = Boolean(ws.userId) && /^[0-9a-fA-F]{24}$/.test(ws.userId);
+    const result = await consumeRateLimit({
+        scope: 'ws',
+        action,
+        userId: isPersistedUser ? ws.userId : null, // Temporary users are limited as guests
+        ip: ws.clientIp,
+        tier: isPersistedUser ? await getSubscriptionTier(ws) : undefined
+    });
+    if (result.allowed) return false;
+
+    const rateLimitError = formatRateLimitError(result);
+    console.warn(`🚦 Rate limited ${data.type} from ${ws.connectionId} (${result.limit} limit, retry in ${result.retryAfter}s)`);
+    if (data.type === 'command') {
+        // End the command in the CLI, which waits for its completion
+        sendWsMessage(ws, { type: 'command-output', commandId: data.commandId, output: `${rateLimitError.error}\n`, exitCode: 1, end: true, ...rateLimitError });
+    } else {
+        sendWsMessage(ws, { type: 'error', message: rateLimitError.error, target: data.target || undefined, ...rateLimitError });
+    }
+    return true;
+}
+
+// The subscription tier of the connection's user, looked up once per user ID
+async function getSubscriptionTier(ws) {
+    if (ws.subscriptionTier && ws.subscriptionTierFor === ws.userId) return ws.subscriptionTier;
+    const apiKeyService = (await import('./services/apiKeyService.mjs')).default;
+    const user = await apiKeyService.findPersistedUser(ws.userId);
+    if (!user) return 'free'; // Not cached: the database may just be unavailable
+    ws.subscriptionTier = user.subscriptionTier || 'free';
+    ws.subscriptionTierFor = ws.userId;
+    return ws.subscriptionTier;
+}
+
+// The connection's entitlements; temporary users get the guest tier
+async function getConnectionEntitlements(ws) {
+    const isPersistedUser = Boolean(ws.userId) && /^[0-9a-fA-F]{24}$/.test(ws.userId);
+    return getEntitlements(isPersistedUser ? await getSubscriptionTier(ws) : 'guest');
+}
+
+/**
+ * Reports a request the user's tier does not allow, once per target column so each one
+ * stops waiting. The refusal's requiredTier lets the client offer the upgrade.
+ */
+function sendEntitlementError(ws, refusal, targets) {
+    console.warn(`🔒 Refused ${refusal.feature} for ${ws.userId} (${refusal.tier} tier)`);
+    targets.forEach(target => {
+        sendWsMessage(ws, { type: 'error', message: refusal.error, target: target || undefined, ...refusal });
+    });
+}
+
+/**
+ * Reports a request refused by a used-up budget, once per target column
+ */
+function sendBudgetError(ws, refusal, targets) {
+    console.warn(`💸 Refused request for ${ws.userId}: ${refusal.budget.name} is used up`);
+    targets.forEach(target => {
+        sendWsMessage(ws, { type: 'error', message: refusal.error, target: target || undefined, ...refusal });
+    });
+}
+
+// The project a message is for, which project budgets apply to: the one it names,
+// otherwise the project of its MCP context
+function resolveProjectId(data, userId) {
+    if (typeof data.projectId === 'string' && data.projectId.trim()) {
+        return data.projectId.trim();
+    }
+    if (data.mcpContextToken) {
+        const validation = mcp.validateContext(data.mcpContextToken, userId);
+        if (validation.valid && validation.context.projectId) {
+            return String(validation.context.projectId);
+        }
+    }
+    return null;
+}
+
 // --- Message Handlers ---
 
 async function handleAuthentication(ws, data) {
@@ -258,34 +385,14 @@ async function handleAuthentication(ws, data) {
                     console.log(`🔑 Checking API keys availability for user ${ws.userId}...`);
                     
                     // Get available providers from environment variables
-                    const envProviders = {
-                        'anthropic': process.env.ANTHROPIC_API_KEY,
-                        'google': process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY,
-                        'openai': process.env.OPENAI_API_KEY,
-                        'grok': process.env.XAI_API_KEY || process.env.GROK_API_KEY,
-                        'deepseek': process.env.DEEPSEEK_API_KEY,
-                        'llama': process.env.LLAMA_API_KEY
-                    };
-                    
-                    providers = Object.entries(envProviders)
-                        .filter(([provider, key]) => key && key.trim() !== '')
-                        .map(([provider]) => provider);
+                    providers = providerRegistry.ids()
+                        .filter(provider => providerRegistry.getSystemApiKey(provider) || !providerRegistry.get(provider).requiresApiKey);
                     
                     console.log(`✅ Available providers from environment: ${providers.join(', ')}`);
                     
                     // Map to frontend names
-                    const providerMapping = {
-                        'anthropic': 'claude',
-                        'google': 'gemini',
-                        'openai': 'chatgpt',
-                        'grok': 'grok',
-                        'deepseek': 'deepseek',
-                        'llama': 'llama'
-                    };
-                    
                     providers.forEach(provider => {
-                        const frontendName = providerMapping[provider] || provider;
-                        apiKeyStatus[frontendName] = true;
+                        apiKeyStatus[providerRegistry.getAgentName(provider)] = true;
                     });
                     
                 } catch (checkError) {
@@ -306,7 +413,8 @@ async function handleAuthentication(ws, data) {
                         isNearLimit: false,
                         warning: 'Database unavailable - running without context'
                     },
-                    apiKeys: apiKeyStatus
+                    apiKeys: apiKeyStatus,
+                    entitlements: describeEntitlements((await getConnectionEntitlements(ws)).tier)
                 });
                 
                 console.log(`✅ Fallback authentication sent for user ${ws.userId} with API keys:`, apiKeyStatus);
@@ -362,7 +470,8 @@ async function handleAuthentication(ws, data) {
                     maxContextSize: maxContextSize,
                     percentUsed: maxContextSize > 0 ? Math.round((contextSize / maxContextSize) * 100) : 0,
                     isNearLimit: isNearLimit
-                }
+                },
+                entitlements: describeEntitlements((await getConnectionEntitlements(ws)).tier)
             });
 
             console.log(`User ${ws.userId} authenticated for WebSocket session ${ws.sessionId}.`);
@@ -397,7 +506,8 @@ async function handleAuthentication(ws, data) {
                         percentUsed: 0,
                         isNearLimit: false,
                         error: 'Context unavailable'
-                    }
+                    },
+                    entitlements: describeEntitlements((await getConnectionEntitlements(ws)).tier)
                 });
                 console.log(`✅ Fallback authentication successful`);
                 
@@ -450,6 +560,9 @@ async function handleChatMessage(ws, data) {
         target,
         collaborationMode = null,
         sequentialStyle = null,
+        reviewExpertRoles = false,
+        debateSettings = null,
+        mcpContextToken = null,
         userId: dataUserId = null
     } = data;
     
@@ -459,8 +572,12 @@ async function handleChatMessage(ws, data) {
     if (!target) return sendWsError(ws, "Missing 'target' in chat message.");
     if (!messageText && (!filePaths || filePaths.length === 0)) return sendWsError(ws, "Cannot send empty message without files.");
 
+    // Workflow modes ('workflow:<id>') are per-user, so they apply to this message only
+    // instead of changing the shared collaboration mode
+    const workflowMode = isWorkflowMode(collaborationMode) ? collaborationMode : null;
+
     // Update collaboration settings if provided
-    if (collaborationMode) {
+    if (collaborationMode && !workflowMode) {
       // For backwards compatibility, map 'collaborative' to 'individual'
       if (collaborationMode === 'collaborative') {
         collaborationMode = 'individual';
@@ -562,9 +679,51 @@ async function handleChatMessage(ws, data) {
         return sendWsError(ws, `No valid AI clients available. Please configure your API keys in Settings for: ${requestedProviders || 'the selected models'}.`);
     }
 
+    // Subscription entitlements: collaboration mode, agents per run, model families and
+    // the daily allowance, whose remainder also caps the cost of a collaboration
+    const entitlements = await getConnectionEntitlements(ws);
+    const dailySpend = await getDailySpend(userId, entitlements);
+    const entitlementRefusal = checkRunEntitlements(entitlements, {
+        mode: modelsToQuery.length > 1 ? workflowMode || getCollaborationConfig().mode : null,
+        agents: modelsToQuery,
+        models: models
+    }) || checkDailySpend(entitlements, dailySpend);
+    if (entitlementRefusal) {
+        return sendEntitlementError(ws, entitlementRefusal, modelsToQuery);
+    }
+
+    // Budgets with a hard threshold refuse the request once used up
+    const projectId = resolveProjectId(data, userId);
+    const budgetCheck = await checkBudgets(userId, { projectId, providers: modelsToQuery });
+    if (budgetCheck.refusal) {
+        return sendBudgetError(ws, budgetCheck.refusal, modelsToQuery);
+    }
+
     // --- Prepare context (including files and conversation history) ---
-    // Get file context
-    const fileContext = await prepareFileContextForAI(filePaths);
+    // Attached uploads and MCP context files; unreadable ones are reported and left out.
+    // They are also indexed for the conversation, and files too large to send whole are
+    // represented by the passages retrieved for this message.
+    const conversationIndex = Array.isArray(filePaths) && filePaths.length > 0
+        ? getConversationIndex(userId, ws.sessionId)
+        : findConversationIndex(userId, ws.sessionId);
+    const { context: fileContext, files: attachedFiles } = await prepareAttachments(filePaths, userId, { index: conversationIndex });
+    attachedFiles
+        .filter(file => file.status === 'error' || file.status === 'skipped')
+        .forEach(file => sendWsError(ws, `Attachment ${file.name} was not included: ${file.error}`));
+
+    let retrievedSources = [];
+    if (conversationIndex && messageText) {
+        try {
+            retrievedSources = await conversationIndex.search(messageText, {
+                exclude: attachedFiles.filter(file => file.status === 'included').map(file => file.sourceId),
+                fallbackSources: attachedFiles.filter(file => file.status === 'indexed').map(file => file.sourceId)
+            });
+        } catch (error) {
+            console.error(`Error searching conversation files: ${error.message}`);
+        }
+    }
+    // Each agent gets as many passages as fit its context window
+    const retrievalFor = (aiTarget) => formatRetrievedSources(retrievedSources, aiTarget);
 
     // Get conversation history from context manager
     let historyContext = '';
@@ -588,24 +747,69 @@ async function handleChatMessage(ws, data) {
     }
 
     // Combine all context elements
-    const fullPrompt = `${historyContext}${fileContext ? `${fileContext}\n\n` : ''}User Query:\n${messageText}`;
+    const buildPrompt = (aiTarget) => {
+        const { context: sourcesContext } = retrievalFor(aiTarget);
+        return `${historyContext}${fileContext ? `${fileContext}\n\n` : ''}${sourcesContext ? `${sourcesContext}\n\n` : ''}User Query:\n${messageText}`;
+    };
+    // Collaboration sanitizes its prompt, collapsing whitespace, so file contents travel separately
+    const collaborationPrompt = `${historyContext}User Query:\n${messageText}`;
 
     // --- Define Callbacks for Streaming ---
     const onChunk = (aiTarget, chunkText) => {
         sendWsMessage(ws, { type: 'response', target: aiTarget, content: chunkText, start: !latestResponses[aiTarget] }); // Indicate start on first chunk
         latestResponses[aiTarget] += chunkText; // Accumulate for summary/build
     };
-    const onComplete = async (aiTarget, modelUsed) => {
+    const onComplete = async (aiTarget, modelUsed, reportedUsage) => {
         sendWsMessage(ws, { type: 'response', target: aiTarget, end: true });
         console.log(`Streaming complete for ${aiTarget}`);
+        const contextResponse = latestResponses[aiTarget] || '';
+
+        // Record the call in the usage ledger before anything else can fail, so daily
+        // spend and budgets count it even when the response cannot be stored
+        if (ws.userId && modelUsed) {
+            try {
+                // Provider-reported counts when available, otherwise the provider's tokenizer
+                const chatSystemPrompt = providerRegistry.get(aiTarget)?.chatSystemPrompt;
+                const { inputTokens, outputTokens, source: tokenSource } = resolveUsage(reportedUsage, {
+                    provider: aiTarget,
+                    model: modelUsed,
+                    input: [chatSystemPrompt, buildPrompt(aiTarget)].filter(Boolean).join('\n'),
+                    output: contextResponse
+                });
+
+                // Custom endpoints carry user-supplied pricing on their client
+                const customPricing = providerRegistry.isNamespaced(aiTarget)
+                    ? (await clientFactory.getClient(ws.userId, aiTarget).catch(() => null))?.pricing
+                    : null;
+
+                const costResult = await trackUsage(ws.sessionId, aiTarget, modelUsed, {
+                    inputTokens: inputTokens,
+                    outputTokens: outputTokens,
+                    tokenSource: tokenSource,
+                    userId: ws.userId,
+                    projectId: projectId,
+                    pricing: customPricing
+                });
+
+                if (costResult.success) {
+                    // Send cost update to user
+                    sendWsMessage(ws, {
+                        type: 'cost_update',
+                        sessionCost: costResult.totalSessionCost,
+                        dailyCost: costResult.dailyCost,
+                        requestCost: costResult.cost
+                    });
+                }
+            } catch (error) {
+                console.error(`Error recording usage for ${aiTarget}: ${error.message}`);
+            }
+        }
 
         // Store the complete response in the context
-        if (ws.sessionId && latestResponses[aiTarget]) {
+        if (ws.sessionId && contextResponse) {
             try {
                 // Check MongoDB connection state before trying to save context
                 if (mongoose && mongoose.connection && mongoose.connection.readyState === 1) {
-                    const contextResponse = latestResponses[aiTarget];
-
                     // Add response to conversation context
                     const result = await addResponseToContext(ws.userId, ws.sessionId, aiTarget, contextResponse);
 
@@ -616,42 +820,9 @@ async function handleChatMessage(ws, data) {
                             type: 'context_warning',
                             percentUsed: result.percentUsed,
                             contextSize: result.contextSize,
-                            maxSize: result.maxContextSize
-                        });
-                    }
-                
-                    // Track token usage and cost
-                    if (ws.userId && modelUsed) {
-                    // Estimate token counts (rough approximation)
-                    const inputTokens = Math.ceil((fullPrompt || '').length / 4);
-                    const outputTokens = Math.ceil(contextResponse.length / 4);
-                    
-                    const costResult = await trackUsage(ws.sessionId, aiTarget, modelUsed, {
-                        inputTokens: inputTokens,
-                        outputTokens: outputTokens,
-                        userId: ws.userId
-                    });
-                    
-                    if (costResult.success) {
-                        // Send cost update to user
-                        sendWsMessage(ws, {
-                            type: 'cost_update',
-                            sessionCost: costResult.totalSessionCost,
-                            requestCost: costResult.cost,
-                            budgetExceeded: costResult.budgetExceeded,
-                            budgetInfo: costResult.budgetInfo
+                            maxSize: result.maxSize
                         });
-                        
-                        // If budget exceeded, send warning
-                        if (costResult.budgetExceeded) {
-                            sendWsMessage(ws, {
-                                type: 'budget_exceeded',
-                                message: 'Daily budget limit exceeded. Further requests may be blocked.',
-                                budgetInfo: costResult.budgetInfo
-                            });
-                        }
                     }
-                }
                 } else {
                     console.log('⚠️ MongoDB not connected - skipping context save');
                 }
@@ -679,27 +850,6 @@ async function handleChatMessage(ws, data) {
             }
         }
     };
-    const onSummaryChunk = (chunkText) => {
-        // Send summary chunk to all involved models' UIs
-        modelsToQuery.forEach(aiTarget => {
-            sendWsMessage(ws, { type: 'response', target: aiTarget, content: chunkText, summary: true, start: !latestResponses.summary });
-        });
-        latestResponses.summary += chunkText;
-    };
-     const onSummaryComplete = () => {
-        modelsToQuery.forEach(aiTarget => {
-            sendWsMessage(ws, { type: 'response', target: aiTarget, end: true, summary: true });
-        });
-        console.log("Collaboration summary streaming complete.");
-    };
-     const onSummaryError = (error) => {
-        const errorMsg = `Error generating summary: ${error.message}`;
-        modelsToQuery.forEach(aiTarget => {
-            sendWsError(ws, errorMsg, aiTarget, false); // Send as regular error
-            sendWsMessage(ws, { type: 'response', target: aiTarget, end: true, summary: true }); // End summary part
-        });
-        latestResponses.summary = errorMsg;
-    };
 
 
     // --- Execute AI Request ---
@@ -741,16 +891,24 @@ async function handleChatMessage(ws, data) {
         sendWsMessage(ws, { type: 'response', target: id, start: true, model: models[id]?.[0] || `Default ${id}` }); // Show model being used
     });
 
+    // Tell the client which passages each agent was given, so cited labels can be resolved
+    if (retrievedSources.length > 0) {
+        modelsToQuery.forEach(id => {
+            const { sources } = retrievalFor(id);
+            if (sources.length > 0) sendWsMessage(ws, { type: 'retrieval_sources', target: id, sources });
+        });
+    }
+
 
     if (modelsToQuery.length === 1) {
         const singleTarget = modelsToQuery[0];
         const modelId = models[singleTarget]?.[0]; // Get the specific requested model
         console.log(`📋 Single target request using model ID: ${modelId} for ${singleTarget}`);
-        const streamFn = getStreamFunctionForProvider(singleTarget);
+        const streamFn = getStreamFunctionForProvider(singleTarget, userId);
         if (streamFn) {
-            await streamFn(modelId, fullPrompt,
+            await streamFn(modelId, buildPrompt(singleTarget),
                 (chunk) => onChunk(singleTarget, chunk),
-                () => onComplete(singleTarget, modelId),
+                (usage) => onComplete(singleTarget, modelId, usage),
                 (err) => onError(singleTarget, err)
             );
         } else {
@@ -758,7 +916,8 @@ async function handleChatMessage(ws, data) {
         }
     } else {
         // Use collaboration mode from config (updated by set_collab_mode message)
-        if (getCollaborationConfig().mode !== 'individual') {
+        const requestedMode = workflowMode || getCollaborationConfig().mode;
+        if (requestedMode !== 'individual') {
             console.log(`📋 Using models for collaboration:`, JSON.stringify(models));
             // Send status update message for loading UI
             modelsToQuery.forEach(model => {
@@ -770,193 +929,71 @@ async function handleChatMessage(ws, data) {
                 });
             });
             
+            // An MCP context opened to the agents as tools; their writes still wait for approval
+            let agentContextToken = null;
+            if (mcpContextToken) {
+                const mcpValidation = mcp.validateContext(mcpContextToken, userId);
+                if (mcpValidation.valid) {
+                    agentContextToken = mcpContextToken;
+                } else {
+                    sendWsError(ws, `Project files were not shared with the agents: ${mcpValidation.error}`);
+                }
+            }
+
             // Generate session ID for this collaboration
             const collaborationSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
-            const redisChannel = `collab:${collaborationSessionId}`;
-            
-            // Subscribe to Redis events for this collaboration session
-            console.log(`📡 Subscribing to Redis channel: ${redisChannel}`);
-            const unsubscribe = subscribeToChannel(redisChannel, (event) => {
-                console.log(`📡 Received Redis event on ${redisChannel}:`, event.type);
-                
-                // Forward agent_thought events as model_status updates
-                if (event.type === 'agent_thought') {
-                    // Safely handle event.text which might not be a string
-                    let thoughtText = '';
-                    if (event.text && typeof event.text === 'string') {
-                        thoughtText = event.text.substring(0, 50);
-                    } else if (event.text && typeof event.text === 'object') {
-                        thoughtText = JSON.stringify(event.text).substring(0, 50);
-                    }
-                    
-                    sendWsMessage(ws, {
-                        type: 'model_status',
-                        model: event.agent || 'unknown',
-                        status: 'processing',
-                        message: thoughtText ? `Processing: ${thoughtText}...` : 'Processing thoughts...',
-                        timestamp: event.timestamp || new Date().toISOString()
-                    });
-                    console.log(`📡 Forwarded agent_thought from ${event.agent} to WebSocket`);
-                } 
-                // Forward agent_vote events as model_status updates
-                else if (event.type === 'agent_vote') {
-                    sendWsMessage(ws, {
-                        type: 'model_status',
-                        model: event.agent || 'unknown',
-                        status: 'processing',
-                        message: 'Voting on responses...',
-                        timestamp: event.timestamp || new Date().toISOString()
-                    });
-                    console.log(`📡 Forwarded agent_vote from ${event.agent} to WebSocket`);
-                }
-                // Forward agent_thinking events as model_status updates
-                else if (event.type === 'agent_thinking') {
-                    sendWsMessage(ws, {
-                        type: 'model_status',
-                        model: event.agent || 'unknown',
-                        status: 'processing',
-                        message: 'Deep thinking...',
-                        timestamp: event.timestamp || new Date().toISOString()
-                    });
-                    console.log(`📡 Forwarded agent_thinking from ${event.agent} to WebSocket`);
-                }
-                // Forward agent_response_complete events as completed status
-                else if (event.type === 'agent_response_complete') {
-                    sendWsMessage(ws, {
-                        type: 'model_status',
-                        model: event.agent || 'unknown',
-                        status: 'completed',
-                        message: `Response complete (${event.responseLength || 0} chars)`,
-                        timestamp: event.timestamp || new Date().toISOString()
-                    });
-                    console.log(`📡 Forwarded agent_response_complete from ${event.agent} to WebSocket`);
-                }
-                // Forward phase_start events
-                else if (event.type === 'phase_start') {
-                    sendWsMessage(ws, {
-                        type: 'model_status',
-                        model: 'system',
-                        status: 'phase_change',
-                        message: event.phase || 'New phase starting...',
-                        timestamp: event.timestamp || new Date().toISOString()
-                    });
-                    console.log(`📡 Forwarded phase_start to WebSocket: ${event.phase}`);
-                }
-                // Forward progress_update events
-                else if (event.type === 'progress_update') {
-                    sendWsMessage(ws, {
-                        type: 'progress_update',
-                        phase: event.phase,
-                        currentStep: event.currentStep,
-                        totalSteps: event.totalSteps,
-                        percentage: event.percentage,
-                        timestamp: event.timestamp || new Date().toISOString()
-                    });
-                    console.log(`📡 Forwarded progress_update to WebSocket: ${event.phase} ${event.percentage}%`);
-                }
-                // Forward collaboration_complete events
-                else if (event.type === 'collaboration_complete') {
-                    sendWsMessage(ws, {
-                        type: 'collaboration_complete',
-                        timestamp: event.timestamp || new Date().toISOString()
-                    });
-                    console.log(`📡 Forwarded collaboration_complete to WebSocket`);
-                    
-                    // Clean up subscription
-                    unsubscribe();
-                    console.log(`📡 Unsubscribed from Redis channel: ${redisChannel}`);
-                }
-            });
-            
-            // Use the new collaboration engine with configuration
-            const collaborationResult = await handleCollaborativeDiscussion({
-                prompt: fullPrompt,
-                mode: getCollaborationConfig().mode,
+            const collaborationMode = requestedMode;
+
+            // Run the collaboration as a server-side job so a reconnecting client can
+            // re-attach with resume_collaboration instead of losing its output
+            const job = collaborationJobs.start({
+                sessionId: collaborationSessionId,
+                userId: userId,
                 agents: modelsToQuery,
-                models: models,
-                sessionId: collaborationSessionId, // Pass session ID to collaboration
-                userId: userId, // Pass user ID for dynamic API key checking
-                ignoreFailingModels: true, // Continue even if some models fail
-                skipSynthesisIfAllFailed: true, // Skip synthesis phase if all models fail
-                continueWithAvailableModels: true, // Continue with available models when some timeout
-                costCapDollars: 100.0, // Higher cost cap (effectively unlimited)
-                maxSeconds: 600, // 10 minute timeout for complex prompts
-                keepLoadingUntilComplete: true, // Keep loading indicators active until all phases complete
-                sequentialStyle: sequentialStyle, // Add the sequential style option if provided
-                onModelStatusChange: (model, status, message) => {
-                    // Send status updates to client for loading UI
-                    // Always ensure UI updates are sent for loading indicators
-                    sendWsMessage(ws, {
-                        type: 'model_status',
-                        model,
-                        status,
-                        message,
-                        timestamp: new Date().toISOString()
-                    });
+                mode: collaborationMode,
+                run: (onModelStatusChange) => handleCollaborativeDiscussion({
+                    prompt: collaborationPrompt,
+                    attachmentContext: fileContext, // Formatted attachments, added after sanitizing
+                    retrievedSources: retrievedSources, // Passages from the conversation's files, sized per agent
+                    mcpContextToken: agentContextToken, // Agents may list, read and propose edits through tool calls
+                    mode: collaborationMode,
+                    agents: modelsToQuery,
+                    models: models,
+                    sessionId: collaborationSessionId, // Pass session ID to collaboration
+                    userId: userId, // Pass user ID for dynamic API key checking
+                    conversationSessionId: ws.sessionId, // Links the stored run transcript to this conversation
+                    projectId: projectId, // Project budgets apply to the run's calls
+                    ignoreFailingModels: true, // Continue even if some models fail
+                    skipSynthesisIfAllFailed: true, // Skip synthesis phase if all models fail
+                    continueWithAvailableModels: true, // Continue with available models when some timeout
+                    costCapDollars: dailySpend.remainingUSD, // What is left of the tier's daily allowance
+                    maxSeconds: 600, // 10 minute timeout for complex prompts
+                    keepLoadingUntilComplete: true, // Keep loading indicators active until all phases complete
+                    sequentialStyle: sequentialStyle, // Add the sequential style option if provided
+                    reviewExpertRoles: reviewExpertRoles === true, // Expert panel waits for the user to confirm its roles
+                    debate: debateSettings, // Adversarial debate rounds, teams and judge
+                    // Status updates go through the event channel so they can be replayed
+                    onModelStatusChange: onModelStatusChange
+                })
+            });
 
-                    // Log status changes for debugging
-                    console.log(`📊 Model status update: ${model} → ${status} ${message ? `(${message})` : ''}`);
-                }
+            sendWsMessage(ws, {
+                type: 'collaboration_started',
+                collaborationSessionId: collaborationSessionId,
+                agents: modelsToQuery,
+                mode: collaborationMode
             });
-            
-            // Handle the response
-            if (collaborationResult && collaborationResult.final) {
-                // Check if this is an error message (collaborationResult.final will contain the error message)
-                const isErrorResult = collaborationResult.final.startsWith('Error in ');
-                
-                if (isErrorResult) {
-                    console.error(`❌ Collaboration error response:`, collaborationResult.final);
-                    
-                    // Clean up Redis subscription on error
-                    if (typeof unsubscribe === 'function') {
-                        unsubscribe();
-                        console.log(`🔌 Cleaned up Redis subscription due to collaboration error`);
-                    }
-                    
-                    onSummaryError(new Error(collaborationResult.final));
-                } else {
-                    // Send summary response to all model UIs
-                    onSummaryChunk(collaborationResult.final);
-                    if (collaborationResult.rationale) {
-                        onSummaryChunk("\n\n## Rationale\n\n" + collaborationResult.rationale);
-                    }
-                    onSummaryComplete();
-                    
-                    // Log the cost
-                    console.log(`Collaboration complete. Cost: $${collaborationResult.spentUSD.toFixed(4)}`);
-                    
-                    // Send cost information to client
-                    sendWsMessage(ws, { 
-                        type: 'cost_info', 
-                        cost: collaborationResult.spentUSD.toFixed(4),
-                        mode: getCollaborationConfig().mode
-                    });
-                    
-                    // Clean up Redis subscription after successful completion
-                    if (typeof unsubscribe === 'function') {
-                        unsubscribe();
-                        console.log(`🔌 Cleaned up Redis subscription after successful completion`);
-                    }
-                }
-            } else {
-                console.error("❌ Collaboration returned empty or null result");
-                
-                // Clean up Redis subscription on empty result
-                if (typeof unsubscribe === 'function') {
-                    unsubscribe();
-                    console.log(`🔌 Cleaned up Redis subscription due to empty result`);
-                }
-                
-                onSummaryError(new Error("Collaboration returned empty result. Please check server logs."));
-            }
+
+            attachToCollaboration(ws, collaborationSessionId);
+            await job.promise;
         } else { // Individual mode
             await Promise.all(modelsToQuery.map(async (aiTarget) => {
                 const modelId = models[aiTarget]?.[0];
-                const streamFn = getStreamFunctionForProvider(aiTarget);
+                const streamFn = getStreamFunctionForProvider(aiTarget, userId);
                  if (streamFn) {
-                    await streamFn(modelId, fullPrompt,
+                    await streamFn(modelId, buildPrompt(aiTarget),
                         (chunk) => onChunk(aiTarget, chunk),
-                        () => onComplete(aiTarget),
+                        (usage) => onComplete(aiTarget, modelId, usage),
                         (err) => onError(aiTarget, err)
                     );
                 } else {
@@ -967,45 +1004,274 @@ async function handleChatMessage(ws, data) {
     }
 }
 
-async function prepareFileContextForAI(filePaths) {
-    // This function needs access to the file system, likely via MCP
-    // It should read the content of allowed files and format them for the AI prompt.
-    // For now, return a placeholder. Replace with actual MCP readFile calls.
-    if (!filePaths || filePaths.length === 0) return '';
-
-    let context = "\n\n--- Attached Files Context ---\n";
-    // WARNING: This assumes filePaths are relative paths within an *allowed* context.
-    // Direct file system access based on client paths is insecure.
-    // This MUST be replaced with MCP validation and reading.
-    for (const filePath of filePaths) {
-        context += `[Content for ${path.basename(filePath)} would be included here via MCP]\n`;
-        // Example using MCP (requires token and userId):
-        // try {
-        //     const validation = mcp.validateContext(token, userId, 'read'); // Need token/userId here
-        //     if (!validation.valid) continue;
-        //     const content = await mcp.readFile(token, userId, filePath);
-        //     context += `\nFile: ${path.basename(filePath)}\n\`\`\`\n${content.substring(0, 2000)}\n\`\`\`\n`; // Limit context size
-        // } catch (err) { context += `\n[Error reading file ${path.basename(filePath)}: ${err.message}]\n`; }
+// --- Collaboration Event Forwarding ---
+
+/**
+ * Starts forwarding a collaboration job's events to a WebSocket
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {string} collaborationSessionId - The collaboration to follow
+ * @param {number} [afterEventId=0] - Replay only events newer than this
+ */
+function attachToCollaboration(ws, collaborationSessionId, afterEventId = 0) {
+    if (!ws.collaborationSubscriptions) {
+        ws.collaborationSubscriptions = new Map();
+    }
+    // A second attach (e.g. a repeated resume) replaces the first
+    ws.collaborationSubscriptions.get(collaborationSessionId)?.();
+
+    console.log(`📡 Attaching ${ws.connectionId} to collaboration ${collaborationSessionId} (after event ${afterEventId})`);
+    const detach = collaborationJobs.attach(collaborationSessionId, (event) => {
+        forwardCollaborationEvent(ws, collaborationSessionId, event);
+    }, { afterEventId });
+
+    ws.collaborationSubscriptions.set(collaborationSessionId, () => {
+        detach();
+        ws.collaborationSubscriptions.delete(collaborationSessionId);
+    });
+}
+
+function detachAllCollaborations(ws) {
+    if (!ws.collaborationSubscriptions) return;
+    for (const detach of Array.from(ws.collaborationSubscriptions.values())) {
+        detach();
+    }
+}
+
+/**
+ * Translates a collaboration event into the WebSocket messages the UI expects.
+ * Every message carries collaborationSessionId and eventId so the client can resume.
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {string} collaborationSessionId - The collaboration the event belongs to
+ * @param {Object} event - Event from the collaboration channel
+ */
+function forwardCollaborationEvent(ws, collaborationSessionId, event) {
+    const send = (payload) => sendWsMessage(ws, {
+        ...payload,
+        collaborationSessionId,
+        eventId: event.eventId
+    });
+    const timestamp = event.timestamp || new Date().toISOString();
+
+    switch (event.type) {
+        // Forward agent_thought events as model_status updates
+        case 'agent_thought': {
+            // Safely handle event.text which might not be a string
+            let thoughtText = '';
+            if (event.text && typeof event.text === 'string') {
+                thoughtText = event.text.substring(0, 50);
+            } else if (event.text && typeof event.text === 'object') {
+                thoughtText = JSON.stringify(event.text).substring(0, 50);
+            }
+            send({
+                type: 'model_status',
+                model: event.agent || 'unknown',
+                status: 'processing',
+                message: thoughtText ? `Processing: ${thoughtText}...` : 'Processing thoughts...',
+                timestamp
+            });
+            break;
+        }
+        case 'agent_vote':
+            send({
+                type: 'model_status',
+                model: event.agent || 'unknown',
+                status: 'processing',
+                message: event.vote
+                    ? `Voted for ${event.vote}${typeof event.confidence === 'number' ? ` (confidence ${event.confidence})` : ''}`
+                    : 'Voting on responses...',
+                timestamp
+            });
+            break;
+        case 'vote_tally':
+            send({
+                type: 'vote_tally',
+                phase: event.phase,
+                winner: event.winner,
+                standings: event.standings,
+                counts: event.counts,
+                confidence: event.confidence,
+                abstained: event.abstained,
+                timestamp
+            });
+            break;
+        // Tool calls an agent makes on the shared MCP context
+        case 'agent_tool_call':
+            send({
+                type: 'agent_tool_call',
+                agent: event.agent,
+                phase: event.phase,
+                callId: event.callId,
+                tool: event.tool,
+                path: event.path,
+                timestamp
+            });
+            send({
+                type: 'model_status',
+                model: event.agent || 'unknown',
+                status: 'processing',
+                message: `Calling ${event.tool}${event.path ? ` on ${event.path}` : ''}...`,
+                timestamp
+            });
+            break;
+        case 'agent_tool_result':
+            send({
+                type: 'agent_tool_result',
+                agent: event.agent,
+                phase: event.phase,
+                callId: event.callId,
+                tool: event.tool,
+                ok: event.ok,
+                summary: event.summary,
+                operationId: event.operationId,
+                timestamp
+            });
+            break;
+        case 'agent_thinking':
+            send({ type: 'model_status', model: event.agent || 'unknown', status: 'processing', message: 'Deep thinking...', timestamp });
+            break;
+        case 'agent_response_complete':
+            send({
+                type: 'model_status',
+                model: event.agent || 'unknown',
+                status: 'completed',
+                message: `Response complete (${event.responseLength || 0} chars)`,
+                timestamp
+            });
+            break;
+        // Status updates reported by the collaboration engine (onModelStatusChange)
+        case 'model_status':
+            send({ type: 'model_status', model: event.model, status: event.status, message: event.message, timestamp });
+            break;
+        case 'phase_start':
+            send({ type: 'model_status', model: 'system', status: 'phase_change', message: event.phase || 'New phase starting...', timestamp });
+            break;
+        // Expert panel roles awaiting the user's review, and the panel finally seated
+        case 'expert_roles_proposed':
+            send({
+                type: 'expert_roles_proposed',
+                roles: event.roles || [],
+                agents: event.agents || [],
+                domains: event.domains || [],
+                timeoutMs: event.timeoutMs,
+                timestamp
+            });
+            break;
+        case 'expert_roles_assigned':
+            send({ type: 'expert_roles_assigned', roles: event.roles || [], source: event.source, timestamp });
+            send({
+                type: 'model_status',
+                model: 'system',
+                status: 'phase_change',
+                message: `Expert panel: ${(event.roles || []).map(role => `${role.name} (${role.agent})`).join(', ')}`,
+                timestamp
+            });
+            break;
+        // Adversarial debate: who argues for which side, and the judge's verdict
+        case 'debate_lineup':
+            send({
+                type: 'model_status',
+                model: 'system',
+                status: 'phase_change',
+                message: `Debate: ${(event.pro || []).join(', ')} vs ${(event.con || []).join(', ')}, judged by ${event.judge}`,
+                timestamp
+            });
+            break;
+        case 'debate_scorecard':
+            send({
+                type: 'debate_scorecard',
+                judge: event.judge,
+                pro: event.pro,
+                con: event.con,
+                scorecard: event.scorecard,
+                timestamp
+            });
+            break;
+        case 'progress_update':
+            send({
+                type: 'progress_update',
+                phase: event.phase,
+                currentStep: event.currentStep,
+                totalSteps: event.totalSteps,
+                percentage: event.percentage,
+                timestamp
+            });
+            break;
+        case 'collaboration_complete':
+            send({ type: 'collaboration_complete', timestamp });
+            break;
+        case 'collaboration_result':
+            sendCollaborationResult(send, event);
+            break;
+        case 'collaboration_failed':
+            sendCollaborationError(send, event.agents || [], new Error(event.error || 'Collaboration failed'));
+            send({ type: 'collaboration_ended', status: 'failed' });
+            break;
+        default:
+            // collaboration_started and engine-internal events are not shown to the client
+            break;
     }
-    context += "--- End Attached Files ---\n";
-    return context;
 }
 
+/**
+ * Sends the final answer of a collaboration to every participating model's UI
+ */
+function sendCollaborationResult(send, event) {
+    const agents = event.agents || [];
+
+    if (!event.final) {
+        console.error("❌ Collaboration returned empty or null result");
+        sendCollaborationError(send, agents, new Error("Collaboration returned empty result. Please check server logs."));
+        send({ type: 'collaboration_ended', status: 'failed' });
+        return;
+    }
+
+    // An error message in place of an answer (e.g. "Error in round_table: ...")
+    if (event.final.startsWith('Error in ')) {
+        console.error(`❌ Collaboration error response:`, event.final);
+        sendCollaborationError(send, agents, new Error(event.final));
+        send({ type: 'collaboration_ended', status: 'failed' });
+        return;
+    }
 
-function getStreamFunctionForProvider(provider) {
-    // Maps provider ID to the correct streaming function from AI libs
-    switch (provider) {
-        case 'claude': return streamClaudeResponse;
-        case 'gemini': return streamGeminiResponse;
-        case 'chatgpt':
-        case 'grok':
-        case 'deepseek':
-        case 'llama':
-            // Curry the function to pass the provider name
-            return (modelId, prompt, onChunk, onComplete, onError) =>
-                streamOpenAICompatResponse(provider, modelId, prompt, onChunk, onComplete, onError);
-        default: return null;
+    let summary = event.final;
+    if (event.rationale) {
+        summary += "\n\n## Rationale\n\n" + event.rationale;
     }
+    agents.forEach(aiTarget => {
+        send({ type: 'response', target: aiTarget, content: summary, summary: true, start: true });
+        send({ type: 'response', target: aiTarget, end: true, summary: true });
+    });
+    latestResponses.summary = summary;
+    console.log("Collaboration summary streaming complete.");
+
+    // Send cost information to client
+    send({
+        type: 'cost_info',
+        cost: (event.spentUSD || 0).toFixed(4),
+        mode: event.mode
+    });
+    send({ type: 'collaboration_ended', status: 'completed' });
+}
+
+function sendCollaborationError(send, agents, error) {
+    const errorMsg = `Error generating summary: ${error.message}`;
+    agents.forEach(aiTarget => {
+        send({ type: 'error', message: errorMsg, target: aiTarget }); // Send as regular error
+        send({ type: 'response', target: aiTarget, end: true, summary: true }); // End summary part
+    });
+    latestResponses.summary = errorMsg;
+}
+
+function getStreamFunctionForProvider(provider, userId) {
+    // Any provider registered in the provider registry can be streamed. Prefer the user's
+    // own client (their API key), falling back to the system client.
+    return providerRegistry.getStreamFunction(provider, async () => {
+        try {
+            return await clientFactory.getClient(userId, provider);
+        } catch (error) {
+            return getClient(provider);
+        }
+    });
 }
 
 
@@ -1015,17 +1281,36 @@ async function handleCliMessage(ws, data) {
     }
     const command = data.command;
     if (!command) return sendWsError(ws, "Missing 'command' in command message.");
+    const commandId = typeof data.commandId === 'string' && data.commandId ? data.commandId : `cmd-${Date.now()}`;
+
+    // The user's role selects the allowed commands; temporary users get the guest policy
+    const apiKeyService = (await import('./services/apiKeyService.mjs')).default;
+    const user = await apiKeyService.findPersistedUser(ws.userId);
+    const role = user?.role || 'guest';
 
     // Use the dedicated CLI handler module
     await handleCliCommand(
         command,
         ws.userId, // Pass userId for context/permissions if needed
-        (output) => sendWsMessage(ws, { type: 'command-output', output }),
-        (output, code) => sendWsMessage(ws, { type: 'command-output', output, exitCode: code, end: true }),
-        (error) => sendWsError(ws, `CLI Error: ${error.message}`)
+        (output) => sendWsMessage(ws, { type: 'command-output', commandId, output }),
+        (output, code) => sendWsMessage(ws, { type: 'command-output', commandId, output, exitCode: code, end: true }),
+        (error) => sendWsError(ws, `CLI Error: ${error.message}`),
+        { commandId, role }
     );
 }
 
+function handleCancelCommand(ws, data) {
+    if (!ws.userId) {
+        return sendWsError(ws, 'Authentication required to use CLI.');
+    }
+    if (!data.commandId) return sendWsError(ws, "Missing 'commandId' in cancel_command message.");
+
+    // The command's own completion message reports the cancellation
+    if (!cancelCliCommand(ws.userId, data.commandId)) {
+        sendWsError(ws, `No running command ${data.commandId}.`);
+    }
+}
+
 function handleSetCollabStyle(ws, data) {
     const { style } = data;
     const success = setCollaborationStyle(style); // Update shared config
@@ -1038,6 +1323,84 @@ function handleSetCollabStyle(ws, data) {
     }
 }
 
+/**
+ * Re-attaches a (re)connected client to a collaboration it started earlier.
+ * Replays the events it missed, then streams the rest.
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {Object} data - { sessionId, lastEventId? }
+ */
+async function handleResumeCollaboration(ws, data) {
+    if (!ws.userId) {
+        return sendWsError(ws, 'Authentication required to resume a collaboration.');
+    }
+
+    const collaborationSessionId = data.sessionId;
+    const lastEventId = Number(data.lastEventId) || 0;
+    const resumeFailed = (message) => sendWsMessage(ws, {
+        type: 'collaboration_resume_failed',
+        collaborationSessionId,
+        message
+    });
+
+    if (!collaborationSessionId) {
+        return resumeFailed("Missing 'sessionId' in resume_collaboration message.");
+    }
+
+    const job = await collaborationJobs.getJob(collaborationSessionId);
+    if (!job) {
+        return resumeFailed('Collaboration not found or expired.');
+    }
+    if (job.userId !== ws.userId) {
+        console.warn(`⚠️ User ${ws.userId} tried to resume collaboration ${collaborationSessionId} owned by ${job.userId}`);
+        return resumeFailed('Collaboration not found or expired.');
+    }
+
+    console.log(`🔄 Resuming collaboration ${collaborationSessionId} for user ${ws.userId} (status: ${job.status}, after event ${lastEventId})`);
+    sendWsMessage(ws, {
+        type: 'collaboration_resumed',
+        collaborationSessionId,
+        status: job.status,
+        agents: job.agents,
+        mode: job.mode,
+        lastEventId
+    });
+
+    attachToCollaboration(ws, collaborationSessionId, lastEventId);
+}
+
+/**
+ * Passes the user's answer to an expert_roles_proposed event back to the running panel.
+ * The decision is published on the collaboration channel, so it reaches the job even
+ * when it runs on another server instance.
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {Object} data - { sessionId, roles? } - omit roles to accept the proposal unchanged
+ */
+async function handleExpertRolesDecision(ws, data) {
+    if (!ws.userId) {
+        return sendWsError(ws, 'Authentication required to review expert roles.');
+    }
+
+    const collaborationSessionId = data.sessionId;
+    if (!collaborationSessionId) {
+        return sendWsError(ws, "Missing 'sessionId' in expert_roles_decision message.");
+    }
+    if (data.roles !== undefined && !Array.isArray(data.roles)) {
+        return sendWsError(ws, "'roles' must be an array of { name, focus, domain, agent? }.");
+    }
+
+    const job = await collaborationJobs.getJob(collaborationSessionId);
+    if (!job || job.userId !== ws.userId || job.status !== 'running') {
+        return sendWsError(ws, 'Collaboration not found or no longer running.');
+    }
+
+    console.log(`👥 User ${ws.userId} ${data.roles ? 'edited' : 'accepted'} the expert roles for ${collaborationSessionId}`);
+    publishEvent(collaborationJobs.channelFor(collaborationSessionId), {
+        type: 'expert_roles_decision',
+        roles: data.roles || null,
+        timestamp: new Date().toISOString()
+    });
+}
+
 /**
  * Handles a cancel collaboration request
  * @param {WebSocket} ws - The WebSocket connection
@@ -1130,6 +1493,7 @@ async function handleResetContext(ws, data) {
 
     try {
         const newContext = await resetContext(ws.userId, ws.sessionId);
+        dropConversationIndex(ws.userId, ws.sessionId);
 
         sendWsMessage(ws, {
             type: 'context_reset',
@@ -1298,7 +1662,7 @@ async function handleGetSessionCost(ws, data) {
 
     try {
         const sessionId = data.sessionId || ws.sessionId;
-        const costInfo = await getSessionCost(sessionId);
+        const costInfo = await getSessionCost(sessionId, ws.userId);
         
         if (costInfo.success) {
             sendWsMessage(ws, {
@@ -1331,7 +1695,8 @@ async function handleGetDailyCost(ws, data) {
         if (costInfo.success) {
             sendWsMessage(ws, {
                 type: 'daily_cost',
-                ...costInfo
+                ...costInfo,
+                budgetLimit: await getDailyLimit(ws.userId)
             });
         } else {
             sendWsError(ws, costInfo.error || 'Failed to retrieve daily cost');
@@ -1355,12 +1720,11 @@ async function handleSetBudgetLimit(ws, data) {
     try {
         const { limit } = data;
         
-        if (typeof limit !== 'number' || limit <= 0) {
-            return sendWsError(ws, 'Invalid budget limit. Must be a positive number.');
+        if (typeof limit !== 'number' || limit < 0) {
+            return sendWsError(ws, 'Invalid budget limit. Must be a positive number, or 0 to remove it.');
         }
         
-        const { enforceBudgetLimit } = await import('./lib/ai/costControl.mjs');
-        const result = await enforceBudgetLimit(ws.userId, limit);
+        const result = await setDailyLimit(ws.userId, limit);
         
         if (result.success) {
             sendWsMessage(ws, {
@@ -1376,6 +1740,89 @@ async function handleSetBudgetLimit(ws, data) {
     }
 }
 
+/**
+ * Handles a request to estimate what a chat message would cost before it is sent. Takes
+ * the fields of a 'chat' message and estimates the run handleChatMessage would start:
+ * the same available agents, models, mode, attachments and conversation history
+ * (passages retrieved from earlier files are not included). The reply asks the client to
+ * confirm when the high bound reaches the confirmation threshold or is more than what is
+ * left of today's allowance or of a budget that would block it.
+ * @param {WebSocket} ws - The WebSocket connection
+ * @param {Object} data - The message data; `requestId` is echoed in the reply
+ */
+async function handleEstimateCollaboration(ws, data) {
+    if (!ws.userId) {
+        return sendWsError(ws, 'Authentication required to estimate costs.');
+    }
+
+    const {
+        requestId = null,
+        message,
+        content,
+        filePaths = [],
+        models = {},
+        target,
+        collaborationMode = null,
+        debateSettings = null
+    } = data;
+    const userId = ws.userId;
+
+    try {
+        // Unavailable agents are left out of the run, so they are left out of the estimate too
+        const agentClients = {};
+        for (const provider of target === 'collab' ? Object.keys(models) : [target]) {
+            try {
+                const client = await clientFactory.getClient(userId, provider);
+                if (client) agentClients[provider] = client;
+            } catch (error) {
+                console.log(`Agent ${provider} not available for estimate: ${error.message}`);
+            }
+        }
+        const agents = Object.keys(agentClients);
+        if (agents.length === 0) {
+            throw new Error('None of the selected models are available');
+        }
+
+        let mode = agents.length > 1 ? collaborationMode || getCollaborationConfig().mode : 'individual';
+        if (mode === 'collaborative') mode = 'individual';
+        const workflow = isWorkflowMode(mode) ? await resolveWorkflowMode(userId, mode) : null;
+
+        const { context: fileContext } = await prepareAttachments(filePaths, userId);
+        let historyContext = '';
+        if (ws.sessionId && mongoose.connection && mongoose.connection.readyState === 1) {
+            historyContext = await getFormattedContextHistory(userId, ws.sessionId);
+        }
+
+        const estimate = estimateCollaborationCost({
+            prompt: `${historyContext}User Query:\n${message || content || ''}`,
+            attachmentContext: fileContext,
+            mode: workflow ? 'workflow' : mode,
+            agents,
+            models,
+            workflow,
+            debate: debateSettings,
+            clients: agentClients
+        });
+        const dailySpend = await getDailySpend(userId, await getConnectionEntitlements(ws));
+        const budgetCheck = await checkBudgets(userId, { projectId: resolveProjectId(data, userId), providers: agents });
+        const remainingUSD = Math.min(dailySpend.remainingUSD, budgetCheck.remainingUSD);
+
+        sendWsMessage(ws, {
+            type: 'collaboration_estimate',
+            requestId,
+            ...estimate,
+            mode,
+            remainingUSD: remainingUSD,
+            confirmationThresholdUSD: CONFIRMATION_THRESHOLD_USD,
+            requiresConfirmation: estimate.high.costUSD >= CONFIRMATION_THRESHOLD_USD || estimate.high.costUSD > remainingUSD
+        });
+    } catch (error) {
+        // The client sends the message without confirmation rather than blocking on this
+        console.error('Error in handleEstimateCollaboration:', error);
+        sendWsMessage(ws, { type: 'collaboration_estimate', requestId, error: error.message });
+    }
+}
+
 /**
  * Handles a request to set the maximum context size
  * @param {WebSocket} ws - The WebSocket connection
@@ -1392,6 +1839,11 @@ async function handleSetMaxContextSize(ws, data) {
         return sendWsError(ws, 'Valid max size is required (at least 1000 characters).');
     }
 
+    const refusal = checkContextSize(await getConnectionEntitlements(ws), maxSize);
+    if (refusal) {
+        return sendEntitlementError(ws, refusal, [null]);
+    }
+
     try {
         const result = await setMaxContextSize(ws.userId, ws.sessionId, maxSize);
 
@@ -1472,13 +1924,15 @@ async function handleMcpMessage(ws, data) {
     try {
         switch (data.type) {
             case 'mcp_register_context':
-                const { directory, description, permissions, duration, projectId } = data;
+                const { directory, description, permissions, duration, projectId, git } = data;
                 if (!directory) throw new Error('Directory is required.');
-                const token = await mcp.registerContext(sessionId, directory, userId, { description, permissions, duration, projectId });
+                const token = await mcp.registerContext(sessionId, directory, userId, { description, permissions, duration, projectId, git });
                 const context = mcp.validateContext(token, userId); // Get details to send back
+                const repository = context.context?.git;
                 sendWsMessage(ws, {
                     type: 'mcp_context_registered', success: true, token,
-                    directory: context.context?.directory, expiresAt: context.context?.expiresAt, permissions: context.context?.permissions
+                    directory: context.context?.directory, expiresAt: context.context?.expiresAt, permissions: context.context?.permissions,
+                    git: repository ? { branch: repository.branch, scratchBranch: repository.scratchBranch, baseCommit: repository.baseCommit } : null
                 });
                 break;
             case 'mcp_list_files':
@@ -1493,17 +1947,17 @@ async function handleMcpMessage(ws, data) {
                 break;
             case 'mcp_request_write':
                  if (!data.token || !data.filePath || data.content === undefined) throw new Error('Token, filePath, and content required.');
-                const writeOpId = await mcp.requestWriteFile(data.token, userId, data.filePath, data.content, { description: data.description });
+                const writeOpId = await mcp.requestWriteFile(data.token, userId, data.filePath, data.content, { description: data.description, agent: data.agent || null, sessionId });
                 sendWsMessage(ws, { type: 'mcp_write_requested', operationId: writeOpId, filePath: data.filePath, status: 'pending' });
                 break;
             case 'mcp_request_delete':
                  if (!data.token || !data.filePath) throw new Error('Token and filePath required.');
-                const deleteOpId = await mcp.requestDeleteFile(data.token, userId, data.filePath, { description: data.description });
+                const deleteOpId = await mcp.requestDeleteFile(data.token, userId, data.filePath, { description: data.description, agent: data.agent || null, sessionId });
                 sendWsMessage(ws, { type: 'mcp_delete_requested', operationId: deleteOpId, filePath: data.filePath, status: 'pending' });
                 break;
             case 'mcp_request_create_directory':
                  if (!data.token || !data.dirPath) throw new Error('Token and dirPath required.');
-                const createDirOpId = await mcp.requestCreateDirectory(data.token, userId, data.dirPath, { description: data.description });
+                const createDirOpId = await mcp.requestCreateDirectory(data.token, userId, data.dirPath, { description: data.description, agent: data.agent || null, sessionId });
                 sendWsMessage(ws, { type: 'mcp_create_directory_requested', operationId: createDirOpId, dirPath: data.dirPath, status: 'pending' });
                 break;
             case 'mcp_get_pending_operations':
@@ -1512,14 +1966,40 @@ async function handleMcpMessage(ws, data) {
                 break;
             case 'mcp_approve_operation':
                  if (!data.operationId) throw new Error('Operation ID required.');
-                const approveResult = await mcp.approveOperation(data.operationId, userId);
+                const approveResult = await mcp.approveOperation(data.operationId, userId, { hunks: data.hunks, sessionId });
                 sendWsMessage(ws, { type: 'mcp_operation_approved', operationId: data.operationId, result: approveResult });
                 break;
             case 'mcp_reject_operation':
                  if (!data.operationId) throw new Error('Operation ID required.');
-                const rejectResult = mcp.rejectOperation(data.operationId, userId, data.reason || '');
+                const rejectResult = mcp.rejectOperation(data.operationId, userId, data.reason || '', { sessionId });
                 sendWsMessage(ws, { type: 'mcp_operation_rejected', operationId: data.operationId, result: rejectResult });
                 break;
+            case 'mcp_draft_commit_message':
+                // A model of the user's choice describes the batch; the user can edit it before approving
+                if (!data.token || !data.agent) throw new Error('Context token and agent required.');
+                const draftClient = await clientFactory.getClient(userId, data.agent);
+                if (!draftClient?.getResponse) throw new Error(`${data.agent} is not available.`);
+                const draft = await mcp.draftBatchCommitMessage(data.token, userId, {
+                    operationIds: data.operationIds,
+                    complete: (prompt) => draftClient.getResponse(prompt, { modelId: data.model, maxTokens: 300 })
+                });
+                sendWsMessage(ws, { type: 'mcp_commit_message_drafted', token: data.token, ...draft });
+                break;
+            case 'mcp_approve_batch':
+                if (!data.token) throw new Error('Context token required.');
+                const batchResult = await mcp.approveBatch(data.token, userId, { operationIds: data.operationIds, message: data.message, sessionId });
+                sendWsMessage(ws, { type: 'mcp_batch_approved', token: data.token, result: batchResult });
+                break;
+            case 'mcp_list_commits':
+                if (!data.token) throw new Error('Context token required.');
+                const history = await mcp.getContextCommits(data.token, userId);
+                sendWsMessage(ws, { type: 'mcp_commits_listed', token: data.token, ...history });
+                break;
+            case 'mcp_revert_commit':
+                if (!data.token || !data.commit) throw new Error('Context token and commit required.');
+                const revertResult = await mcp.revertContextCommit(data.token, userId, data.commit, { sessionId });
+                sendWsMessage(ws, { type: 'mcp_commit_reverted', token: data.token, result: revertResult });
+                break;
             default:
                 // Should not happen due to outer switch, but good practice
                 throw new Error(`Unknown MCP message type: ${data.type}`);
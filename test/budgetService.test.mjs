@@ -0,0 +1,258 @@
+/**
+ * Budgets: validation, which budgets cover a request, hard limits and the once-per-period
+ * threshold alerts. The Budget and UsageEntry models are backed by an in-memory stand-in
+ * that applies the filters and updates budgetService sends.
+ */
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Budget } from '../src/models/Budget.mjs';
+import { UsageEntry } from '../src/models/UsageEntry.mjs';
+import { recordUsage } from '../src/services/usageLedgerService.mjs';
+import {
+  getPeriodRange,
+  validateBudget,
+  checkBudgets,
+  initializeBudgetAlerts
+} from '../src/services/budgetService.mjs';
+
+const USER_ID = 'budget-test-user';
+
+function getPath(document, path) {
+  return path.split('.').reduce((value, key) => value?.[key], document);
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) return a?.getTime?.() === b?.getTime?.();
+  return String(a) === String(b) && (a === null) === (b === null);
+}
+
+// The query operators budgetService uses: equality, $ne (on values and arrays)
+function matches(document, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = getPath(document, path);
+    if (condition && typeof condition === 'object' && '$ne' in condition) {
+      return Array.isArray(value)
+        ? !value.some(item => sameValue(item, condition.$ne))
+        : !sameValue(value ?? null, condition.$ne);
+    }
+    return Array.isArray(value) ? value.some(item => sameValue(item, condition)) : sameValue(value ?? null, condition);
+  });
+}
+
+/**
+ * Budgets in memory behind Budget.find and Budget.updateOne, and a ledger whose spend
+ * per provider the test sets
+ */
+function useFakeDatabase(budgets) {
+  const spend = { total: 0, byProvider: {} };
+
+  mock.method(Budget, 'find', (filter) => ({
+    lean: async () => budgets.filter(budget => matches(budget, filter)).map(budget => structuredClone(budget))
+  }));
+  mock.method(Budget, 'updateOne', async (filter, update) => {
+    const budget = budgets.find(candidate => matches(candidate, filter));
+    if (!budget) return { modifiedCount: 0 };
+    if (update.$set?.alerts) budget.alerts = structuredClone(update.$set.alerts);
+    const added = update.$addToSet?.['alerts.notified'];
+    if (added !== undefined) {
+      if (budget.alerts.notified.includes(added)) return { modifiedCount: 0 };
+      budget.alerts.notified.push(added);
+    }
+    return { modifiedCount: 1 };
+  });
+  mock.method(UsageEntry, 'create', async (entry) => entry);
+  mock.method(UsageEntry, 'aggregate', async ([{ $match: match }]) => {
+    const cost = match.provider ? spend.byProvider[match.provider] || 0 : spend.total;
+    return [{ _id: null, cost }];
+  });
+  return spend;
+}
+
+function budget(fields) {
+  const { value } = validateBudget(fields);
+  return {
+    _id: new mongoose.Types.ObjectId().toString(),
+    userId: USER_ID,
+    ...value,
+    alerts: { periodStart: null, notified: [] }
+  };
+}
+
+async function settle() {
+  await new Promise(resolve => setTimeout(resolve, 20));
+}
+
+before(() => {
+  // Services only touch the database when it reports itself connected
+  Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true, writable: true });
+});
+
+after(() => {
+  delete mongoose.connection.readyState;
+});
+
+describe('validateBudget', () => {
+  test('fills in defaults and orders thresholds', () => {
+    const { value } = validateBudget({ period: 'weekly', limitUSD: 20, softThresholds: [90, 50, 90] });
+    assert.equal(value.scope, 'user');
+    assert.equal(value.scopeId, null);
+    assert.deepEqual(value.softThresholds, [50, 90]);
+    assert.equal(value.hardThreshold, null);
+    assert.equal(value.enabled, true);
+  });
+
+  test('stores provider scopes under the agent name the ledger records', () => {
+    assert.equal(validateBudget({ scope: 'provider', scopeId: 'anthropic', period: 'daily', limitUSD: 5 }).value.scopeId, 'claude');
+    assert.equal(validateBudget({ scope: 'provider', scopeId: 'custom:VLLM', period: 'daily', limitUSD: 5 }).value.scopeId, 'custom:vllm');
+    assert.match(validateBudget({ scope: 'provider', scopeId: 'nope', period: 'daily', limitUSD: 5 }).error, /Unknown provider 'nope'/);
+    assert.match(validateBudget({ scope: 'provider', scopeId: 'custom:', period: 'daily', limitUSD: 5 }).error, /Unknown provider/);
+  });
+
+  test('rejects invalid definitions', () => {
+    assert.match(validateBudget({ period: 'yearly', limitUSD: 5 }).error, /period must be one of/);
+    assert.match(validateBudget({ period: 'daily', limitUSD: 0 }).error, /limitUSD must be a positive amount/);
+    assert.match(validateBudget({ period: 'daily', limitUSD: 5, hardThreshold: -1 }).error, /hardThreshold must be a percentage/);
+    assert.match(validateBudget({ scope: 'project', period: 'daily', limitUSD: 5 }).error, /needs a scopeId/);
+    assert.match(validateBudget({ period: 'daily', limitUSD: 5, notify: { webhookUrl: 'ftp://example.com' } }).error, /webhookUrl/);
+  });
+});
+
+test('weekly periods start on Monday and monthly ones on the first', () => {
+  const wednesday = new Date(2026, 9, 21, 15, 30);
+
+  const week = getPeriodRange('weekly', wednesday);
+  assert.deepEqual(week.start, new Date(2026, 9, 19));
+  assert.deepEqual(week.end, new Date(2026, 9, 26));
+
+  const month = getPeriodRange('monthly', wednesday);
+  assert.deepEqual(month.start, new Date(2026, 9, 1));
+  assert.deepEqual(month.end, new Date(2026, 10, 1));
+});
+
+describe('checkBudgets', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('refuses requests once a covering budget reaches its hard threshold', async () => {
+    const spend = useFakeDatabase([budget({ name: 'Daily cap', period: 'daily', limitUSD: 10, hardThreshold: 100 })]);
+
+    spend.total = 9.5;
+    assert.deepEqual(await checkBudgets(USER_ID), { refusal: null, remainingUSD: 0.5 });
+
+    spend.total = 10;
+    const { refusal, remainingUSD } = await checkBudgets(USER_ID);
+    assert.equal(remainingUSD, 0);
+    assert.equal(refusal.code, 'budget_exceeded');
+    assert.equal(refusal.spentUSD, 10);
+    assert.match(refusal.error, /^Daily cap is used up: \$10\.00 of \$10\.00\./);
+  });
+
+  test('only counts budgets that cover the request, matching provider aliases', async () => {
+    const spend = useFakeDatabase([
+      budget({ scope: 'project', scopeId: 'p1', period: 'daily', limitUSD: 1, hardThreshold: 100 }),
+      budget({ scope: 'provider', scopeId: 'claude', period: 'daily', limitUSD: 2, hardThreshold: 50 }),
+      budget({ period: 'daily', limitUSD: 100 }) // Alerts only, never blocks
+    ]);
+    spend.total = 50;
+    spend.byProvider.claude = 1;
+
+    assert.deepEqual(await checkBudgets(USER_ID, { projectId: 'p2', providers: ['gemini'] }), { refusal: null, remainingUSD: Infinity });
+    assert.equal((await checkBudgets(USER_ID, { projectId: 'p1' })).refusal.budget.scopeId, 'p1');
+    assert.equal((await checkBudgets(USER_ID, { providers: ['anthropic'] })).refusal.budget.scopeId, 'claude');
+  });
+
+  test('lets requests through when budgets cannot be read', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    mock.method(Budget, 'find', () => ({ lean: async () => { throw new Error('connection lost'); } }));
+
+    assert.deepEqual(await checkBudgets(USER_ID), { refusal: null, remainingUSD: Infinity });
+  });
+});
+
+describe('threshold alerts', () => {
+  const alerts = [];
+
+  before(() => {
+    initializeBudgetAlerts({ broadcast: (userId, message) => alerts.push({ userId, ...message }) });
+  });
+
+  beforeEach(() => {
+    alerts.length = 0;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // A chat call costing 1 USD (claude-3-haiku: $1.25 per million output tokens)
+  const recordDollar = () => recordUsage({
+    userId: USER_ID,
+    source: 'chat',
+    provider: 'claude',
+    model: 'claude-3-haiku',
+    outputTokens: 800000
+  });
+
+  test('alerts each threshold once per period, for the highest one reached', async () => {
+    const budgets = [budget({ period: 'monthly', limitUSD: 10, softThresholds: [50, 80], hardThreshold: 100 })];
+    const spend = useFakeDatabase(budgets);
+
+    spend.total = 4;
+    await recordDollar();
+    await settle();
+    assert.equal(alerts.length, 0);
+
+    spend.total = 5.5;
+    await recordDollar();
+    await settle();
+    assert.deepEqual(alerts.map(alert => [alert.type, alert.threshold, alert.level]), [['budget_alert', 50, 'soft']]);
+    assert.equal(alerts[0].message, 'Monthly budget has reached 50% ($5.50 of $10.00).');
+
+    // Still over 50%: nothing new
+    spend.total = 6;
+    await recordDollar();
+    await settle();
+    assert.equal(alerts.length, 1);
+
+    // Past 80% and the hard threshold at once: one alert, for the hard threshold
+    spend.total = 12;
+    await recordDollar();
+    await settle();
+    assert.deepEqual(alerts.slice(1).map(alert => [alert.threshold, alert.level]), [[100, 'hard']]);
+    assert.deepEqual(budgets[0].alerts.notified, [50, 80, 100]);
+  });
+
+  test('concurrent usage alerts a threshold once', async () => {
+    const spend = useFakeDatabase([budget({ period: 'daily', limitUSD: 10 })]);
+    spend.total = 6;
+
+    await Promise.all([recordDollar(), recordDollar(), recordDollar()]);
+    await settle();
+
+    assert.deepEqual(alerts.map(alert => alert.threshold), [50]);
+  });
+
+  test('a new period starts the alerts over', async () => {
+    const budgets = [budget({ period: 'daily', limitUSD: 10 })];
+    budgets[0].alerts = { periodStart: new Date(2000, 0, 1), notified: [50, 80, 100] };
+    const spend = useFakeDatabase(budgets);
+    spend.total = 8.5;
+
+    await recordDollar();
+    await settle();
+
+    assert.deepEqual(alerts.map(alert => alert.threshold), [80]);
+    assert.deepEqual(budgets[0].alerts.periodStart, getPeriodRange('daily').start);
+    assert.deepEqual(budgets[0].alerts.notified, [50, 80]);
+  });
+
+  test('ignores usage outside the budget\'s scope', async () => {
+    const spend = useFakeDatabase([budget({ scope: 'provider', scopeId: 'gemini', period: 'daily', limitUSD: 1 })]);
+    spend.total = 5;
+    spend.byProvider.gemini = 0;
+
+    await recordDollar();
+    await settle();
+
+    assert.equal(alerts.length, 0);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Event bus replay: subscribers that pass afterEventId get the history newer than it,
+ * then live events, each exactly once. Runs against the memory backend and the Redis
+ * backend (with an in-memory stand-in for its two ioredis connections).
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MemoryEventBackend,
+  RedisEventBackend,
+  setEventBackend,
+  publishEvent,
+  subscribeToChannel,
+  clearAllListeners,
+  closeRedis
+} from '../src/lib/messaging/redis.mjs';
+
+// The commands RedisEventBackend issues, on one shared keyspace
+class FakeRedisServer {
+  constructor() {
+    this.strings = new Map();
+    this.lists = new Map();
+    this.subscribers = new Set();
+  }
+}
+
+class FakeRedis {
+  constructor(server) {
+    this.server = server;
+    this.status = 'ready';
+    this.channels = new Set();
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+    return this;
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.server.lists.get(key) || [];
+    return list.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  // The appendEvent script, run as one step like Redis runs scripts
+  async appendEvent(sequenceKey, historyKey, eventJson, channel, historyLimit) {
+    const eventId = (this.server.strings.get(sequenceKey) || 0) + 1;
+    this.server.strings.set(sequenceKey, eventId);
+    const payload = JSON.stringify({ ...JSON.parse(eventJson), eventId });
+
+    const list = [...(this.server.lists.get(historyKey) || []), payload];
+    this.server.lists.set(historyKey, list.slice(-historyLimit));
+    for (const subscriber of this.server.subscribers) {
+      if (subscriber.channels.has(channel)) {
+        setTimeout(() => subscriber.handlers.message?.(channel, payload), 0);
+      }
+    }
+    return eventId;
+  }
+
+  async subscribe(channel) {
+    this.channels.add(channel);
+    this.server.subscribers.add(this);
+  }
+
+  async unsubscribe(channel) {
+    if (channel) this.channels.delete(channel);
+    else this.channels.clear();
+  }
+
+  async pubsub() {
+    return [...new Set([...this.server.subscribers].flatMap(subscriber => [...subscriber.channels]))];
+  }
+
+  async quit() {
+    this.status = 'end';
+    this.server.subscribers.delete(this);
+  }
+
+  disconnect() {
+    this.status = 'end';
+    this.server.subscribers.delete(this);
+  }
+}
+
+// RedisEventBackend with its connections swapped for FakeRedis; everything else is real
+class FakeRedisEventBackend extends RedisEventBackend {
+  constructor(server, options = {}) {
+    super({ url: 'redis://fake', ...options });
+    this.server = server;
+  }
+
+  async connect(onMessage) {
+    this.publisher = new FakeRedis(this.server);
+    this.subscriber = new FakeRedis(this.server);
+    this.subscriber.on('message', (channel, message) => onMessage(channel, JSON.parse(message)));
+  }
+}
+
+async function waitFor(predicate, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for events');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+const backends = {
+  memory: options => new MemoryEventBackend(options),
+  redis: options => new FakeRedisEventBackend(new FakeRedisServer(), options)
+};
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`${name} event backend`, () => {
+    afterEach(async () => {
+      await clearAllListeners();
+      await closeRedis();
+    });
+
+    test('numbers events per channel and returns history after an event id', async () => {
+      const backend = createBackend();
+      await backend.connect(() => {});
+
+      for (let i = 1; i <= 5; i++) await backend.publish('collab:a', { type: 'step', step: i });
+      await backend.publish('collab:b', { type: 'step', step: 1 });
+
+      const history = await backend.getHistory('collab:a', 2);
+      assert.deepEqual(history.map(event => event.eventId), [3, 4, 5]);
+      assert.deepEqual(history.map(event => event.step), [3, 4, 5]);
+      assert.deepEqual((await backend.getHistory('collab:b')).map(event => event.eventId), [1]);
+      assert.deepEqual(await backend.getHistory('collab:none', 0), []);
+      await backend.close();
+    });
+
+    test('keeps only the newest historyLimit events', async () => {
+      const backend = createBackend({ historyLimit: 3 });
+      await backend.connect(() => {});
+
+      for (let i = 1; i <= 5; i++) await backend.publish('collab:a', { type: 'step' });
+
+      assert.deepEqual((await backend.getHistory('collab:a')).map(event => event.eventId), [3, 4, 5]);
+      await backend.close();
+    });
+
+    test('a subscriber with afterEventId gets the missed events, then live ones, once each', async () => {
+      await setEventBackend(createBackend());
+
+      for (let i = 1; i <= 3; i++) await publishEvent('collab:replay', { type: 'step', step: i });
+
+      const received = [];
+      subscribeToChannel('collab:replay', event => received.push(event.eventId), { afterEventId: 1 });
+      // Published while the history is being read: must not arrive twice
+      await publishEvent('collab:replay', { type: 'step', step: 4 });
+      await waitFor(() => received.length >= 3);
+      await publishEvent('collab:replay', { type: 'done' });
+      await waitFor(() => received.length >= 4);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.deepEqual(received, [2, 3, 4, 5]);
+    });
+
+    test('concurrent publishers store and deliver events in id order', async () => {
+      await setEventBackend(createBackend());
+
+      const received = [];
+      subscribeToChannel('collab:race', event => received.push(event.eventId), { replay: false });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const published = await Promise.all([1, 2, 3, 4].map(step => publishEvent('collab:race', { type: 'step', step })));
+      await waitFor(() => received.length >= 4);
+
+      assert.deepEqual(published.map(event => event.eventId).sort(), [1, 2, 3, 4]);
+      assert.deepEqual(received, [1, 2, 3, 4]);
+    });
+
+    test('replay: false delivers only live events', async () => {
+      await setEventBackend(createBackend());
+
+      await publishEvent('collab:live', { type: 'step' });
+      const received = [];
+      subscribeToChannel('collab:live', event => received.push(event.eventId), { replay: false });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await publishEvent('collab:live', { type: 'step' });
+      await waitFor(() => received.length >= 1);
+
+      assert.deepEqual(received, [2]);
+    });
+
+    test('unsubscribing stops delivery', async () => {
+      await setEventBackend(createBackend());
+
+      const received = [];
+      const unsubscribe = subscribeToChannel('collab:stop', event => received.push(event.eventId));
+      await publishEvent('collab:stop', { type: 'step' });
+      await waitFor(() => received.length >= 1);
+      unsubscribe();
+      await publishEvent('collab:stop', { type: 'step' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.deepEqual(received, [1]);
+    });
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * A small MCP server for the stdio transport tests: newline-delimited JSON-RPC on stdin
+ * and stdout, written by hand so the tests exercise the wire format rather than the
+ * hub's own JsonRpcPeer.
+ *
+ * Tools: echo (returns its text), fail (JSON-RPC error), ping_client (pings the client
+ * and reports the answer), exit (ends the process). tools/list is served in pages of two.
+ */
+
+import readline from 'readline';
+
+const TOOLS = ['echo', 'fail', 'ping_client', 'exit'].map(name => ({
+    name,
+    description: `Fixture tool ${name}`,
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } }
+}));
+const PAGE_SIZE = 2;
+
+let nextId = 1;
+const pendingClientRequests = new Map();
+
+function write(message) {
+    process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+function requestClient(method, params) {
+    const id = `server-${nextId++}`;
+    write({ jsonrpc: '2.0', id, method, params });
+    return new Promise(resolve => pendingClientRequests.set(id, resolve));
+}
+
+async function handleRequest(method, params = {}) {
+    switch (method) {
+        case 'initialize':
+            return {
+                protocolVersion: params.protocolVersion,
+                capabilities: { tools: {}, resources: {} },
+                serverInfo: { name: 'fixture-server', version: '1.0.0' },
+                instructions: 'Fixture for tests.'
+            };
+        case 'tools/list': {
+            const offset = params.cursor ? Number(params.cursor) : 0;
+            const result = { tools: TOOLS.slice(offset, offset + PAGE_SIZE) };
+            if (offset + PAGE_SIZE < TOOLS.length) result.nextCursor = String(offset + PAGE_SIZE);
+            return result;
+        }
+        case 'tools/call':
+            switch (params.name) {
+                case 'echo':
+                    return { content: [{ type: 'text', text: params.arguments?.text ?? '' }] };
+                case 'fail':
+                    throw Object.assign(new Error('Fixture failure'), { code: -32602 });
+                case 'ping_client': {
+                    const response = await requestClient('ping', {});
+                    return { content: [{ type: 'text', text: `client answered ${JSON.stringify(response)}` }] };
+                }
+                case 'exit':
+                    setTimeout(() => process.exit(3), 10);
+                    return { content: [{ type: 'text', text: 'bye' }] };
+                default:
+                    throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: -32602 });
+            }
+        case 'resources/list':
+            return { resources: [{ uri: 'fixture:///readme', name: 'readme', mimeType: 'text/plain' }] };
+        case 'resources/read':
+            return { contents: [{ uri: params.uri, mimeType: 'text/plain', text: `contents of ${params.uri}` }] };
+        default:
+            throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+    }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', async (line) => {
+    if (!line.trim()) return;
+    const message = JSON.parse(line);
+
+    if (message.method === undefined) {
+        // A response to one of our requests
+        pendingClientRequests.get(message.id)?.(message.result ?? message.error);
+        pendingClientRequests.delete(message.id);
+        return;
+    }
+    if (message.id === undefined) {
+        process.stderr.write(`notification ${message.method}\n`);
+        return;
+    }
+
+    try {
+        write({ jsonrpc: '2.0', id: message.id, result: await handleRequest(message.method, message.params) });
+    } catch (error) {
+        write({ jsonrpc: '2.0', id: message.id, error: { code: error.code || -32603, message: error.message } });
+    }
+});
+
+process.stdin.on('end', () => process.exit(0));
@@ -0,0 +1,78 @@
+/**
+ * MCP client over the stdio transport, against the fixture server in
+ * fixtures/stdioMcpServer.mjs running as a child process.
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { StdioClientTransport } from '../src/lib/mcp/transports.mjs';
+import { McpClient, contentToText } from '../src/lib/mcp/client.mjs';
+import { LATEST_PROTOCOL_VERSION } from '../src/lib/mcp/jsonrpc.mjs';
+
+const FIXTURE_SERVER = fileURLToPath(new URL('./fixtures/stdioMcpServer.mjs', import.meta.url));
+
+function createClient() {
+    const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [FIXTURE_SERVER],
+        label: 'fixture'
+    });
+    return new McpClient(transport, { label: 'fixture', requestTimeout: 5000 });
+}
+
+describe('MCP client over stdio', () => {
+    let client;
+
+    beforeEach(async () => {
+        client = createClient();
+        await client.connect();
+    });
+
+    afterEach(() => {
+        if (client.connected) client.close();
+    });
+
+    test('completes the initialize handshake', () => {
+        assert.equal(client.connected, true);
+        assert.equal(client.protocolVersion, LATEST_PROTOCOL_VERSION);
+        assert.deepEqual(client.serverInfo, { name: 'fixture-server', version: '1.0.0' });
+        assert.equal(client.instructions, 'Fixture for tests.');
+    });
+
+    test('lists tools across pages', async () => {
+        const tools = await client.listTools();
+        assert.deepEqual(tools.map(tool => tool.name), ['echo', 'fail', 'ping_client', 'exit']);
+    });
+
+    test('calls a tool and returns its content', async () => {
+        const result = await client.callTool('echo', { text: 'hello over stdio' });
+        assert.equal(contentToText(result.content), 'hello over stdio');
+    });
+
+    test('rejects with the server\'s JSON-RPC error', async () => {
+        await assert.rejects(client.callTool('fail'), { code: -32602, message: 'Fixture failure' });
+    });
+
+    test('answers requests the server sends while a call is running', async () => {
+        const result = await client.callTool('ping_client');
+        assert.equal(contentToText(result.content), 'client answered {}');
+    });
+
+    test('lists and reads resources', async () => {
+        const resources = await client.listResources();
+        assert.deepEqual(resources.map(resource => resource.uri), ['fixture:///readme']);
+
+        const { contents } = await client.readResource('fixture:///readme');
+        assert.equal(contents[0].text, 'contents of fixture:///readme');
+    });
+
+    test('reports the server process exiting and fails later requests', async () => {
+        const closed = new Promise(resolve => client.onClose(resolve));
+        await client.callTool('exit');
+
+        assert.equal(await closed, 'Server process exited (code 3)');
+        assert.equal(client.connected, false);
+        await assert.rejects(client.callTool('echo', { text: 'too late' }));
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Token bucket rate limits: bucket refill, which buckets a request draws from, the
+ * refusal it gets, and the client address the IP buckets are keyed on.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBucketStore } from '../src/lib/rateLimit/memoryStore.mjs';
+import {
+  DEFAULT_RATE_LIMIT_POLICIES,
+  setRateLimitStore,
+  setRateLimitPolicies,
+  consumeRateLimit,
+  formatRateLimitError,
+  createRestRateLimiter
+} from '../src/lib/rateLimit/rateLimiter.mjs';
+import { parseTrustProxy, getClientAddress } from '../src/lib/rateLimit/clientAddress.mjs';
+
+async function consumeTimes(count, request) {
+  const results = [];
+  for (let i = 0; i < count; i++) results.push(await consumeRateLimit(request));
+  return results;
+}
+
+describe('MemoryBucketStore', () => {
+  test('allows a burst up to capacity, then refills at the sustained rate', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new MemoryBucketStore();
+    const bucket = { capacity: 3, refillPerMinute: 6 }; // One token every 10 seconds
+
+    for (let i = 0; i < 3; i++) assert.equal((await store.take('k', bucket)).allowed, true);
+    assert.deepEqual(await store.take('k', bucket), { allowed: false, tokens: 0 });
+
+    now += 5000;
+    assert.equal((await store.take('k', bucket)).allowed, false);
+    now += 5000;
+    assert.deepEqual(await store.take('k', bucket), { allowed: true, tokens: 0 });
+
+    // Refill stops at capacity however long the bucket sits idle
+    now += 60 * 60 * 1000;
+    assert.deepEqual(await store.take('k', bucket), { allowed: true, tokens: 2 });
+  });
+
+  test('keeps buckets apart by key', async () => {
+    const store = new MemoryBucketStore();
+    const bucket = { capacity: 1, refillPerMinute: 1 };
+
+    assert.equal((await store.take('a', bucket)).allowed, true);
+    assert.equal((await store.take('a', bucket)).allowed, false);
+    assert.equal((await store.take('b', bucket)).allowed, true);
+  });
+});
+
+describe('consumeRateLimit', () => {
+  beforeEach(async () => {
+    await setRateLimitStore(new MemoryBucketStore());
+    setRateLimitPolicies({});
+  });
+
+  test('limits each account by its tier and action', async () => {
+    const request = { scope: 'ws', action: 'collab', userId: 'u1', ip: '198.51.100.1', tier: 'free' };
+    const limit = DEFAULT_RATE_LIMIT_POLICIES.tiers.free.ws.collab.capacity;
+
+    const results = await consumeTimes(limit + 1, request);
+    assert.ok(results.slice(0, limit).every(result => result.allowed));
+    assert.deepEqual(results[limit], { allowed: false, retryAfter: 12, limit: 'user', scope: 'ws', action: 'collab', tier: 'free' });
+
+    // Other actions, other accounts and higher tiers have buckets of their own
+    assert.equal((await consumeRateLimit({ ...request, action: 'chat' })).allowed, true);
+    assert.equal((await consumeRateLimit({ ...request, userId: 'u2' })).allowed, true);
+    assert.equal((await consumeRateLimit({ ...request, userId: 'u3', tier: 'pro' })).allowed, true);
+  });
+
+  test('treats unknown tiers as free and callers without an account as guests keyed by address', async () => {
+    const unknownTier = await consumeTimes(6, { scope: 'ws', action: 'collab', userId: 'u1', ip: '198.51.100.1', tier: 'platinum' });
+    assert.equal(unknownTier[5].tier, 'free');
+    assert.equal(unknownTier[5].allowed, false);
+
+    const guest = await consumeTimes(4, { scope: 'ws', action: 'collab', ip: '198.51.100.2' });
+    assert.deepEqual(guest.map(result => result.allowed), [true, true, true, false]);
+    assert.equal(guest[3].tier, 'guest');
+    assert.equal((await consumeRateLimit({ scope: 'ws', action: 'collab', ip: '198.51.100.3' })).allowed, true);
+  });
+
+  test('caps every account behind one address with the IP bucket', async () => {
+    setRateLimitPolicies({ ip: { rest: { default: { capacity: 2, refillPerMinute: 2 } } } });
+
+    const results = [];
+    for (const userId of ['u1', 'u2', 'u3']) {
+      results.push(await consumeRateLimit({ scope: 'rest', action: 'projects', userId, ip: '203.0.113.9', tier: 'pro' }));
+    }
+    assert.deepEqual(results.map(result => result.allowed), [true, true, false]);
+    assert.equal(results[2].limit, 'ip');
+    assert.equal(results[2].retryAfter, 30);
+  });
+
+  test('admin overrides replace single buckets and can turn limiting off', async () => {
+    const policies = setRateLimitPolicies({ tiers: { free: { ws: { chat: { capacity: 1, refillPerMinute: 1 } } } } });
+    assert.deepEqual(policies.tiers.free.ws.chat, { capacity: 1, refillPerMinute: 1 });
+    assert.deepEqual(policies.tiers.free.ws.collab, DEFAULT_RATE_LIMIT_POLICIES.tiers.free.ws.collab);
+
+    const request = { scope: 'ws', action: 'chat', userId: 'u1', ip: '198.51.100.1', tier: 'free' };
+    assert.deepEqual((await consumeTimes(2, request)).map(result => result.allowed), [true, false]);
+
+    setRateLimitPolicies({ enabled: false });
+    assert.deepEqual(await consumeRateLimit(request), { allowed: true });
+  });
+
+  test('rejects invalid overrides', () => {
+    assert.throws(() => setRateLimitPolicies({ burst: 1 }), /rateLimits.burst is not a setting/);
+    assert.throws(() => setRateLimitPolicies({ ip: { sse: {} } }), /not a scope/);
+    assert.throws(
+      () => setRateLimitPolicies({ tiers: { pro: { rest: { default: { capacity: 0, refillPerMinute: 1 } } } } }),
+      /capacity must be a positive integer/
+    );
+  });
+
+  test('lets requests through when the store fails', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    await setRateLimitStore({
+      connect: async () => {},
+      close: async () => {},
+      take: async () => { throw new Error('connection refused'); }
+    });
+
+    assert.deepEqual(await consumeRateLimit({ scope: 'rest', action: 'auth', ip: '198.51.100.1' }), { allowed: true });
+  });
+
+  test('REST middleware answers refusals with 429 and Retry-After', async () => {
+    setRateLimitPolicies({ tiers: { guest: { rest: { auth: { capacity: 1, refillPerMinute: 2 } } } } });
+    const limiter = createRestRateLimiter({ identify: () => null });
+    const req = { path: '/auth/login', ip: '198.51.100.4' };
+    const response = () => {
+      const res = { headers: {}, statusCode: 200, body: null };
+      res.set = (name, value) => { res.headers[name] = value; return res; };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      return res;
+    };
+
+    let nextCalled = false;
+    await limiter(req, response(), () => { nextCalled = true; });
+    assert.equal(nextCalled, true);
+
+    const refused = response();
+    await limiter(req, refused, () => assert.fail('should be limited'));
+    assert.equal(refused.statusCode, 429);
+    assert.equal(refused.headers['Retry-After'], '30');
+    assert.deepEqual(refused.body, {
+      success: false,
+      ...formatRateLimitError({ limit: 'user', tier: 'guest', retryAfter: 30, scope: 'rest', action: 'auth' })
+    });
+    assert.equal(refused.body.error, 'Too many requests from guests. Try again in 30 seconds.');
+  });
+});
+
+describe('client address', () => {
+  const request = (remoteAddress, forwardedFor) => ({
+    connection: { remoteAddress },
+    socket: { remoteAddress },
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+  });
+
+  test('parses TRUST_PROXY', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(parseTrustProxy(''), ['loopback']);
+    assert.equal(parseTrustProxy('2'), 2);
+    assert.equal(parseTrustProxy('false'), false);
+    assert.deepEqual(parseTrustProxy('true'), ['loopback']);
+    assert.deepEqual(parseTrustProxy('10.0.0.0/8, loopback'), ['10.0.0.0/8', 'loopback']);
+    assert.deepEqual(parseTrustProxy('not-an-address'), ['loopback']);
+  });
+
+  test('ignores X-Forwarded-For from clients that are not trusted proxies', () => {
+    // Default trust: loopback proxies only (TRUST_PROXY is read on first use)
+    delete process.env.TRUST_PROXY;
+
+    assert.equal(getClientAddress(request('203.0.113.5', '1.2.3.4')), '203.0.113.5');
+    assert.equal(getClientAddress(request('127.0.0.1', '198.51.100.7')), '198.51.100.7');
+    assert.equal(getClientAddress(request('127.0.0.1', '1.2.3.4, 203.0.113.5')), '203.0.113.5');
+  });
+});
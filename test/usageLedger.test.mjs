@@ -0,0 +1,27 @@
+/**
+ * Usage ledger CSV export: quoting, and cells a spreadsheet would read as formulas.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../src/services/usageLedgerService.mjs';
+
+function cells(csv) {
+  const [header, row] = csv.trimEnd().split('\n');
+  return Object.fromEntries(header.split(',').map((column, i) => [column, row.split(',')[i]]));
+}
+
+test('quotes cells containing quotes, commas or line breaks', () => {
+  const csv = toCsv([{ model: 'say "hi"', sessionId: 'a\rb', projectId: null }]);
+  assert.match(csv, /,"say ""hi""",/);
+  assert.match(csv, /,"a\rb",/);
+});
+
+test('keeps text that starts like a formula as text, but not numbers', () => {
+  const row = cells(toCsv([{ source: '=HYPERLINK("x")', projectId: '+1', sessionId: '-2', runId: '@SUM(A1)', cost: -0.5 }]));
+  assert.equal(row.source, '"\'=HYPERLINK(""x"")"');
+  assert.equal(row.projectId, "'+1");
+  assert.equal(row.sessionId, "'-2");
+  assert.equal(row.runId, "'@SUM(A1)");
+  assert.equal(row.cost, '-0.5');
+});